@@ -1,14 +1,48 @@
 import { BrowserRouter, Routes, Route } from 'react-router-dom';
+import { useSelector } from 'react-redux';
+import Header from './component/Header/Header';
 import HomePage from './pages/HomePage';
 import MovieDetailPage from './pages/MovieDetailPage';
+import SearchPage from './pages/SearchPage';
+import DiscoverPage from './pages/DiscoverPage';
+import PersonPage from './pages/PersonPage';
+import TVShowPage from './pages/TVShowPage';
+import TVSeasonPage from './pages/TVSeasonPage';
+import TVEpisodePage from './pages/TVEpisodePage';
+import AuthCallbackPage from './pages/AuthCallbackPage';
+import MyPage from './pages/MyPage';
+import TrendingPage from './pages/TrendingPage';
+import CollectionPage from './pages/CollectionPage';
+import BrowsePage from './pages/BrowsePage';
+import NotificationList from './component/Notifications/NotificationList';
+import { AUTH_CALLBACK_PATH } from './store/actions/sessionActions';
+import { selectLocale, selectRegion } from './store/reducers/localeReducer';
 
 function App() {
+    const locale = useSelector(selectLocale);
+    const region = useSelector(selectRegion);
+
     return (
         <BrowserRouter>
-            <Routes>
+            <Header />
+            {/* 언어나 지역이 바뀌면 페이지를 다시 마운트해 새 설정으로 다시 불러옴 */}
+            <Routes key={`${locale}/${region}`}>
                 <Route path="/" element={<HomePage />} />
-                <Route path="/movie" element={<MovieDetailPage />} />
+                <Route path="/movie/:id" element={<MovieDetailPage />} />
+                <Route path="/search" element={<SearchPage />} />
+                <Route path="/discover" element={<DiscoverPage />} />
+                <Route path="/trending" element={<TrendingPage />} />
+                <Route path="/collection/:id" element={<CollectionPage />} />
+                <Route path="/company/:id" element={<BrowsePage kind="company" />} />
+                <Route path="/keyword/:id" element={<BrowsePage kind="keyword" />} />
+                <Route path="/person/:id" element={<PersonPage />} />
+                <Route path="/tv/:id" element={<TVShowPage />} />
+                <Route path="/tv/:id/season/:seasonNumber" element={<TVSeasonPage />} />
+                <Route path="/tv/:id/season/:seasonNumber/episode/:episodeNumber" element={<TVEpisodePage />} />
+                <Route path={AUTH_CALLBACK_PATH} element={<AuthCallbackPage />} />
+                <Route path="/me" element={<MyPage />} />
             </Routes>
+            <NotificationList />
         </BrowserRouter>
     );
 }
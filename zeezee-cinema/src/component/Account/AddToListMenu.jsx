@@ -0,0 +1,102 @@
+import { useEffect, useRef, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useDispatch, useSelector } from 'react-redux';
+import { fetchLists, fetchListMembership, addToList, removeFromList } from '../../store/actions/accountActions';
+import { selectLists, selectListMembership } from '../../store/reducers/accountReducer';
+import { selectSessionType } from '../../store/reducers/sessionReducer';
+import useTranslation from '../../hooks/useTranslation';
+
+/**
+ * 사용자 리스트에 영화를 추가하거나 제거하는 메뉴 (로그인한 사용자에게만 표시)
+ * @param {Object} movie - TMDB 영화 상세 정보
+ */
+function AddToListMenu({ movie }) {
+    const { t, tError } = useTranslation();
+    const dispatch = useDispatch();
+    const sessionType = useSelector(selectSessionType);
+    const { items: lists, loaded, loading, saving, saveError } = useSelector(selectLists);
+    const membership = useSelector((state) => selectListMembership(state, movie.id));
+    const [open, setOpen] = useState(false);
+    const containerRef = useRef(null);
+
+    // 메뉴를 열면 리스트 목록과 각 리스트에 이 영화가 들어 있는지 확인
+    useEffect(() => {
+        if (!open) return;
+        if (!loaded) {
+            dispatch(fetchLists());
+            return;
+        }
+        dispatch(fetchListMembership(movie.id));
+    }, [dispatch, open, loaded, movie.id]);
+
+    // 바깥을 클릭하면 닫기
+    useEffect(() => {
+        const handleClickOutside = (e) => {
+            if (containerRef.current && !containerRef.current.contains(e.target)) setOpen(false);
+        };
+        document.addEventListener('mousedown', handleClickOutside);
+        return () => document.removeEventListener('mousedown', handleClickOutside);
+    }, []);
+
+    if (sessionType !== 'user') return null;
+
+    const handleToggle = (listId) => {
+        if (membership?.[listId]) {
+            dispatch(removeFromList({ listId, movieId: movie.id }));
+        } else {
+            dispatch(addToList({ listId, movie }));
+        }
+    };
+
+    return (
+        <div
+            ref={containerRef}
+            className="relative"
+            onKeyDown={(e) => {
+                if (e.key === 'Escape') setOpen(false);
+            }}
+        >
+            <button
+                type="button"
+                onClick={() => setOpen((value) => !value)}
+                aria-expanded={open}
+                className="px-4 h-10 rounded-full text-sm font-medium bg-white/10 hover:bg-white/20 transition-colors"
+            >
+                {t('lists.add')}
+            </button>
+
+            {open && (
+                <div className="absolute left-0 mt-2 w-64 bg-white text-gray-900 rounded-lg shadow-xl z-50 p-2 text-sm">
+                    {loading && <p className="px-2 py-1 text-gray-500">{t('lists.loading')}</p>}
+                    {loaded && lists.length === 0 && <p className="px-2 py-1 text-gray-500">{t('lists.none')}</p>}
+                    <ul>
+                        {lists.map((list) => (
+                            <li key={list.id}>
+                                <button
+                                    type="button"
+                                    aria-pressed={Boolean(membership?.[list.id])}
+                                    onClick={() => handleToggle(list.id)}
+                                    disabled={saving || !membership}
+                                    className="w-full flex items-center justify-between gap-2 px-2 py-1.5 rounded hover:bg-gray-100 disabled:opacity-50 text-left"
+                                >
+                                    <span className="truncate">{list.name}</span>
+                                    <span aria-hidden="true">{membership?.[list.id] ? '✓' : '+'}</span>
+                                </button>
+                            </li>
+                        ))}
+                    </ul>
+                    {saveError && (
+                        <p className="px-2 py-1 text-red-600" role="alert">
+                            {tError(saveError)}
+                        </p>
+                    )}
+                    <Link to="/me" className="block px-2 py-1.5 mt-1 border-t text-blue-600 hover:underline">
+                        {t('lists.createNew')}
+                    </Link>
+                </div>
+            )}
+        </div>
+    );
+}
+
+export default AddToListMenu;
@@ -0,0 +1,188 @@
+import { useEffect, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import {
+    fetchListDetails,
+    createList,
+    deleteList,
+    removeFromList,
+    clearList,
+} from '../../store/actions/accountActions';
+import { selectLists, selectListDetails } from '../../store/reducers/accountReducer';
+import { toMovieCard } from '../MovieCard/movieCardModel';
+import MovieCard from '../MovieCard/MovieCard';
+import useTranslation from '../../hooks/useTranslation';
+
+// 리스트 이름 최대 길이
+const MAX_NAME_LENGTH = 100;
+
+function ListItems({ listId, saving }) {
+    const { t, tError } = useTranslation();
+    const dispatch = useDispatch();
+    const { data: list, loading, error } = useSelector((state) => selectListDetails(state, listId));
+
+    useEffect(() => {
+        dispatch(fetchListDetails(listId));
+    }, [dispatch, listId]);
+
+    if (error) {
+        return (
+            <p className="text-red-600 text-sm" role="alert">
+                {t('lists.error', { error: tError(error) })}
+            </p>
+        );
+    }
+
+    if (loading || !list) {
+        return <p className="text-gray-500 text-sm">{t('lists.loading')}</p>;
+    }
+
+    const movies = list.items.filter((item) => item.media_type !== 'tv');
+
+    return (
+        <div className="space-y-4">
+            {list.description && <p className="text-gray-600 text-sm">{list.description}</p>}
+            {movies.length === 0 ? (
+                <p className="text-gray-500 text-sm">{t('lists.empty')}</p>
+            ) : (
+                <>
+                    <ul className="divide-y divide-gray-100">
+                        {movies.map((movie) => (
+                            <li key={movie.id} className="py-3 space-y-2">
+                                <MovieCard movie={toMovieCard(movie, 'compact')} />
+                                <button
+                                    type="button"
+                                    onClick={() => dispatch(removeFromList({ listId, movieId: movie.id }))}
+                                    disabled={saving}
+                                    className="text-xs text-gray-500 hover:text-red-600 disabled:opacity-50"
+                                >
+                                    {t('lists.remove')}
+                                </button>
+                            </li>
+                        ))}
+                    </ul>
+                    <button
+                        type="button"
+                        onClick={() => {
+                            if (window.confirm(t('lists.confirmClear', { name: list.name }))) {
+                                dispatch(clearList(listId));
+                            }
+                        }}
+                        disabled={saving}
+                        className="text-sm text-red-600 hover:underline disabled:opacity-50"
+                    >
+                        {t('lists.clear')}
+                    </button>
+                </>
+            )}
+        </div>
+    );
+}
+
+/**
+ * 사용자 리스트 만들기, 삭제, 항목 관리
+ */
+function ListManager() {
+    const { t, tError } = useTranslation();
+    const dispatch = useDispatch();
+    const { items: lists, loading, error, saving, saveError } = useSelector(selectLists);
+    const [selectedId, setSelectedId] = useState(null);
+    const [name, setName] = useState('');
+    const [description, setDescription] = useState('');
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        const trimmedName = name.trim();
+        if (!trimmedName) return;
+
+        const result = await dispatch(createList({ name: trimmedName, description: description.trim() }));
+        if (createList.fulfilled.match(result)) {
+            setName('');
+            setDescription('');
+            setSelectedId(result.payload.id);
+        }
+    };
+
+    const handleDelete = (list) => {
+        if (!window.confirm(t('lists.confirmDelete', { name: list.name }))) return;
+        dispatch(deleteList(list.id));
+        if (selectedId === list.id) setSelectedId(null);
+    };
+
+    return (
+        <div className="space-y-6">
+            <form onSubmit={handleSubmit} className="flex flex-col md:flex-row gap-3" aria-label={t('lists.createNew')}>
+                <input
+                    type="text"
+                    value={name}
+                    onChange={(e) => setName(e.target.value)}
+                    maxLength={MAX_NAME_LENGTH}
+                    placeholder={t('lists.name')}
+                    aria-label={t('lists.name')}
+                    required
+                    className="flex-1 border border-gray-300 rounded-md px-3 py-2 text-sm"
+                />
+                <input
+                    type="text"
+                    value={description}
+                    onChange={(e) => setDescription(e.target.value)}
+                    placeholder={t('lists.description')}
+                    aria-label={t('lists.descriptionLabel')}
+                    className="flex-[2] border border-gray-300 rounded-md px-3 py-2 text-sm"
+                />
+                <button
+                    type="submit"
+                    disabled={saving || !name.trim()}
+                    className="bg-blue-600 text-white px-4 py-2 rounded-md hover:bg-blue-700 transition-colors text-sm disabled:opacity-50"
+                >
+                    {t('lists.create')}
+                </button>
+            </form>
+
+            {saveError && (
+                <p className="text-red-600 text-sm" role="alert">
+                    {t('lists.saveError', { error: tError(saveError) })}
+                </p>
+            )}
+            {error && (
+                <p className="text-red-600 text-sm" role="alert">
+                    {t('lists.listsError', { error: tError(error) })}
+                </p>
+            )}
+            {loading && lists.length === 0 && <p className="text-gray-500 text-sm">{t('lists.loading')}</p>}
+            {!loading && !error && lists.length === 0 && <p className="text-gray-500 text-sm">{t('lists.noneYet')}</p>}
+
+            {lists.length > 0 && (
+                <ul className="divide-y border rounded-lg">
+                    {lists.map((list) => (
+                        <li key={list.id} className="p-4 space-y-4">
+                            <div className="flex items-center justify-between gap-4">
+                                <button
+                                    type="button"
+                                    onClick={() => setSelectedId(selectedId === list.id ? null : list.id)}
+                                    aria-expanded={selectedId === list.id}
+                                    className="text-left font-semibold hover:text-blue-600"
+                                >
+                                    {list.name}
+                                    <span className="ml-2 text-sm font-normal text-gray-500">
+                                        {t('lists.count', { count: list.item_count || 0 })}
+                                    </span>
+                                </button>
+                                <button
+                                    type="button"
+                                    onClick={() => handleDelete(list)}
+                                    disabled={saving}
+                                    className="text-sm text-gray-500 hover:text-red-600 disabled:opacity-50"
+                                >
+                                    {t('lists.delete')}
+                                </button>
+                            </div>
+                            {selectedId === list.id && <ListItems listId={list.id} saving={saving} />}
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+}
+
+export default ListManager;
@@ -0,0 +1,116 @@
+import { useDispatch, useSelector } from 'react-redux';
+import { toggleAccountMovie } from '../../store/actions/accountActions';
+import { setLibraryFlag } from '../../store/actions/libraryActions';
+import { selectIsInAccountList, selectIsTogglePending } from '../../store/reducers/accountReducer';
+import { selectIsInLibrary } from '../../store/reducers/libraryReducer';
+import { selectSessionType } from '../../store/reducers/sessionReducer';
+import useTranslation from '../../hooks/useTranslation';
+
+/**
+ * 토글 버튼 종류별 설정
+ * requiresAccount: 로그인한 사용자에게만 표시 (TMDB 계정 기능)
+ * addLabel, removeLabel: 버튼 이름 메시지 키
+ * 워치리스트와 본 영화는 내 서재(IndexedDB)에 저장되어 로그인하지 않아도 사용할 수 있습니다.
+ */
+const TOGGLES = [
+    {
+        key: 'favorites',
+        requiresAccount: true,
+        addLabel: 'toggles.addFavorite',
+        removeLabel: 'toggles.removeFavorite',
+        activeClassName: 'text-red-500',
+        path: 'M12 21s-7.5-4.6-9.6-9.2C.9 8.5 3 4.5 6.8 4.5c2.1 0 3.6 1.1 5.2 3 1.6-1.9 3.1-3 5.2-3 3.8 0 5.9 4 4.4 7.3C19.5 16.4 12 21 12 21z',
+        selectActive: (state, movieId) => selectIsInAccountList(state, 'favorites', movieId),
+        selectPending: (state, movieId) => selectIsTogglePending(state, 'favorites', movieId),
+        toggle: (movieId, value) => toggleAccountMovie({ listType: 'favorites', movieId, value }),
+    },
+    {
+        key: 'watchlist',
+        requiresAccount: false,
+        addLabel: 'toggles.addWatchlist',
+        removeLabel: 'toggles.removeWatchlist',
+        activeClassName: 'text-blue-400',
+        path: 'M6 3h12a1 1 0 0 1 1 1v17l-7-4.5L5 21V4a1 1 0 0 1 1-1z',
+        selectActive: (state, movieId) => selectIsInLibrary(state, 'watchlist', movieId),
+        selectPending: () => false,
+        toggle: (movieId, value) => setLibraryFlag({ movieId, flag: 'watchlist', value }),
+    },
+    {
+        key: 'seen',
+        requiresAccount: false,
+        addLabel: 'toggles.markSeen',
+        removeLabel: 'toggles.unmarkSeen',
+        activeClassName: 'text-green-400',
+        path: 'M1.5 12S5.5 5 12 5s10.5 7 10.5 7-4 7-10.5 7S1.5 12 1.5 12zM12 9a3 3 0 1 0 0 6 3 3 0 0 0 0-6z',
+        selectActive: (state, movieId) => selectIsInLibrary(state, 'seen', movieId),
+        selectPending: () => false,
+        toggle: (movieId, value) => setLibraryFlag({ movieId, flag: 'seen', value }),
+    },
+];
+
+// 표시 위치별 버튼 스타일
+const VARIANT_CLASS_NAMES = {
+    card: 'w-8 h-8 bg-black/60 hover:bg-black/80',
+    hero: 'w-10 h-10 bg-white/10 hover:bg-white/20',
+};
+
+function MovieToggle({ movieId, toggle, variant }) {
+    const dispatch = useDispatch();
+    const { t } = useTranslation();
+    const active = useSelector((state) => toggle.selectActive(state, movieId));
+    const pending = useSelector((state) => toggle.selectPending(state, movieId));
+    const label = t(active ? toggle.removeLabel : toggle.addLabel);
+
+    const handleClick = (event) => {
+        // 카드 링크로 이동하지 않도록
+        event.preventDefault();
+        event.stopPropagation();
+        dispatch(toggle.toggle(movieId, !active));
+    };
+
+    return (
+        <button
+            type="button"
+            onClick={handleClick}
+            disabled={pending}
+            aria-pressed={active}
+            aria-label={label}
+            title={label}
+            className={`flex items-center justify-center rounded-full transition-colors disabled:cursor-wait ${
+                VARIANT_CLASS_NAMES[variant]
+            } ${active ? toggle.activeClassName : 'text-white'}`}
+        >
+            <svg
+                className="w-5 h-5"
+                viewBox="0 0 24 24"
+                fill={active ? 'currentColor' : 'none'}
+                stroke="currentColor"
+                strokeWidth="2"
+                aria-hidden="true"
+            >
+                <path strokeLinejoin="round" d={toggle.path} />
+            </svg>
+        </button>
+    );
+}
+
+/**
+ * 즐겨찾기(하트), 워치리스트(북마크), 본 영화(눈) 토글 버튼
+ * 즐겨찾기는 로그인한 사용자에게만 표시합니다.
+ * @param {number} movieId - 영화 ID
+ * @param {'card'|'hero'} variant - 표시 위치 (영화 카드, 상세 페이지)
+ */
+function MovieToggles({ movieId, variant = 'card', className = '' }) {
+    const sessionType = useSelector(selectSessionType);
+    const toggles = TOGGLES.filter((toggle) => !toggle.requiresAccount || sessionType === 'user');
+
+    return (
+        <div className={`flex gap-2 ${className}`}>
+            {toggles.map((toggle) => (
+                <MovieToggle key={toggle.key} movieId={movieId} toggle={toggle} variant={variant} />
+            ))}
+        </div>
+    );
+}
+
+export default MovieToggles;
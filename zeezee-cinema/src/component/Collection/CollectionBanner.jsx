@@ -0,0 +1,75 @@
+import { useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { useSelector } from 'react-redux';
+import { fetchCollection } from '../../store/actions/collectionsActions';
+import { selectCollection } from '../../store/reducers/collectionsReducer';
+import { countSeenParts, sortCollectionParts } from '../../utils/collections';
+import TmdbImage from '../Image/TmdbImage';
+import useCancellableDispatch from '../../hooks/useCancellableDispatch';
+import useInView from '../../hooks/useInView';
+import useTranslation from '../../hooks/useTranslation';
+
+/**
+ * 영화 상세 페이지의 "컬렉션에 속한 영화" 배너
+ * 화면에 보이면 컬렉션을 요청해 시리즈에서의 순서와 본 영화 수를 함께 보여 줍니다.
+ * @param {{id: number, name: string, backdrop_path: string|null}} collection - 영화 상세 정보의 belongs_to_collection
+ * @param {number} movieId - 현재 영화 ID
+ */
+function CollectionBanner({ collection, movieId }) {
+    const { t } = useTranslation();
+    const dispatch = useCancellableDispatch();
+    const [ref, inView] = useInView();
+    const { data, loading, error } = useSelector((state) => selectCollection(state, collection.id));
+    const libraryEntries = useSelector((state) => state.library.entries);
+
+    // 요청이 취소되면 loading이 풀린 뒤 다시 요청 (이미 불러온 컬렉션은 condition에서 건너뜀)
+    useEffect(() => {
+        if (inView && !loading && !error) dispatch(fetchCollection(collection.id));
+    }, [dispatch, inView, collection.id, loading, error]);
+
+    const parts = data ? sortCollectionParts(data.parts) : [];
+    const position = parts.findIndex((part) => part.id === movieId) + 1;
+
+    return (
+        <section
+            ref={ref}
+            className="relative m-8 overflow-hidden rounded-xl bg-gray-900 text-white"
+            aria-labelledby="collection-banner-title"
+        >
+            {collection.backdrop_path && (
+                <figure className="absolute inset-0" aria-hidden="true">
+                    <TmdbImage
+                        path={collection.backdrop_path}
+                        type="backdrop"
+                        sizes="100vw"
+                        fallbackWidth={1280}
+                        className="w-full h-full opacity-40"
+                        imgClassName="object-cover object-center"
+                    />
+                </figure>
+            )}
+            <div className="relative flex flex-col md:flex-row md:items-center justify-between gap-4 p-6 md:p-8 bg-gradient-to-r from-gray-900/90 to-transparent">
+                <div className="space-y-1">
+                    <h2 id="collection-banner-title" className="text-xl md:text-2xl font-bold">
+                        {t('collection.partOf', { name: collection.name })}
+                    </h2>
+                    {parts.length > 0 && (
+                        <p className="text-sm text-white/80">
+                            {position > 0 && t('collection.position', { position, total: parts.length })}
+                            {position > 0 && ' · '}
+                            {t('collection.seenCount', { seen: countSeenParts(parts, libraryEntries) })}
+                        </p>
+                    )}
+                </div>
+                <Link
+                    to={`/collection/${collection.id}`}
+                    className="self-start md:self-auto shrink-0 bg-white text-gray-900 hover:bg-white/90 px-5 py-2.5 rounded-lg font-semibold transition-colors"
+                >
+                    {t('collection.view')}
+                </Link>
+            </div>
+        </section>
+    );
+}
+
+export default CollectionBanner;
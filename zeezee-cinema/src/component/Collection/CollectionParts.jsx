@@ -0,0 +1,57 @@
+import { useSelector } from 'react-redux';
+import MovieCard from '../MovieCard/MovieCard';
+import { toMovieCard } from '../MovieCard/movieCardModel';
+import { selectIsInLibrary } from '../../store/reducers/libraryReducer';
+import useTranslation from '../../hooks/useTranslation';
+
+/**
+ * 컬렉션 영화 한 편 (순서 표시, 본 영화는 체크 표시)
+ * @param {Object} part - TMDB 영화 (컬렉션 parts 항목)
+ * @param {number} order - 개봉 순서 (1부터)
+ */
+function CollectionPart({ part, order }) {
+    const { t } = useTranslation();
+    const seen = useSelector((state) => selectIsInLibrary(state, 'seen', part.id));
+
+    return (
+        <li className="flex items-start gap-4 py-4">
+            <span
+                className={`shrink-0 w-9 h-9 rounded-full flex items-center justify-center text-sm font-bold ${
+                    seen ? 'bg-green-500 text-white' : 'bg-gray-100 text-gray-600'
+                }`}
+                role="img"
+                aria-label={t(seen ? 'collection.seenPart' : 'collection.part', { order })}
+            >
+                <span aria-hidden="true">{seen ? '✓' : order}</span>
+            </span>
+            <div className="flex-1 min-w-0">
+                <MovieCard movie={toMovieCard(part, 'compact')} />
+            </div>
+        </li>
+    );
+}
+
+/**
+ * 컬렉션에 속한 영화 목록 (개봉 순)
+ * @param {Array<Object>} parts - 개봉 순으로 정렬한 영화 (utils/collections.js의 sortCollectionParts)
+ */
+function CollectionParts({ parts }) {
+    const { t } = useTranslation();
+
+    return (
+        <section className="m-8" aria-labelledby="collection-parts-title">
+            <header>
+                <h2 id="collection-parts-title" className="text-2xl font-bold mb-2">
+                    {t('collection.parts', { count: parts.length })}
+                </h2>
+            </header>
+            <ol className="divide-y divide-gray-100">
+                {parts.map((part, index) => (
+                    <CollectionPart key={part.id} part={part} order={index + 1} />
+                ))}
+            </ol>
+        </section>
+    );
+}
+
+export default CollectionParts;
@@ -0,0 +1,206 @@
+import { SORT_OPTIONS } from '../../utils/discoverFilters';
+import { getLanguageName, getRegionName } from '../../i18n/locales';
+import ProviderFilter from './ProviderFilter';
+import useTranslation from '../../hooks/useTranslation';
+
+const CURRENT_YEAR = new Date().getFullYear();
+
+// 연도 선택지 (올해부터 1950년까지)
+const YEARS = Array.from({ length: CURRENT_YEAR - 1949 }, (_, index) => CURRENT_YEAR - index);
+
+// 상영 시간 선택지 (분)
+const RUNTIMES = [30, 60, 90, 120, 150, 180];
+
+// 최소 평점 선택지
+const VOTE_AVERAGES = [5, 6, 7, 8, 9];
+
+// 최소 평가 수 선택지
+const VOTE_COUNTS = [50, 100, 500, 1000, 5000];
+
+// 원어 선택지 (ISO 639-1)
+const LANGUAGES = ['ko', 'en', 'ja', 'zh', 'fr', 'es', 'de', 'hi'];
+
+// 시청 지역 선택지 (ISO 3166-1)
+const WATCH_REGIONS = ['KR', 'US', 'JP', 'GB'];
+
+const selectClassName = 'border border-gray-300 rounded-md px-2 py-1 text-sm';
+
+/**
+ * 선택 값 변환 ('' 이면 null)
+ * @param {string} value - select 값
+ * @param {boolean} numeric - 숫자 변환 여부
+ */
+const toValue = (value, numeric = true) => {
+    if (value === '') return null;
+    return numeric ? Number(value) : value;
+};
+
+function FilterSelect({ label, value, onChange, options, numeric = true, placeholder }) {
+    const { t } = useTranslation();
+    return (
+        <label className="flex flex-col gap-1 text-sm">
+            <span className="font-medium text-gray-700">{label}</span>
+            <select
+                value={value ?? ''}
+                onChange={(e) => onChange(toValue(e.target.value, numeric))}
+                className={selectClassName}
+            >
+                <option value="">{placeholder || t('discover.any')}</option>
+                {options.map((option) => (
+                    <option key={option.value} value={option.value}>
+                        {option.label}
+                    </option>
+                ))}
+            </select>
+        </label>
+    );
+}
+
+function DiscoverFilters({ filters, genres, onChange, onReset }) {
+    const { t, locale } = useTranslation();
+    const toggleGenre = (genreId) => {
+        const next = filters.genres.includes(genreId)
+            ? filters.genres.filter((id) => id !== genreId)
+            : [...filters.genres, genreId];
+        onChange({ genres: next });
+    };
+
+    const yearOptions = YEARS.map((year) => ({ value: year, label: t('common.year', { year }) }));
+    const runtimeOptions = RUNTIMES.map((minutes) => ({ value: minutes, label: t('format.minutes', { minutes }) }));
+
+    return (
+        <form className="space-y-6" onSubmit={(e) => e.preventDefault()} aria-label={t('discover.filters')}>
+            <fieldset>
+                <legend className="sr-only">{t('discover.mediaType')}</legend>
+                <div className="inline-flex rounded-lg bg-gray-100 p-1">
+                    {[
+                        { value: 'movie', label: t('discover.movie') },
+                        { value: 'tv', label: t('discover.tv') },
+                    ].map(({ value, label }) => (
+                        <button
+                            key={value}
+                            // 유형이 바뀌면 장르/정렬 기준이 달라지므로 함께 초기화
+                            onClick={() => onChange({ mediaType: value, genres: [], sortBy: 'popularity.desc' })}
+                            className={`px-4 py-1.5 rounded-md text-sm font-medium transition-colors ${
+                                filters.mediaType === value ? 'bg-white shadow text-gray-900' : 'text-gray-500'
+                            }`}
+                            aria-pressed={filters.mediaType === value}
+                            type="button"
+                        >
+                            {label}
+                        </button>
+                    ))}
+                </div>
+            </fieldset>
+
+            <fieldset>
+                <legend className="font-medium text-gray-700 text-sm mb-2">{t('discover.genres')}</legend>
+                <div className="flex flex-wrap gap-2">
+                    {genres.map((genre) => {
+                        const selected = filters.genres.includes(genre.id);
+                        return (
+                            <button
+                                key={genre.id}
+                                onClick={() => toggleGenre(genre.id)}
+                                className={`px-3 py-1 rounded-full text-sm transition-colors ${
+                                    selected ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                                }`}
+                                aria-pressed={selected}
+                                type="button"
+                            >
+                                {genre.name}
+                            </button>
+                        );
+                    })}
+                </div>
+            </fieldset>
+
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                <FilterSelect
+                    label={t('discover.yearFrom')}
+                    value={filters.yearFrom}
+                    onChange={(yearFrom) => onChange({ yearFrom })}
+                    options={yearOptions}
+                />
+                <FilterSelect
+                    label={t('discover.yearTo')}
+                    value={filters.yearTo}
+                    onChange={(yearTo) => onChange({ yearTo })}
+                    options={yearOptions}
+                />
+                <FilterSelect
+                    label={t('discover.runtimeMin')}
+                    value={filters.runtimeMin}
+                    onChange={(runtimeMin) => onChange({ runtimeMin })}
+                    options={runtimeOptions}
+                />
+                <FilterSelect
+                    label={t('discover.runtimeMax')}
+                    value={filters.runtimeMax}
+                    onChange={(runtimeMax) => onChange({ runtimeMax })}
+                    options={runtimeOptions}
+                />
+                <FilterSelect
+                    label={t('discover.minVoteAverage')}
+                    value={filters.minVoteAverage}
+                    onChange={(minVoteAverage) => onChange({ minVoteAverage })}
+                    options={VOTE_AVERAGES.map((vote) => ({
+                        value: vote,
+                        label: t('discover.voteAverageAtLeast', { vote }),
+                    }))}
+                />
+                <FilterSelect
+                    label={t('discover.minVoteCount')}
+                    value={filters.minVoteCount}
+                    onChange={(minVoteCount) => onChange({ minVoteCount })}
+                    options={VOTE_COUNTS.map((count) => ({
+                        value: count,
+                        label: t('discover.voteCountAtLeast', { count: count.toLocaleString() }),
+                    }))}
+                />
+                <FilterSelect
+                    label={t('discover.originalLanguage')}
+                    value={filters.originalLanguage}
+                    onChange={(originalLanguage) => onChange({ originalLanguage })}
+                    options={LANGUAGES.map((code) => ({ value: code, label: getLanguageName(code, locale) }))}
+                    numeric={false}
+                />
+                <FilterSelect
+                    label={t('discover.watchRegion')}
+                    value={filters.watchRegion}
+                    onChange={(watchRegion) => onChange({ watchRegion })}
+                    options={WATCH_REGIONS.map((code) => ({ value: code, label: getRegionName(code, locale) }))}
+                    numeric={false}
+                />
+            </div>
+
+            <ProviderFilter filters={filters} onChange={onChange} />
+
+            <div className="flex flex-wrap items-end justify-between gap-4">
+                <label className="flex flex-col gap-1 text-sm">
+                    <span className="font-medium text-gray-700">{t('discover.sort')}</span>
+                    <select
+                        value={filters.sortBy}
+                        onChange={(e) => onChange({ sortBy: e.target.value })}
+                        className={selectClassName}
+                    >
+                        {SORT_OPTIONS[filters.mediaType].map((option) => (
+                            <option key={option.value} value={option.value}>
+                                {t(option.labelKey)}
+                            </option>
+                        ))}
+                    </select>
+                </label>
+                <button
+                    onClick={onReset}
+                    className="text-sm font-medium text-gray-500 hover:text-gray-900"
+                    type="button"
+                >
+                    {t('discover.reset')}
+                </button>
+            </div>
+        </form>
+    );
+}
+
+export default DiscoverFilters;
@@ -0,0 +1,125 @@
+import { useEffect, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { createUtils } from '../../services/movieService';
+import { fetchWatchProviderList, myServicesChanged } from '../../store/actions/watchProvidersActions';
+import { selectMyServices, selectWatchProviderList } from '../../store/reducers/watchProvidersReducer';
+import { selectRegion } from '../../store/reducers/localeReducer';
+import useTranslation from '../../hooks/useTranslation';
+
+const utils = createUtils();
+
+// 접었을 때 표시할 서비스 수 (표시 순서가 앞선 주요 서비스)
+const COLLAPSED_COUNT = 12;
+
+/**
+ * "내 서비스에서 볼 수 있는 작품" 탐색 필터
+ * 시청 지역(없으면 사용자 지역)의 서비스 중 고른 서비스로 스트리밍할 수 있는 작품만 보여 줍니다.
+ * 고른 서비스를 내 구독 서비스로 저장해 두면 다음에 한 번에 적용할 수 있습니다.
+ * @param {Object} filters - 탐색 필터
+ * @param {Function} onChange - 필터 변경 시 호출 (바뀐 값만 전달)
+ */
+function ProviderFilter({ filters, onChange }) {
+    const { t, tError } = useTranslation();
+    const dispatch = useDispatch();
+    const userRegion = useSelector(selectRegion);
+    const region = filters.watchRegion || userRegion;
+    const { mediaType, watchProviders: selected } = filters;
+    const { data: providers, error } = useSelector((state) => selectWatchProviderList(state, mediaType, region));
+    const myServices = useSelector((state) => selectMyServices(state, region));
+    const [expanded, setExpanded] = useState(false);
+
+    useEffect(() => {
+        dispatch(fetchWatchProviderList({ mediaType, region }));
+    }, [dispatch, mediaType, region]);
+
+    // 서비스 필터는 시청 지역이 있어야 적용되므로 함께 지정
+    const setProviders = (providerIds) => onChange({ watchProviders: providerIds, watchRegion: region });
+
+    const toggleProvider = (providerId) => {
+        setProviders(
+            selected.includes(providerId) ? selected.filter((id) => id !== providerId) : [...selected, providerId]
+        );
+    };
+
+    const visibleProviders = (providers || []).filter(
+        // 고른 서비스는 접혀 있어도 표시
+        (provider, index) => expanded || index < COLLAPSED_COUNT || selected.includes(provider.provider_id)
+    );
+    const sameAsMyServices =
+        myServices.length === selected.length && myServices.every((providerId) => selected.includes(providerId));
+
+    return (
+        <fieldset>
+            <legend className="font-medium text-gray-700 text-sm mb-2">{t('discover.providers.title')}</legend>
+
+            {error && <p className="text-sm text-red-600">{t('discover.providers.error', { error: tError(error) })}</p>}
+
+            <div className="flex flex-wrap gap-2">
+                {visibleProviders.map((provider) => {
+                    const active = selected.includes(provider.provider_id);
+                    return (
+                        <button
+                            key={provider.provider_id}
+                            onClick={() => toggleProvider(provider.provider_id)}
+                            className={`rounded-lg transition-opacity ${
+                                active ? 'ring-2 ring-blue-600 ring-offset-2' : 'opacity-60 hover:opacity-100'
+                            }`}
+                            aria-pressed={active}
+                            title={provider.provider_name}
+                            type="button"
+                        >
+                            <img
+                                src={utils.getLogoUrl(provider.logo_path, 'w92')}
+                                alt={provider.provider_name}
+                                className="w-10 h-10 rounded-lg object-cover"
+                                loading="lazy"
+                            />
+                        </button>
+                    );
+                })}
+                {providers?.length > COLLAPSED_COUNT && (
+                    <button
+                        onClick={() => setExpanded((prev) => !prev)}
+                        className="px-3 text-sm text-gray-500 hover:text-gray-900"
+                        aria-expanded={expanded}
+                        type="button"
+                    >
+                        {expanded
+                            ? t('discover.providers.collapse')
+                            : t('discover.providers.more', { count: providers.length - COLLAPSED_COUNT })}
+                    </button>
+                )}
+            </div>
+
+            <div className="flex flex-wrap gap-4 mt-3 text-sm">
+                <button
+                    onClick={() => setProviders(myServices)}
+                    disabled={myServices.length === 0 || sameAsMyServices}
+                    className="font-medium text-blue-600 hover:text-blue-800 disabled:text-gray-400"
+                    type="button"
+                >
+                    {t('discover.providers.onlyMine')}
+                </button>
+                <button
+                    onClick={() => dispatch(myServicesChanged({ region, providerIds: selected }))}
+                    disabled={selected.length === 0 || sameAsMyServices}
+                    className="font-medium text-gray-500 hover:text-gray-900 disabled:text-gray-400"
+                    type="button"
+                >
+                    {t('discover.providers.saveAsMine')}
+                </button>
+                {selected.length > 0 && (
+                    <button
+                        onClick={() => setProviders([])}
+                        className="font-medium text-gray-500 hover:text-gray-900"
+                        type="button"
+                    >
+                        {t('discover.providers.clear')}
+                    </button>
+                )}
+            </div>
+        </fieldset>
+    );
+}
+
+export default ProviderFilter;
@@ -0,0 +1,157 @@
+import { useRef, useState } from 'react';
+import { createPortal } from 'react-dom';
+import { createUtils } from '../../services/movieService';
+import { DOWNLOAD_IMAGE_SIZE, downloadImage, getImageFileName } from '../../utils/imageGallery';
+import useTranslation from '../../hooks/useTranslation';
+import useModalDialog from '../../hooks/useModalDialog';
+
+const utils = createUtils();
+
+// 이전/다음 이미지로 넘길 최소 가로 스와이프 거리 (px)
+const SWIPE_THRESHOLD = 50;
+
+/**
+ * 이미지를 화면 가득 크게 보는 창
+ * 좌우 화살표 키나 스와이프로 넘기고, 원본 크기로 내려받을 수 있습니다.
+ * Esc 키, 포커스, 배경 스크롤 처리는 useModalDialog 참고.
+ * @param {Array<Object>} images - TMDB 이미지 (file_path)
+ * @param {number} index - 보고 있는 이미지 위치
+ * @param {(index: number) => void} onIndexChange - 다른 이미지로 넘길 때 호출
+ * @param {Function} onClose - 닫을 때 호출
+ * @param {string} fullSize - 크게 볼 이미지 크기 (예: 'w1280')
+ * @param {string} title - 작품 제목 또는 인물 이름 (대체 텍스트, 파일 이름)
+ */
+function Lightbox({ images, index, onIndexChange, onClose, fullSize, title }) {
+    const { t } = useTranslation();
+    const dialogRef = useModalDialog(onClose);
+    const touchStartRef = useRef(null);
+    const [downloading, setDownloading] = useState(false);
+
+    const image = images[index];
+    const hasMultiple = images.length > 1;
+
+    const showPrevious = () => onIndexChange((index - 1 + images.length) % images.length);
+    const showNext = () => onIndexChange((index + 1) % images.length);
+
+    const handleKeyDown = (e) => {
+        if (!hasMultiple) return;
+        if (e.key === 'ArrowLeft') {
+            e.preventDefault();
+            showPrevious();
+        } else if (e.key === 'ArrowRight') {
+            e.preventDefault();
+            showNext();
+        }
+    };
+
+    const handleTouchStart = (e) => {
+        const touch = e.touches[0];
+        touchStartRef.current = { x: touch.clientX, y: touch.clientY };
+    };
+
+    // 세로보다 가로로 많이 움직였을 때만 넘김 (세로 스크롤과 구분)
+    const handleTouchEnd = (e) => {
+        const start = touchStartRef.current;
+        touchStartRef.current = null;
+        if (!start || !hasMultiple) return;
+
+        const touch = e.changedTouches[0];
+        const dx = touch.clientX - start.x;
+        const dy = touch.clientY - start.y;
+        if (Math.abs(dx) < SWIPE_THRESHOLD || Math.abs(dx) < Math.abs(dy)) return;
+        if (dx > 0) showPrevious();
+        else showNext();
+    };
+
+    const handleDownload = async () => {
+        setDownloading(true);
+        await downloadImage(
+            utils.getImageUrl(image.file_path, DOWNLOAD_IMAGE_SIZE),
+            getImageFileName(title, image.file_path)
+        );
+        setDownloading(false);
+    };
+
+    if (!image) return null;
+
+    const controlClassName =
+        'w-11 h-11 flex items-center justify-center rounded-full bg-white/10 text-white hover:bg-white/20 transition-colors focus:outline-none focus:ring-2 focus:ring-white/70 disabled:opacity-50';
+
+    return createPortal(
+        <div
+            ref={dialogRef}
+            role="dialog"
+            aria-modal="true"
+            aria-label={t('gallery.lightbox', { title })}
+            tabIndex={-1}
+            onKeyDown={handleKeyDown}
+            onTouchStart={handleTouchStart}
+            onTouchEnd={handleTouchEnd}
+            className="fixed inset-0 z-50 flex flex-col bg-black/95 text-white focus:outline-none"
+        >
+            <header className="flex items-center justify-between gap-4 p-4">
+                <p className="text-sm text-white/70" aria-live="polite">
+                    {t('gallery.position', { current: index + 1, total: images.length })}
+                </p>
+                <div className="flex items-center gap-2">
+                    <button
+                        type="button"
+                        onClick={handleDownload}
+                        disabled={downloading}
+                        className="px-4 h-11 rounded-full bg-white/10 text-sm font-medium hover:bg-white/20 transition-colors focus:outline-none focus:ring-2 focus:ring-white/70 disabled:opacity-50"
+                    >
+                        {downloading ? t('gallery.downloading') : t('gallery.download')}
+                    </button>
+                    <button
+                        type="button"
+                        onClick={onClose}
+                        className={controlClassName}
+                        aria-label={t('gallery.close')}
+                    >
+                        <span aria-hidden="true">✕</span>
+                    </button>
+                </div>
+            </header>
+
+            <div
+                className="relative flex flex-1 items-center justify-center min-h-0 px-4 pb-4"
+                onMouseDown={(e) => {
+                    // 이미지 바깥 영역을 누르면 닫기
+                    if (e.target === e.currentTarget) onClose();
+                }}
+            >
+                <img
+                    key={image.file_path}
+                    src={utils.getImageUrl(image.file_path, fullSize)}
+                    alt={t('gallery.imageAlt', { title, index: index + 1 })}
+                    className="max-w-full max-h-full object-contain select-none"
+                    draggable={false}
+                />
+
+                {hasMultiple && (
+                    <>
+                        <button
+                            type="button"
+                            onClick={showPrevious}
+                            className={`${controlClassName} absolute left-4 top-1/2 -translate-y-1/2`}
+                            aria-label={t('gallery.previous')}
+                        >
+                            <span aria-hidden="true">‹</span>
+                        </button>
+                        <button
+                            type="button"
+                            onClick={showNext}
+                            className={`${controlClassName} absolute right-4 top-1/2 -translate-y-1/2`}
+                            aria-label={t('gallery.next')}
+                        >
+                            <span aria-hidden="true">›</span>
+                        </button>
+                    </>
+                )}
+            </div>
+        </div>,
+        document.body
+    );
+}
+
+export default Lightbox;
@@ -0,0 +1,178 @@
+import { useEffect, useState } from 'react';
+import { useSelector } from 'react-redux';
+import { createUtils } from '../../services/movieService';
+import { fetchImages } from '../../store/actions/imagesActions';
+import { selectImages } from '../../store/reducers/imagesReducer';
+import { GALLERY_TABS, getImageLanguageFilters } from '../../utils/imageGallery';
+import { LOCALES } from '../../i18n/locales';
+import Lightbox from './Lightbox';
+import useInView from '../../hooks/useInView';
+import useCancellableDispatch from '../../hooks/useCancellableDispatch';
+import useTranslation from '../../hooks/useTranslation';
+
+const utils = createUtils();
+
+// 처음 표시할 이미지 수 (더 보기를 누를 때마다 같은 수만큼 추가)
+const PAGE_SIZE = 12;
+
+const TAB_IDS = Object.keys(GALLERY_TABS);
+
+/**
+ * 작품 이미지 갤러리 (배경 이미지, 포스터, 로고 탭과 이미지 언어 필터)
+ * 화면 가까이 왔을 때 이미지를 요청하고, 이미지를 누르면 크게 보기 창을 엽니다.
+ * @param {'movie'|'tv'} mediaType - 작품 유형
+ * @param {number} id - 작품 ID
+ * @param {string} title - 작품 제목
+ */
+function MediaGallery({ mediaType, id, title }) {
+    const dispatch = useCancellableDispatch(id);
+    const { t, tError, locale } = useTranslation();
+    const [ref, inView] = useInView();
+    const filters = getImageLanguageFilters(LOCALES[locale].language.split('-')[0]);
+    const [filterId, setFilterId] = useState('preferred');
+    const [tab, setTab] = useState('backdrops');
+    const [visibleCount, setVisibleCount] = useState(PAGE_SIZE);
+    const [lightboxIndex, setLightboxIndex] = useState(null);
+
+    const filter = filters.find((item) => item.id === filterId) || filters[0];
+    const { data, loading, error } = useSelector((state) =>
+        selectImages(state, mediaType, id, filter.includeImageLanguage)
+    );
+
+    // 요청이 취소되면 loading이 풀린 뒤 다시 요청 (이미 불러온 필터는 condition에서 건너뜀)
+    useEffect(() => {
+        if (inView && !loading && !error) {
+            dispatch(fetchImages({ mediaType, id, includeImageLanguage: filter.includeImageLanguage }));
+        }
+    }, [dispatch, inView, mediaType, id, filter.includeImageLanguage, loading, error]);
+
+    const images = data?.[tab] || [];
+    const { thumbSize, fullSize, aspect } = GALLERY_TABS[tab];
+
+    const handleTabChange = (nextTab) => {
+        setTab(nextTab);
+        setVisibleCount(PAGE_SIZE);
+    };
+
+    const handleFilterChange = (e) => {
+        setFilterId(e.target.value);
+        setVisibleCount(PAGE_SIZE);
+    };
+
+    let content;
+    if (error) {
+        content = (
+            <p className="text-red-600" role="alert">
+                {t('gallery.error', { error: tError(error) })}
+            </p>
+        );
+    } else if (loading || !data) {
+        content = (
+            <p className="text-gray-500" aria-live="polite">
+                {t('gallery.loading')}
+            </p>
+        );
+    } else if (images.length === 0) {
+        content = <p className="text-gray-500">{t('gallery.empty')}</p>;
+    } else {
+        content = (
+            <>
+                <ul
+                    className={
+                        tab === 'posters'
+                            ? 'grid grid-cols-3 sm:grid-cols-4 md:grid-cols-6 gap-4'
+                            : 'grid grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-4'
+                    }
+                >
+                    {images.slice(0, visibleCount).map((image, index) => (
+                        <li key={image.file_path}>
+                            <button
+                                type="button"
+                                onClick={() => setLightboxIndex(index)}
+                                className={`block w-full ${aspect} overflow-hidden rounded-lg ${
+                                    tab === 'logos' ? 'bg-gray-700 p-4' : 'bg-gray-200'
+                                } focus:outline-none focus:ring-2 focus:ring-blue-500`}
+                                aria-label={t('gallery.open', { title, index: index + 1 })}
+                            >
+                                <img
+                                    src={utils.getImageUrl(image.file_path, thumbSize)}
+                                    alt=""
+                                    className={`w-full h-full transition-transform duration-300 hover:scale-105 ${
+                                        tab === 'logos' ? 'object-contain' : 'object-cover'
+                                    }`}
+                                    loading="lazy"
+                                />
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+                {images.length > visibleCount && (
+                    <button
+                        type="button"
+                        onClick={() => setVisibleCount((count) => count + PAGE_SIZE)}
+                        className="mt-4 px-4 py-2 rounded-lg bg-gray-100 hover:bg-gray-200 text-sm font-medium transition-colors"
+                    >
+                        {t('gallery.more', { count: images.length - visibleCount })}
+                    </button>
+                )}
+            </>
+        );
+    }
+
+    return (
+        <section ref={ref} className="m-8" aria-labelledby="gallery-title">
+            <header className="flex flex-wrap items-center justify-between gap-4 mb-4">
+                <h2 id="gallery-title" className="text-2xl font-bold">
+                    {t('gallery.title')}
+                </h2>
+                <label className="flex items-center gap-2 text-sm">
+                    <span className="text-gray-600">{t('gallery.language')}</span>
+                    <select
+                        value={filter.id}
+                        onChange={handleFilterChange}
+                        className="border border-gray-300 rounded-lg px-2 py-1 bg-white"
+                    >
+                        {filters.map((item) => (
+                            <option key={item.id} value={item.id}>
+                                {t(`gallery.languages.${item.id}`, { language: LOCALES[locale].label })}
+                            </option>
+                        ))}
+                    </select>
+                </label>
+            </header>
+
+            <div role="tablist" aria-label={t('gallery.tabs')} className="flex gap-2 mb-4">
+                {TAB_IDS.map((tabId) => (
+                    <button
+                        key={tabId}
+                        type="button"
+                        role="tab"
+                        aria-selected={tab === tabId}
+                        onClick={() => handleTabChange(tabId)}
+                        className={`px-4 py-1.5 rounded-full text-sm font-medium transition-colors ${
+                            tab === tabId ? 'bg-gray-900 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                        }`}
+                    >
+                        {t(`gallery.${tabId}`)}
+                        {data && <span className="ml-1 opacity-70">{data[tabId].length}</span>}
+                    </button>
+                ))}
+            </div>
+
+            <div role="tabpanel">{content}</div>
+
+            {lightboxIndex !== null && images.length > 0 && (
+                <Lightbox
+                    images={images}
+                    index={Math.min(lightboxIndex, images.length - 1)}
+                    onIndexChange={setLightboxIndex}
+                    onClose={() => setLightboxIndex(null)}
+                    fullSize={fullSize}
+                    title={title}
+                />
+            )}
+        </section>
+    );
+}
+
+export default MediaGallery;
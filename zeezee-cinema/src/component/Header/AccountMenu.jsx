@@ -0,0 +1,83 @@
+import { useEffect } from 'react';
+import { Link, useLocation } from 'react-router-dom';
+import { useDispatch, useSelector } from 'react-redux';
+import { startLogin, logout } from '../../store/actions/sessionActions';
+import { fetchAccountMovies } from '../../store/actions/accountActions';
+import { syncLibrary } from '../../store/actions/libraryActions';
+import { restoreLocale } from '../../store/actions/localeActions';
+import { selectSession, selectSessionType } from '../../store/reducers/sessionReducer';
+import useTranslation from '../../hooks/useTranslation';
+
+function AccountMenu() {
+    const dispatch = useDispatch();
+    const location = useLocation();
+    const { t, tError } = useTranslation();
+    const { account, loading, error } = useSelector(selectSession);
+    const sessionType = useSelector(selectSessionType);
+    const libraryLoaded = useSelector((state) => state.library.loaded);
+
+    const accountId = account?.id;
+
+    // 로그인, 로그아웃하면 그 계정에 저장된 언어 설정을 적용
+    useEffect(() => {
+        dispatch(restoreLocale());
+    }, [dispatch, accountId]);
+
+    // 영화 카드의 즐겨찾기 표시에 사용할 목록을 로그인하면 한 번 불러옴
+    useEffect(() => {
+        if (sessionType !== 'user') return;
+        dispatch(fetchAccountMovies({ listType: 'favorites' }));
+    }, [dispatch, sessionType]);
+
+    // 로그인하면 내 서재와 TMDB 워치리스트를 병합하고, 오프라인에서 다시 연결되면 밀린 변경을 반영
+    useEffect(() => {
+        if (sessionType !== 'user' || !libraryLoaded) return;
+        const sync = () => dispatch(syncLibrary());
+        sync();
+        window.addEventListener('online', sync);
+        return () => window.removeEventListener('online', sync);
+    }, [dispatch, sessionType, libraryLoaded]);
+
+    const handleLogin = () => {
+        dispatch(startLogin(`${location.pathname}${location.search}`));
+    };
+
+    const handleLogout = () => {
+        dispatch(logout());
+    };
+
+    const buttonClassName =
+        'px-3 py-1.5 rounded-md text-sm font-medium bg-white/10 hover:bg-white/20 transition-colors disabled:opacity-50';
+
+    return (
+        <div className="flex items-center gap-3 shrink-0">
+            {error && (
+                <p className="text-xs text-red-300 max-w-48 truncate" role="alert" title={tError(error)}>
+                    {tError(error)}
+                </p>
+            )}
+
+            {sessionType === 'user' && (
+                <>
+                    <Link to="/me" className="text-sm text-white/80 hover:text-white transition-colors">
+                        {account?.name || account?.username}
+                    </Link>
+                    <button type="button" onClick={handleLogout} disabled={loading} className={buttonClassName}>
+                        {t('account.logout')}
+                    </button>
+                </>
+            )}
+
+            {sessionType !== 'user' && (
+                <>
+                    {sessionType === 'guest' && <span className="text-sm text-white/60">{t('account.guest')}</span>}
+                    <button type="button" onClick={handleLogin} disabled={loading} className={buttonClassName}>
+                        {loading ? t('account.redirecting') : t('account.login')}
+                    </button>
+                </>
+            )}
+        </div>
+    );
+}
+
+export default AccountMenu;
@@ -0,0 +1,51 @@
+import { Link, NavLink } from 'react-router-dom';
+import SearchBox from './SearchBox';
+import AccountMenu from './AccountMenu';
+import LocaleSwitcher from './LocaleSwitcher';
+import useTranslation from '../../hooks/useTranslation';
+
+// 헤더 메뉴 (label: 메시지 키)
+const NAV_ITEMS = [
+    { to: '/discover', label: 'header.discover' },
+    { to: '/trending', label: 'header.trending' },
+    { to: '/me', label: 'header.library' },
+];
+
+function Header() {
+    const { t } = useTranslation();
+
+    return (
+        <header className="sticky top-0 z-40 bg-gray-900/95 backdrop-blur-sm text-white">
+            <div className="flex items-center justify-between gap-6 px-8 py-3">
+                <div className="flex items-center gap-6">
+                    <Link to="/" className="text-xl font-bold tracking-tight shrink-0">
+                        ZeeZee Cinema
+                    </Link>
+                    <nav aria-label={t('header.mainMenu')}>
+                        <ul className="flex items-center gap-4 text-sm font-medium">
+                            {NAV_ITEMS.map(({ to, label }) => (
+                                <li key={to}>
+                                    <NavLink
+                                        to={to}
+                                        className={({ isActive }) =>
+                                            isActive ? 'text-white' : 'text-white/60 hover:text-white transition-colors'
+                                        }
+                                    >
+                                        {t(label)}
+                                    </NavLink>
+                                </li>
+                            ))}
+                        </ul>
+                    </nav>
+                </div>
+                <div className="flex flex-1 items-center justify-end gap-4">
+                    <SearchBox />
+                    <LocaleSwitcher />
+                    <AccountMenu />
+                </div>
+            </div>
+        </header>
+    );
+}
+
+export default Header;
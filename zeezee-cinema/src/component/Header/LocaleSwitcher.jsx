@@ -0,0 +1,51 @@
+import { useDispatch, useSelector } from 'react-redux';
+import { localeChanged, regionChanged } from '../../store/actions/localeActions';
+import { selectRegion } from '../../store/reducers/localeReducer';
+import { LOCALES, REGIONS, getRegionName } from '../../i18n/locales';
+import useTranslation from '../../hooks/useTranslation';
+
+// 언어 선택지
+const LOCALE_OPTIONS = Object.entries(LOCALES).map(([value, { label }]) => ({ value, label }));
+
+const selectClassName =
+    'bg-white/10 text-white text-sm border border-white/20 rounded-md px-2 py-1.5 focus:outline-none focus:ring-2 focus:ring-white/50 shrink-0';
+
+/**
+ * 언어와 지역 선택 (지역은 현재 상영작, 개봉일, 관람 등급의 기준)
+ */
+function LocaleSwitcher() {
+    const dispatch = useDispatch();
+    const { t, locale } = useTranslation();
+    const region = useSelector(selectRegion);
+
+    return (
+        <>
+            <select
+                value={locale}
+                onChange={(e) => dispatch(localeChanged(e.target.value))}
+                aria-label={t('header.language')}
+                className={selectClassName}
+            >
+                {LOCALE_OPTIONS.map(({ value, label }) => (
+                    <option key={value} value={value} className="text-gray-900">
+                        {label}
+                    </option>
+                ))}
+            </select>
+            <select
+                value={region}
+                onChange={(e) => dispatch(regionChanged(e.target.value))}
+                aria-label={t('header.region')}
+                className={selectClassName}
+            >
+                {REGIONS.map((code) => (
+                    <option key={code} value={code} className="text-gray-900">
+                        {getRegionName(code, locale)}
+                    </option>
+                ))}
+            </select>
+        </>
+    );
+}
+
+export default LocaleSwitcher;
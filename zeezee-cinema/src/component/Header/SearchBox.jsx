@@ -0,0 +1,201 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { useNavigate, useLocation } from 'react-router-dom';
+import { useDispatch, useSelector } from 'react-redux';
+import { fetchSuggestions } from '../../store/actions/searchActions';
+import { clearSuggestions } from '../../store/reducers/searchReducer';
+import { createUtils } from '../../services/movieService';
+import useDebounce from '../../hooks/useDebounce';
+import useCancellableDispatch from '../../hooks/useCancellableDispatch';
+import useTranslation from '../../hooks/useTranslation';
+
+const utils = createUtils();
+
+// 자동완성 요청을 시작할 최소 글자 수
+const MIN_QUERY_LENGTH = 2;
+
+// 자동완성 항목 유형별 표시 이름 (메시지 키)
+const MEDIA_TYPE_LABELS = {
+    movie: 'search.movie',
+    tv: 'search.tv',
+    person: 'search.person',
+};
+
+/**
+ * 자동완성 항목을 선택했을 때 이동할 경로
+ * @param {Object} item - searchMulti 결과 항목
+ * @returns {string} 이동할 경로
+ */
+const getSuggestionPath = (item) => {
+    if (item.media_type === 'movie') return `/movie/${item.id}`;
+    if (item.media_type === 'tv') return `/tv/${item.id}`;
+    if (item.media_type === 'person') return `/person/${item.id}`;
+    const params = new URLSearchParams({ q: item.title || item.name, type: item.media_type });
+    return `/search?${params}`;
+};
+
+function SearchBox() {
+    const dispatch = useDispatch();
+    const navigate = useNavigate();
+    const location = useLocation();
+    const { t } = useTranslation();
+    const suggestions = useSelector((state) => state.search.suggestions);
+
+    const urlQuery = location.pathname === '/search' ? new URLSearchParams(location.search).get('q') || '' : '';
+    const [input, setInput] = useState(urlQuery);
+    const [open, setOpen] = useState(false);
+    const [activeIndex, setActiveIndex] = useState(-1);
+    const containerRef = useRef(null);
+    const debouncedInput = useDebounce(input.trim(), 300);
+    // 입력이 바뀌면 이전 자동완성 요청 취소
+    const dispatchSuggestions = useCancellableDispatch(debouncedInput);
+
+    // 뒤로 가기 등으로 URL의 검색어가 바뀌면 입력창도 맞춤
+    useEffect(() => {
+        setInput(urlQuery);
+    }, [urlQuery]);
+
+    // 입력이 멈추면 자동완성 요청
+    useEffect(() => {
+        if (debouncedInput.length >= MIN_QUERY_LENGTH) {
+            dispatchSuggestions(fetchSuggestions(debouncedInput));
+        } else {
+            dispatch(clearSuggestions());
+        }
+        setActiveIndex(-1);
+    }, [dispatch, dispatchSuggestions, debouncedInput]);
+
+    // URL 변경 자체가 다시 실행의 원인이 되지 않도록 최신 위치를 ref로 참조
+    const locationRef = useRef(location);
+    useEffect(() => {
+        locationRef.current = location;
+    }, [location]);
+
+    // 검색 페이지에서는 입력이 멈추면 결과도 바로 갱신
+    useEffect(() => {
+        const { pathname, search } = locationRef.current;
+        const params = new URLSearchParams(search);
+        if (pathname !== '/search' || !debouncedInput || debouncedInput === params.get('q')) return;
+        params.set('q', debouncedInput);
+        params.delete('page');
+        navigate(`/search?${params}`, { replace: true });
+    }, [navigate, debouncedInput]);
+
+    // 검색창 바깥을 클릭하면 자동완성 닫기
+    useEffect(() => {
+        const handleClickOutside = (e) => {
+            if (containerRef.current && !containerRef.current.contains(e.target)) setOpen(false);
+        };
+        document.addEventListener('mousedown', handleClickOutside);
+        return () => document.removeEventListener('mousedown', handleClickOutside);
+    }, []);
+
+    const goTo = useCallback(
+        (path) => {
+            setOpen(false);
+            setActiveIndex(-1);
+            navigate(path);
+        },
+        [navigate]
+    );
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        const query = input.trim();
+        if (!query) return;
+        if (activeIndex >= 0 && suggestions.items[activeIndex]) {
+            goTo(getSuggestionPath(suggestions.items[activeIndex]));
+        } else {
+            goTo(`/search?${new URLSearchParams({ q: query })}`);
+        }
+    };
+
+    const handleKeyDown = (e) => {
+        const count = suggestions.items.length;
+        if (e.key === 'ArrowDown' && count > 0) {
+            e.preventDefault();
+            setOpen(true);
+            setActiveIndex((prev) => (prev + 1) % count);
+        } else if (e.key === 'ArrowUp' && count > 0) {
+            e.preventDefault();
+            setActiveIndex((prev) => (prev <= 0 ? count - 1 : prev - 1));
+        } else if (e.key === 'Escape') {
+            setOpen(false);
+            setActiveIndex(-1);
+        }
+    };
+
+    const showSuggestions = open && input.trim().length >= MIN_QUERY_LENGTH && suggestions.items.length > 0;
+
+    return (
+        <div ref={containerRef} className="relative w-full max-w-md">
+            <form role="search" onSubmit={handleSubmit}>
+                <input
+                    type="search"
+                    value={input}
+                    onChange={(e) => {
+                        setInput(e.target.value);
+                        setOpen(true);
+                    }}
+                    onFocus={() => setOpen(true)}
+                    onKeyDown={handleKeyDown}
+                    placeholder={t('search.placeholder')}
+                    className="w-full bg-white/10 text-white placeholder-white/50 border border-white/20 rounded-full px-4 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-white/50"
+                    role="combobox"
+                    aria-label={t('search.query')}
+                    aria-expanded={showSuggestions}
+                    aria-controls="search-suggestions"
+                    aria-autocomplete="list"
+                    aria-activedescendant={activeIndex >= 0 ? `search-suggestion-${activeIndex}` : undefined}
+                />
+            </form>
+
+            {showSuggestions && (
+                <ul
+                    id="search-suggestions"
+                    className="absolute left-0 right-0 mt-2 bg-white text-gray-900 rounded-lg shadow-xl overflow-hidden z-50"
+                    role="listbox"
+                    aria-label={t('search.suggestions')}
+                >
+                    {suggestions.items.map((item, index) => {
+                        const imagePath = item.poster_path || item.profile_path;
+                        const date = item.release_date || item.first_air_date;
+
+                        return (
+                            <li
+                                key={`${item.media_type}-${item.id}`}
+                                id={`search-suggestion-${index}`}
+                                role="option"
+                                aria-selected={index === activeIndex}
+                                onMouseDown={(e) => e.preventDefault()}
+                                onClick={() => goTo(getSuggestionPath(item))}
+                                onMouseEnter={() => setActiveIndex(index)}
+                                className={`flex items-center gap-3 px-3 py-2 cursor-pointer ${
+                                    index === activeIndex ? 'bg-gray-100' : ''
+                                }`}
+                            >
+                                {imagePath ? (
+                                    <img
+                                        src={utils.getImageUrl(imagePath, 'w92')}
+                                        alt=""
+                                        className="w-8 h-12 object-cover rounded"
+                                    />
+                                ) : (
+                                    <div className="w-8 h-12 bg-gray-200 rounded" aria-hidden="true"></div>
+                                )}
+                                <div className="flex-1 min-w-0">
+                                    <p className="text-sm font-medium truncate">{item.title || item.name}</p>
+                                    <p className="text-xs text-gray-500">
+                                        {t(MEDIA_TYPE_LABELS[item.media_type])}
+                                        {date && ` · ${new Date(date).getFullYear()}`}
+                                    </p>
+                                </div>
+                            </li>
+                        );
+                    })}
+                </ul>
+            )}
+        </div>
+    );
+}
+
+export default SearchBox;
@@ -0,0 +1,67 @@
+import { useState } from 'react';
+import { getResponsiveImage } from '../../utils/responsiveImage';
+
+/**
+ * TMDB 반응형 이미지
+ * 화면에 맞는 크기를 고르도록 srcSet/sizes를 붙이고, 원래 이미지를 받는 동안 작은 이미지를 흐리게 보여 줍니다.
+ * 크기와 모양은 className(감싸는 요소)과 imgClassName(이미지)으로 지정합니다.
+ * @param {string|null} path - TMDB 이미지 경로
+ * @param {import('../../utils/responsiveImage').ImageType} type - 이미지 종류
+ * @param {string} sizes - 이미지가 차지하는 화면 폭 (예: '(min-width: 768px) 25vw, 50vw')
+ * @param {number} fallbackWidth - srcSet을 지원하지 않을 때 사용할 너비
+ * @param {string} alt - 대체 텍스트
+ * @param {string} className - 감싸는 요소 스타일
+ * @param {string} imgClassName - 이미지 스타일
+ * @param {'lazy'|'eager'} loading - 불러오기 시점
+ * @param {'high'|'low'|'auto'} fetchPriority - 요청 우선순위 (첫 화면의 큰 이미지는 'high')
+ * @param {Function} onError - 이미지를 불러오지 못했을 때 호출
+ */
+function TmdbImage({
+    path,
+    type,
+    sizes = '100vw',
+    fallbackWidth,
+    alt = '',
+    className = '',
+    imgClassName = 'object-cover',
+    loading = 'lazy',
+    fetchPriority,
+    onError,
+    style,
+}) {
+    const image = getResponsiveImage(path, type, fallbackWidth);
+    // 불러온 이미지 URL (경로가 바뀌면 다시 미리보기를 보여 주도록 URL로 비교)
+    const [loadedSrc, setLoadedSrc] = useState(null);
+
+    if (!image) return null;
+    const loaded = loadedSrc === image.src;
+
+    return (
+        <span className={`relative block overflow-hidden ${className}`}>
+            <img
+                src={image.src}
+                srcSet={image.srcSet || undefined}
+                sizes={image.srcSet ? sizes : undefined}
+                alt={alt}
+                className={`w-full h-full ${imgClassName}`}
+                style={style}
+                loading={loading}
+                fetchPriority={fetchPriority}
+                onLoad={() => setLoadedSrc(image.src)}
+                onError={onError}
+            />
+            {image.placeholder && (
+                <img
+                    src={image.placeholder}
+                    alt=""
+                    aria-hidden="true"
+                    className={`absolute inset-0 w-full h-full object-cover blur-lg scale-110 pointer-events-none transition-opacity duration-500 ${
+                        loaded ? 'opacity-0' : 'opacity-100'
+                    }`}
+                />
+            )}
+        </span>
+    );
+}
+
+export default TmdbImage;
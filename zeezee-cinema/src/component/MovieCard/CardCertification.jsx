@@ -0,0 +1,33 @@
+import { useEffect } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { requestReleaseDates } from '../../store/actions/releasesActions';
+import { selectReleases } from '../../store/reducers/releasesReducer';
+import { selectRegion } from '../../store/reducers/localeReducer';
+import { getCertification } from '../../utils/releaseInfo';
+import useInView from '../../hooks/useInView';
+import CertificationBadge from '../Release/CertificationBadge';
+
+/**
+ * 영화 카드의 관람 등급 배지
+ * 목록 응답에는 관람 등급이 없으므로 카드가 화면에 보일 때 개봉 정보를 요청합니다.
+ * 요청은 함께 나타난 카드끼리 묶어서 보내고, 받은 정보는 영화 ID별로 저장해 다시 요청하지 않습니다.
+ * @param {number} movieId - 영화 ID
+ */
+function CardCertification({ movieId, className = '' }) {
+    const dispatch = useDispatch();
+    const [ref, inView] = useInView();
+    const region = useSelector(selectRegion);
+    const { data } = useSelector((state) => selectReleases(state, movieId));
+
+    useEffect(() => {
+        if (inView) dispatch(requestReleaseDates(movieId));
+    }, [dispatch, inView, movieId]);
+
+    return (
+        <span ref={ref} className={className}>
+            <CertificationBadge certification={getCertification(data, region)} region={region} />
+        </span>
+    );
+}
+
+export default CardCertification;
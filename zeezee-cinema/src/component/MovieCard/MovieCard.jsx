@@ -1,87 +1,188 @@
 import { useState, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import MovieToggles from '../Account/MovieToggles';
+import CardCertification from './CardCertification';
+import TmdbImage from '../Image/TmdbImage';
+import TrailerButton from '../Trailer/TrailerButton';
+import { CARD_IMAGE_SIZES } from './movieCardModel';
+import useGenreMap from '../../hooks/useGenreMap';
+import useTranslation from '../../hooks/useTranslation';
 
-function MovieCard({ movie }) {
+// 카드 형태별 이미지 틀 비율
+const VARIANT_FRAMES = {
+    poster: 'aspect-[2/3]',
+    backdrop: 'aspect-video',
+    compact: 'aspect-[2/3]',
+};
+
+// 카드에 표시할 최대 장르 수
+const MAX_GENRES = 2;
+
+// 연도 추출
+const getYear = (dateString) => {
+    if (!dateString) return '';
+    return new Date(dateString).getFullYear();
+};
+
+// 평점 색상 결정
+const getRatingColor = (rating) => {
+    if (rating >= 8) return 'bg-green-500';
+    if (rating >= 6) return 'bg-yellow-500';
+    if (rating >= 4) return 'bg-orange-500';
+    return 'bg-red-500';
+};
+
+/**
+ * 영화/TV 프로그램 카드
+ * 포스터가 없으면 배경 이미지를(배경 이미지 카드는 그 반대로) 대신 사용하고, 둘 다 없으면 제목만 표시합니다.
+ * 포스터/배경 이미지 카드는 마우스를 올리거나 포커스하면 줄거리와 예고편 버튼을 보여 줍니다.
+ * @param {Object} movie - 카드 정보 (movieCardModel의 toMovieCard/toTVCard 결과)
+ * @param {import('./movieCardModel').CardVariant} variant - 카드 형태 (기본값: 카드 정보를 만들 때 정한 형태)
+ */
+function MovieCard({ movie, variant = movie.variant || 'poster' }) {
+    const { t } = useTranslation();
     const [imageError, setImageError] = useState(false);
+    const genreMap = useGenreMap(movie.mediaType);
+    const genres = (movie.genreIds || [])
+        .map((id) => genreMap[id])
+        .filter(Boolean)
+        .slice(0, MAX_GENRES);
+    const frame = VARIANT_FRAMES[variant];
+    const compact = variant === 'compact';
 
     // 이미지 에러 처리
     const handleImageError = useCallback(() => {
         setImageError(true);
     }, []);
 
-    // 연도 추출
-    const getYear = (dateString) => {
-        if (!dateString) return '';
-        return new Date(dateString).getFullYear();
-    };
+    const image =
+        movie.image && !imageError ? (
+            <TmdbImage
+                path={movie.image.path}
+                type={movie.image.type}
+                sizes={compact ? '80px' : CARD_IMAGE_SIZES}
+                fallbackWidth={compact ? 92 : 342}
+                alt={t('movieCard.poster', { title: movie.title })}
+                className="w-full h-full"
+                imgClassName="object-cover transition-transform duration-300 group-hover:scale-110"
+                onError={handleImageError}
+            />
+        ) : (
+            <div
+                className="w-full h-full bg-gradient-to-br from-gray-300 to-gray-400 flex items-center justify-center"
+                role="img"
+                aria-label={t('movieCard.posterFailed', { title: movie.title })}
+            >
+                <div className="text-center text-gray-600">
+                    <div className={compact ? 'text-2xl' : 'text-4xl mb-2'} aria-hidden="true">
+                        🎬
+                    </div>
+                    {!compact && <div className="text-sm px-2">{movie.title}</div>}
+                </div>
+            </div>
+        );
 
-    // 평점 색상 결정
-    const getRatingColor = (rating) => {
-        if (rating >= 8) return 'bg-green-500';
-        if (rating >= 6) return 'bg-yellow-500';
-        if (rating >= 4) return 'bg-orange-500';
-        return 'bg-red-500';
-    };
+    // 연도와 장르 (예: '2019년 · 드라마 · 스릴러')
+    const meta = [movie.releaseDate ? t('common.year', { year: getYear(movie.releaseDate) }) : null, ...genres]
+        .filter(Boolean)
+        .join(' · ');
+
+    if (compact) {
+        return (
+            <article className="relative group flex items-start gap-4">
+                <Link
+                    to={movie.to}
+                    className="flex flex-1 min-w-0 gap-4"
+                    aria-label={t('common.viewDetails', { title: movie.title })}
+                >
+                    <figure className={`relative w-20 shrink-0 ${frame} overflow-hidden rounded-md bg-gray-200`}>
+                        {image}
+                    </figure>
+                    <div className="min-w-0 space-y-1">
+                        <h3 className="font-semibold leading-tight line-clamp-1 group-hover:text-blue-600 transition-colors">
+                            {movie.title}
+                        </h3>
+                        <p className="text-xs text-gray-500">
+                            {meta}
+                            {movie.voteAverage > 0 && (
+                                <span
+                                    className="ml-2"
+                                    role="img"
+                                    aria-label={t('common.rating', { rating: movie.voteAverage.toFixed(1) })}
+                                >
+                                    <span aria-hidden="true">★ {movie.voteAverage.toFixed(1)}</span>
+                                </span>
+                            )}
+                        </p>
+                        <p className="text-sm text-gray-600 line-clamp-2">{movie.overview}</p>
+                    </div>
+                </Link>
+                {movie.mediaType === 'movie' && <MovieToggles movieId={movie.id} className="shrink-0" />}
+            </article>
+        );
+    }
 
     return (
-        <article className="group cursor-pointer">
-            <figure className="relative aspect-[2/3] mb-3 overflow-hidden rounded-lg bg-gray-200">
-                {!imageError ? (
-                    <img
-                        src={movie.img}
-                        alt={`${movie.title} 포스터`}
-                        className="w-full h-full object-cover transition-transform duration-300 group-hover:scale-110"
-                        onError={handleImageError}
-                        loading="lazy"
-                    />
-                ) : (
+        <article className="relative group cursor-pointer">
+            <Link to={movie.to} className="block" aria-label={t('common.viewDetails', { title: movie.title })}>
+                <figure className={`relative ${frame} mb-3 overflow-hidden rounded-lg bg-gray-200`}>
+                    {image}
+
+                    {/* 호버 시 오버레이 */}
                     <div
-                        className="w-full h-full bg-gradient-to-br from-gray-300 to-gray-400 flex items-center justify-center"
-                        role="img"
-                        aria-label={`${movie.title} 포스터 로드 실패`}
-                    >
-                        <div className="text-center text-gray-600">
-                            <div className="text-4xl mb-2" aria-hidden="true">
-                                🎬
-                            </div>
-                            <div className="text-sm px-2">{movie.title}</div>
+                        className="absolute inset-0 bg-black/0 group-hover:bg-black/20 transition-all duration-300"
+                        aria-hidden="true"
+                    ></div>
+
+                    {/* 사용자 지역의 관람 등급 배지 */}
+                    {movie.mediaType === 'movie' && (
+                        <CardCertification movieId={movie.id} className="absolute bottom-2 left-2" />
+                    )}
+
+                    {/* 평점 배지 */}
+                    {movie.voteAverage > 0 && (
+                        <div
+                            className={`absolute top-2 right-2 ${getRatingColor(
+                                movie.voteAverage
+                            )} text-white text-xs font-bold px-2 py-1 rounded-full`}
+                            role="img"
+                            aria-label={t('common.rating', { rating: movie.voteAverage.toFixed(1) })}
+                        >
+                            <span aria-hidden="true">★</span> {movie.voteAverage.toFixed(1)}
                         </div>
-                    </div>
-                )}
+                    )}
+                </figure>
 
-                {/* 호버 시 오버레이 */}
-                <div
-                    className="absolute inset-0 bg-black/0 group-hover:bg-black/20 transition-all duration-300"
-                    aria-hidden="true"
-                ></div>
+                {/* 영화 정보 */}
+                <div className="space-y-1">
+                    {/* 제목 */}
+                    <h3 className="font-semibold text-sm leading-tight line-clamp-2 group-hover:text-blue-600 transition-colors">
+                        {movie.title}
+                    </h3>
 
-                {/* 평점 배지 */}
-                {movie.voteAverage > 0 && (
-                    <div
-                        className={`absolute top-2 right-2 ${getRatingColor(
-                            movie.voteAverage
-                        )} text-white text-xs font-bold px-2 py-1 rounded-full`}
-                        role="img"
-                        aria-label={`평점 ${movie.voteAverage.toFixed(1)}점`}
-                    >
-                        <span aria-hidden="true">★</span> {movie.voteAverage.toFixed(1)}
-                    </div>
-                )}
-            </figure>
-
-            {/* 영화 정보 */}
-            <div className="space-y-1">
-                {/* 제목 */}
-                <h3 className="font-semibold text-sm leading-tight line-clamp-2 group-hover:text-blue-600 transition-colors">
-                    {movie.title}
-                </h3>
-
-                {/* 연도 */}
-                {movie.releaseDate && (
-                    <time className="text-xs text-gray-500 block" dateTime={movie.releaseDate}>
-                        {getYear(movie.releaseDate)}년
-                    </time>
-                )}
+                    {/* 연도와 장르 */}
+                    {meta && <p className="text-xs text-gray-500 line-clamp-1">{meta}</p>}
+                </div>
+            </Link>
+
+            {/* 미리보기: 줄거리와 예고편 버튼 (링크 밖에 두어 버튼 안에 링크가 중첩되지 않도록) */}
+            <div
+                className={`absolute inset-x-0 top-0 ${frame} flex flex-col justify-end gap-2 p-3 rounded-lg bg-gradient-to-t from-black/90 via-black/60 to-transparent text-white pointer-events-none invisible opacity-0 transition-opacity duration-300 group-hover:visible group-hover:opacity-100 group-focus-within:visible group-focus-within:opacity-100`}
+            >
+                <p className={`text-xs leading-snug ${variant === 'backdrop' ? 'line-clamp-2' : 'line-clamp-5'}`}>
+                    {movie.overview}
+                </p>
+                <TrailerButton
+                    mediaType={movie.mediaType}
+                    id={movie.id}
+                    title={movie.title}
+                    originalLanguage={movie.originalLanguage}
+                    className="pointer-events-auto self-start px-3 py-1 rounded-full bg-white text-gray-900 text-xs font-semibold hover:bg-white/90 transition-colors"
+                />
             </div>
+
+            {/* 즐겨찾기, 워치리스트, 본 영화 토글 (링크 밖에 두어 버튼 안에 링크가 중첩되지 않도록) */}
+            {movie.mediaType === 'movie' && <MovieToggles movieId={movie.id} className="absolute top-2 left-2 z-10" />}
         </article>
     );
 }
@@ -0,0 +1,84 @@
+import { t } from '../../i18n';
+
+// 카드 형태별 이미지 우선순위 (앞쪽 이미지가 없으면 다음 이미지 사용)
+const CARD_IMAGES = {
+    poster: [
+        { field: 'poster_path', type: 'poster' },
+        { field: 'backdrop_path', type: 'backdrop' },
+    ],
+    backdrop: [
+        { field: 'backdrop_path', type: 'backdrop' },
+        { field: 'poster_path', type: 'poster' },
+    ],
+    compact: [
+        { field: 'poster_path', type: 'poster' },
+        { field: 'backdrop_path', type: 'backdrop' },
+    ],
+};
+
+// 카드 이미지가 차지하는 화면 폭 (가로 목록의 화면 폭별 카드 수 기준, MovieRow 참고)
+export const CARD_IMAGE_SIZES =
+    '(min-width: 1280px) 16vw, (min-width: 1024px) 20vw, (min-width: 768px) 25vw, (min-width: 640px) 33vw, 50vw';
+
+/**
+ * @typedef {'poster'|'backdrop'|'compact'} CardVariant
+ * poster: 2:3 포스터 카드, backdrop: 16:9 배경 이미지 카드, compact: 작은 포스터와 정보를 가로로 놓은 목록 항목
+ */
+
+/**
+ * 카드 형태에 맞는 이미지 (srcSet은 MovieCard에서 TmdbImage로 만듦)
+ * @param {Object} item - TMDB 영화 또는 TV 프로그램
+ * @param {CardVariant} variant - 카드 형태
+ * @returns {{path: string, type: 'backdrop'|'poster'}|null} 이미지 경로와 종류 (이미지가 하나도 없으면 null)
+ */
+const getCardImage = (item, variant) => {
+    const image = CARD_IMAGES[variant].find(({ field }) => item[field]);
+    return image ? { path: item[image.field], type: image.type } : null;
+};
+
+/**
+ * 장르 ID (목록 응답은 genre_ids, 상세 정보는 genres)
+ * @param {Object} item - TMDB 영화 또는 TV 프로그램
+ * @returns {number[]}
+ */
+const getCardGenreIds = (item) => item.genre_ids || item.genres?.map((genre) => genre.id) || [];
+
+/**
+ * TMDB 영화 응답을 MovieCard에서 사용하는 형태로 변환합니다.
+ * @param {Object} movie - TMDB 영화 (목록/검색 결과 항목)
+ * @param {CardVariant} variant - 카드 형태 (사용할 이미지)
+ * @returns {Object} MovieCard용 영화 정보
+ */
+export const toMovieCard = (movie, variant = 'poster') => ({
+    id: movie.id,
+    mediaType: 'movie',
+    to: `/movie/${movie.id}`,
+    variant,
+    image: getCardImage(movie, variant),
+    genreIds: getCardGenreIds(movie),
+    title: movie.title || t('common.untitled'),
+    originalLanguage: movie.original_language || null,
+    overview: movie.overview || t('common.noOverview'),
+    releaseDate: movie.release_date || '',
+    voteAverage: movie.vote_average || 0,
+});
+
+/**
+ * TMDB TV 프로그램 응답을 MovieCard에서 사용하는 형태로 변환합니다.
+ * @param {Object} show - TMDB TV 프로그램 (목록/검색 결과 항목)
+ * @param {CardVariant} variant - 카드 형태 (사용할 이미지)
+ * @returns {Object} MovieCard용 작품 정보
+ */
+export const toTVCard = (show, variant = 'poster') => ({
+    id: show.id,
+    mediaType: 'tv',
+    to: `/tv/${show.id}`,
+    variant,
+    image: getCardImage(show, variant),
+    genreIds: getCardGenreIds(show),
+    title: show.name || t('common.untitled'),
+    originalLanguage: show.original_language || null,
+    overview: show.overview || t('common.noOverview'),
+    releaseDate: show.first_air_date || '',
+    voteAverage: show.vote_average || 0,
+});
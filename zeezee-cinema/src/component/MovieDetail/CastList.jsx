@@ -0,0 +1,60 @@
+import { Link } from 'react-router-dom';
+import TmdbImage from '../Image/TmdbImage';
+import useTranslation from '../../hooks/useTranslation';
+
+// 화면에 표시할 최대 출연진 수
+const MAX_CAST = 20;
+
+function CastList({ cast = [], title }) {
+    const { t } = useTranslation();
+    if (cast.length === 0) return null;
+
+    return (
+        <section className="m-8" aria-labelledby="cast-title">
+            <header>
+                <h2 id="cast-title" className="text-2xl font-bold mb-4">
+                    {title || t('movieDetail.cast')}
+                </h2>
+            </header>
+
+            <ul className="flex gap-4 overflow-x-auto pb-4">
+                {cast.slice(0, MAX_CAST).map((person) => {
+                    return (
+                        <li key={person.credit_id} className="w-32 shrink-0">
+                            <Link to={`/person/${person.id}`} className="group block">
+                                <figure className="aspect-[2/3] mb-2 overflow-hidden rounded-lg bg-gray-200">
+                                    {person.profile_path ? (
+                                        <TmdbImage
+                                            path={person.profile_path}
+                                            type="profile"
+                                            sizes="128px"
+                                            fallbackWidth={185}
+                                            alt={t('movieDetail.profile', { name: person.name })}
+                                            className="w-full h-full"
+                                        />
+                                    ) : (
+                                        <div
+                                            className="w-full h-full flex items-center justify-center text-4xl text-gray-500"
+                                            role="img"
+                                            aria-label={t('movieDetail.noProfile', { name: person.name })}
+                                        >
+                                            <span aria-hidden="true">👤</span>
+                                        </div>
+                                    )}
+                                </figure>
+                                <p className="font-semibold text-sm leading-tight line-clamp-2 group-hover:text-blue-600 transition-colors">
+                                    {person.name}
+                                </p>
+                                {person.character && (
+                                    <p className="text-xs text-gray-500 line-clamp-2">{person.character}</p>
+                                )}
+                            </Link>
+                        </li>
+                    );
+                })}
+            </ul>
+        </section>
+    );
+}
+
+export default CastList;
@@ -0,0 +1,66 @@
+import { Link } from 'react-router-dom';
+import useTranslation from '../../hooks/useTranslation';
+
+// 표시할 주요 제작진 직무 (표시 순서 유지, 표기는 movieDetail.jobs 메시지)
+const KEY_JOBS = [
+    'Director',
+    'Screenplay',
+    'Writer',
+    'Novel',
+    'Producer',
+    'Director of Photography',
+    'Original Music Composer',
+    'Editor',
+];
+
+/**
+ * 주요 직무만 골라 인물별로 직무를 묶습니다.
+ * @param {Array} crew - credits.crew 배열
+ * @param {Function} t - 번역 함수 (직무 표기)
+ * @returns {Array<{id: number, name: string, jobs: string[]}>} 인물별 직무 목록
+ */
+const groupCrewByPerson = (crew, t) => {
+    const people = new Map();
+
+    crew.filter((member) => KEY_JOBS.includes(member.job))
+        .sort((a, b) => KEY_JOBS.indexOf(a.job) - KEY_JOBS.indexOf(b.job))
+        .forEach((member) => {
+            const entry = people.get(member.id) || { id: member.id, name: member.name, jobs: [] };
+            const job = t(`movieDetail.jobs.${member.job}`);
+            if (!entry.jobs.includes(job)) entry.jobs.push(job);
+            people.set(member.id, entry);
+        });
+
+    return [...people.values()];
+};
+
+function CrewList({ crew = [] }) {
+    const { t } = useTranslation();
+    const people = groupCrewByPerson(crew, t);
+    if (people.length === 0) return null;
+
+    return (
+        <section className="m-8" aria-labelledby="crew-title">
+            <header>
+                <h2 id="crew-title" className="text-2xl font-bold mb-4">
+                    {t('movieDetail.crew')}
+                </h2>
+            </header>
+
+            <dl className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-4">
+                {people.map((person) => (
+                    <div key={person.id}>
+                        <dt className="font-semibold text-sm">
+                            <Link to={`/person/${person.id}`} className="hover:text-blue-600 transition-colors">
+                                {person.name}
+                            </Link>
+                        </dt>
+                        <dd className="text-xs text-gray-500">{person.jobs.join(', ')}</dd>
+                    </div>
+                ))}
+            </dl>
+        </section>
+    );
+}
+
+export default CrewList;
@@ -0,0 +1,32 @@
+import { Link } from 'react-router-dom';
+import useTranslation from '../../hooks/useTranslation';
+
+function KeywordList({ keywords = [] }) {
+    const { t } = useTranslation();
+    if (keywords.length === 0) return null;
+
+    return (
+        <section className="m-8" aria-labelledby="keywords-title">
+            <header>
+                <h2 id="keywords-title" className="text-2xl font-bold mb-4">
+                    {t('movieDetail.keywords')}
+                </h2>
+            </header>
+
+            <ul className="flex flex-wrap gap-2">
+                {keywords.map((keyword) => (
+                    <li key={keyword.id}>
+                        <Link
+                            to={`/keyword/${keyword.id}`}
+                            className="block bg-gray-100 text-gray-700 px-3 py-1 rounded-full text-sm hover:bg-gray-200 hover:text-gray-900 transition-colors"
+                        >
+                            {keyword.name}
+                        </Link>
+                    </li>
+                ))}
+            </ul>
+        </section>
+    );
+}
+
+export default KeywordList;
@@ -0,0 +1,103 @@
+import { useSelector } from 'react-redux';
+import { formatRuntime } from '../../utils/format';
+import { getCertification, getRegionReleases } from '../../utils/releaseInfo';
+import { selectRegion } from '../../store/reducers/localeReducer';
+import CertificationBadge from '../Release/CertificationBadge';
+import ReleaseDates from '../Release/ReleaseDates';
+import TmdbImage from '../Image/TmdbImage';
+import useTranslation from '../../hooks/useTranslation';
+
+function MovieHero({ movie, children }) {
+    const { t } = useTranslation();
+    const region = useSelector(selectRegion);
+    const certification = getCertification(movie.release_dates?.results, region);
+    const releases = getRegionReleases(movie.release_dates?.results, region);
+    // 사용자 지역의 극장 개봉일 (지역 개봉 정보가 없으면 TMDB 대표 개봉일)
+    const releaseDate = releases.theatrical?.date || movie.release_date;
+
+    return (
+        <section className="relative w-full min-h-[500px] bg-gray-900 text-white" aria-labelledby="movie-title">
+            {movie.backdrop_path && (
+                <figure className="absolute inset-0" aria-hidden="true">
+                    <TmdbImage
+                        path={movie.backdrop_path}
+                        type="backdrop"
+                        sizes="100vw"
+                        fallbackWidth={1280}
+                        className="w-full h-full opacity-40"
+                        imgClassName="object-cover object-center"
+                        loading="eager"
+                    />
+                    <div className="absolute inset-0 bg-gradient-to-t from-gray-900 via-gray-900/60 to-transparent"></div>
+                </figure>
+            )}
+
+            <div className="relative z-10 flex flex-col md:flex-row gap-8 px-8 py-12 max-w-6xl mx-auto">
+                {movie.poster_path && (
+                    <TmdbImage
+                        path={movie.poster_path}
+                        type="poster"
+                        sizes="(min-width: 768px) 256px, 192px"
+                        fallbackWidth={342}
+                        alt={t('movieCard.poster', { title: movie.title })}
+                        className="w-48 md:w-64 shrink-0 aspect-[2/3] rounded-lg shadow-2xl self-start"
+                        loading="eager"
+                    />
+                )}
+
+                <div className="flex-1 space-y-4">
+                    <header>
+                        <h1 id="movie-title" className="text-3xl md:text-5xl font-bold drop-shadow-2xl">
+                            {movie.title}
+                        </h1>
+                        {movie.original_title && movie.original_title !== movie.title && (
+                            <p className="text-white/70 mt-1">{movie.original_title}</p>
+                        )}
+                    </header>
+
+                    <div className="flex flex-wrap items-center gap-3 text-sm">
+                        <CertificationBadge certification={certification} region={region} variant="hero" />
+                        {releaseDate && (
+                            <time className="text-white/90" dateTime={releaseDate}>
+                                {releaseDate}
+                            </time>
+                        )}
+                        {movie.runtime > 0 && <span className="text-white/90">{formatRuntime(movie.runtime)}</span>}
+                        {movie.vote_average > 0 && (
+                            <span
+                                className="flex items-center bg-yellow-500 text-black px-3 py-1 rounded-full font-semibold"
+                                role="img"
+                                aria-label={t('common.rating', { rating: movie.vote_average.toFixed(1) })}
+                            >
+                                <span aria-hidden="true">★</span>
+                                <span className="ml-1">{movie.vote_average.toFixed(1)}</span>
+                            </span>
+                        )}
+                    </div>
+
+                    {movie.genres?.length > 0 && (
+                        <ul className="flex flex-wrap gap-2" aria-label={t('movieDetail.genres')}>
+                            {movie.genres.map((genre) => (
+                                <li key={genre.id} className="bg-white/20 px-3 py-1 rounded-full text-sm">
+                                    {genre.name}
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+
+                    <ReleaseDates releases={releases} region={region} />
+
+                    {movie.tagline && <p className="italic text-white/80">{movie.tagline}</p>}
+
+                    <p className="text-white/90 leading-relaxed max-w-3xl">
+                        {movie.overview || t('common.noOverview')}
+                    </p>
+
+                    {children}
+                </div>
+            </div>
+        </section>
+    );
+}
+
+export default MovieHero;
@@ -0,0 +1,51 @@
+import { Link } from 'react-router-dom';
+import TmdbImage from '../Image/TmdbImage';
+import useTranslation from '../../hooks/useTranslation';
+
+/**
+ * 제작사 목록 (로고가 없는 제작사는 이름으로 표시)
+ * 제작사를 누르면 그 제작사의 영화 목록으로 이동합니다.
+ */
+function ProductionCompanyList({ companies = [] }) {
+    const { t } = useTranslation();
+    if (companies.length === 0) return null;
+
+    return (
+        <section className="m-8" aria-labelledby="companies-title">
+            <header>
+                <h2 id="companies-title" className="text-2xl font-bold mb-4">
+                    {t('browse.productionCompanies')}
+                </h2>
+            </header>
+
+            <ul className="flex flex-wrap items-center gap-4">
+                {companies.map((company) => (
+                    <li key={company.id}>
+                        <Link
+                            to={`/company/${company.id}`}
+                            className="flex items-center justify-center h-16 min-w-24 px-4 rounded-lg bg-gray-100 hover:bg-gray-200 transition-colors"
+                            aria-label={company.name}
+                            title={company.name}
+                        >
+                            {company.logo_path ? (
+                                <TmdbImage
+                                    path={company.logo_path}
+                                    type="logo"
+                                    sizes="96px"
+                                    fallbackWidth={92}
+                                    alt=""
+                                    className="w-24 h-10"
+                                    imgClassName="object-contain"
+                                />
+                            ) : (
+                                <span className="text-sm font-medium text-gray-700">{company.name}</span>
+                            )}
+                        </Link>
+                    </li>
+                ))}
+            </ul>
+        </section>
+    );
+}
+
+export default ProductionCompanyList;
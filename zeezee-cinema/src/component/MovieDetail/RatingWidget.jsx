@@ -0,0 +1,138 @@
+import { useEffect, useState } from 'react';
+import { useLocation } from 'react-router-dom';
+import { useDispatch, useSelector } from 'react-redux';
+import { fetchAccountStates, rateMovie, deleteRating } from '../../store/actions/accountActions';
+import { startLogin, startGuestSession } from '../../store/actions/sessionActions';
+import { selectMovieAccountStates, selectMovieRating } from '../../store/reducers/accountReducer';
+import { selectSession, selectSessionType } from '../../store/reducers/sessionReducer';
+import useCancellableDispatch from '../../hooks/useCancellableDispatch';
+import useTranslation from '../../hooks/useTranslation';
+
+// 별 다섯 개, 별 하나는 2점 (반 개 단위로 1 ~ 10점)
+const STARS = [1, 2, 3, 4, 5];
+
+/**
+ * 별 하나가 채워질 비율
+ * @param {number} star - 별 순번 (1부터)
+ * @param {number} value - 표시할 평점 (0 ~ 10)
+ * @returns {number} 0 ~ 100 (%)
+ */
+const getStarFill = (star, value) => Math.min(Math.max(value - (star - 1) * 2, 0), 2) * 50;
+
+function RatingWidget({ movieId }) {
+    const { t, tError } = useTranslation();
+    const dispatch = useDispatch();
+    // 다른 영화로 이동하면 계정 상태 조회 취소
+    const dispatchRequest = useCancellableDispatch(movieId);
+    const location = useLocation();
+    const sessionType = useSelector(selectSessionType);
+    const { loading: sessionLoading } = useSelector(selectSession);
+    const { loading, error, saving, saveError } = useSelector((state) => selectMovieAccountStates(state, movieId));
+    const rating = useSelector((state) => selectMovieRating(state, movieId));
+    const [hoverValue, setHoverValue] = useState(null);
+
+    useEffect(() => {
+        if (sessionType) dispatchRequest(fetchAccountStates(movieId));
+    }, [dispatchRequest, movieId, sessionType]);
+
+    if (!sessionType) {
+        return (
+            <section className="flex flex-wrap items-center gap-3 text-sm" aria-label={t('rating.title')}>
+                <p className="text-white/70">{t('rating.loginPrompt')}</p>
+                <button
+                    type="button"
+                    onClick={() => dispatch(startLogin(`${location.pathname}${location.search}`))}
+                    disabled={sessionLoading}
+                    className="px-3 py-1.5 rounded-md font-medium bg-white/20 hover:bg-white/30 transition-colors disabled:opacity-50"
+                >
+                    {t('account.login')}
+                </button>
+                <button
+                    type="button"
+                    onClick={() => dispatch(startGuestSession())}
+                    disabled={sessionLoading}
+                    className="px-3 py-1.5 rounded-md font-medium text-white/80 hover:text-white transition-colors disabled:opacity-50"
+                >
+                    {t('rating.rateAsGuest')}
+                </button>
+            </section>
+        );
+    }
+
+    const displayValue = hoverValue ?? rating ?? 0;
+
+    return (
+        <section className="space-y-1" aria-label={t('rating.title')}>
+            <div className="flex flex-wrap items-center gap-3">
+                <div
+                    role="radiogroup"
+                    aria-label={t('rating.select')}
+                    aria-busy={loading || saving}
+                    className="flex"
+                    onMouseLeave={() => setHoverValue(null)}
+                >
+                    {STARS.map((star) => (
+                        <span key={star} className="relative w-8 h-8 text-3xl leading-8 text-center">
+                            <span className="text-white/30" aria-hidden="true">
+                                ★
+                            </span>
+                            <span
+                                className="absolute inset-y-0 left-0 overflow-hidden text-yellow-400"
+                                style={{ width: `${getStarFill(star, displayValue)}%` }}
+                                aria-hidden="true"
+                            >
+                                ★
+                            </span>
+                            {[star * 2 - 1, star * 2].map((value, half) => (
+                                <button
+                                    key={value}
+                                    type="button"
+                                    role="radio"
+                                    aria-checked={rating === value}
+                                    aria-label={t('rating.value', { value })}
+                                    disabled={loading || saving}
+                                    onMouseEnter={() => setHoverValue(value)}
+                                    onFocus={() => setHoverValue(value)}
+                                    onBlur={() => setHoverValue(null)}
+                                    onClick={() => dispatch(rateMovie({ movieId, value }))}
+                                    className={`absolute inset-y-0 w-1/2 cursor-pointer disabled:cursor-wait focus:outline-none focus-visible:ring-2 focus-visible:ring-white/70 rounded ${
+                                        half ? 'right-0' : 'left-0'
+                                    }`}
+                                />
+                            ))}
+                        </span>
+                    ))}
+                </div>
+
+                <span className="text-sm text-white/90" aria-live="polite">
+                    {saving
+                        ? t('rating.saving')
+                        : rating !== null
+                          ? t('rating.mine', { rating })
+                          : t('rating.notRated')}
+                </span>
+                {rating !== null && (
+                    <button
+                        type="button"
+                        onClick={() => dispatch(deleteRating(movieId))}
+                        disabled={saving}
+                        className="text-sm text-white/60 hover:text-white underline transition-colors disabled:opacity-50"
+                    >
+                        {t('rating.delete')}
+                    </button>
+                )}
+                {sessionType === 'guest' && <span className="text-xs text-white/50">{t('rating.guest')}</span>}
+            </div>
+
+            {(saveError || error) && (
+                <p className="text-sm text-red-300" role="alert">
+                    {saveError
+                        ? t('rating.saveError', { error: tError(saveError) })
+                        : t('rating.loadError', { error: tError(error) })}
+                </p>
+            )}
+        </section>
+    );
+}
+
+export default RatingWidget;
@@ -0,0 +1,136 @@
+import { useState } from 'react';
+import { createUtils } from '../../services/movieService';
+import { LOCALES } from '../../i18n/locales';
+import useTranslation from '../../hooks/useTranslation';
+
+const utils = createUtils();
+
+// 이 길이를 넘는 리뷰는 접힌 상태로 표시
+const COLLAPSE_LENGTH = 400;
+
+// 인라인 마크다운 토큰: [텍스트](링크), **굵게**, *기울임* / _기울임_, 일반 링크
+const INLINE_PATTERN =
+    /\[([^\]]+)\]\((https?:\/\/[^)\s]+)\)|\*\*([^*]+)\*\*|\*([^*]+)\*|_([^_]+)_|(https?:\/\/[^\s)]+)/g;
+
+/**
+ * 리뷰 문단 안의 간단한 마크다운 문법을 React 요소로 변환합니다.
+ * @param {string} text - 문단 텍스트
+ * @returns {Array<string|JSX.Element>} 렌더링할 노드 목록
+ */
+const renderInline = (text) => {
+    const nodes = [];
+    let lastIndex = 0;
+
+    for (const match of text.matchAll(INLINE_PATTERN)) {
+        const [token, linkText, linkUrl, bold, italic, underscoreItalic, url] = match;
+        if (match.index > lastIndex) nodes.push(text.slice(lastIndex, match.index));
+
+        const key = `${match.index}-${token.length}`;
+        if (linkUrl || url) {
+            nodes.push(
+                <a
+                    key={key}
+                    href={linkUrl || url}
+                    target="_blank"
+                    rel="noopener noreferrer nofollow"
+                    className="text-blue-600 underline break-all"
+                >
+                    {linkText || url}
+                </a>
+            );
+        } else if (bold) {
+            nodes.push(<strong key={key}>{bold}</strong>);
+        } else {
+            nodes.push(<em key={key}>{italic || underscoreItalic}</em>);
+        }
+
+        lastIndex = match.index + token.length;
+    }
+
+    if (lastIndex < text.length) nodes.push(text.slice(lastIndex));
+    return nodes;
+};
+
+/**
+ * 아바타 경로를 이미지 URL로 변환합니다.
+ * 오래된 리뷰는 '/https://...' 형태의 외부 URL을 그대로 담고 있습니다.
+ * @param {string|null} avatarPath - author_details.avatar_path
+ * @returns {string|null} 아바타 이미지 URL
+ */
+const getAvatarUrl = (avatarPath) => {
+    if (!avatarPath) return null;
+    if (avatarPath.startsWith('/http')) return avatarPath.slice(1);
+    return utils.getProfileUrl(avatarPath, 'w45');
+};
+
+function ReviewItem({ review }) {
+    const { t, locale } = useTranslation();
+    const [expanded, setExpanded] = useState(false);
+
+    const { author, author_details: details = {}, content = '', created_at: createdAt } = review;
+    const avatarUrl = getAvatarUrl(details.avatar_path);
+    const collapsible = content.length > COLLAPSE_LENGTH;
+    const paragraphs = content.split(/\r?\n\s*\r?\n/).filter((paragraph) => paragraph.trim());
+
+    return (
+        <li className="border-b border-gray-200 py-6">
+            <header className="flex items-center gap-3 mb-3">
+                {avatarUrl ? (
+                    <img src={avatarUrl} alt="" className="w-10 h-10 rounded-full object-cover" loading="lazy" />
+                ) : (
+                    <div
+                        className="w-10 h-10 rounded-full bg-gray-300 flex items-center justify-center font-bold text-gray-600"
+                        aria-hidden="true"
+                    >
+                        {author?.charAt(0).toUpperCase()}
+                    </div>
+                )}
+
+                <div className="flex-1">
+                    <p className="font-semibold text-sm">{author}</p>
+                    {createdAt && (
+                        <time className="text-xs text-gray-500" dateTime={createdAt}>
+                            {new Date(createdAt).toLocaleDateString(LOCALES[locale].language)}
+                        </time>
+                    )}
+                </div>
+
+                {details.rating != null && (
+                    <div
+                        className="flex items-center bg-yellow-500 text-black px-3 py-1 rounded-full font-semibold text-sm"
+                        role="img"
+                        aria-label={t('common.rating', { rating: details.rating })}
+                    >
+                        <span aria-hidden="true">★</span>
+                        <span className="ml-1">{details.rating}</span>
+                    </div>
+                )}
+            </header>
+
+            <div
+                id={`review-${review.id}`}
+                className={`space-y-3 text-sm leading-relaxed text-gray-700 whitespace-pre-line ${
+                    collapsible && !expanded ? 'max-h-40 overflow-hidden' : ''
+                }`}
+            >
+                {paragraphs.map((paragraph, index) => (
+                    <p key={index}>{renderInline(paragraph)}</p>
+                ))}
+            </div>
+
+            {collapsible && (
+                <button
+                    onClick={() => setExpanded((prev) => !prev)}
+                    className="mt-2 text-sm font-medium text-blue-600 hover:text-blue-800"
+                    aria-expanded={expanded}
+                    aria-controls={`review-${review.id}`}
+                    type="button"
+                >
+                    {expanded ? t('reviews.collapse') : t('reviews.expand')}
+                </button>
+            )}
+        </li>
+    );
+}
+
+export default ReviewItem;
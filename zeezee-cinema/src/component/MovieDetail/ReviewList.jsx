@@ -0,0 +1,90 @@
+import { useCallback, useEffect, useRef } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { fetchMoreReviews } from '../../store/actions/movieDetailsActions';
+import ReviewItem from './ReviewItem';
+import { LOCALES } from '../../i18n/locales';
+import useTranslation from '../../hooks/useTranslation';
+
+function ReviewList({ movieId }) {
+    const dispatch = useDispatch();
+    const { t, tError, locale } = useTranslation();
+    const thread = useSelector((state) => state.movieDetails.reviews[movieId]);
+    const reviewsLoading = useSelector((state) => state.movieDetails.reviewsLoading);
+    const reviewsError = useSelector((state) => state.movieDetails.reviewsError);
+
+    const items = thread?.items || [];
+    const hasMore = thread ? thread.page < thread.totalPages : false;
+
+    const controllerRef = useRef(null);
+
+    // 언마운트 시 진행 중인 리뷰 요청 취소
+    useEffect(() => () => controllerRef.current?.abort(), []);
+
+    const handleLoadMore = useCallback(() => {
+        controllerRef.current = new AbortController();
+        dispatch(fetchMoreReviews({ movieId, page: thread.page + 1 }, { signal: controllerRef.current.signal }));
+    }, [dispatch, movieId, thread]);
+
+    return (
+        <section className="m-8" aria-labelledby="reviews-title">
+            <header className="flex items-baseline gap-2">
+                <h2 id="reviews-title" className="text-2xl font-bold mb-4">
+                    {t('reviews.title')}
+                </h2>
+                {thread && thread.language !== LOCALES[locale].language && items.length > 0 && (
+                    <span className="text-sm text-gray-500">{t('reviews.fallbackLanguage')}</span>
+                )}
+            </header>
+
+            {items.length === 0 ? (
+                <p className="text-gray-500">{t('reviews.empty')}</p>
+            ) : (
+                <ul>
+                    {items.map((review) => (
+                        <ReviewItem key={review.id} review={review} />
+                    ))}
+                </ul>
+            )}
+
+            {reviewsLoading && (
+                <div className="flex justify-center py-6" aria-live="polite" aria-label={t('reviews.loading')}>
+                    <div
+                        className="w-8 h-8 border-4 border-gray-300 border-t-blue-600 rounded-full animate-spin"
+                        aria-hidden="true"
+                    ></div>
+                </div>
+            )}
+
+            {reviewsError && !reviewsLoading && (
+                <div
+                    className="flex items-center justify-between mt-4 p-4 bg-red-50 rounded-lg"
+                    role="alert"
+                    aria-live="polite"
+                >
+                    <p className="text-red-600 text-sm">{t('reviews.error', { error: tError(reviewsError) })}</p>
+                    <button
+                        onClick={handleLoadMore}
+                        className="bg-red-600 text-white px-4 py-2 rounded-md hover:bg-red-700 transition-colors text-sm"
+                        type="button"
+                    >
+                        {t('common.retry')}
+                    </button>
+                </div>
+            )}
+
+            {hasMore && !reviewsLoading && !reviewsError && (
+                <div className="flex justify-center mt-6">
+                    <button
+                        onClick={handleLoadMore}
+                        className="bg-gray-900 text-white px-6 py-2 rounded-lg hover:bg-gray-700 transition-colors duration-200 font-medium"
+                        type="button"
+                    >
+                        {t('reviews.more')}
+                    </button>
+                </div>
+            )}
+        </section>
+    );
+}
+
+export default ReviewList;
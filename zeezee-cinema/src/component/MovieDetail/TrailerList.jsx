@@ -0,0 +1,57 @@
+import useTranslation from '../../hooks/useTranslation';
+
+// 예고편으로 표시할 동영상 유형 (표시 순서 유지)
+const TRAILER_TYPES = ['Trailer', 'Teaser'];
+
+function TrailerList({ videos = [] }) {
+    const { t } = useTranslation();
+    const trailers = videos
+        .filter((video) => video.site === 'YouTube' && TRAILER_TYPES.includes(video.type))
+        .sort((a, b) => TRAILER_TYPES.indexOf(a.type) - TRAILER_TYPES.indexOf(b.type));
+
+    if (trailers.length === 0) return null;
+
+    return (
+        <section className="m-8" aria-labelledby="trailers-title">
+            <header>
+                <h2 id="trailers-title" className="text-2xl font-bold mb-4">
+                    {t('movieDetail.trailers')}
+                </h2>
+            </header>
+
+            <ul className="flex gap-4 overflow-x-auto pb-4">
+                {trailers.map((video) => (
+                    <li key={video.id} className="w-72 shrink-0">
+                        <a
+                            href={`https://www.youtube.com/watch?v=${video.key}`}
+                            target="_blank"
+                            rel="noopener noreferrer"
+                            className="group block"
+                            aria-label={t('movieDetail.watchOnYouTube', { name: video.name })}
+                        >
+                            <figure className="relative aspect-video mb-2 overflow-hidden rounded-lg bg-gray-900">
+                                <img
+                                    src={`https://img.youtube.com/vi/${video.key}/hqdefault.jpg`}
+                                    alt=""
+                                    className="w-full h-full object-cover transition-transform duration-300 group-hover:scale-105"
+                                    loading="lazy"
+                                />
+                                <div
+                                    className="absolute inset-0 flex items-center justify-center bg-black/30 text-white text-4xl"
+                                    aria-hidden="true"
+                                >
+                                    ▶
+                                </div>
+                            </figure>
+                            <p className="font-semibold text-sm leading-tight line-clamp-2 group-hover:text-blue-600 transition-colors">
+                                {video.name}
+                            </p>
+                        </a>
+                    </li>
+                ))}
+            </ul>
+        </section>
+    );
+}
+
+export default TrailerList;
@@ -1,66 +1,65 @@
 // BannerCarousel.jsx
-import { useState, useEffect, useCallback } from 'react';
+import { useEffect, useCallback, useMemo, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useDispatch, useSelector } from 'react-redux';
 import { Swiper, SwiperSlide } from 'swiper/react';
 import { Navigation, Pagination, Autoplay } from 'swiper/modules';
 import 'swiper/css';
 import 'swiper/css/navigation';
 import 'swiper/css/pagination';
-import createMovies from '../../services/movieService';
+import { fetchCategory } from '../../store/actions/categoriesActions';
+import { selectCategory, selectCategoryItems } from '../../store/reducers/categoriesReducer';
+import { selectPagination } from '../../store/reducers/paginationReducer';
+import { selectRegion } from '../../store/reducers/localeReducer';
+import { getRowTitle } from '../../config/homeRows';
+import useTranslation from '../../hooks/useTranslation';
+import TrailerButton from '../Trailer/TrailerButton';
+import TmdbImage from '../Image/TmdbImage';
 
-const BannerCarousel = () => {
-    const [banners, setBanners] = useState([]);
-    const [error, setError] = useState(null);
+/**
+ * 홈 화면 상단 배너
+ * @param {import('../../config/homeRows').HomeRow} row - 행 설정 (layout: 'banner')
+ */
+const BannerCarousel = ({ row }) => {
+    const dispatch = useDispatch();
+    const { t, tError, locale } = useTranslation();
+    const region = useSelector(selectRegion);
+    const category = row.id;
+    const { loading, error: fetchError } = useSelector((state) => selectCategory(state, category));
+    const { page } = useSelector((state) => selectPagination(state, `categories/${category}`));
+    const bannerMovies = useSelector((state) => selectCategoryItems(state, category));
+    const bannerTitle = getRowTitle(row, locale, region);
 
-    const fetchMovies = useCallback(async () => {
-        try {
-            setError(null);
-
-            const moviesApi = new createMovies(import.meta.env.VITE_TMDB_API_KEY);
-            const response = await moviesApi.getUpcomingMovies();
-
-            const upcomingMovies = response.results || response || [];
-
-            if (!Array.isArray(upcomingMovies)) {
-                throw new Error('유효하지 않은 API 응답입니다');
-            }
-
-            const movieBanners = upcomingMovies
+    const banners = useMemo(
+        () =>
+            bannerMovies
                 .filter((movie) => movie.backdrop_path)
                 .slice(0, 5)
                 .map((movie) => ({
                     id: movie.id,
-                    img: `https://image.tmdb.org/t/p/w1280${movie.backdrop_path}`,
-                    mobileImg: `https://image.tmdb.org/t/p/w780${movie.backdrop_path}`,
-                    alt: `${movie.title} 배경 이미지`,
-                    title: movie.title || '제목 없음',
-                    overview: movie.overview || '줄거리가 없습니다.',
+                    backdropPath: movie.backdrop_path,
+                    alt: t('carousel.backdrop', { title: movie.title }),
+                    title: movie.title || t('common.untitled'),
+                    originalLanguage: movie.original_language || null,
+                    overview: movie.overview || t('common.noOverview'),
                     releaseDate: movie.release_date || '',
                     voteAverage: movie.vote_average || 0,
-                }));
+                })),
+        [bannerMovies, t]
+    );
 
-            if (movieBanners.length === 0) {
-                throw new Error('표시할 영화가 없습니다');
-            }
+    const fetchMovies = useCallback(() => {
+        dispatch(fetchCategory({ category }));
+    }, [dispatch, category]);
 
-            setBanners(movieBanners);
-        } catch (err) {
-            console.error('영화 데이터를 가져오는데 실패했습니다:', err);
-            setError(err.message || '영화 데이터를 로드할 수 없습니다.');
-        }
-    }, []);
+    // 응답은 받았지만 표시할 영화가 없는 경우도 에러로 표시
+    const error = fetchError || (!loading && page > 0 && banners.length === 0 ? t('common.noItems') : null);
 
-    // 이미지 에러 처리
-    const handleImageError = useCallback((e, banner) => {
-        console.error('이미지 로드 실패:', banner.img);
-        e.target.style.display = 'none';
-        const parent = e.target.parentElement;
-        if (parent) {
-            parent.style.background = 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)';
-            parent.style.display = 'flex';
-            parent.style.alignItems = 'center';
-            parent.style.justifyContent = 'center';
-            parent.innerHTML = `<div class="text-white text-center"><div class="text-2xl mb-2">🎬</div><div>${banner.title}</div></div>`;
-        }
+    // 이미지를 불러오지 못한 배너 (제목만 표시)
+    const [failedBanners, setFailedBanners] = useState(() => new Set());
+    const handleImageError = useCallback((banner) => {
+        console.error('이미지 로드 실패:', banner.backdropPath);
+        setFailedBanners((failed) => new Set(failed).add(banner.id));
     }, []);
 
     useEffect(() => {
@@ -81,13 +80,13 @@ const BannerCarousel = () => {
             >
                 <div className="text-center px-6">
                     <h2 id="banner-error-title" className="text-red-600 text-lg font-semibold mb-4">
-                        {error}
+                        {tError(error)}
                     </h2>
                     <button
                         onClick={handleRetry}
                         className="bg-red-600 text-white px-6 py-2 rounded-lg hover:bg-red-700 transition-colors duration-200 font-medium"
                     >
-                        다시 시도
+                        {t('common.retry')}
                     </button>
                 </div>
             </section>
@@ -99,13 +98,16 @@ const BannerCarousel = () => {
         return (
             <section
                 className="relative w-full h-[500px] md:h-[700px] bg-gradient-to-br from-gray-800 to-gray-900"
-                aria-label="영화 배너를 불러오는 중"
+                aria-label={t('carousel.loading')}
             />
         );
     }
 
     return (
-        <section className="relative w-full h-[500px] md:h-[700px] overflow-hidden" aria-label="추천 영화 배너">
+        <section
+            className="relative w-full h-[500px] md:h-[700px] overflow-hidden"
+            aria-label={t('carousel.banner', { title: bannerTitle })}
+        >
             <Swiper
                 modules={[Navigation, Pagination, Autoplay]}
                 spaceBetween={0}
@@ -136,22 +138,40 @@ const BannerCarousel = () => {
                     },
                 }}
                 role="region"
-                aria-label="영화 배너 슬라이드"
+                aria-label={t('carousel.slides')}
             >
                 {banners.map((banner, index) => (
                     <SwiperSlide key={banner.id}>
                         <article className="relative w-full h-full group">
                             <figure className="relative w-full h-full">
-                                <img
-                                    src={banner.img}
-                                    srcSet={`${banner.mobileImg} 780w, ${banner.img} 1280w`}
-                                    sizes="(max-width: 768px) 100vw, 100vw"
-                                    alt={banner.alt}
-                                    className="w-full h-full object-cover object-center transition-transform duration-700 group-hover:scale-105"
-                                    style={{ objectPosition: '50% 25%' }}
-                                    onError={(e) => handleImageError(e, banner)}
-                                    loading={index === 0 ? 'eager' : 'lazy'}
-                                />
+                                {failedBanners.has(banner.id) ? (
+                                    <div
+                                        className="w-full h-full flex items-center justify-center bg-gradient-to-br from-indigo-400 to-purple-700 text-white text-center"
+                                        role="img"
+                                        aria-label={banner.alt}
+                                    >
+                                        <div>
+                                            <div className="text-2xl mb-2" aria-hidden="true">
+                                                🎬
+                                            </div>
+                                            <div>{banner.title}</div>
+                                        </div>
+                                    </div>
+                                ) : (
+                                    <TmdbImage
+                                        path={banner.backdropPath}
+                                        type="backdrop"
+                                        sizes="100vw"
+                                        fallbackWidth={1280}
+                                        alt={banner.alt}
+                                        className="w-full h-full"
+                                        imgClassName="object-cover object-center transition-transform duration-700 group-hover:scale-105"
+                                        style={{ objectPosition: '50% 25%' }}
+                                        onError={() => handleImageError(banner)}
+                                        loading={index === 0 ? 'eager' : 'lazy'}
+                                        fetchPriority={index === 0 ? 'high' : undefined}
+                                    />
+                                )}
 
                                 {/* 그라데이션 오버레이 */}
                                 <div
@@ -176,7 +196,9 @@ const BannerCarousel = () => {
                                             <div
                                                 className="flex items-center bg-yellow-500 text-black px-3 py-1 rounded-full font-semibold text-sm"
                                                 role="img"
-                                                aria-label={`평점 ${banner.voteAverage.toFixed(1)}점`}
+                                                aria-label={t('common.rating', {
+                                                    rating: banner.voteAverage.toFixed(1),
+                                                })}
                                             >
                                                 <span aria-hidden="true">★</span>
                                                 <span className="ml-1">{banner.voteAverage.toFixed(1)}</span>
@@ -184,7 +206,7 @@ const BannerCarousel = () => {
                                         )}
                                         {banner.releaseDate && (
                                             <time className="text-white/90 font-medium" dateTime={banner.releaseDate}>
-                                                {new Date(banner.releaseDate).getFullYear()}년
+                                                {t('common.year', { year: new Date(banner.releaseDate).getFullYear() })}
                                             </time>
                                         )}
                                     </div>
@@ -195,13 +217,21 @@ const BannerCarousel = () => {
                                 </p>
 
                                 {/* 액션 버튼 */}
-                                <nav>
-                                    <button
-                                        className="bg-white/20 backdrop-blur-sm hover:bg-white/30 text-white px-6 py-3 rounded-lg font-semibold transition-all duration-200"
-                                        aria-label={`${banner.title} 상세 정보 보기`}
+                                <nav className="flex flex-wrap items-center gap-3">
+                                    <TrailerButton
+                                        mediaType="movie"
+                                        id={banner.id}
+                                        title={banner.title}
+                                        originalLanguage={banner.originalLanguage}
+                                        className="bg-white text-gray-900 hover:bg-white/90 px-6 py-3 rounded-lg font-semibold transition-all duration-200"
+                                    />
+                                    <Link
+                                        to={`/movie/${banner.id}`}
+                                        className="inline-block bg-white/20 backdrop-blur-sm hover:bg-white/30 text-white px-6 py-3 rounded-lg font-semibold transition-all duration-200"
+                                        aria-label={t('common.viewDetails', { title: banner.title })}
                                     >
-                                        자세히 보기
-                                    </button>
+                                        {t('carousel.details')}
+                                    </Link>
                                 </nav>
                             </div>
                         </article>
@@ -214,7 +244,7 @@ const BannerCarousel = () => {
                 <nav className="absolute top-1/2 left-0 right-0 z-10 flex justify-between px-4 pointer-events-none">
                     <button
                         className="custom-prev bg-black/40 backdrop-blur-sm text-white p-3 rounded-full hover:bg-black/60 transition-all duration-200 hover:scale-110 focus:outline-none focus:ring-2 focus:ring-white/50 pointer-events-auto"
-                        aria-label="이전 영화 배너 보기"
+                        aria-label={t('carousel.previous')}
                         type="button"
                     >
                         <svg
@@ -229,7 +259,7 @@ const BannerCarousel = () => {
                     </button>
                     <button
                         className="custom-next bg-black/40 backdrop-blur-sm text-white p-3 rounded-full hover:bg-black/60 transition-all duration-200 hover:scale-110 focus:outline-none focus:ring-2 focus:ring-white/50 pointer-events-auto"
-                        aria-label="다음 영화 배너 보기"
+                        aria-label={t('carousel.next')}
                         type="button"
                     >
                         <svg
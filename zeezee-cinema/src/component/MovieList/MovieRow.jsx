@@ -0,0 +1,157 @@
+import MovieCard from '../MovieCard/MovieCard';
+import useTranslation from '../../hooks/useTranslation';
+import { Swiper, SwiperSlide } from 'swiper/react';
+import { Navigation, Pagination } from 'swiper/modules';
+import 'swiper/css';
+import 'swiper/css/navigation';
+import 'swiper/css/pagination';
+
+/**
+ * 제목과 가로로 넘기는 카드 목록 (불러오는 중, 에러 상태 포함)
+ * @param {string} id - 섹션 id (제목 id와 네비게이션 버튼 클래스에 사용)
+ * @param {string} title - 섹션 제목
+ * @param {Array<Object>} movies - MovieCard용 작품 정보 (movieCardModel.js)
+ * @param {Object|string|null} error - 에러 정보 (상태의 에러 또는 표시할 문구)
+ * @param {Function} onRetry - 다시 시도 버튼 클릭 시 호출
+ */
+function MovieRow({ id, title, movies, error, onRetry }) {
+    const { t, tError } = useTranslation();
+
+    if (error) {
+        return (
+            <section className="mb-8" aria-labelledby={`${id}-title`}>
+                <header>
+                    <h2 id={`${id}-title`} className="text-2xl font-bold mb-4">
+                        {title}
+                    </h2>
+                </header>
+                <div
+                    className="flex items-center justify-center h-32 bg-red-50 rounded-lg"
+                    role="alert"
+                    aria-live="polite"
+                >
+                    <div className="text-center">
+                        <p className="text-red-600 mb-2">{tError(error)}</p>
+                        <button
+                            onClick={onRetry}
+                            className="bg-red-600 text-white px-4 py-2 rounded-md hover:bg-red-700 transition-colors text-sm"
+                            type="button"
+                        >
+                            {t('common.retry')}
+                        </button>
+                    </div>
+                </div>
+            </section>
+        );
+    }
+
+    if (movies.length === 0) {
+        return (
+            <section className="mb-8" aria-labelledby={`${id}-title`}>
+                <header>
+                    <h2 id={`${id}-title`} className="text-2xl font-bold mb-4">
+                        {title}
+                    </h2>
+                </header>
+                <div
+                    className="h-32 bg-gray-100 rounded-lg flex items-center justify-center"
+                    aria-live="polite"
+                    aria-label={t('movieRow.loadingList', { title })}
+                >
+                    <p className="text-gray-500">{t('movieRow.loading')}</p>
+                </div>
+            </section>
+        );
+    }
+
+    return (
+        <section className="m-8" aria-labelledby={`${id}-title`}>
+            <header>
+                <h2 id={`${id}-title`} className="text-2xl font-bold mb-4">
+                    {title}
+                </h2>
+            </header>
+
+            <div className="relative">
+                <Swiper
+                    modules={[Navigation, Pagination]}
+                    spaceBetween={16}
+                    slidesPerView={2}
+                    navigation={{
+                        nextEl: `.swiper-button-next-${id}`,
+                        prevEl: `.swiper-button-prev-${id}`,
+                    }}
+                    breakpoints={{
+                        640: {
+                            slidesPerView: 3,
+                        },
+                        768: {
+                            slidesPerView: 4,
+                        },
+                        1024: {
+                            slidesPerView: 5,
+                        },
+                        1280: {
+                            slidesPerView: 6,
+                        },
+                    }}
+                    className="movie-list-swiper"
+                    role="region"
+                    aria-label={t('movieRow.list', { title })}
+                >
+                    {movies.map((movie) => (
+                        <SwiperSlide key={movie.id}>
+                            <MovieCard movie={movie} />
+                        </SwiperSlide>
+                    ))}
+                </Swiper>
+
+                {/* 커스텀 네비게이션 버튼 */}
+                {movies.length > 5 && (
+                    <nav
+                        className="absolute top-1/2 left-0 right-0 z-10 flex justify-between pointer-events-none"
+                        aria-label={t('movieRow.navigation', { title })}
+                    >
+                        <button
+                            className={`swiper-button-prev-${id} bg-black/70 text-white p-2 rounded-full hover:bg-black/90 transition-all duration-200 -ml-4 pointer-events-auto`}
+                            aria-label={t('movieRow.previous', { title })}
+                            type="button"
+                        >
+                            <svg
+                                className="w-5 h-5"
+                                fill="none"
+                                stroke="currentColor"
+                                viewBox="0 0 24 24"
+                                aria-hidden="true"
+                            >
+                                <path
+                                    strokeLinecap="round"
+                                    strokeLinejoin="round"
+                                    strokeWidth={2}
+                                    d="M15 19l-7-7 7-7"
+                                />
+                            </svg>
+                        </button>
+                        <button
+                            className={`swiper-button-next-${id} bg-black/70 text-white p-2 rounded-full hover:bg-black/90 transition-all duration-200 -mr-4 pointer-events-auto`}
+                            aria-label={t('movieRow.next', { title })}
+                            type="button"
+                        >
+                            <svg
+                                className="w-5 h-5"
+                                fill="none"
+                                stroke="currentColor"
+                                viewBox="0 0 24 24"
+                                aria-hidden="true"
+                            >
+                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5l7 7-7 7" />
+                            </svg>
+                        </button>
+                    </nav>
+                )}
+            </div>
+        </section>
+    );
+}
+
+export default MovieRow;
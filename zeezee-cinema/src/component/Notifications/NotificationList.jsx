@@ -0,0 +1,59 @@
+import { useEffect } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { dismissNotification } from '../../store/reducers/uiReducer';
+import useTranslation from '../../hooks/useTranslation';
+
+// 알림이 자동으로 사라지기까지의 시간 (ms)
+const AUTO_DISMISS_DELAY = 4000;
+
+// 알림 종류별 색상
+const TYPE_CLASS_NAMES = {
+    info: 'bg-gray-900 text-white',
+    success: 'bg-green-600 text-white',
+    error: 'bg-red-600 text-white',
+};
+
+function NotificationItem({ notification }) {
+    const { t } = useTranslation();
+    const dispatch = useDispatch();
+
+    useEffect(() => {
+        const timer = setTimeout(() => dispatch(dismissNotification(notification.id)), AUTO_DISMISS_DELAY);
+        return () => clearTimeout(timer);
+    }, [dispatch, notification.id]);
+
+    return (
+        <li
+            className={`flex items-start gap-3 px-4 py-3 rounded-lg shadow-lg text-sm ${
+                TYPE_CLASS_NAMES[notification.type] || TYPE_CLASS_NAMES.info
+            }`}
+            role={notification.type === 'error' ? 'alert' : 'status'}
+        >
+            <p className="flex-1">{notification.message}</p>
+            <button
+                type="button"
+                onClick={() => dispatch(dismissNotification(notification.id))}
+                className="text-white/70 hover:text-white"
+                aria-label={t('notifications.close')}
+            >
+                ✕
+            </button>
+        </li>
+    );
+}
+
+function NotificationList() {
+    const notifications = useSelector((state) => state.ui.notifications);
+
+    if (notifications.length === 0) return null;
+
+    return (
+        <ul className="fixed bottom-4 right-4 z-50 flex flex-col gap-2 w-80 max-w-[calc(100vw-2rem)]">
+            {notifications.map((notification) => (
+                <NotificationItem key={notification.id} notification={notification} />
+            ))}
+        </ul>
+    );
+}
+
+export default NotificationList;
@@ -0,0 +1,125 @@
+import { useState, useMemo } from 'react';
+import { Link } from 'react-router-dom';
+import {
+    getCreditDate,
+    getCreditPath,
+    getDepartmentLabel,
+    groupCrewByDepartment,
+    mergeCast,
+    sortCredits,
+} from './personCredits';
+import useTranslation from '../../hooks/useTranslation';
+
+// 정렬 기준과 메시지 키
+const SORT_OPTIONS = [
+    { value: 'year', labelKey: 'person.sortYear' },
+    { value: 'popularity', labelKey: 'person.sortPopularity' },
+];
+
+function Filmography({ credits }) {
+    const { t } = useTranslation();
+    const [sortBy, setSortBy] = useState('year');
+
+    // 출연 이력을 먼저, 제작진 이력은 부서별로 나눔
+    const sections = useMemo(() => {
+        const cast = mergeCast(credits.cast);
+        const crew = groupCrewByDepartment(credits.crew);
+        return [
+            ...(cast.length > 0 ? [{ department: 'Acting', items: cast }] : []),
+            ...Object.entries(crew)
+                .sort(([, a], [, b]) => b.length - a.length)
+                .map(([department, items]) => ({ department, items })),
+        ];
+    }, [credits]);
+
+    const [activeDepartment, setActiveDepartment] = useState(null);
+    const current = sections.find((section) => section.department === activeDepartment) || sections[0];
+    const items = useMemo(() => (current ? sortCredits(current.items, sortBy) : []), [current, sortBy]);
+
+    if (!current) return null;
+
+    return (
+        <section className="m-8" aria-labelledby="filmography-title">
+            <header className="flex flex-wrap items-center justify-between gap-4 mb-4">
+                <h2 id="filmography-title" className="text-2xl font-bold">
+                    {t('person.filmography')}
+                </h2>
+                <div className="flex gap-2" role="group" aria-label={t('person.sortBy')}>
+                    {SORT_OPTIONS.map((option) => (
+                        <button
+                            key={option.value}
+                            onClick={() => setSortBy(option.value)}
+                            className={`px-3 py-1 rounded-full text-sm transition-colors ${
+                                sortBy === option.value
+                                    ? 'bg-gray-900 text-white'
+                                    : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                            }`}
+                            aria-pressed={sortBy === option.value}
+                            type="button"
+                        >
+                            {t(option.labelKey)}
+                        </button>
+                    ))}
+                </div>
+            </header>
+
+            <nav
+                className="flex flex-wrap gap-2 border-b border-gray-200 mb-2"
+                role="tablist"
+                aria-label={t('person.departments')}
+            >
+                {sections.map(({ department, items: sectionItems }) => (
+                    <button
+                        key={department}
+                        onClick={() => setActiveDepartment(department)}
+                        className={`px-4 py-2 -mb-px border-b-2 font-medium text-sm transition-colors ${
+                            department === current.department
+                                ? 'border-blue-600 text-blue-600'
+                                : 'border-transparent text-gray-500 hover:text-gray-800'
+                        }`}
+                        role="tab"
+                        aria-selected={department === current.department}
+                        type="button"
+                    >
+                        {getDepartmentLabel(department)}
+                        <span className="ml-1 text-xs text-gray-400">{sectionItems.length}</span>
+                    </button>
+                ))}
+            </nav>
+
+            <ol role="tabpanel" className="divide-y divide-gray-100">
+                {items.map((credit) => {
+                    const date = getCreditDate(credit);
+                    const path = getCreditPath(credit);
+                    const title = credit.title || credit.name;
+
+                    return (
+                        <li
+                            key={`${credit.media_type}-${credit.id}`}
+                            className="flex items-baseline gap-4 py-3 text-sm"
+                        >
+                            <span className="w-12 shrink-0 text-gray-500 tabular-nums">
+                                {date ? new Date(date).getFullYear() : '—'}
+                            </span>
+                            <span className="shrink-0 text-xs bg-gray-100 text-gray-600 px-2 py-0.5 rounded">
+                                {t(`person.mediaTypes.${credit.media_type}`)}
+                            </span>
+                            <span className="flex-1 min-w-0">
+                                {path ? (
+                                    <Link to={path} className="font-semibold hover:text-blue-600 transition-colors">
+                                        {title}
+                                    </Link>
+                                ) : (
+                                    <span className="font-semibold">{title}</span>
+                                )}
+                                {credit.role && <span className="text-gray-500"> · {credit.role}</span>}
+                            </span>
+                        </li>
+                    );
+                })}
+            </ol>
+        </section>
+    );
+}
+
+export default Filmography;
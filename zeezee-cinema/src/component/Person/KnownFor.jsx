@@ -0,0 +1,36 @@
+import SearchResultTile from '../Search/SearchResultTile';
+import { getCreditDate, getCreditPath } from './personCredits';
+import useTranslation from '../../hooks/useTranslation';
+
+function KnownFor({ credits }) {
+    const { t } = useTranslation();
+    if (credits.length === 0) return null;
+
+    return (
+        <section className="m-8" aria-labelledby="known-for-title">
+            <header>
+                <h2 id="known-for-title" className="text-2xl font-bold mb-4">
+                    {t('person.knownFor')}
+                </h2>
+            </header>
+
+            <ul className="flex gap-4 overflow-x-auto pb-4">
+                {credits.map((credit) => {
+                    const date = getCreditDate(credit);
+                    return (
+                        <li key={`${credit.media_type}-${credit.id}`} className="w-32 shrink-0">
+                            <SearchResultTile
+                                to={getCreditPath(credit)}
+                                imagePath={credit.poster_path}
+                                title={credit.title || credit.name}
+                                subtitle={date && t('common.year', { year: new Date(date).getFullYear() })}
+                            />
+                        </li>
+                    );
+                })}
+            </ul>
+        </section>
+    );
+}
+
+export default KnownFor;
@@ -0,0 +1,56 @@
+import { useState } from 'react';
+import { createUtils } from '../../services/movieService';
+import { PROFILE_IMAGE_SIZES } from '../../utils/imageGallery';
+import Lightbox from '../Gallery/Lightbox';
+import useTranslation from '../../hooks/useTranslation';
+
+const utils = createUtils();
+
+function PersonPhotos({ profiles = [], name }) {
+    const { t } = useTranslation();
+    const [lightboxIndex, setLightboxIndex] = useState(null);
+
+    if (profiles.length === 0) return null;
+
+    return (
+        <section className="m-8" aria-labelledby="photos-title">
+            <header>
+                <h2 id="photos-title" className="text-2xl font-bold mb-4">
+                    {t('person.photos')}
+                </h2>
+            </header>
+
+            <ul className="grid grid-cols-3 sm:grid-cols-4 md:grid-cols-6 lg:grid-cols-8 gap-4">
+                {profiles.map((image, index) => (
+                    <li key={image.file_path}>
+                        <button
+                            type="button"
+                            onClick={() => setLightboxIndex(index)}
+                            className="block w-full aspect-[2/3] overflow-hidden rounded-lg bg-gray-200 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        >
+                            <img
+                                src={utils.getProfileUrl(image.file_path, PROFILE_IMAGE_SIZES.thumbSize)}
+                                alt={t('person.photo', { name, index: index + 1 })}
+                                className="w-full h-full object-cover transition-transform duration-300 hover:scale-105"
+                                loading="lazy"
+                            />
+                        </button>
+                    </li>
+                ))}
+            </ul>
+
+            {lightboxIndex !== null && (
+                <Lightbox
+                    images={profiles}
+                    index={lightboxIndex}
+                    onIndexChange={setLightboxIndex}
+                    onClose={() => setLightboxIndex(null)}
+                    fullSize={PROFILE_IMAGE_SIZES.fullSize}
+                    title={name}
+                />
+            )}
+        </section>
+    );
+}
+
+export default PersonPhotos;
@@ -0,0 +1,122 @@
+import { useState } from 'react';
+import { createUtils } from '../../services/movieService';
+import { getDepartmentLabel } from './personCredits';
+import useTranslation from '../../hooks/useTranslation';
+
+const utils = createUtils();
+
+// 이 길이를 넘는 소개는 접힌 상태로 표시
+const COLLAPSE_LENGTH = 500;
+
+// 표기 메시지가 있는 성별 (person.genders)
+const GENDERS = [1, 2, 3];
+
+/**
+ * 나이 계산 (사망한 경우 사망 당시 나이)
+ * @param {string} birthday - 생년월일
+ * @param {string|null} deathday - 사망일
+ * @returns {number|null} 나이
+ */
+const getAge = (birthday, deathday) => {
+    if (!birthday) return null;
+    const end = deathday ? new Date(deathday) : new Date();
+    const birth = new Date(birthday);
+    let age = end.getFullYear() - birth.getFullYear();
+    if (end < new Date(end.getFullYear(), birth.getMonth(), birth.getDate())) age--;
+    return age;
+};
+
+function PersonProfile({ person }) {
+    const { t } = useTranslation();
+    const [expanded, setExpanded] = useState(false);
+    const profileUrl = utils.getProfileUrl(person.profile_path, 'h632');
+    const age = getAge(person.birthday, person.deathday);
+    const collapsible = (person.biography || '').length > COLLAPSE_LENGTH;
+
+    const facts = [
+        {
+            label: t('person.department'),
+            value: person.known_for_department && getDepartmentLabel(person.known_for_department),
+        },
+        { label: t('person.gender'), value: GENDERS.includes(person.gender) && t(`person.genders.${person.gender}`) },
+        {
+            label: t('person.birthday'),
+            value:
+                person.birthday &&
+                (!person.deathday && age !== null ? t('person.age', { date: person.birthday, age }) : person.birthday),
+        },
+        {
+            label: t('person.deathday'),
+            value: person.deathday && t('person.ageAtDeath', { date: person.deathday, age }),
+        },
+        { label: t('person.placeOfBirth'), value: person.place_of_birth },
+    ].filter((fact) => fact.value);
+
+    return (
+        <section className="flex flex-col md:flex-row gap-8 m-8" aria-labelledby="person-name">
+            <aside className="w-48 md:w-64 shrink-0 space-y-4">
+                <figure className="aspect-[2/3] overflow-hidden rounded-lg bg-gray-200 shadow-lg">
+                    {profileUrl ? (
+                        <img
+                            src={profileUrl}
+                            alt={t('movieDetail.profile', { name: person.name })}
+                            className="w-full h-full object-cover"
+                        />
+                    ) : (
+                        <div
+                            className="w-full h-full flex items-center justify-center text-6xl text-gray-500"
+                            role="img"
+                            aria-label={t('movieDetail.noProfile', { name: person.name })}
+                        >
+                            <span aria-hidden="true">👤</span>
+                        </div>
+                    )}
+                </figure>
+
+                <dl className="space-y-3 text-sm">
+                    {facts.map((fact) => (
+                        <div key={fact.label}>
+                            <dt className="font-semibold">{fact.label}</dt>
+                            <dd className="text-gray-600">{fact.value}</dd>
+                        </div>
+                    ))}
+                </dl>
+            </aside>
+
+            <div className="flex-1 min-w-0">
+                <h1 id="person-name" className="text-3xl md:text-4xl font-bold mb-6">
+                    {person.name}
+                </h1>
+
+                <h2 className="text-xl font-bold mb-2">{t('person.biography')}</h2>
+                {person.biography ? (
+                    <>
+                        <div
+                            id="person-biography"
+                            className={`text-gray-700 leading-relaxed whitespace-pre-line ${
+                                collapsible && !expanded ? 'max-h-48 overflow-hidden' : ''
+                            }`}
+                        >
+                            {person.biography}
+                        </div>
+                        {collapsible && (
+                            <button
+                                onClick={() => setExpanded((prev) => !prev)}
+                                className="mt-2 text-sm font-medium text-blue-600 hover:text-blue-800"
+                                aria-expanded={expanded}
+                                aria-controls="person-biography"
+                                type="button"
+                            >
+                                {expanded ? t('person.collapse') : t('person.expand')}
+                            </button>
+                        )}
+                    </>
+                ) : (
+                    <p className="text-gray-500">{t('person.noBiography')}</p>
+                )}
+            </div>
+        </section>
+    );
+}
+
+export default PersonProfile;
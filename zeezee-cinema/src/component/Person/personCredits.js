@@ -0,0 +1,130 @@
+import { t } from '../../i18n';
+
+// 표기 메시지가 있는 부서 (person.departmentNames)
+const DEPARTMENTS = [
+    'Acting',
+    'Directing',
+    'Writing',
+    'Production',
+    'Camera',
+    'Editing',
+    'Sound',
+    'Art',
+    'Costume & Make-Up',
+    'Visual Effects',
+    'Lighting',
+    'Creator',
+    'Crew',
+];
+
+/**
+ * 현재 언어의 부서 이름 (메시지가 없는 부서는 TMDB 표기 그대로)
+ * @param {string} department - TMDB 부서 (예: 'Directing')
+ * @returns {string}
+ */
+export const getDepartmentLabel = (department) =>
+    DEPARTMENTS.includes(department) ? t(`person.departmentNames.${department}`) : department;
+
+/**
+ * 출연/참여 작품의 날짜 (영화는 개봉일, TV는 첫 방영일)
+ * @param {Object} credit - combined_credits 항목
+ * @returns {string} 날짜 문자열 (없으면 '')
+ */
+export const getCreditDate = (credit) => credit.release_date || credit.first_air_date || '';
+
+/**
+ * 작품 상세 페이지 경로
+ * @param {Object} credit - combined_credits 항목
+ * @returns {string|null} 경로 (상세 페이지가 없는 유형이면 null)
+ */
+export const getCreditPath = (credit) => {
+    if (credit.media_type === 'movie') return `/movie/${credit.id}`;
+    if (credit.media_type === 'tv') return `/tv/${credit.id}`;
+    return null;
+};
+
+/**
+ * 대표작 선정 (해당 부서 작품 중 평가 수가 많은 순)
+ * @param {Object} credits - combined_credits 응답
+ * @param {string} department - known_for_department
+ * @param {number} limit - 최대 개수
+ * @returns {Array} 대표작 목록
+ */
+export const getKnownFor = (credits, department, limit = 8) => {
+    const pool =
+        department === 'Acting'
+            ? credits.cast || []
+            : (credits.crew || []).filter((credit) => credit.department === department);
+
+    const seen = new Set();
+    return [...pool]
+        .sort((a, b) => (b.vote_count || 0) - (a.vote_count || 0))
+        .filter((credit) => {
+            const key = `${credit.media_type}-${credit.id}`;
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        })
+        .slice(0, limit);
+};
+
+/**
+ * 같은 작품의 여러 배역/직무를 하나로 합칩니다.
+ * @param {Array} list - 이미 합쳐진 작품 목록 (변경됨)
+ * @param {Object} credit - 추가할 항목
+ * @param {string} role - 배역 또는 직무
+ */
+const addCredit = (list, credit, role) => {
+    const existing = list.find((item) => item.id === credit.id && item.media_type === credit.media_type);
+    if (!existing) {
+        list.push({ ...credit, role: role || '' });
+    } else if (role && !existing.role.split(', ').includes(role)) {
+        existing.role = existing.role ? `${existing.role}, ${role}` : role;
+    }
+};
+
+/**
+ * 출연 이력 정리 (같은 작품의 여러 배역은 하나로 합침)
+ * @param {Array} cast - combined_credits.cast
+ * @returns {Array} 작품 목록 (role에 배역)
+ */
+export const mergeCast = (cast = []) => {
+    const list = [];
+    cast.forEach((credit) => addCredit(list, credit, credit.character));
+    return list;
+};
+
+/**
+ * 제작진 참여 이력을 부서별로 묶고, 같은 작품의 여러 직무는 하나로 합칩니다.
+ * @param {Array} crew - combined_credits.crew
+ * @returns {Object<string, Array>} 부서별 작품 목록 (role에 직무)
+ */
+export const groupCrewByDepartment = (crew = []) => {
+    const departments = {};
+    crew.forEach((credit) => {
+        departments[credit.department] ||= [];
+        addCredit(departments[credit.department], credit, credit.job);
+    });
+    return departments;
+};
+
+/**
+ * 작품 목록 정렬
+ * @param {Array} credits - 작품 목록
+ * @param {'year'|'popularity'} sortBy - 정렬 기준 (연도는 최신순, 날짜 미정 작품이 먼저)
+ * @returns {Array} 정렬된 작품 목록
+ */
+export const sortCredits = (credits, sortBy) => {
+    const sorted = [...credits];
+    if (sortBy === 'popularity') {
+        return sorted.sort((a, b) => (b.popularity || 0) - (a.popularity || 0));
+    }
+    return sorted.sort((a, b) => {
+        const dateA = getCreditDate(a);
+        const dateB = getCreditDate(b);
+        if (!dateA && !dateB) return 0;
+        if (!dateA) return -1;
+        if (!dateB) return 1;
+        return dateB.localeCompare(dateA);
+    });
+};
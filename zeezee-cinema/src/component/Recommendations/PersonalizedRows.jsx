@@ -0,0 +1,56 @@
+import { useEffect, useCallback } from 'react';
+import { useSelector } from 'react-redux';
+import useCancellableDispatch from '../../hooks/useCancellableDispatch';
+import { fetchPersonalizedRecommendations } from '../../store/actions/recommendationsActions';
+import { selectPersonalizedRows, selectPersonalizedStatus } from '../../store/reducers/recommendationsReducer';
+import { selectLibraryStatus } from '../../store/reducers/libraryReducer';
+import { selectSessionType } from '../../store/reducers/sessionReducer';
+import { toMovieCard } from '../MovieCard/movieCardModel';
+import MovieRow from '../MovieList/MovieRow';
+import { getRowTitle } from '../../config/homeRows';
+import useTranslation from '../../hooks/useTranslation';
+
+/**
+ * 개인화 추천 행 ("'X'을(를) 본 분께 추천")
+ * 평점, 본 영화, 워치리스트, 최근 살펴본 영화가 없으면 아무것도 표시하지 않습니다.
+ * @param {import('../../config/homeRows').HomeRow} row - 행 설정 (layout: 'personalized')
+ */
+function PersonalizedRows({ row }) {
+    const dispatch = useCancellableDispatch();
+    const { t, locale } = useTranslation();
+    const { loaded: libraryLoaded } = useSelector(selectLibraryStatus);
+    // 로그인하거나 로그아웃하면 평점 목록이 바뀌므로 다시 계산
+    const sessionType = useSelector(selectSessionType);
+    const { error } = useSelector(selectPersonalizedStatus);
+    const rows = useSelector(selectPersonalizedRows);
+
+    const fetchRows = useCallback(() => {
+        dispatch(fetchPersonalizedRecommendations());
+    }, [dispatch]);
+
+    useEffect(() => {
+        if (libraryLoaded) fetchRows();
+    }, [fetchRows, libraryLoaded, sessionType]);
+
+    if (error) {
+        return <MovieRow id={row.id} title={getRowTitle(row, locale)} movies={[]} error={error} onRetry={fetchRows} />;
+    }
+
+    return rows.map(({ seed, movies }) => {
+        const cards = movies.map((movie) => toMovieCard(movie, row.layout));
+        if (cards.length === 0) return null;
+        return (
+            <MovieRow
+                key={seed.id}
+                id={`${row.id}-${seed.id}`}
+                // 추천 이유별 행 제목 (예: personalized.seen)
+                title={t(`personalized.${seed.reason}`, { title: seed.title || t('common.untitled') })}
+                movies={cards}
+                error={null}
+                onRetry={fetchRows}
+            />
+        );
+    });
+}
+
+export default PersonalizedRows;
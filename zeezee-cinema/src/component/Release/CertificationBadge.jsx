@@ -0,0 +1,33 @@
+import { getCertificationInfo } from '../../utils/releaseInfo';
+import useTranslation from '../../hooks/useTranslation';
+
+// 표시 위치별 배지 스타일 (카드는 짧은 표기, 상세 페이지는 전체 명칭)
+const VARIANT_CLASS_NAMES = {
+    card: 'min-w-7 h-7 px-1.5 rounded-full text-[11px]',
+    hero: 'px-2 py-0.5 rounded text-sm',
+};
+
+/**
+ * 관람 등급 배지 (예: 15세이상관람가)
+ * @param {string|null} certification - TMDB 관람 등급 값
+ * @param {string} region - 등급의 지역 코드
+ * @param {'card'|'hero'} variant - 표시 위치 (영화 카드, 상세 페이지)
+ */
+function CertificationBadge({ certification, region, variant = 'card', className = '' }) {
+    const { t } = useTranslation();
+    const info = getCertificationInfo(certification, region);
+    if (!info) return null;
+
+    return (
+        <span
+            className={`inline-flex items-center justify-center font-bold text-white ${info.className} ${VARIANT_CLASS_NAMES[variant]} ${className}`}
+            role="img"
+            aria-label={t('release.certification', { certification: info.label })}
+            title={info.label}
+        >
+            <span aria-hidden="true">{variant === 'card' ? info.short : info.label}</span>
+        </span>
+    );
+}
+
+export default CertificationBadge;
@@ -0,0 +1,36 @@
+import { formatDate } from '../../utils/format';
+import { getRegionName } from '../../i18n/locales';
+import useTranslation from '../../hooks/useTranslation';
+
+// 표시할 개봉일 종류 (getRegionReleases 결과의 키)
+const RELEASE_KINDS = ['theatrical', 'digital', 'physical'];
+
+/**
+ * 사용자 지역의 극장/디지털/패키지 개봉일 목록
+ * 지역 개봉 정보가 하나도 없으면 아무것도 표시하지 않습니다.
+ * @param {ReturnType<import('../../utils/releaseInfo').getRegionReleases>} releases - 지역 개봉 정보
+ * @param {string} region - 지역 코드
+ */
+function ReleaseDates({ releases, region }) {
+    const { t, locale } = useTranslation();
+    const kinds = RELEASE_KINDS.filter((kind) => releases[kind]);
+    if (kinds.length === 0) return null;
+
+    return (
+        <dl
+            className="flex flex-wrap gap-x-6 gap-y-1 text-sm"
+            aria-label={t('release.title', { region: getRegionName(region, locale) })}
+        >
+            {kinds.map((kind) => (
+                <div key={kind} className="flex gap-2">
+                    <dt className="text-white/60">{t(`release.${kind}`)}</dt>
+                    <dd className="text-white/90">
+                        <time dateTime={releases[kind].date}>{formatDate(releases[kind].date)}</time>
+                    </dd>
+                </div>
+            ))}
+        </dl>
+    );
+}
+
+export default ReleaseDates;
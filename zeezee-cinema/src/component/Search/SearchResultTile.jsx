@@ -0,0 +1,70 @@
+import { Link } from 'react-router-dom';
+import { createUtils } from '../../services/movieService';
+import useTranslation from '../../hooks/useTranslation';
+
+const utils = createUtils();
+
+// 이미지 유형별 URL 생성 함수와 비율
+const IMAGE_TYPES = {
+    poster: { getUrl: (path) => utils.getPosterUrl(path, 'w342'), aspect: 'aspect-[2/3]', fit: 'object-cover' },
+    profile: { getUrl: (path) => utils.getProfileUrl(path), aspect: 'aspect-[2/3]', fit: 'object-cover' },
+    logo: { getUrl: (path) => utils.getLogoUrl(path), aspect: 'aspect-[3/2]', fit: 'object-contain p-4' },
+};
+
+// 이미지가 없을 때 표시할 아이콘
+const FALLBACK_ICONS = {
+    poster: '🎬',
+    profile: '👤',
+    logo: '🏢',
+};
+
+/**
+ * 검색 결과 한 건 (TV, 인물, 컬렉션, 제작사 등 영화 외 결과)
+ * to가 없으면 링크 없이 표시합니다.
+ */
+function SearchResultTile({ to, imagePath, imageType = 'poster', title, subtitle }) {
+    const { t } = useTranslation();
+    const { getUrl, aspect, fit } = IMAGE_TYPES[imageType];
+    const imageUrl = getUrl(imagePath);
+
+    const content = (
+        <>
+            <figure className={`relative ${aspect} mb-3 overflow-hidden rounded-lg bg-gray-200`}>
+                {imageUrl ? (
+                    <img
+                        src={imageUrl}
+                        alt={title}
+                        className={`w-full h-full ${fit} transition-transform duration-300 group-hover:scale-105`}
+                        loading="lazy"
+                    />
+                ) : (
+                    <div
+                        className="w-full h-full bg-gradient-to-br from-gray-300 to-gray-400 flex items-center justify-center text-4xl"
+                        role="img"
+                        aria-label={t('search.noImage', { title })}
+                    >
+                        <span aria-hidden="true">{FALLBACK_ICONS[imageType]}</span>
+                    </div>
+                )}
+            </figure>
+            <h3 className="font-semibold text-sm leading-tight line-clamp-2 group-hover:text-blue-600 transition-colors">
+                {title}
+            </h3>
+            {subtitle && <p className="text-xs text-gray-500 mt-1 line-clamp-1">{subtitle}</p>}
+        </>
+    );
+
+    return (
+        <article className="group">
+            {to ? (
+                <Link to={to} className="block">
+                    {content}
+                </Link>
+            ) : (
+                content
+            )}
+        </article>
+    );
+}
+
+export default SearchResultTile;
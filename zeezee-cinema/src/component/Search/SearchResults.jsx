@@ -0,0 +1,83 @@
+import { Link } from 'react-router-dom';
+import MovieCard from '../MovieCard/MovieCard';
+import { toMovieCard } from '../MovieCard/movieCardModel';
+import { t } from '../../i18n';
+import SearchResultTile from './SearchResultTile';
+
+// 연도 추출
+const getYear = (dateString) => (dateString ? t('common.year', { year: new Date(dateString).getFullYear() }) : '');
+
+/**
+ * 검색 유형별 결과 항목 렌더링
+ * @param {string} type - 검색 유형
+ * @param {Object} item - TMDB 검색 결과 항목
+ */
+const renderItem = (type, item) => {
+    switch (type) {
+        case 'movie':
+            return <MovieCard movie={toMovieCard(item)} />;
+        case 'tv':
+            return (
+                <SearchResultTile
+                    to={`/tv/${item.id}`}
+                    imagePath={item.poster_path}
+                    title={item.name}
+                    subtitle={getYear(item.first_air_date)}
+                />
+            );
+        case 'person':
+            return (
+                <SearchResultTile
+                    to={`/person/${item.id}`}
+                    imagePath={item.profile_path}
+                    imageType="profile"
+                    title={item.name}
+                    subtitle={item.known_for?.map((work) => work.title || work.name).join(', ')}
+                />
+            );
+        case 'collection':
+            return <SearchResultTile to={`/collection/${item.id}`} imagePath={item.poster_path} title={item.name} />;
+        case 'company':
+            return (
+                <SearchResultTile
+                    to={`/company/${item.id}`}
+                    imagePath={item.logo_path}
+                    imageType="logo"
+                    title={item.name}
+                    subtitle={item.origin_country}
+                />
+            );
+        default:
+            return null;
+    }
+};
+
+function SearchResults({ type, items }) {
+    // 키워드는 이미지가 없으므로 칩 형태로 표시
+    if (type === 'keyword') {
+        return (
+            <ul className="flex flex-wrap gap-2">
+                {items.map((keyword) => (
+                    <li key={keyword.id}>
+                        <Link
+                            to={`/keyword/${keyword.id}`}
+                            className="block bg-gray-100 text-gray-700 px-3 py-1 rounded-full text-sm hover:bg-gray-200 hover:text-gray-900 transition-colors"
+                        >
+                            {keyword.name}
+                        </Link>
+                    </li>
+                ))}
+            </ul>
+        );
+    }
+
+    return (
+        <ul className="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-4 lg:grid-cols-5 xl:grid-cols-6 gap-4">
+            {items.map((item) => (
+                <li key={item.id}>{renderItem(type, item)}</li>
+            ))}
+        </ul>
+    );
+}
+
+export default SearchResults;
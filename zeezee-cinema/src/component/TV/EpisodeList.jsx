@@ -0,0 +1,80 @@
+import { Link } from 'react-router-dom';
+import { createUtils } from '../../services/movieService';
+import { formatDate, formatRuntime } from '../../utils/format';
+import useTranslation from '../../hooks/useTranslation';
+
+const utils = createUtils();
+
+// 에피소드마다 표시할 최대 게스트 출연진 수
+const MAX_GUEST_STARS = 5;
+
+function EpisodeList({ tvId, episodes = [] }) {
+    const { t } = useTranslation();
+    if (episodes.length === 0) {
+        return <p className="text-gray-500">{t('tv.noEpisodes')}</p>;
+    }
+
+    return (
+        <ol className="space-y-6">
+            {episodes.map((episode) => {
+                const stillUrl = utils.getStillUrl(episode.still_path);
+                const episodePath = `/tv/${tvId}/season/${episode.season_number}/episode/${episode.episode_number}`;
+                const guestStars = episode.guest_stars || [];
+
+                return (
+                    <li key={episode.id} className="flex flex-col sm:flex-row gap-4">
+                        <Link to={episodePath} className="sm:w-64 shrink-0" tabIndex={-1} aria-hidden="true">
+                            <figure className="aspect-video overflow-hidden rounded-lg bg-gray-200">
+                                {stillUrl ? (
+                                    <img src={stillUrl} alt="" className="w-full h-full object-cover" loading="lazy" />
+                                ) : (
+                                    <div className="w-full h-full flex items-center justify-center text-4xl text-gray-500">
+                                        📺
+                                    </div>
+                                )}
+                            </figure>
+                        </Link>
+
+                        <div className="flex-1 min-w-0 space-y-1">
+                            <h3 className="font-semibold">
+                                <Link to={episodePath} className="hover:text-blue-600 transition-colors">
+                                    {t('tv.episodeTitle', { number: episode.episode_number, name: episode.name })}
+                                </Link>
+                            </h3>
+                            <p className="flex flex-wrap gap-x-3 text-xs text-gray-500">
+                                {episode.air_date && (
+                                    <time dateTime={episode.air_date}>{formatDate(episode.air_date)}</time>
+                                )}
+                                {episode.runtime > 0 && <span>{formatRuntime(episode.runtime)}</span>}
+                                {episode.vote_average > 0 && <span>★ {episode.vote_average.toFixed(1)}</span>}
+                            </p>
+                            {episode.overview && (
+                                <p className="text-sm text-gray-700 leading-relaxed line-clamp-3">{episode.overview}</p>
+                            )}
+                            {guestStars.length > 0 && (
+                                <p className="text-xs text-gray-500">
+                                    <span className="font-medium text-gray-700">{t('tv.guest')} </span>
+                                    {guestStars.slice(0, MAX_GUEST_STARS).map((person, index) => (
+                                        <span key={person.credit_id}>
+                                            {index > 0 && ', '}
+                                            <Link
+                                                to={`/person/${person.id}`}
+                                                className="hover:text-blue-600 transition-colors"
+                                            >
+                                                {person.name}
+                                            </Link>
+                                        </span>
+                                    ))}
+                                    {guestStars.length > MAX_GUEST_STARS &&
+                                        t('tv.moreGuests', { count: guestStars.length - MAX_GUEST_STARS })}
+                                </p>
+                            )}
+                        </div>
+                    </li>
+                );
+            })}
+        </ol>
+    );
+}
+
+export default EpisodeList;
@@ -0,0 +1,37 @@
+import SearchResultTile from '../Search/SearchResultTile';
+import useTranslation from '../../hooks/useTranslation';
+
+function SeasonList({ tvId, seasons = [] }) {
+    const { t } = useTranslation();
+    if (seasons.length === 0) return null;
+
+    return (
+        <section className="m-8" aria-labelledby="seasons-title">
+            <header>
+                <h2 id="seasons-title" className="text-2xl font-bold mb-4">
+                    {t('tv.seasons')}
+                </h2>
+            </header>
+
+            <ul className="flex gap-4 overflow-x-auto pb-4">
+                {seasons.map((season) => (
+                    <li key={season.id} className="w-32 shrink-0">
+                        <SearchResultTile
+                            to={`/tv/${tvId}/season/${season.season_number}`}
+                            imagePath={season.poster_path}
+                            title={season.name}
+                            subtitle={[
+                                season.air_date && t('common.year', { year: new Date(season.air_date).getFullYear() }),
+                                t('tv.episodeCount', { count: season.episode_count }),
+                            ]
+                                .filter(Boolean)
+                                .join(' · ')}
+                        />
+                    </li>
+                ))}
+            </ul>
+        </section>
+    );
+}
+
+export default SeasonList;
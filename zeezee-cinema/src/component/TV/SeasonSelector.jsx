@@ -0,0 +1,27 @@
+import { useNavigate } from 'react-router-dom';
+import useTranslation from '../../hooks/useTranslation';
+
+function SeasonSelector({ tvId, seasons = [], current }) {
+    const { t } = useTranslation();
+    const navigate = useNavigate();
+    if (seasons.length < 2) return null;
+
+    return (
+        <label className="inline-flex items-center gap-2 text-sm">
+            <span className="font-medium text-gray-700">{t('tv.selectSeason')}</span>
+            <select
+                value={current}
+                onChange={(e) => navigate(`/tv/${tvId}/season/${e.target.value}`)}
+                className="border border-gray-300 rounded-md px-2 py-1 text-sm"
+            >
+                {seasons.map((season) => (
+                    <option key={season.id} value={season.season_number}>
+                        {season.name}
+                    </option>
+                ))}
+            </select>
+        </label>
+    );
+}
+
+export default SeasonSelector;
@@ -0,0 +1,122 @@
+import TmdbImage from '../Image/TmdbImage';
+import useTranslation from '../../hooks/useTranslation';
+
+// 표시할 방영 상태 (표기는 tv.status 메시지)
+const STATUSES = ['Returning Series', 'In Production', 'Planned', 'Ended', 'Canceled', 'Pilot'];
+
+// 방영 기간 (예: 2011 – 2019, 2022 –)
+const getAirYears = (show) => {
+    if (!show.first_air_date) return '';
+    const first = new Date(show.first_air_date).getFullYear();
+    if (show.in_production || !show.last_air_date) return `${first} –`;
+    const last = new Date(show.last_air_date).getFullYear();
+    return first === last ? `${first}` : `${first} – ${last}`;
+};
+
+function TVHero({ show, children }) {
+    const { t } = useTranslation();
+    const airYears = getAirYears(show);
+
+    return (
+        <section className="relative w-full min-h-[500px] bg-gray-900 text-white" aria-labelledby="tv-title">
+            {show.backdrop_path && (
+                <figure className="absolute inset-0" aria-hidden="true">
+                    <TmdbImage
+                        path={show.backdrop_path}
+                        type="backdrop"
+                        sizes="100vw"
+                        fallbackWidth={1280}
+                        className="w-full h-full opacity-40"
+                        imgClassName="object-cover object-center"
+                        loading="eager"
+                    />
+                    <div className="absolute inset-0 bg-gradient-to-t from-gray-900 via-gray-900/60 to-transparent"></div>
+                </figure>
+            )}
+
+            <div className="relative z-10 flex flex-col md:flex-row gap-8 px-8 py-12 max-w-6xl mx-auto">
+                {show.poster_path && (
+                    <TmdbImage
+                        path={show.poster_path}
+                        type="poster"
+                        sizes="(min-width: 768px) 256px, 192px"
+                        fallbackWidth={342}
+                        alt={t('movieCard.poster', { title: show.name })}
+                        className="w-48 md:w-64 shrink-0 aspect-[2/3] rounded-lg shadow-2xl self-start"
+                        loading="eager"
+                    />
+                )}
+
+                <div className="flex-1 space-y-4">
+                    <header>
+                        <h1 id="tv-title" className="text-3xl md:text-5xl font-bold drop-shadow-2xl">
+                            {show.name}
+                        </h1>
+                        {show.original_name && show.original_name !== show.name && (
+                            <p className="text-white/70 mt-1">{show.original_name}</p>
+                        )}
+                    </header>
+
+                    <div className="flex flex-wrap items-center gap-3 text-sm">
+                        {STATUSES.includes(show.status) && (
+                            <span className="border border-white/70 px-2 py-0.5 rounded font-semibold">
+                                {t(`tv.status.${show.status}`)}
+                            </span>
+                        )}
+                        {airYears && <span className="text-white/90">{airYears}</span>}
+                        {show.number_of_seasons > 0 && (
+                            <span className="text-white/90">
+                                {t('tv.counts', { seasons: show.number_of_seasons, episodes: show.number_of_episodes })}
+                            </span>
+                        )}
+                        {show.vote_average > 0 && (
+                            <span
+                                className="flex items-center bg-yellow-500 text-black px-3 py-1 rounded-full font-semibold"
+                                role="img"
+                                aria-label={t('common.rating', { rating: show.vote_average.toFixed(1) })}
+                            >
+                                <span aria-hidden="true">★</span>
+                                <span className="ml-1">{show.vote_average.toFixed(1)}</span>
+                            </span>
+                        )}
+                    </div>
+
+                    {show.genres?.length > 0 && (
+                        <ul className="flex flex-wrap gap-2" aria-label={t('movieDetail.genres')}>
+                            {show.genres.map((genre) => (
+                                <li key={genre.id} className="bg-white/20 px-3 py-1 rounded-full text-sm">
+                                    {genre.name}
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+
+                    {show.tagline && <p className="italic text-white/80">{show.tagline}</p>}
+
+                    <p className="text-white/90 leading-relaxed max-w-3xl">{show.overview || t('common.noOverview')}</p>
+
+                    {(show.created_by?.length > 0 || show.networks?.length > 0) && (
+                        <dl className="grid grid-cols-[auto_1fr] gap-x-4 gap-y-1 text-sm">
+                            {show.created_by?.length > 0 && (
+                                <>
+                                    <dt className="text-white/60">{t('tv.createdBy')}</dt>
+                                    <dd>{show.created_by.map((creator) => creator.name).join(', ')}</dd>
+                                </>
+                            )}
+                            {show.networks?.length > 0 && (
+                                <>
+                                    <dt className="text-white/60">{t('tv.networks')}</dt>
+                                    <dd>{show.networks.map((network) => network.name).join(', ')}</dd>
+                                </>
+                            )}
+                        </dl>
+                    )}
+
+                    {children}
+                </div>
+            </div>
+        </section>
+    );
+}
+
+export default TVHero;
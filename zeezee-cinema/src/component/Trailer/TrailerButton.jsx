@@ -0,0 +1,42 @@
+import { useState } from 'react';
+import TrailerModal from './TrailerModal';
+import useTranslation from '../../hooks/useTranslation';
+
+/**
+ * 예고편 재생 버튼 (누르면 예고편 창을 열고, 그때 동영상 목록을 요청)
+ * @param {'movie'|'tv'} mediaType - 작품 유형
+ * @param {number} id - 작품 ID
+ * @param {string} title - 작품 제목
+ * @param {string|null} originalLanguage - 작품의 원어 (ISO 639-1, 예고편을 찾을 때 사용)
+ * @param {string} className - 버튼 스타일
+ */
+function TrailerButton({ mediaType, id, title, originalLanguage = null, className }) {
+    const { t } = useTranslation();
+    const [open, setOpen] = useState(false);
+
+    return (
+        <>
+            <button
+                type="button"
+                onClick={() => setOpen(true)}
+                className={className}
+                aria-haspopup="dialog"
+                aria-label={t('trailer.playTitle', { title })}
+            >
+                <span aria-hidden="true">▶ </span>
+                {t('trailer.play')}
+            </button>
+            {open && (
+                <TrailerModal
+                    mediaType={mediaType}
+                    id={id}
+                    title={title}
+                    originalLanguage={originalLanguage}
+                    onClose={() => setOpen(false)}
+                />
+            )}
+        </>
+    );
+}
+
+export default TrailerButton;
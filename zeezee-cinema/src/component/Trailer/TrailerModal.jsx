@@ -0,0 +1,152 @@
+import { useEffect, useMemo, useState } from 'react';
+import { createPortal } from 'react-dom';
+import { useDispatch, useSelector } from 'react-redux';
+import { fetchVideos } from '../../store/actions/videosActions';
+import { selectVideos } from '../../store/reducers/videosReducer';
+import { getVideoThumbnailUrl, pickBestTrailer, sortVideos } from '../../utils/trailers';
+import YouTubeFacade from './YouTubeFacade';
+import useTranslation from '../../hooks/useTranslation';
+import useModalDialog from '../../hooks/useModalDialog';
+
+/**
+ * 예고편 재생 창
+ * 현재 언어에 맞는 가장 좋은 예고편을 먼저 보여 주고, 다른 영상을 목록에서 고를 수 있습니다.
+ * Esc 키, 포커스, 배경 스크롤 처리는 useModalDialog 참고.
+ * @param {'movie'|'tv'} mediaType - 작품 유형
+ * @param {number} id - 작품 ID
+ * @param {string} title - 작품 제목
+ * @param {string|null} originalLanguage - 작품의 원어 (ISO 639-1)
+ * @param {Function} onClose - 닫을 때 호출
+ */
+function TrailerModal({ mediaType, id, title, originalLanguage = null, onClose }) {
+    const dispatch = useDispatch();
+    const { t, tError, locale } = useTranslation();
+    const { data, loading, error } = useSelector((state) => selectVideos(state, mediaType, id));
+    const [selectedKey, setSelectedKey] = useState(null);
+    // 한 번 재생을 시작하면 다른 영상을 고를 때 바로 재생
+    const [started, setStarted] = useState(false);
+    const dialogRef = useModalDialog(onClose);
+
+    useEffect(() => {
+        dispatch(fetchVideos({ mediaType, id, originalLanguage }));
+    }, [dispatch, mediaType, id, originalLanguage]);
+
+    const videos = useMemo(() => sortVideos(data || [], locale), [data, locale]);
+    const best = useMemo(() => pickBestTrailer(data || [], locale), [data, locale]);
+    const selected = videos.find((video) => video.key === selectedKey) || best;
+    const others = videos.filter((video) => video !== selected);
+
+    /**
+     * 동영상 유형 이름 (번역이 없는 유형은 TMDB 값을 그대로 표시)
+     * @param {string} type - TMDB 동영상 유형
+     * @returns {string}
+     */
+    const getTypeLabel = (type) => {
+        const key = `trailer.types.${type}`;
+        const label = t(key);
+        return label === key ? type : label;
+    };
+
+    let content;
+    if (error) {
+        content = <p className="py-16 text-center text-red-300">{t('trailer.error', { error: tError(error) })}</p>;
+    } else if (loading || !data) {
+        content = (
+            <p className="py-16 text-center text-white/70" aria-live="polite">
+                {t('trailer.loading')}
+            </p>
+        );
+    } else {
+        // 예고편과 티저가 없어도 다른 영상은 고를 수 있음
+        content = (
+            <>
+                {selected ? (
+                    <>
+                        <YouTubeFacade
+                            key={selected.key}
+                            video={selected}
+                            autoPlay={started}
+                            onPlay={() => setStarted(true)}
+                        />
+                        <p className="mt-3 text-sm text-white/80">
+                            <span className="mr-2 rounded bg-white/10 px-2 py-0.5 text-xs">
+                                {getTypeLabel(selected.type)}
+                            </span>
+                            {selected.name}
+                        </p>
+                    </>
+                ) : (
+                    <p className="py-16 text-center text-white/70">{t('trailer.none')}</p>
+                )}
+
+                {others.length > 0 && (
+                    <section className="mt-6" aria-labelledby="trailer-others-title">
+                        <h3 id="trailer-others-title" className="mb-3 font-semibold">
+                            {t('trailer.otherVideos')}
+                        </h3>
+                        <ul className="flex gap-3 overflow-x-auto pb-2">
+                            {others.map((video) => (
+                                <li key={video.id} className="w-44 shrink-0">
+                                    <button
+                                        type="button"
+                                        onClick={() => setSelectedKey(video.key)}
+                                        className="group block w-full text-left focus:outline-none focus:ring-2 focus:ring-white/70 rounded"
+                                        aria-label={t('trailer.playVideo', { name: video.name })}
+                                    >
+                                        <img
+                                            src={getVideoThumbnailUrl(video.key, 'mqdefault')}
+                                            alt=""
+                                            className="w-full aspect-video object-cover rounded bg-gray-800 transition-opacity group-hover:opacity-80"
+                                            loading="lazy"
+                                        />
+                                        <span className="mt-1 block text-xs text-white/60">
+                                            {getTypeLabel(video.type)}
+                                        </span>
+                                        <span className="block text-sm leading-tight line-clamp-2">{video.name}</span>
+                                    </button>
+                                </li>
+                            ))}
+                        </ul>
+                    </section>
+                )}
+            </>
+        );
+    }
+
+    return createPortal(
+        <div
+            className="fixed inset-0 z-50 flex items-center justify-center bg-black/80 p-4"
+            onMouseDown={(e) => {
+                // 바깥 영역을 누르면 닫기
+                if (e.target === e.currentTarget) onClose();
+            }}
+        >
+            <div
+                ref={dialogRef}
+                role="dialog"
+                aria-modal="true"
+                aria-labelledby="trailer-dialog-title"
+                tabIndex={-1}
+                className="w-full max-w-4xl max-h-full overflow-y-auto rounded-xl bg-gray-900 p-4 md:p-6 text-white shadow-2xl focus:outline-none"
+            >
+                <header className="mb-4 flex items-center justify-between gap-4">
+                    <h2 id="trailer-dialog-title" className="text-lg md:text-xl font-bold line-clamp-1">
+                        {t('trailer.dialog', { title })}
+                    </h2>
+                    <button
+                        type="button"
+                        onClick={onClose}
+                        className="shrink-0 w-10 h-10 rounded-full bg-white/10 hover:bg-white/20 transition-colors"
+                        aria-label={t('trailer.close')}
+                    >
+                        <span aria-hidden="true">✕</span>
+                    </button>
+                </header>
+                {content}
+            </div>
+        </div>,
+        document.body
+    );
+}
+
+export default TrailerModal;
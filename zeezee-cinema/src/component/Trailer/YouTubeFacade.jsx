@@ -0,0 +1,54 @@
+import { useState } from 'react';
+import { getVideoEmbedUrl, getVideoThumbnailUrl } from '../../utils/trailers';
+import useTranslation from '../../hooks/useTranslation';
+
+/**
+ * YouTube 플레이어 자리 표시 (썸네일만 보여 주고, 클릭하면 그때 iframe을 불러옴)
+ * 열기만 한 사용자는 YouTube 스크립트와 쿠키를 받지 않습니다.
+ * 다른 영상을 고르면 새로 그리도록 부모에서 key를 동영상 키로 지정하세요.
+ * @param {Object} video - TMDB 동영상 (site: 'YouTube')
+ * @param {boolean} autoPlay - 썸네일 없이 바로 재생할지 여부 (이미 재생을 시작한 사용자가 다른 영상을 고른 경우)
+ * @param {Function} onPlay - 재생을 시작했을 때 호출
+ */
+function YouTubeFacade({ video, autoPlay = false, onPlay }) {
+    const { t } = useTranslation();
+    const [playing, setPlaying] = useState(autoPlay);
+
+    if (playing) {
+        return (
+            <iframe
+                src={getVideoEmbedUrl(video.key)}
+                title={video.name}
+                className="w-full aspect-video rounded-lg bg-black"
+                allow="autoplay; encrypted-media; picture-in-picture; fullscreen"
+                allowFullScreen
+            />
+        );
+    }
+
+    return (
+        <button
+            type="button"
+            onClick={() => {
+                setPlaying(true);
+                onPlay?.();
+            }}
+            className="group relative block w-full aspect-video overflow-hidden rounded-lg bg-black focus:outline-none focus:ring-2 focus:ring-white/70"
+            aria-label={t('trailer.playVideo', { name: video.name })}
+        >
+            <img
+                src={getVideoThumbnailUrl(video.key)}
+                alt=""
+                className="w-full h-full object-cover opacity-80 transition-opacity group-hover:opacity-100"
+            />
+            <span
+                className="absolute inset-0 m-auto flex w-20 h-14 items-center justify-center rounded-2xl bg-red-600 text-white text-2xl shadow-lg transition-transform group-hover:scale-110"
+                aria-hidden="true"
+            >
+                ▶
+            </span>
+        </button>
+    );
+}
+
+export default YouTubeFacade;
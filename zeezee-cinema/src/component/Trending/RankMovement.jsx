@@ -0,0 +1,34 @@
+import useTranslation from '../../hooks/useTranslation';
+
+// 순위 변동 유형별 표시
+const MOVEMENT_STYLES = {
+    up: { symbol: '▲', className: 'text-green-600' },
+    down: { symbol: '▼', className: 'text-red-600' },
+    same: { symbol: '-', className: 'text-gray-400' },
+    new: { symbol: 'NEW', className: 'text-blue-600' },
+};
+
+/**
+ * 이전 스냅샷과 비교한 순위 변동 표시 (▲3, ▼1, -, NEW)
+ * @param {{type: 'up'|'down'|'same'|'new', change: number}|null} movement - utils/trendingSnapshots.js의 getRankMovement 결과
+ */
+function RankMovement({ movement }) {
+    const { t } = useTranslation();
+    if (!movement) return null;
+    const { symbol, className } = MOVEMENT_STYLES[movement.type];
+
+    return (
+        <span
+            className={`text-xs font-bold ${className}`}
+            role="img"
+            aria-label={t(`trending.movement.${movement.type}`, { change: movement.change })}
+        >
+            <span aria-hidden="true">
+                {symbol}
+                {movement.change > 0 && movement.change}
+            </span>
+        </span>
+    );
+}
+
+export default RankMovement;
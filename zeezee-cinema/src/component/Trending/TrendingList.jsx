@@ -0,0 +1,75 @@
+import MovieCard from '../MovieCard/MovieCard';
+import { toMovieCard } from '../MovieCard/movieCardModel';
+import { t } from '../../i18n';
+import SearchResultTile from '../Search/SearchResultTile';
+import RankMovement from './RankMovement';
+import { getRankMovement, getSnapshotId } from '../../utils/trendingSnapshots';
+
+// 연도 추출
+const getYear = (dateString) => (dateString ? t('common.year', { year: new Date(dateString).getFullYear() }) : '');
+
+/**
+ * 트렌딩 항목 유형별 카드 (검색 결과와 같은 카드 사용)
+ * @param {Object} item - media_type이 있는 트렌딩 항목
+ */
+const renderItem = (item) => {
+    switch (item.media_type) {
+        case 'movie':
+            return <MovieCard movie={toMovieCard(item, 'poster')} />;
+        case 'tv':
+            return (
+                <SearchResultTile
+                    to={`/tv/${item.id}`}
+                    imagePath={item.poster_path}
+                    title={item.name}
+                    subtitle={getYear(item.first_air_date)}
+                />
+            );
+        case 'person':
+            return (
+                <SearchResultTile
+                    to={`/person/${item.id}`}
+                    imagePath={item.profile_path}
+                    imageType="profile"
+                    title={item.name}
+                    subtitle={item.known_for?.map((work) => work.title || work.name).join(', ')}
+                />
+            );
+        default:
+            return null;
+    }
+};
+
+/**
+ * 순위 배지와 순위 변동을 함께 표시하는 트렌딩 목록
+ * @param {Array<Object>} items - 순위 순서의 트렌딩 항목
+ * @param {string[]|null} previousIds - 순위 변동 비교에 사용할 이전 스냅샷 (없으면 변동을 표시하지 않음)
+ */
+function TrendingList({ items, previousIds }) {
+    return (
+        <ol className="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-4 lg:grid-cols-5 xl:grid-cols-6 gap-4">
+            {items.map((item, index) => {
+                const rank = index + 1;
+                return (
+                    <li key={getSnapshotId(item)}>
+                        <div className="flex items-center gap-2 mb-2">
+                            <span
+                                className={`min-w-8 h-8 px-2 flex items-center justify-center rounded-full text-sm font-bold ${
+                                    rank <= 3 ? 'bg-yellow-400 text-gray-900' : 'bg-gray-800 text-white'
+                                }`}
+                                role="img"
+                                aria-label={t('trending.rank', { rank })}
+                            >
+                                {rank}
+                            </span>
+                            <RankMovement movement={getRankMovement(getSnapshotId(item), rank, previousIds)} />
+                        </div>
+                        {renderItem(item)}
+                    </li>
+                );
+            })}
+        </ol>
+    );
+}
+
+export default TrendingList;
@@ -0,0 +1,113 @@
+import { useEffect, useCallback, useMemo } from 'react';
+import { useSelector } from 'react-redux';
+import { createUtils } from '../../services/movieService';
+import { fetchWatchProviders } from '../../store/actions/watchProvidersActions';
+import { selectMyServices, selectWatchProviders } from '../../store/reducers/watchProvidersReducer';
+import { selectRegion } from '../../store/reducers/localeReducer';
+import { WATCH_GROUPS, groupWatchProviders } from '../../utils/watchProviders';
+import { getRegionName } from '../../i18n/locales';
+import useCancellableDispatch from '../../hooks/useCancellableDispatch';
+import useTranslation from '../../hooks/useTranslation';
+
+const utils = createUtils();
+
+/**
+ * 사용자 지역에서 작품을 볼 수 있는 서비스 ("볼 수 있는 곳")
+ * 스트리밍/대여/구매로 나눠 로고를 표시하고, 내 구독 서비스는 강조합니다.
+ * @param {'movie'|'tv'} mediaType - 작품 유형
+ * @param {number} id - 작품 ID
+ */
+function WatchProvidersPanel({ mediaType, id }) {
+    const dispatch = useCancellableDispatch(`${mediaType}/${id}`);
+    const { t, tError, locale } = useTranslation();
+    const region = useSelector(selectRegion);
+    const { data, loading, error } = useSelector((state) => selectWatchProviders(state, mediaType, id));
+    const myServices = useSelector((state) => selectMyServices(state, region));
+
+    const fetchProviders = useCallback(() => {
+        dispatch(fetchWatchProviders({ mediaType, id }));
+    }, [dispatch, mediaType, id]);
+
+    useEffect(() => {
+        fetchProviders();
+    }, [fetchProviders]);
+
+    const providers = useMemo(() => groupWatchProviders(data, region), [data, region]);
+    const groups = Object.keys(WATCH_GROUPS).filter((group) => providers?.groups[group].length > 0);
+    const regionName = getRegionName(region, locale);
+
+    return (
+        <section className="m-8" aria-labelledby="watch-providers-title" aria-busy={loading}>
+            <header className="flex items-baseline gap-2 mb-4">
+                <h2 id="watch-providers-title" className="text-2xl font-bold">
+                    {t('watch.title')}
+                </h2>
+                <span className="text-sm text-gray-500">{regionName}</span>
+            </header>
+
+            {error && (
+                <div className="flex items-center gap-3 text-sm" role="alert">
+                    <p className="text-red-600">{t('watch.error', { error: tError(error) })}</p>
+                    <button onClick={fetchProviders} className="text-red-600 underline" type="button">
+                        {t('common.retry')}
+                    </button>
+                </div>
+            )}
+
+            {data && groups.length === 0 && (
+                <p className="text-sm text-gray-500">{t('watch.none', { region: regionName })}</p>
+            )}
+
+            {groups.length > 0 && (
+                <>
+                    <dl className="space-y-4">
+                        {groups.map((group) => (
+                            <div key={group} className="flex flex-col sm:flex-row sm:items-center gap-2">
+                                <dt className="w-20 shrink-0 text-sm font-medium text-gray-700">
+                                    {t(`watch.${group}`)}
+                                </dt>
+                                <dd>
+                                    <ul className="flex flex-wrap gap-3">
+                                        {providers.groups[group].map((provider) => {
+                                            const mine = myServices.includes(provider.provider_id);
+                                            return (
+                                                <li key={provider.provider_id}>
+                                                    <img
+                                                        src={utils.getLogoUrl(provider.logo_path, 'w92')}
+                                                        alt={provider.provider_name}
+                                                        title={
+                                                            mine
+                                                                ? `${provider.provider_name} (${t('watch.myService')})`
+                                                                : provider.provider_name
+                                                        }
+                                                        className={`w-12 h-12 rounded-lg object-cover ${
+                                                            mine ? 'ring-2 ring-blue-600 ring-offset-2' : ''
+                                                        }`}
+                                                        loading="lazy"
+                                                    />
+                                                </li>
+                                            );
+                                        })}
+                                    </ul>
+                                </dd>
+                            </div>
+                        ))}
+                    </dl>
+                    <p className="mt-4 text-xs text-gray-500">
+                        {t('watch.attribution')}
+                        {providers.link && (
+                            <>
+                                {' · '}
+                                <a href={providers.link} target="_blank" rel="noreferrer" className="underline">
+                                    {t('watch.more')}
+                                </a>
+                            </>
+                        )}
+                    </p>
+                </>
+            )}
+        </section>
+    );
+}
+
+export default WatchProvidersPanel;
@@ -0,0 +1,137 @@
+import { createDiscover, createMovies, createTrending, createTV } from '../services/movieService';
+import { TMDB_CREDENTIALS } from '../services/tmdbAuth';
+import { DEFAULT_LOCALE, getRegionName } from '../i18n/locales';
+
+const moviesApi = createMovies(TMDB_CREDENTIALS);
+const tvApi = createTV(TMDB_CREDENTIALS);
+const discoverApi = createDiscover(TMDB_CREDENTIALS);
+const trendingApi = createTrending(TMDB_CREDENTIALS);
+
+// 공포 장르 ID
+const HORROR_GENRE_ID = 27;
+
+/**
+ * 홈 화면의 행(배너, 가로 목록) 설정
+ *
+ * 행 id는 스토어의 카테고리 키로도 사용합니다. (categories 슬라이스, 'categories/<id>' 페이지 정보)
+ * 새 행은 이 목록에 항목을 추가하면 되며, 컴포넌트를 새로 만들 필요가 없습니다.
+ *
+ * @typedef {Object} HomeRow
+ * @property {string} id - 행 id
+ * @property {{ko: string, en: string}} title - 언어별 제목
+ * @property {'movie'|'tv'} [mediaType] - 작품 유형
+ * @property {'banner'|'backdrop'|'poster'} layout - 표시 형태 (상단 배너, 배경 이미지 카드, 포스터 카드)
+ * @property {(page: number, options: RequestOptions) => Promise<Object>} [fetch] - TMDB 목록 조회 함수
+ * @property {boolean} [regional] - 사용자 지역 기준 목록 여부 (요청에 지역 설정을 사용하고 제목에 지역 이름을 붙임)
+ * @property {boolean} [personalized] - 개인화 추천 행 여부 (fetch 대신 사용자의 기록으로 여러 행을 만듦)
+ */
+
+/** @type {HomeRow[]} */
+export const HOME_ROWS = [
+    {
+        id: 'featured',
+        title: { ko: '추천 영화', en: 'Featured' },
+        mediaType: 'movie',
+        layout: 'banner',
+        regional: true,
+        fetch: (page, options) => moviesApi.getUpcomingMovies(page, null, null, options),
+    },
+    {
+        id: 'becauseYouWatched',
+        title: { ko: '취향 맞춤 추천', en: 'Because You Watched' },
+        layout: 'poster',
+        personalized: true,
+    },
+    {
+        id: 'nowPlaying',
+        title: { ko: '현재 상영작', en: 'Now Playing' },
+        mediaType: 'movie',
+        layout: 'backdrop',
+        regional: true,
+        fetch: (page, options) => moviesApi.getNowPlayingMovies(page, null, null, options),
+    },
+    {
+        id: 'trendingWeek',
+        title: { ko: '이번 주 트렌딩', en: 'Trending This Week' },
+        mediaType: 'movie',
+        layout: 'poster',
+        // 트렌딩 목록은 페이지를 나누지 않음
+        fetch: (page, options) => trendingApi.getTrendingMovies('week', null, options),
+    },
+    {
+        id: 'upcoming',
+        title: { ko: '개봉 예정작', en: 'Upcoming Releases' },
+        mediaType: 'movie',
+        layout: 'backdrop',
+        regional: true,
+        fetch: (page, options) => moviesApi.getUpcomingMovies(page, null, null, options),
+    },
+    {
+        id: 'topRated',
+        title: { ko: '최고 평점 영화', en: 'Top Rated' },
+        mediaType: 'movie',
+        layout: 'backdrop',
+        fetch: (page, options) => moviesApi.getTopRatedMovies(page, null, null, options),
+    },
+    {
+        id: 'popular',
+        title: { ko: '인기 영화', en: 'Popular Movies' },
+        mediaType: 'movie',
+        layout: 'backdrop',
+        fetch: (page, options) => moviesApi.getPopularMovies(page, null, null, options),
+    },
+    {
+        id: 'koreanMovies',
+        title: { ko: '한국 영화', en: 'Korean Films' },
+        mediaType: 'movie',
+        layout: 'poster',
+        fetch: (page, options) =>
+            discoverApi.discoverMovies({ with_original_language: 'ko', sort_by: 'popularity.desc', page }, options),
+    },
+    {
+        id: 'horrorByRating',
+        title: { ko: '평점 높은 공포 영화', en: 'Horror by Rating' },
+        mediaType: 'movie',
+        layout: 'poster',
+        fetch: (page, options) =>
+            discoverApi.discoverMovies(
+                // 평가 수가 적은 영화가 위로 올라오지 않도록 최소 평가 수를 둠
+                { with_genres: HORROR_GENRE_ID, sort_by: 'vote_average.desc', 'vote_count.gte': 500, page },
+                options
+            ),
+    },
+    {
+        id: 'airingToday',
+        title: { ko: '오늘 방영하는 TV 프로그램', en: 'Airing Today' },
+        mediaType: 'tv',
+        layout: 'backdrop',
+        fetch: (page, options) => tvApi.getAiringTodayTVShows(page, null, options),
+    },
+    {
+        id: 'onTheAir',
+        title: { ko: '방영 중인 TV 프로그램', en: 'On The Air' },
+        mediaType: 'tv',
+        layout: 'backdrop',
+        fetch: (page, options) => tvApi.getOnTheAirTVShows(page, null, options),
+    },
+];
+
+/**
+ * id로 홈 화면 행을 찾습니다.
+ * @param {string} id - 행 id
+ * @returns {HomeRow|undefined}
+ */
+export const getHomeRow = (id) => HOME_ROWS.find((row) => row.id === id);
+
+/**
+ * 언어에 맞는 행 제목 (해당 언어 제목이 없으면 기본 언어 제목)
+ * 지역 기준 행은 지역 이름을 붙입니다. (예: '현재 상영작 · 대한민국')
+ * @param {HomeRow} row - 홈 화면 행
+ * @param {string} locale - 언어 (예: 'ko', 'en')
+ * @param {string|null} region - 사용자 지역 코드
+ * @returns {string} 행 제목
+ */
+export const getRowTitle = (row, locale = DEFAULT_LOCALE, region = null) => {
+    const title = row.title[locale] || row.title[DEFAULT_LOCALE];
+    return row.regional && region ? `${title} · ${getRegionName(region, locale)}` : title;
+};
@@ -0,0 +1,41 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useDispatch } from 'react-redux';
+
+/**
+ * 컴포넌트가 언마운트되거나 resetKey가 바뀌면 진행 중인 thunk 요청을 모두 취소하는 dispatch를 반환합니다.
+ * createAsyncThunk 요청만 추적하며, 일반 액션은 그대로 dispatch합니다.
+ * resetKey가 바뀌면 새 함수를 반환하므로, 이를 의존성으로 둔 effect는 취소된 요청을 다시 보낼 수 있습니다.
+ * @param {*} resetKey - 바뀌면 이전 요청을 취소할 기준 값 (예: 페이지 id, 검색 조건 키)
+ * @returns {Function} dispatch와 같은 방식으로 사용하는 함수
+ */
+function useCancellableDispatch(resetKey) {
+    const dispatch = useDispatch();
+    // resetKey별로 진행 중인 요청 (resetKey가 바뀌면 렌더링 중에 새 목록으로 교체)
+    const [tracked, setTracked] = useState(() => ({ resetKey, requests: new Set() }));
+    if (!Object.is(tracked.resetKey, resetKey)) {
+        setTracked({ resetKey, requests: new Set() });
+    }
+    const { requests } = tracked;
+
+    useEffect(
+        () => () => {
+            requests.forEach((request) => request.abort());
+            requests.clear();
+        },
+        [requests]
+    );
+
+    return useCallback(
+        (action) => {
+            const request = dispatch(action);
+            if (typeof request?.abort === 'function') {
+                requests.add(request);
+                request.finally(() => requests.delete(request));
+            }
+            return request;
+        },
+        [dispatch, requests]
+    );
+}
+
+export default useCancellableDispatch;
@@ -0,0 +1,20 @@
+import { useState, useEffect } from 'react';
+
+/**
+ * 값이 delay 동안 바뀌지 않을 때만 갱신되는 값을 반환합니다.
+ * @param {*} value - 원본 값
+ * @param {number} delay - 지연 시간 (ms, 기본값: 300)
+ * @returns {*} 디바운스된 값
+ */
+function useDebounce(value, delay = 300) {
+    const [debouncedValue, setDebouncedValue] = useState(value);
+
+    useEffect(() => {
+        const timer = setTimeout(() => setDebouncedValue(value), delay);
+        return () => clearTimeout(timer);
+    }, [value, delay]);
+
+    return debouncedValue;
+}
+
+export default useDebounce;
@@ -0,0 +1,22 @@
+import { useEffect } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { fetchGenres } from '../store/actions/filtersActions';
+import { selectGenreMap } from '../store/reducers/filtersReducer';
+
+/**
+ * 장르 id → 이름 맵을 반환합니다. 장르 목록이 없으면 한 번 요청합니다. (현재 언어 이름)
+ * @param {'movie'|'tv'} mediaType - 작품 유형
+ * @returns {Object<number, string>} 장르 id별 이름 (불러오기 전에는 빈 객체)
+ */
+function useGenreMap(mediaType) {
+    const dispatch = useDispatch();
+    const genreMap = useSelector((state) => selectGenreMap(state, mediaType));
+
+    useEffect(() => {
+        dispatch(fetchGenres(mediaType));
+    }, [dispatch, mediaType]);
+
+    return genreMap;
+}
+
+export default useGenreMap;
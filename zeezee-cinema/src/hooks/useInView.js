@@ -0,0 +1,31 @@
+import { useRef, useState, useEffect } from 'react';
+
+/**
+ * 요소가 화면에 한 번이라도 보였는지 여부를 반환합니다. (보이면 감시를 멈춤)
+ * 화면에 보이는 항목만 추가 정보를 요청할 때 사용합니다.
+ * @param {string} rootMargin - 화면 바깥에서 미리 보인 것으로 볼 여백 (기본값: '200px')
+ * @returns {[React.RefObject, boolean]} 감시할 요소의 ref와 보였는지 여부
+ */
+function useInView(rootMargin = '200px') {
+    const ref = useRef(null);
+    const [inView, setInView] = useState(false);
+
+    useEffect(() => {
+        const node = ref.current;
+        if (inView || !node) return;
+
+        const observer = new IntersectionObserver(
+            (entries) => {
+                if (entries[0].isIntersecting) setInView(true);
+            },
+            { rootMargin }
+        );
+        observer.observe(node);
+
+        return () => observer.disconnect();
+    }, [inView, rootMargin]);
+
+    return [ref, inView];
+}
+
+export default useInView;
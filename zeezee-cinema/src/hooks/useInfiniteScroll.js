@@ -0,0 +1,31 @@
+import { useRef, useEffect } from 'react';
+
+/**
+ * 목록 끝의 감시 요소가 화면에 가까워지면 onLoadMore를 호출합니다.
+ * 로딩 중에는 enabled를 false로 두면 중복 호출되지 않습니다.
+ * @param {Function} onLoadMore - 다음 페이지를 불러오는 함수
+ * @param {boolean} enabled - 감시 여부
+ * @returns {React.RefObject} 목록 끝에 둘 감시 요소의 ref
+ */
+function useInfiniteScroll(onLoadMore, enabled) {
+    const sentinelRef = useRef(null);
+
+    useEffect(() => {
+        const node = sentinelRef.current;
+        if (!enabled || !node) return;
+
+        const observer = new IntersectionObserver(
+            (entries) => {
+                if (entries[0].isIntersecting) onLoadMore();
+            },
+            { rootMargin: '400px' }
+        );
+        observer.observe(node);
+
+        return () => observer.disconnect();
+    }, [onLoadMore, enabled]);
+
+    return sentinelRef;
+}
+
+export default useInfiniteScroll;
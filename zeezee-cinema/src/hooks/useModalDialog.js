@@ -0,0 +1,63 @@
+import { useEffect, useRef } from 'react';
+
+// 포커스를 옮길 수 있는 요소 (Tab 키 순환에 사용)
+const FOCUSABLE_SELECTOR = 'button:not([disabled]), [href], iframe, [tabindex]:not([tabindex="-1"])';
+
+/**
+ * 모달 창의 공통 동작을 연결합니다.
+ * - 열리면 창에 포커스를 주고, 닫히면 연 요소로 포커스를 돌려줌
+ * - Esc 키로 닫고, Tab 키 포커스가 창 안에서만 돌게 함
+ * - 열려 있는 동안 배경 스크롤을 막음
+ * @param {Function} onClose - 닫을 때 호출
+ * @returns {React.RefObject} 창 요소에 연결할 ref (tabIndex={-1}로 포커스를 받을 수 있어야 함)
+ */
+function useModalDialog(onClose) {
+    const dialogRef = useRef(null);
+    // 키보드 처리는 한 번만 등록하므로 최신 onClose를 ref로 참조
+    const onCloseRef = useRef(onClose);
+    useEffect(() => {
+        onCloseRef.current = onClose;
+    }, [onClose]);
+
+    useEffect(() => {
+        const previousFocus = document.activeElement;
+        const previousOverflow = document.body.style.overflow;
+        document.body.style.overflow = 'hidden';
+        dialogRef.current?.focus();
+
+        const handleKeyDown = (e) => {
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                onCloseRef.current();
+                return;
+            }
+            if (e.key !== 'Tab' || !dialogRef.current) return;
+
+            const focusable = [...dialogRef.current.querySelectorAll(FOCUSABLE_SELECTOR)];
+            if (focusable.length === 0) {
+                e.preventDefault();
+                return;
+            }
+            const first = focusable[0];
+            const last = focusable[focusable.length - 1];
+            if (e.shiftKey && (document.activeElement === first || document.activeElement === dialogRef.current)) {
+                e.preventDefault();
+                last.focus();
+            } else if (!e.shiftKey && document.activeElement === last) {
+                e.preventDefault();
+                first.focus();
+            }
+        };
+        document.addEventListener('keydown', handleKeyDown);
+
+        return () => {
+            document.removeEventListener('keydown', handleKeyDown);
+            document.body.style.overflow = previousOverflow;
+            previousFocus?.focus?.();
+        };
+    }, []);
+
+    return dialogRef;
+}
+
+export default useModalDialog;
@@ -0,0 +1,18 @@
+import { useCallback } from 'react';
+import { useSelector } from 'react-redux';
+import { translate, translateError } from '../i18n';
+import { selectLocale } from '../store/reducers/localeReducer';
+
+/**
+ * 현재 언어로 메시지를 번역하는 함수를 반환합니다. 언어가 바뀌면 컴포넌트를 다시 그립니다.
+ * tError는 상태에 저장한 에러 정보를 표시할 문구로 바꿉니다.
+ * @returns {{t: (key: string, params?: Object) => string, tError: (error: Object|string|null) => string, locale: string}}
+ */
+function useTranslation() {
+    const locale = useSelector(selectLocale);
+    const t = useCallback((key, params) => translate(locale, key, params), [locale]);
+    const tError = useCallback((error) => translateError(locale, error), [locale]);
+    return { t, tError, locale };
+}
+
+export default useTranslation;
@@ -0,0 +1,78 @@
+/**
+ * 다국어 메시지
+ *
+ * 사용법:
+ * const { t } = useTranslation(); // 컴포넌트 (hooks/useTranslation.js)
+ * t('common.rating', { rating: 8.1 }); // '평점 8.1점' / 'Rated 8.1'
+ *
+ * 컴포넌트 밖(카드 모델 등)에서는 현재 언어를 사용하는 t를 직접 가져다 씁니다.
+ */
+import ko from './messages/ko';
+import en from './messages/en';
+import { DEFAULT_LOCALE, LOCALES } from './locales';
+
+const CATALOGS = { ko, en };
+
+// 현재 언어 (스토어의 언어 설정이 바뀌면 store/index.js에서 갱신)
+let currentLocale = DEFAULT_LOCALE;
+
+/**
+ * 점으로 구분한 키로 카탈로그의 메시지를 찾습니다.
+ * @param {Object} catalog - 메시지 카탈로그
+ * @param {string} key - 메시지 키 (예: 'header.discover')
+ * @returns {string|undefined}
+ */
+const lookup = (catalog, key) => key.split('.').reduce((node, part) => node?.[part], catalog);
+
+/**
+ * 메시지를 번역합니다. 해당 언어에 없으면 기본 언어 메시지를, 그래도 없으면 키를 반환합니다.
+ * @param {string} locale - 언어 (예: 'en')
+ * @param {string} key - 메시지 키
+ * @param {Object<string, string|number>} params - 메시지의 {name} 자리에 넣을 값
+ * @returns {string}
+ */
+export const translate = (locale, key, params = {}) => {
+    const message = lookup(CATALOGS[locale], key) ?? lookup(CATALOGS[DEFAULT_LOCALE], key) ?? key;
+    return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+};
+
+/**
+ * 현재 언어로 메시지를 번역합니다.
+ * @param {string} key - 메시지 키
+ * @param {Object<string, string|number>} params - 메시지의 {name} 자리에 넣을 값
+ * @returns {string}
+ */
+export const t = (key, params) => translate(currentLocale, key, params);
+
+/**
+ * 상태에 저장한 에러를 표시할 문구로 바꿉니다.
+ * code가 있으면 카탈로그의 errors.<code> 문구를, 없으면 에러 메시지를 그대로 사용합니다.
+ * @param {string} locale - 언어
+ * @param {{code: string|null, message: string}|string|null} error - 에러 정보 (services/apiErrors.js의 toErrorState) 또는 문구
+ * @returns {string}
+ */
+export const translateError = (locale, error) => {
+    if (!error || typeof error === 'string') return error || '';
+    const key = `errors.${error.code}`;
+    if (typeof lookup(CATALOGS[DEFAULT_LOCALE], key) === 'string') return translate(locale, key);
+    return error.message;
+};
+
+/**
+ * 현재 언어로 에러 문구를 만듭니다. (컴포넌트 밖에서 알림 문구를 만들 때 사용)
+ * @param {{code: string|null, message: string}|string|null} error - 에러 정보 또는 문구
+ * @returns {string}
+ */
+export const tError = (error) => translateError(currentLocale, error);
+
+export const setCurrentLocale = (locale) => {
+    currentLocale = locale;
+};
+
+export const getCurrentLocale = () => currentLocale;
+
+/**
+ * 현재 언어의 날짜/숫자 표시용 언어 코드 (예: 'ko-KR')
+ * @returns {string}
+ */
+export const getCurrentLanguage = () => LOCALES[currentLocale].language;
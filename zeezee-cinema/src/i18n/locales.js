@@ -0,0 +1,63 @@
+// 지원하는 언어별 TMDB 언어/지역 코드와 언어 선택 메뉴에 표시할 이름
+export const LOCALES = {
+    ko: { language: 'ko-KR', region: 'KR', label: '한국어' },
+    en: { language: 'en-US', region: 'US', label: 'English' },
+};
+
+// 지역 선택 메뉴에 표시할 지역 (현재 상영작, 개봉일, 관람 등급 기준)
+export const REGIONS = ['KR', 'US', 'JP', 'GB', 'FR', 'DE', 'CA', 'AU'];
+
+// 저장된 설정이 없고 브라우저 언어도 지원하지 않을 때 사용할 언어
+export const DEFAULT_LOCALE = 'ko';
+
+/**
+ * 지원하는 언어인지 여부
+ * @param {*} locale - 언어 (예: 'ko')
+ * @returns {boolean}
+ */
+export const isSupportedLocale = (locale) => Object.hasOwn(LOCALES, locale);
+
+/**
+ * 지원하는 지역인지 여부
+ * @param {*} region - 지역 코드 (예: 'KR')
+ * @returns {boolean}
+ */
+export const isSupportedRegion = (region) => REGIONS.includes(region);
+
+/**
+ * 지역 이름 (예: 'KR' → '대한민국', 'South Korea')
+ * @param {string} region - 지역 코드
+ * @param {string} locale - 표시할 언어
+ * @returns {string} 지역 이름 (이름을 찾지 못하면 지역 코드)
+ */
+export const getRegionName = (region, locale) => {
+    try {
+        return new Intl.DisplayNames([LOCALES[locale].language], { type: 'region' }).of(region) || region;
+    } catch {
+        return region;
+    }
+};
+
+/**
+ * 언어 이름 (예: 'ja' → '일본어', 'Japanese')
+ * @param {string} language - ISO 639-1 언어 코드
+ * @param {string} locale - 표시할 언어
+ * @returns {string} 언어 이름 (이름을 찾지 못하면 언어 코드)
+ */
+export const getLanguageName = (language, locale) => {
+    try {
+        return new Intl.DisplayNames([LOCALES[locale].language], { type: 'language' }).of(language) || language;
+    } catch {
+        return language;
+    }
+};
+
+/**
+ * 브라우저 언어 설정에서 지원하는 언어를 찾습니다.
+ * @returns {string} 언어 (없으면 DEFAULT_LOCALE)
+ */
+export const detectBrowserLocale = () => {
+    const languages = typeof navigator === 'undefined' ? [] : navigator.languages || [navigator.language];
+    const locale = languages.map((language) => language?.split('-')[0]).find(isSupportedLocale);
+    return locale || DEFAULT_LOCALE;
+};
@@ -0,0 +1,463 @@
+/**
+ * 영어 메시지 (구조는 ko.js와 같음)
+ */
+const en = {
+    common: {
+        retry: 'Try again',
+        untitled: 'Untitled',
+        noOverview: 'No overview available.',
+        year: '{year}',
+        rating: 'Rated {rating}',
+        viewDetails: 'View details for {title}',
+        noItems: 'No movies to show',
+    },
+    format: {
+        hoursMinutes: '{hours}h {minutes}m',
+        minutes: '{minutes}m',
+    },
+    header: {
+        mainMenu: 'Main menu',
+        discover: 'Discover',
+        trending: 'Trending',
+        library: 'My Library',
+        language: 'Language',
+        region: 'Region',
+    },
+    account: {
+        login: 'Sign in with TMDB',
+        logout: 'Sign out',
+        guest: 'Guest',
+        redirecting: 'Redirecting...',
+        loginFailed: 'Could not sign in',
+        loginDenied: 'The sign-in request was not approved on TMDB.',
+        loginAgain: 'Sign in again',
+        goBack: 'Go back',
+        loggingIn: 'Signing in with your TMDB account...',
+    },
+    search: {
+        placeholder: 'Search movies, TV shows and people',
+        query: 'Search',
+        suggestions: 'Search suggestions',
+        movie: 'Movie',
+        tv: 'TV',
+        person: 'Person',
+        title: 'Search',
+        prompt: 'Search for movies, TV shows, people and more using the search box above.',
+        results: 'Results for ‘{query}’',
+        count: '{count} results',
+        types: 'Search type',
+        tabs: {
+            movie: 'Movies',
+            tv: 'TV shows',
+            person: 'People',
+            collection: 'Collections',
+            company: 'Companies',
+            keyword: 'Keywords',
+        },
+        releaseYear: 'Release year',
+        firstAirYear: 'First air year',
+        anyYear: 'Any',
+        region: 'Region',
+        allRegions: 'All regions',
+        empty: 'No results found.',
+        loading: 'Loading search results',
+        error: 'Could not load search results: {error}',
+        noImage: 'No image for {title}',
+    },
+    movieCard: {
+        poster: '{title} poster',
+        posterFailed: 'Could not load poster for {title}',
+    },
+    movieRow: {
+        list: '{title} list',
+        loadingList: 'Loading {title}',
+        loading: 'Loading movies...',
+        navigation: '{title} navigation',
+        previous: 'Previous {title}',
+        next: 'Next {title}',
+    },
+    carousel: {
+        banner: '{title} banner',
+        loading: 'Loading banner',
+        slides: 'Movie banner slides',
+        backdrop: '{title} backdrop',
+        details: 'View details',
+        previous: 'Previous banner',
+        next: 'Next banner',
+    },
+    toggles: {
+        addFavorite: 'Add to favorites',
+        removeFavorite: 'Remove from favorites',
+        addWatchlist: 'Add to watchlist',
+        removeWatchlist: 'Remove from watchlist',
+        markSeen: 'Mark as watched',
+        unmarkSeen: 'Unmark as watched',
+    },
+    personalized: {
+        rated: "Because you rated '{title}' highly",
+        seen: "Because you watched '{title}'",
+        watchlist: "Similar to '{title}' on your watchlist",
+        viewed: "Because you viewed '{title}'",
+    },
+    release: {
+        title: 'Release dates in {region}',
+        theatrical: 'Theatrical',
+        digital: 'Digital',
+        physical: 'Blu-ray/DVD',
+        certification: 'Rated {certification}',
+    },
+    watch: {
+        title: 'Where to Watch',
+        stream: 'Stream',
+        rent: 'Rent',
+        buy: 'Buy',
+        none: 'Not available on any service in {region}.',
+        error: 'Could not load services: {error}',
+        myService: 'My service',
+        attribution: 'Availability data by JustWatch',
+        more: 'See all on TMDB',
+    },
+    trailer: {
+        play: 'Play trailer',
+        playTitle: 'Play {title} trailer',
+        dialog: '{title} trailer',
+        close: 'Close',
+        playVideo: 'Play {name}',
+        otherVideos: 'More videos',
+        loading: 'Loading videos...',
+        none: 'No playable trailer is available.',
+        error: 'Could not load videos: {error}',
+        types: {
+            Trailer: 'Trailer',
+            Teaser: 'Teaser',
+            Clip: 'Clip',
+            Featurette: 'Featurette',
+            'Behind the Scenes': 'Behind the scenes',
+            Bloopers: 'Bloopers',
+        },
+    },
+    gallery: {
+        title: 'Images',
+        tabs: 'Image types',
+        backdrops: 'Backdrops',
+        posters: 'Posters',
+        logos: 'Logos',
+        language: 'Image language',
+        languages: {
+            preferred: 'Recommended',
+            current: '{language}',
+            en: 'English',
+            none: 'No text',
+        },
+        loading: 'Loading images...',
+        empty: 'No images to show.',
+        error: 'Could not load images: {error}',
+        more: 'Show more ({count})',
+        open: 'View {title} image {index}',
+        lightbox: '{title} images',
+        imageAlt: '{title} image {index}',
+        position: '{current} / {total}',
+        previous: 'Previous image',
+        next: 'Next image',
+        download: 'Download original',
+        downloading: 'Downloading...',
+        close: 'Close',
+    },
+    collection: {
+        partOf: 'Part of {name}',
+        position: 'Film {position} of {total}',
+        seenCount: '{seen} watched',
+        view: 'View collection',
+        progress: '{seen} of {total} watched',
+        parts: 'Films in release order ({count})',
+        part: 'Film {order}',
+        seenPart: 'Film {order}, watched',
+        loading: 'Loading collection...',
+        error: 'Could not load collection: {error}',
+    },
+    browse: {
+        productionCompanies: 'Production companies',
+        company: 'Company',
+        keyword: 'Keyword',
+        logo: '{name} logo',
+        count: '{count} titles',
+        sort: 'Sort by',
+        sortPopularity: 'Most popular',
+        sortNewest: 'Newest releases',
+        sortOldest: 'Oldest releases',
+        sortRating: 'Highest rated',
+        sortRevenue: 'Highest grossing',
+        empty: 'No movies to show.',
+        loading: 'Loading movies',
+        error: 'Could not load movies: {error}',
+    },
+    reviews: {
+        title: 'Reviews',
+        fallbackLanguage: 'No reviews in this language, showing English reviews',
+        empty: 'No reviews yet.',
+        loading: 'Loading reviews',
+        error: 'Could not load reviews: {error}',
+        more: 'More reviews',
+        expand: 'Read more',
+        collapse: 'Show less',
+    },
+    movieDetail: {
+        loading: 'Loading movie...',
+        error: 'Could not load movie: {error}',
+        genres: 'Genres',
+        cast: 'Cast',
+        crew: 'Crew',
+        trailers: 'Trailers',
+        keywords: 'Keywords',
+        profile: '{name} profile',
+        noProfile: 'No profile photo for {name}',
+        watchOnYouTube: 'Watch {name} on YouTube',
+        jobs: {
+            Director: 'Director',
+            Screenplay: 'Screenplay',
+            Writer: 'Writer',
+            Novel: 'Novel',
+            Producer: 'Producer',
+            'Director of Photography': 'Cinematography',
+            'Original Music Composer': 'Music',
+            Editor: 'Editor',
+        },
+    },
+    rating: {
+        title: 'My rating',
+        select: 'Choose my rating',
+        loginPrompt: 'Log in to rate this movie.',
+        rateAsGuest: 'Rate as guest',
+        value: '{value} points',
+        saving: 'Saving...',
+        mine: 'My rating: {rating}',
+        notRated: 'Not rated yet',
+        delete: 'Remove rating',
+        guest: '(guest)',
+        saveError: 'Could not save rating: {error}',
+        loadError: 'Could not load my rating: {error}',
+    },
+    tv: {
+        loading: 'Loading TV show...',
+        error: 'Could not load TV show: {error}',
+        show: 'TV show',
+        counts: '{seasons} seasons · {episodes} episodes',
+        createdBy: 'Created by',
+        networks: 'Networks',
+        status: {
+            'Returning Series': 'Returning series',
+            'In Production': 'In production',
+            Planned: 'Planned',
+            Ended: 'Ended',
+            Canceled: 'Canceled',
+            Pilot: 'Pilot',
+        },
+        seasons: 'Seasons',
+        season: 'Season {number}',
+        selectSeason: 'Choose season',
+        seasonError: 'Could not load season: {error}',
+        episodes: 'Episodes',
+        episodeCount: '{count} episodes',
+        episode: 'Episode {number}',
+        episodeTitle: '{number}. {name}',
+        seasonEpisode: 'Season {season} · Episode {episode}',
+        noEpisodes: 'No episodes yet.',
+        loadingEpisodes: 'Loading episodes',
+        loadingEpisode: 'Loading episode',
+        episodeError: 'Could not load episode: {error}',
+        still: '{name} still',
+        breadcrumb: 'Breadcrumb',
+        episodeNavigation: 'Episode navigation',
+        guest: 'Guest stars',
+        guestStars: 'Guest stars',
+        moreGuests: ' and {count} more',
+    },
+    person: {
+        loading: 'Loading person...',
+        error: 'Could not load person: {error}',
+        department: 'Known for',
+        gender: 'Gender',
+        genders: {
+            1: 'Female',
+            2: 'Male',
+            3: 'Non-binary',
+        },
+        birthday: 'Born',
+        age: '{date} (age {age})',
+        deathday: 'Died',
+        ageAtDeath: '{date} (aged {age})',
+        placeOfBirth: 'Place of birth',
+        biography: 'Biography',
+        noBiography: 'No biography available.',
+        expand: 'Read more',
+        collapse: 'Show less',
+        knownFor: 'Known for',
+        photos: 'Photos',
+        photo: '{name} photo {index}',
+        filmography: 'Filmography',
+        sortBy: 'Sort by',
+        sortYear: 'By year',
+        sortPopularity: 'By popularity',
+        departments: 'Departments',
+        mediaTypes: {
+            movie: 'Movie',
+            tv: 'TV',
+        },
+        departmentNames: {
+            Acting: 'Acting',
+            Directing: 'Directing',
+            Writing: 'Writing',
+            Production: 'Production',
+            Camera: 'Camera',
+            Editing: 'Editing',
+            Sound: 'Sound',
+            Art: 'Art',
+            'Costume & Make-Up': 'Costume & Make-Up',
+            'Visual Effects': 'Visual Effects',
+            Lighting: 'Lighting',
+            Creator: 'Creator',
+            Crew: 'Crew',
+        },
+    },
+    discover: {
+        title: 'Discover',
+        count: '{count} titles',
+        filters: 'Discover filters',
+        mediaType: 'Type',
+        movie: 'Movies',
+        tv: 'TV shows',
+        genres: 'Genres',
+        any: 'Any',
+        yearFrom: 'From year',
+        yearTo: 'To year',
+        runtimeMin: 'Min runtime',
+        runtimeMax: 'Max runtime',
+        minVoteAverage: 'Min rating',
+        voteAverageAtLeast: '★ {vote}+',
+        minVoteCount: 'Min votes',
+        voteCountAtLeast: '{count}+ votes',
+        originalLanguage: 'Original language',
+        watchRegion: 'Watch region',
+        sort: 'Sort by',
+        sortOptions: {
+            popularity: 'Most popular',
+            voteAverage: 'Highest rated',
+            voteCount: 'Most voted',
+            releaseNewest: 'Newest releases',
+            releaseOldest: 'Oldest releases',
+            revenue: 'Highest grossing',
+            airNewest: 'Newest first aired',
+            airOldest: 'Oldest first aired',
+        },
+        reset: 'Reset filters',
+        empty: 'No titles match these filters.',
+        loading: 'Loading titles',
+        error: 'Could not load titles: {error}',
+        providers: {
+            title: 'Where to watch (streaming)',
+            error: 'Could not load streaming services: {error}',
+            collapse: 'Show less',
+            more: '+{count}',
+            onlyMine: 'Only titles on my services',
+            saveAsMine: 'Save selected services as my services',
+            clear: 'Clear selected services',
+        },
+    },
+    trending: {
+        title: 'Trending',
+        mediaType: 'Media type',
+        timeWindow: 'Time window',
+        tabs: {
+            all: 'All',
+            movie: 'Movies',
+            tv: 'TV shows',
+            person: 'People',
+        },
+        windows: {
+            day: 'Today',
+            week: 'This week',
+        },
+        comparedTo: 'Rank changes are compared with the ranking on {date}.',
+        error: 'Could not load trending titles: {error}',
+        loading: 'Loading trending titles...',
+        rank: 'Rank {rank}',
+        movement: {
+            up: 'Up {change} since last time',
+            down: 'Down {change} since last time',
+            same: 'No change',
+            new: 'New entry',
+        },
+    },
+    notifications: {
+        close: 'Dismiss notification',
+    },
+    me: {
+        title: 'My Library',
+        userTitle: "{name}'s Library",
+        localNote: 'Your watchlist and watched movies are saved in this browser.',
+        count: '{count} titles',
+        watchlist: 'Watchlist',
+        watchlistEmpty: 'Your watchlist is empty. Add movies with the bookmark button.',
+        seen: 'Watched',
+        seenEmpty: 'No watched movies yet. Mark them with the eye button.',
+        favorites: 'Favorites',
+        favoritesError: 'Could not load favorites: {error}',
+        favoritesLoading: 'Loading favorites...',
+        favoritesEmpty: 'No favorite movies yet. Add some with the heart button.',
+        updateFailed: {
+            watchlist: 'Could not update your watchlist: {error}',
+            favorites: 'Could not update your favorites: {error}',
+        },
+        syncError: 'Could not sync with your TMDB watchlist: {error}',
+        syncing: 'Syncing with your TMDB watchlist...',
+        synced: 'Synced with your TMDB watchlist ({time})',
+        pushFailed: 'Could not update your TMDB watchlist. It will be retried on the next sync. ({error})',
+        lists: 'My Lists',
+        loginPrompt: 'Sign in with TMDB',
+        loginBenefits:
+            'Sign in with your TMDB account to sync your watchlist with TMDB and manage favorites and lists.',
+        guestNote: ' Guest sessions can only leave ratings.',
+    },
+    lists: {
+        add: 'Add to list',
+        loading: 'Loading lists...',
+        none: "You haven't created any lists.",
+        noneYet: "You haven't created any lists yet.",
+        createNew: 'Create a new list',
+        error: 'Could not load the list: {error}',
+        listsError: 'Could not load your lists: {error}',
+        saveError: 'Could not update the list: {error}',
+        empty: 'This list is empty. Add movies from a movie page.',
+        remove: 'Remove from list',
+        clear: 'Clear list',
+        confirmClear: "Remove all movies from '{name}'?",
+        confirmDelete: "Delete the list '{name}'?",
+        name: 'List name',
+        description: 'Description (optional)',
+        descriptionLabel: 'List description',
+        create: 'Create',
+        delete: 'Delete',
+        count: '{count} titles',
+    },
+    errors: {
+        network: 'Unable to connect to the network.',
+        timeout: 'The request timed out.',
+        auth: 'Authentication failed. Check your API key or sign-in status.',
+        invalidApiKey: 'The v3 API key is invalid. If it is a v4 read access token, set it as VITE_TMDB_ACCESS_TOKEN.',
+        invalidAccessToken: 'The v4 read access token is invalid. If it is a v3 API key, set it as VITE_TMDB_API_KEY.',
+        notFound: 'The requested information could not be found.',
+        rateLimit: 'Too many requests. Please try again shortly.',
+        request: 'The request failed.',
+        invalidRequest: 'Invalid request.',
+        sessionExpired: 'Your session has expired. Please sign in again.',
+        authConfig: {
+            unknownFormat: 'Unrecognized TMDB credentials. Set a v3 API key or a v4 read access token.',
+            both: 'Set only one of apiKey and accessToken for TMDB.',
+            apiKeyAsToken: 'A v3 API key was set as accessToken. Set it as apiKey (VITE_TMDB_API_KEY).',
+            tokenAsApiKey: 'A v4 read access token was set as apiKey. Set it as accessToken (VITE_TMDB_ACCESS_TOKEN).',
+            missing: 'TMDB credentials are missing. Set VITE_TMDB_API_KEY or VITE_TMDB_ACCESS_TOKEN.',
+        },
+    },
+};
+
+export default en;
@@ -0,0 +1,466 @@
+/**
+ * 한국어 메시지 (기준 카탈로그, 다른 언어에 없는 메시지는 이 값을 사용)
+ * 값의 {name}은 translate의 params로 바뀝니다.
+ */
+const ko = {
+    common: {
+        retry: '다시 시도',
+        untitled: '제목 없음',
+        noOverview: '줄거리가 없습니다.',
+        year: '{year}년',
+        rating: '평점 {rating}점',
+        viewDetails: '{title} 상세 정보 보기',
+        noItems: '표시할 영화가 없습니다',
+    },
+    format: {
+        hoursMinutes: '{hours}시간 {minutes}분',
+        minutes: '{minutes}분',
+    },
+    header: {
+        mainMenu: '주요 메뉴',
+        discover: '탐색',
+        trending: '트렌딩',
+        library: '내 보관함',
+        language: '언어',
+        region: '지역',
+    },
+    account: {
+        login: 'TMDB 로그인',
+        logout: '로그아웃',
+        guest: '게스트',
+        redirecting: '이동 중...',
+        loginFailed: '로그인하지 못했습니다',
+        loginDenied: 'TMDB에서 로그인 요청이 승인되지 않았습니다.',
+        loginAgain: '다시 로그인',
+        goBack: '돌아가기',
+        loggingIn: 'TMDB 계정으로 로그인하는 중...',
+    },
+    search: {
+        placeholder: '영화, TV 프로그램, 인물 검색',
+        query: '검색어',
+        suggestions: '검색어 추천',
+        movie: '영화',
+        tv: 'TV',
+        person: '인물',
+        title: '검색',
+        prompt: '상단 검색창에 영화, TV 프로그램, 인물 등을 검색해 보세요.',
+        results: '‘{query}’ 검색 결과',
+        count: '{count}건',
+        types: '검색 유형',
+        tabs: {
+            movie: '영화',
+            tv: 'TV 프로그램',
+            person: '인물',
+            collection: '컬렉션',
+            company: '제작사',
+            keyword: '키워드',
+        },
+        releaseYear: '개봉 연도',
+        firstAirYear: '첫 방영 연도',
+        anyYear: '전체',
+        region: '지역',
+        allRegions: '전체 지역',
+        empty: '검색 결과가 없습니다.',
+        loading: '검색 결과를 불러오는 중',
+        error: '검색 결과를 불러올 수 없습니다: {error}',
+        noImage: '{title} 이미지 없음',
+    },
+    movieCard: {
+        poster: '{title} 포스터',
+        posterFailed: '{title} 포스터 로드 실패',
+    },
+    movieRow: {
+        list: '{title} 영화 목록',
+        loadingList: '{title} 목록을 불러오는 중',
+        loading: '영화 정보를 불러오는 중...',
+        navigation: '{title} 목록 네비게이션',
+        previous: '{title} 이전 영화들 보기',
+        next: '{title} 다음 영화들 보기',
+    },
+    carousel: {
+        banner: '{title} 배너',
+        loading: '영화 배너를 불러오는 중',
+        slides: '영화 배너 슬라이드',
+        backdrop: '{title} 배경 이미지',
+        details: '자세히 보기',
+        previous: '이전 영화 배너 보기',
+        next: '다음 영화 배너 보기',
+    },
+    toggles: {
+        addFavorite: '즐겨찾기에 추가',
+        removeFavorite: '즐겨찾기에서 제거',
+        addWatchlist: '워치리스트에 추가',
+        removeWatchlist: '워치리스트에서 제거',
+        markSeen: '봤어요로 표시',
+        unmarkSeen: '봤어요 표시 취소',
+    },
+    personalized: {
+        rated: "'{title}'에 높은 평점을 준 분께 추천",
+        seen: "'{title}'을(를) 본 분께 추천",
+        watchlist: "워치리스트의 '{title}'와(과) 비슷한 영화",
+        viewed: "최근 살펴본 '{title}'와(과) 비슷한 영화",
+    },
+    release: {
+        title: '{region} 개봉일',
+        theatrical: '극장 개봉',
+        digital: '디지털 공개',
+        physical: '블루레이/DVD 출시',
+        certification: '관람 등급 {certification}',
+    },
+    watch: {
+        title: '볼 수 있는 곳',
+        stream: '스트리밍',
+        rent: '대여',
+        buy: '구매',
+        none: '{region}에서 볼 수 있는 서비스가 없습니다.',
+        error: '서비스 정보를 불러올 수 없습니다: {error}',
+        myService: '내 서비스',
+        attribution: '서비스 정보 제공: JustWatch',
+        more: 'TMDB에서 전체 보기',
+    },
+    trailer: {
+        play: '예고편 재생',
+        playTitle: '{title} 예고편 재생',
+        dialog: '{title} 예고편',
+        close: '닫기',
+        playVideo: '{name} 재생',
+        otherVideos: '다른 영상',
+        loading: '영상을 불러오는 중...',
+        none: '재생할 수 있는 예고편이 없습니다.',
+        error: '영상을 불러올 수 없습니다: {error}',
+        types: {
+            Trailer: '예고편',
+            Teaser: '티저',
+            Clip: '클립',
+            Featurette: '피처렛',
+            'Behind the Scenes': '메이킹',
+            Bloopers: 'NG 장면',
+        },
+    },
+    gallery: {
+        title: '이미지',
+        tabs: '이미지 종류',
+        backdrops: '배경 이미지',
+        posters: '포스터',
+        logos: '로고',
+        language: '이미지 언어',
+        languages: {
+            preferred: '추천',
+            current: '{language}',
+            en: 'English',
+            none: '글자 없음',
+        },
+        loading: '이미지를 불러오는 중...',
+        empty: '표시할 이미지가 없습니다.',
+        error: '이미지를 불러올 수 없습니다: {error}',
+        more: '더 보기 ({count})',
+        open: '{title} 이미지 {index} 크게 보기',
+        lightbox: '{title} 이미지',
+        imageAlt: '{title} 이미지 {index}',
+        position: '{current} / {total}',
+        previous: '이전 이미지',
+        next: '다음 이미지',
+        download: '원본 내려받기',
+        downloading: '내려받는 중...',
+        close: '닫기',
+    },
+    collection: {
+        partOf: "'{name}'에 속한 영화입니다",
+        position: '시리즈 {total}편 중 {position}번째',
+        seenCount: '{seen}편 봄',
+        view: '컬렉션 보기',
+        progress: '{total}편 중 {seen}편 봄',
+        parts: '개봉 순 영화 ({count}편)',
+        part: '{order}번째 영화',
+        seenPart: '{order}번째 영화, 본 영화',
+        loading: '컬렉션 정보를 불러오는 중...',
+        error: '컬렉션 정보를 불러올 수 없습니다: {error}',
+    },
+    browse: {
+        productionCompanies: '제작사',
+        company: '제작사',
+        keyword: '키워드',
+        logo: '{name} 로고',
+        count: '{count}편',
+        sort: '정렬',
+        sortPopularity: '인기순',
+        sortNewest: '최신 개봉순',
+        sortOldest: '오래된 개봉순',
+        sortRating: '평점 높은순',
+        sortRevenue: '흥행 수익순',
+        empty: '표시할 영화가 없습니다.',
+        loading: '영화를 불러오는 중',
+        error: '영화를 불러올 수 없습니다: {error}',
+    },
+    reviews: {
+        title: '리뷰',
+        fallbackLanguage: '이 언어로 된 리뷰가 없어 영어 리뷰를 표시합니다',
+        empty: '아직 작성된 리뷰가 없습니다.',
+        loading: '리뷰를 불러오는 중',
+        error: '리뷰를 불러올 수 없습니다: {error}',
+        more: '리뷰 더 보기',
+        expand: '더 보기',
+        collapse: '접기',
+    },
+    movieDetail: {
+        loading: '영화 정보를 불러오는 중...',
+        error: '영화 정보를 불러올 수 없습니다: {error}',
+        genres: '장르',
+        cast: '출연진',
+        crew: '제작진',
+        trailers: '예고편',
+        keywords: '키워드',
+        profile: '{name} 프로필',
+        noProfile: '{name} 프로필 없음',
+        watchOnYouTube: '{name} 유튜브에서 보기',
+        jobs: {
+            Director: '감독',
+            Screenplay: '각본',
+            Writer: '각본',
+            Novel: '원작',
+            Producer: '제작',
+            'Director of Photography': '촬영',
+            'Original Music Composer': '음악',
+            Editor: '편집',
+        },
+    },
+    rating: {
+        title: '내 평점',
+        select: '내 평점 선택',
+        loginPrompt: '평점을 남기려면 로그인하세요.',
+        rateAsGuest: '게스트로 평가하기',
+        value: '{value}점',
+        saving: '저장 중...',
+        mine: '내 평점 {rating}점',
+        notRated: '아직 평가하지 않았습니다',
+        delete: '평점 삭제',
+        guest: '(게스트)',
+        saveError: '평점을 저장하지 못했습니다: {error}',
+        loadError: '내 평점을 불러오지 못했습니다: {error}',
+    },
+    tv: {
+        loading: 'TV 프로그램 정보를 불러오는 중...',
+        error: 'TV 프로그램 정보를 불러올 수 없습니다: {error}',
+        show: 'TV 프로그램',
+        counts: '시즌 {seasons}개 · 에피소드 {episodes}개',
+        createdBy: '제작',
+        networks: '방송사',
+        status: {
+            'Returning Series': '방영 중',
+            'In Production': '제작 중',
+            Planned: '방영 예정',
+            Ended: '종영',
+            Canceled: '방영 취소',
+            Pilot: '파일럿',
+        },
+        seasons: '시즌',
+        season: '시즌 {number}',
+        selectSeason: '시즌 선택',
+        seasonError: '시즌 정보를 불러올 수 없습니다: {error}',
+        episodes: '에피소드',
+        episodeCount: '{count}화',
+        episode: '{number}화',
+        episodeTitle: '{number}화. {name}',
+        seasonEpisode: '시즌 {season} · {episode}화',
+        noEpisodes: '등록된 에피소드가 없습니다.',
+        loadingEpisodes: '에피소드를 불러오는 중',
+        loadingEpisode: '에피소드 정보를 불러오는 중',
+        episodeError: '에피소드 정보를 불러올 수 없습니다: {error}',
+        still: '{name} 스틸컷',
+        breadcrumb: '상위 페이지',
+        episodeNavigation: '에피소드 이동',
+        guest: '게스트',
+        guestStars: '게스트 출연진',
+        moreGuests: ' 외 {count}명',
+    },
+    person: {
+        loading: '인물 정보를 불러오는 중...',
+        error: '인물 정보를 불러올 수 없습니다: {error}',
+        department: '분야',
+        gender: '성별',
+        genders: {
+            1: '여성',
+            2: '남성',
+            3: '논바이너리',
+        },
+        birthday: '생년월일',
+        age: '{date} ({age}세)',
+        deathday: '사망일',
+        ageAtDeath: '{date} (향년 {age}세)',
+        placeOfBirth: '출생지',
+        biography: '소개',
+        noBiography: '등록된 소개가 없습니다.',
+        expand: '더 보기',
+        collapse: '접기',
+        knownFor: '대표작',
+        photos: '사진',
+        photo: '{name} 사진 {index}',
+        filmography: '필모그래피',
+        sortBy: '정렬 기준',
+        sortYear: '연도순',
+        sortPopularity: '인기순',
+        departments: '부서',
+        mediaTypes: {
+            movie: '영화',
+            tv: 'TV',
+        },
+        departmentNames: {
+            Acting: '연기',
+            Directing: '연출',
+            Writing: '각본',
+            Production: '제작',
+            Camera: '촬영',
+            Editing: '편집',
+            Sound: '음향',
+            Art: '미술',
+            'Costume & Make-Up': '의상/분장',
+            'Visual Effects': '시각효과',
+            Lighting: '조명',
+            Creator: '크리에이터',
+            Crew: '스태프',
+        },
+    },
+    discover: {
+        title: '탐색',
+        count: '{count}편',
+        filters: '탐색 필터',
+        mediaType: '유형',
+        movie: '영화',
+        tv: 'TV 프로그램',
+        genres: '장르',
+        any: '전체',
+        yearFrom: '시작 연도',
+        yearTo: '종료 연도',
+        runtimeMin: '최소 상영 시간',
+        runtimeMax: '최대 상영 시간',
+        minVoteAverage: '최소 평점',
+        voteAverageAtLeast: '★ {vote}점 이상',
+        minVoteCount: '최소 평가 수',
+        voteCountAtLeast: '{count}명 이상',
+        originalLanguage: '원어',
+        watchRegion: '시청 지역',
+        sort: '정렬',
+        sortOptions: {
+            popularity: '인기순',
+            voteAverage: '평점 높은순',
+            voteCount: '평가 많은순',
+            releaseNewest: '최신 개봉순',
+            releaseOldest: '오래된 개봉순',
+            revenue: '흥행 수익순',
+            airNewest: '최신 방영순',
+            airOldest: '오래된 방영순',
+        },
+        reset: '필터 초기화',
+        empty: '조건에 맞는 작품이 없습니다.',
+        loading: '작품을 불러오는 중',
+        error: '작품을 불러올 수 없습니다: {error}',
+        providers: {
+            title: '볼 수 있는 서비스 (스트리밍)',
+            error: '서비스 목록을 불러올 수 없습니다: {error}',
+            collapse: '접기',
+            more: '+{count}',
+            onlyMine: '내 서비스에서 볼 수 있는 작품만',
+            saveAsMine: '고른 서비스를 내 서비스로 저장',
+            clear: '서비스 선택 해제',
+        },
+    },
+    trending: {
+        title: '트렌딩',
+        mediaType: '미디어 유형',
+        timeWindow: '기간',
+        tabs: {
+            all: '전체',
+            movie: '영화',
+            tv: 'TV 프로그램',
+            person: '인물',
+        },
+        windows: {
+            day: '오늘',
+            week: '이번 주',
+        },
+        comparedTo: '순위 변동은 {date} 순위와 비교한 값입니다.',
+        error: '트렌딩 목록을 불러올 수 없습니다: {error}',
+        loading: '트렌딩 목록을 불러오는 중...',
+        rank: '{rank}위',
+        movement: {
+            up: '지난번보다 {change}계단 상승',
+            down: '지난번보다 {change}계단 하락',
+            same: '순위 변동 없음',
+            new: '새로 진입',
+        },
+    },
+    notifications: {
+        close: '알림 닫기',
+    },
+    me: {
+        title: '내 보관함',
+        userTitle: '{name}님의 보관함',
+        localNote: '워치리스트와 본 영화는 이 브라우저에 저장됩니다.',
+        count: '{count}편',
+        watchlist: '워치리스트',
+        watchlistEmpty: '워치리스트가 비어 있습니다. 북마크 버튼으로 영화를 담아 보세요.',
+        seen: '봤어요',
+        seenEmpty: '본 영화가 없습니다. 눈 모양 버튼으로 표시해 보세요.',
+        favorites: '즐겨찾기',
+        favoritesError: '즐겨찾기를 불러올 수 없습니다: {error}',
+        favoritesLoading: '즐겨찾기를 불러오는 중...',
+        favoritesEmpty: '즐겨찾기한 영화가 없습니다. 하트 버튼으로 추가해 보세요.',
+        updateFailed: {
+            watchlist: '워치리스트를 변경하지 못했습니다: {error}',
+            favorites: '즐겨찾기를 변경하지 못했습니다: {error}',
+        },
+        syncError: 'TMDB 워치리스트와 동기화하지 못했습니다: {error}',
+        syncing: 'TMDB 워치리스트와 동기화하는 중...',
+        synced: 'TMDB 워치리스트와 동기화됨 ({time})',
+        pushFailed: 'TMDB 워치리스트에 반영하지 못했습니다. 다음 동기화 때 다시 시도합니다. ({error})',
+        lists: '내 리스트',
+        loginPrompt: 'TMDB 로그인 안내',
+        loginBenefits:
+            'TMDB 계정으로 로그인하면 워치리스트가 TMDB와 동기화되고, 즐겨찾기와 리스트를 관리할 수 있습니다.',
+        guestNote: ' 게스트 세션에서는 평점만 남길 수 있습니다.',
+    },
+    lists: {
+        add: '리스트에 추가',
+        loading: '리스트를 불러오는 중...',
+        none: '만든 리스트가 없습니다.',
+        noneYet: '아직 만든 리스트가 없습니다.',
+        createNew: '새 리스트 만들기',
+        error: '리스트를 불러올 수 없습니다: {error}',
+        listsError: '리스트 목록을 불러올 수 없습니다: {error}',
+        saveError: '리스트를 변경하지 못했습니다: {error}',
+        empty: '리스트가 비어 있습니다. 영화 상세 페이지에서 추가해 보세요.',
+        remove: '리스트에서 제거',
+        clear: '리스트 비우기',
+        confirmClear: "'{name}' 리스트의 영화를 모두 제거할까요?",
+        confirmDelete: "'{name}' 리스트를 삭제할까요?",
+        name: '리스트 이름',
+        description: '설명 (선택)',
+        descriptionLabel: '리스트 설명',
+        create: '만들기',
+        delete: '삭제',
+        count: '{count}편',
+    },
+    errors: {
+        network: '네트워크에 연결할 수 없습니다.',
+        timeout: '응답 시간이 초과되었습니다.',
+        auth: '인증에 실패했습니다. API 키 또는 로그인 상태를 확인해 주세요.',
+        invalidApiKey: 'v3 API 키가 올바르지 않습니다. v4 읽기 토큰이라면 VITE_TMDB_ACCESS_TOKEN으로 설정해 주세요.',
+        invalidAccessToken: 'v4 읽기 토큰이 올바르지 않습니다. v3 API 키라면 VITE_TMDB_API_KEY로 설정해 주세요.',
+        notFound: '요청한 정보를 찾을 수 없습니다.',
+        rateLimit: '요청이 너무 많습니다. 잠시 후 다시 시도해 주세요.',
+        request: '요청에 실패했습니다.',
+        invalidRequest: '잘못된 요청입니다.',
+        sessionExpired: '로그인이 만료되었습니다. 다시 로그인해 주세요.',
+        authConfig: {
+            unknownFormat: 'TMDB 인증 정보의 형식을 알 수 없습니다. v3 API 키 또는 v4 읽기 토큰을 설정해 주세요.',
+            both: 'TMDB 인증 정보는 apiKey와 accessToken 중 하나만 설정해 주세요.',
+            apiKeyAsToken: 'v3 API 키가 accessToken으로 설정되었습니다. apiKey(VITE_TMDB_API_KEY)로 설정해 주세요.',
+            tokenAsApiKey:
+                'v4 읽기 토큰이 apiKey로 설정되었습니다. accessToken(VITE_TMDB_ACCESS_TOKEN)으로 설정해 주세요.',
+            missing:
+                'TMDB 인증 정보가 없습니다. VITE_TMDB_API_KEY 또는 VITE_TMDB_ACCESS_TOKEN 환경 변수를 설정해 주세요.',
+        },
+    },
+};
+
+export default ko;
@@ -1,9 +1,17 @@
 import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
+import { Provider } from 'react-redux'
+import store from './store'
 import App from './App.jsx'
+import { loadImageConfiguration } from './services/imageConfiguration'
+
+// 보관한 TMDB 이미지 설정을 먼저 적용하고, 오래되었으면 새로 받음
+loadImageConfiguration()
 
 createRoot(document.getElementById('root')).render(
     <StrictMode>
-        <App />
+        <Provider store={store}>
+            <App />
+        </Provider>
     </StrictMode>,
 )
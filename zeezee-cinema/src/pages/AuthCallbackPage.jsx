@@ -0,0 +1,74 @@
+import { useEffect } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { useDispatch, useSelector } from 'react-redux';
+import { completeLogin, startLogin } from '../store/actions/sessionActions';
+import { selectSession, selectSessionType } from '../store/reducers/sessionReducer';
+import { loadReturnPath } from '../utils/persistedSession';
+import useTranslation from '../hooks/useTranslation';
+
+// TMDB 승인 페이지에서 돌아오는 곳 (?request_token=...&approved=true 또는 &denied=true)
+function AuthCallbackPage() {
+    const { t, tError } = useTranslation();
+    const [searchParams] = useSearchParams();
+    const navigate = useNavigate();
+    const dispatch = useDispatch();
+    const { loading, error } = useSelector(selectSession);
+    const sessionType = useSelector(selectSessionType);
+
+    const requestToken = searchParams.get('request_token');
+    const approved = searchParams.get('approved') === 'true';
+
+    useEffect(() => {
+        if (requestToken && approved) {
+            dispatch(completeLogin(requestToken));
+        }
+    }, [dispatch, requestToken, approved]);
+
+    // 세션이 만들어지면 로그인을 시작한 페이지로 돌아감
+    useEffect(() => {
+        if (sessionType === 'user' && !loading) {
+            navigate(loadReturnPath(), { replace: true });
+        }
+    }, [navigate, sessionType, loading]);
+
+    const handleRetry = () => {
+        dispatch(startLogin(loadReturnPath()));
+    };
+
+    if (!approved || error) {
+        return (
+            <section className="m-8 p-6 bg-red-50 rounded-lg max-w-xl mx-auto text-center" role="alert">
+                <h1 className="text-red-600 text-lg font-semibold mb-2">{t('account.loginFailed')}</h1>
+                <p className="text-red-600 text-sm mb-4">{error ? tError(error) : t('account.loginDenied')}</p>
+                <div className="flex justify-center gap-3">
+                    <button
+                        onClick={handleRetry}
+                        disabled={loading}
+                        className="bg-red-600 text-white px-4 py-2 rounded-md hover:bg-red-700 transition-colors text-sm disabled:opacity-50"
+                        type="button"
+                    >
+                        {t('account.loginAgain')}
+                    </button>
+                    <Link
+                        to={loadReturnPath()}
+                        className="px-4 py-2 rounded-md text-sm text-gray-700 bg-white hover:bg-gray-100 transition-colors"
+                    >
+                        {t('account.goBack')}
+                    </Link>
+                </div>
+            </section>
+        );
+    }
+
+    return (
+        <div className="flex flex-col items-center gap-3 py-24" aria-live="polite">
+            <div
+                className="w-8 h-8 border-4 border-gray-300 border-t-blue-600 rounded-full animate-spin"
+                aria-hidden="true"
+            ></div>
+            <p className="text-gray-500 text-sm">{t('account.loggingIn')}</p>
+        </div>
+    );
+}
+
+export default AuthCallbackPage;
@@ -0,0 +1,177 @@
+import { useEffect, useCallback } from 'react';
+import { useParams, useSearchParams } from 'react-router-dom';
+import { useSelector } from 'react-redux';
+import { fetchBrowseSubject, browseTitles, getBrowseKey, getBrowseSubjectKey } from '../store/actions/browseActions';
+import { selectBrowseSubject } from '../store/reducers/browseReducer';
+import { selectPagination } from '../store/reducers/paginationReducer';
+import SearchResults from '../component/Search/SearchResults';
+import TmdbImage from '../component/Image/TmdbImage';
+import useInfiniteScroll from '../hooks/useInfiniteScroll';
+import useCancellableDispatch from '../hooks/useCancellableDispatch';
+import useTranslation from '../hooks/useTranslation';
+
+// 정렬 기준과 메시지 키 (첫 항목이 기본값)
+const SORT_OPTIONS = [
+    { value: 'popularity.desc', labelKey: 'browse.sortPopularity' },
+    { value: 'primary_release_date.desc', labelKey: 'browse.sortNewest' },
+    { value: 'primary_release_date.asc', labelKey: 'browse.sortOldest' },
+    { value: 'vote_average.desc', labelKey: 'browse.sortRating' },
+    { value: 'revenue.desc', labelKey: 'browse.sortRevenue' },
+];
+
+const DEFAULT_SORT = SORT_OPTIONS[0].value;
+
+/**
+ * 제작사/키워드 둘러보기 페이지 헤더
+ * 제작사는 로고와 본사 위치를, 키워드는 이름만 표시합니다.
+ */
+function BrowseHeader({ kind, subject, totalResults }) {
+    const { t } = useTranslation();
+    const name = subject?.name || '';
+
+    return (
+        <div className="flex items-center gap-6">
+            {kind === 'company' && subject?.logo_path && (
+                <TmdbImage
+                    path={subject.logo_path}
+                    type="logo"
+                    sizes="128px"
+                    fallbackWidth={185}
+                    alt={t('browse.logo', { name })}
+                    className="w-32 h-16 shrink-0"
+                    imgClassName="object-contain"
+                    loading="eager"
+                />
+            )}
+            <div>
+                <p className="text-sm font-medium text-gray-500">{t(`browse.${kind}`)}</p>
+                <h1 id="browse-title" className="text-2xl font-bold">
+                    {kind === 'keyword' && name ? `#${name}` : name}
+                    {totalResults > 0 && (
+                        <span className="ml-2 text-base font-normal text-gray-500">
+                            {t('browse.count', { count: totalResults.toLocaleString() })}
+                        </span>
+                    )}
+                </h1>
+                {kind === 'company' && (subject?.headquarters || subject?.origin_country) && (
+                    <p className="text-sm text-gray-500">{subject.headquarters || subject.origin_country}</p>
+                )}
+            </div>
+        </div>
+    );
+}
+
+/**
+ * 제작사(/company/:id) 또는 키워드(/keyword/:id)의 영화 목록
+ * 정렬 기준은 URL(?sort=)에 두어 북마크/공유 시 같은 목록을 보여 줍니다.
+ * @param {'company'|'keyword'} kind - 둘러보기 대상 종류
+ */
+function BrowsePage({ kind }) {
+    const { id } = useParams();
+    const { t, tError } = useTranslation();
+    const [searchParams, setSearchParams] = useSearchParams();
+
+    const sort = searchParams.get('sort');
+    const sortBy = SORT_OPTIONS.some((option) => option.value === sort) ? sort : DEFAULT_SORT;
+    const key = getBrowseKey({ kind, id, sortBy });
+    // 대상이나 정렬 기준이 바뀌거나 페이지를 떠나면 진행 중인 요청 취소
+    const dispatch = useCancellableDispatch(key);
+    // 대상 정보는 정렬 기준과 무관하므로 대상이 바뀔 때만 취소
+    const dispatchSubject = useCancellableDispatch(getBrowseSubjectKey({ kind, id }));
+
+    const subject = useSelector((state) => selectBrowseSubject(state, { kind, id }));
+    const results = useSelector((state) => state.browse.results);
+    const { page, totalPages, totalResults } = useSelector((state) => selectPagination(state, `browse/${key}`));
+
+    const isCurrent = results.key === key;
+    const loadedPage = isCurrent ? page : 0;
+    const hasMore = loadedPage < totalPages;
+
+    // 요청이 취소되면(StrictMode의 재마운트) loading이 풀린 뒤 다시 요청
+    // 이미 불러온 대상은 fetchBrowseSubject의 condition에서 건너뜀
+    useEffect(() => {
+        if (!subject.loading && !subject.error) dispatchSubject(fetchBrowseSubject({ kind, id }));
+    }, [dispatchSubject, kind, id, subject.loading, subject.error]);
+
+    // 대상이나 정렬 기준이 바뀌면 첫 페이지부터 다시 불러오기
+    useEffect(() => {
+        if (!isCurrent && !results.loading) {
+            dispatch(browseTitles({ kind, id, sortBy, page: 1 }));
+        }
+    }, [dispatch, kind, id, sortBy, isCurrent, results.loading]);
+
+    const handleSortChange = useCallback(
+        (e) => {
+            const params = new URLSearchParams();
+            if (e.target.value !== DEFAULT_SORT) params.set('sort', e.target.value);
+            setSearchParams(params, { replace: true });
+        },
+        [setSearchParams]
+    );
+
+    const handleLoadMore = useCallback(() => {
+        dispatch(browseTitles({ kind, id, sortBy, page: loadedPage + 1 }));
+    }, [dispatch, kind, id, sortBy, loadedPage]);
+
+    const sentinelRef = useInfiniteScroll(handleLoadMore, isCurrent && !results.loading && !results.error && hasMore);
+
+    return (
+        <section className="m-8" aria-labelledby="browse-title">
+            <header className="flex flex-wrap items-end justify-between gap-4 mb-6">
+                <BrowseHeader kind={kind} subject={subject.data} totalResults={isCurrent ? totalResults : 0} />
+                <label className="flex flex-col gap-1 text-sm">
+                    <span className="font-medium text-gray-700">{t('browse.sort')}</span>
+                    <select
+                        value={sortBy}
+                        onChange={handleSortChange}
+                        className="border border-gray-300 rounded-md px-2 py-1 text-sm"
+                    >
+                        {SORT_OPTIONS.map((option) => (
+                            <option key={option.value} value={option.value}>
+                                {t(option.labelKey)}
+                            </option>
+                        ))}
+                    </select>
+                </label>
+            </header>
+
+            <div aria-busy={results.loading}>
+                {isCurrent && results.items.length > 0 && <SearchResults type="movie" items={results.items} />}
+
+                {isCurrent && !results.loading && !results.error && results.items.length === 0 && (
+                    <p className="text-gray-500">{t('browse.empty')}</p>
+                )}
+
+                {results.loading && (
+                    <div className="flex justify-center py-6" aria-live="polite" aria-label={t('browse.loading')}>
+                        <div
+                            className="w-8 h-8 border-4 border-gray-300 border-t-blue-600 rounded-full animate-spin"
+                            aria-hidden="true"
+                        ></div>
+                    </div>
+                )}
+
+                {isCurrent && results.error && (
+                    <div
+                        className="flex items-center justify-between mt-4 p-4 bg-red-50 rounded-lg"
+                        role="alert"
+                        aria-live="polite"
+                    >
+                        <p className="text-red-600 text-sm">{t('browse.error', { error: tError(results.error) })}</p>
+                        <button
+                            onClick={handleLoadMore}
+                            className="bg-red-600 text-white px-4 py-2 rounded-md hover:bg-red-700 transition-colors text-sm"
+                            type="button"
+                        >
+                            {t('common.retry')}
+                        </button>
+                    </div>
+                )}
+
+                <div ref={sentinelRef} aria-hidden="true"></div>
+            </div>
+        </section>
+    );
+}
+
+export default BrowsePage;
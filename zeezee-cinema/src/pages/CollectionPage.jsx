@@ -0,0 +1,122 @@
+import { useEffect, useCallback, useMemo } from 'react';
+import { useParams } from 'react-router-dom';
+import { useSelector } from 'react-redux';
+import { fetchCollection } from '../store/actions/collectionsActions';
+import { selectCollection } from '../store/reducers/collectionsReducer';
+import { countSeenParts, sortCollectionParts } from '../utils/collections';
+import TmdbImage from '../component/Image/TmdbImage';
+import CollectionParts from '../component/Collection/CollectionParts';
+import useCancellableDispatch from '../hooks/useCancellableDispatch';
+import useTranslation from '../hooks/useTranslation';
+
+function CollectionPage() {
+    const { id } = useParams();
+    const { t, tError } = useTranslation();
+    // 다른 컬렉션으로 이동하거나 페이지를 떠나면 진행 중인 요청 취소
+    const dispatch = useCancellableDispatch(id);
+    const { data, loading, error } = useSelector((state) => selectCollection(state, id));
+    const libraryEntries = useSelector((state) => state.library.entries);
+
+    const fetchDetails = useCallback(() => {
+        dispatch(fetchCollection(id));
+    }, [dispatch, id]);
+
+    // 요청이 취소되면(StrictMode의 재마운트, 빠른 이동) loading이 풀린 뒤 다시 요청
+    // 이미 불러온 컬렉션은 fetchCollection의 condition에서 건너뜀
+    useEffect(() => {
+        if (!loading && !error) fetchDetails();
+    }, [fetchDetails, loading, error]);
+
+    const parts = useMemo(() => (data ? sortCollectionParts(data.parts) : []), [data]);
+
+    if (error) {
+        return (
+            <section
+                className="flex items-center justify-center h-[500px] bg-gradient-to-br from-red-50 to-red-100"
+                role="alert"
+                aria-labelledby="collection-error-title"
+            >
+                <div className="text-center px-6">
+                    <h1 id="collection-error-title" className="text-red-600 text-lg font-semibold mb-4">
+                        {t('collection.error', { error: tError(error) })}
+                    </h1>
+                    <button
+                        onClick={fetchDetails}
+                        className="bg-red-600 text-white px-6 py-2 rounded-lg hover:bg-red-700 transition-colors duration-200 font-medium"
+                        type="button"
+                    >
+                        {t('common.retry')}
+                    </button>
+                </div>
+            </section>
+        );
+    }
+
+    if (loading || !data) {
+        return (
+            <section
+                className="flex items-center justify-center h-[500px] bg-gradient-to-br from-gray-800 to-gray-900"
+                aria-live="polite"
+                aria-label={t('collection.loading')}
+            >
+                <p className="text-white/70">{t('collection.loading')}</p>
+            </section>
+        );
+    }
+
+    const seen = countSeenParts(parts, libraryEntries);
+
+    return (
+        <article key={id}>
+            <section
+                className="relative w-full min-h-[360px] bg-gray-900 text-white"
+                aria-labelledby="collection-title"
+            >
+                {data.backdrop_path && (
+                    <figure className="absolute inset-0" aria-hidden="true">
+                        <TmdbImage
+                            path={data.backdrop_path}
+                            type="backdrop"
+                            sizes="100vw"
+                            fallbackWidth={1280}
+                            className="w-full h-full opacity-40"
+                            imgClassName="object-cover object-center"
+                            loading="eager"
+                        />
+                        <div className="absolute inset-0 bg-gradient-to-t from-gray-900 via-gray-900/60 to-transparent"></div>
+                    </figure>
+                )}
+
+                <div className="relative z-10 flex flex-col md:flex-row gap-8 px-8 py-12 max-w-6xl mx-auto">
+                    {data.poster_path && (
+                        <TmdbImage
+                            path={data.poster_path}
+                            type="poster"
+                            sizes="(min-width: 768px) 192px, 160px"
+                            fallbackWidth={342}
+                            alt={t('movieCard.poster', { title: data.name })}
+                            className="w-40 md:w-48 shrink-0 aspect-[2/3] rounded-lg shadow-2xl self-start"
+                            loading="eager"
+                        />
+                    )}
+
+                    <div className="flex-1 space-y-4">
+                        <h1 id="collection-title" className="text-3xl md:text-5xl font-bold drop-shadow-2xl">
+                            {data.name}
+                        </h1>
+                        {parts.length > 0 && (
+                            <p className="text-white/80">{t('collection.progress', { total: parts.length, seen })}</p>
+                        )}
+                        <p className="text-white/90 leading-relaxed max-w-3xl">
+                            {data.overview || t('common.noOverview')}
+                        </p>
+                    </div>
+                </div>
+            </section>
+
+            <CollectionParts parts={parts} />
+        </article>
+    );
+}
+
+export default CollectionPage;
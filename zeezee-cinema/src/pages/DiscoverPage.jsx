@@ -0,0 +1,120 @@
+import { useEffect, useCallback, useMemo } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { useDispatch, useSelector } from 'react-redux';
+import { discoverTitles, fetchGenres } from '../store/actions/filtersActions';
+import { setFilters, selectGenreList } from '../store/reducers/filtersReducer';
+import { selectPagination } from '../store/reducers/paginationReducer';
+import { parseFilters, serializeFilters, getDiscoverKey, DEFAULT_FILTERS } from '../utils/discoverFilters';
+import DiscoverFilters from '../component/Discover/DiscoverFilters';
+import SearchResults from '../component/Search/SearchResults';
+import useInfiniteScroll from '../hooks/useInfiniteScroll';
+import useCancellableDispatch from '../hooks/useCancellableDispatch';
+import useTranslation from '../hooks/useTranslation';
+
+function DiscoverPage() {
+    const { t, tError } = useTranslation();
+    const dispatch = useDispatch();
+    const [searchParams, setSearchParams] = useSearchParams();
+
+    // URL을 필터의 기준으로 사용 (북마크/공유 시 같은 결과)
+    const filters = useMemo(() => parseFilters(searchParams), [searchParams]);
+    const key = getDiscoverKey(filters);
+    // 필터가 바뀌거나 페이지를 떠나면 진행 중인 탐색 요청 취소
+    const dispatchRequest = useCancellableDispatch(key);
+
+    const genres = useSelector((state) => selectGenreList(state, filters.mediaType));
+    const results = useSelector((state) => state.filters.results);
+    const { page, totalPages, totalResults } = useSelector((state) => selectPagination(state, `discover/${key}`));
+
+    const isCurrent = results.key === key;
+    const loadedPage = isCurrent ? page : 0;
+    const hasMore = loadedPage < totalPages;
+
+    useEffect(() => {
+        dispatch(setFilters(filters));
+    }, [dispatch, filters]);
+
+    useEffect(() => {
+        dispatch(fetchGenres(filters.mediaType));
+    }, [dispatch, filters.mediaType]);
+
+    // 필터가 바뀌면 첫 페이지부터 다시 불러오기
+    useEffect(() => {
+        if (!isCurrent && !results.loading) {
+            dispatchRequest(discoverTitles({ filters, page: 1 }));
+        }
+    }, [dispatchRequest, filters, isCurrent, results.loading]);
+
+    const handleChange = useCallback(
+        (updates) => {
+            setSearchParams(serializeFilters({ ...filters, ...updates }), { replace: true });
+        },
+        [setSearchParams, filters]
+    );
+
+    const handleReset = useCallback(() => {
+        setSearchParams(serializeFilters(DEFAULT_FILTERS), { replace: true });
+    }, [setSearchParams]);
+
+    const handleLoadMore = useCallback(() => {
+        dispatchRequest(discoverTitles({ filters, page: loadedPage + 1 }));
+    }, [dispatchRequest, filters, loadedPage]);
+
+    const sentinelRef = useInfiniteScroll(handleLoadMore, isCurrent && !results.loading && !results.error && hasMore);
+
+    return (
+        <section className="m-8" aria-labelledby="discover-title">
+            <header className="mb-6">
+                <h1 id="discover-title" className="text-2xl font-bold mb-4">
+                    {t('discover.title')}
+                    {isCurrent && totalResults > 0 && (
+                        <span className="ml-2 text-base font-normal text-gray-500">
+                            {t('discover.count', { count: totalResults.toLocaleString() })}
+                        </span>
+                    )}
+                </h1>
+                <DiscoverFilters filters={filters} genres={genres} onChange={handleChange} onReset={handleReset} />
+            </header>
+
+            <div aria-busy={results.loading}>
+                {isCurrent && results.items.length > 0 && (
+                    <SearchResults type={filters.mediaType} items={results.items} />
+                )}
+
+                {isCurrent && !results.loading && !results.error && results.items.length === 0 && (
+                    <p className="text-gray-500">{t('discover.empty')}</p>
+                )}
+
+                {results.loading && (
+                    <div className="flex justify-center py-6" aria-live="polite" aria-label={t('discover.loading')}>
+                        <div
+                            className="w-8 h-8 border-4 border-gray-300 border-t-blue-600 rounded-full animate-spin"
+                            aria-hidden="true"
+                        ></div>
+                    </div>
+                )}
+
+                {isCurrent && results.error && (
+                    <div
+                        className="flex items-center justify-between mt-4 p-4 bg-red-50 rounded-lg"
+                        role="alert"
+                        aria-live="polite"
+                    >
+                        <p className="text-red-600 text-sm">{t('discover.error', { error: tError(results.error) })}</p>
+                        <button
+                            onClick={handleLoadMore}
+                            className="bg-red-600 text-white px-4 py-2 rounded-md hover:bg-red-700 transition-colors text-sm"
+                            type="button"
+                        >
+                            {t('common.retry')}
+                        </button>
+                    </div>
+                )}
+
+                <div ref={sentinelRef} aria-hidden="true"></div>
+            </div>
+        </section>
+    );
+}
+
+export default DiscoverPage;
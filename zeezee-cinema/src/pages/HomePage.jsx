@@ -1,14 +1,25 @@
 import Carousel from '../component/MovieList/Carousel';
 import MovieList from '../component/MovieList/MovieList';
+import PersonalizedRows from '../component/Recommendations/PersonalizedRows';
+import { HOME_ROWS } from '../config/homeRows';
+
+/**
+ * 행 설정에 맞는 컴포넌트 (배너, 개인화 추천, 그 외에는 가로 목록)
+ * @param {import('../config/homeRows').HomeRow} row - 행 설정
+ */
+const getRowComponent = (row) => {
+    if (row.personalized) return PersonalizedRows;
+    return row.layout === 'banner' ? Carousel : MovieList;
+};
+
 function HomePage() {
     return (
         <>
             <h1 className="text-3xl font-bold underline">homepage</h1>
-            <Carousel />
-            <MovieList listTitle="Now Playing" />
-            <MovieList listTitle="Upcoming Releases" />
-            <MovieList listTitle="Top Rated" />
-            <MovieList listTitle="Popular Movies" />
+            {HOME_ROWS.map((row) => {
+                const Row = getRowComponent(row);
+                return <Row key={row.id} row={row} />;
+            })}
         </>
     );
 }
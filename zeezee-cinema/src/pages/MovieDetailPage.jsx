@@ -1,8 +1,137 @@
+import { useEffect, useCallback, useRef } from 'react';
+import { useParams } from 'react-router-dom';
+import { useDispatch, useSelector } from 'react-redux';
+import { fetchMovieFullDetails, clearCurrentMovie } from '../store/actions/movieDetailsActions';
+import { movieViewed } from '../store/actions/recommendationsActions';
+import { selectMovieById } from '../store/reducers/movieCacheReducer';
+import MovieHero from '../component/MovieDetail/MovieHero';
+import CastList from '../component/MovieDetail/CastList';
+import CrewList from '../component/MovieDetail/CrewList';
+import TrailerList from '../component/MovieDetail/TrailerList';
+import TrailerButton from '../component/Trailer/TrailerButton';
+import MediaGallery from '../component/Gallery/MediaGallery';
+import KeywordList from '../component/MovieDetail/KeywordList';
+import ProductionCompanyList from '../component/MovieDetail/ProductionCompanyList';
+import ReviewList from '../component/MovieDetail/ReviewList';
+import RatingWidget from '../component/MovieDetail/RatingWidget';
+import MovieToggles from '../component/Account/MovieToggles';
+import AddToListMenu from '../component/Account/AddToListMenu';
+import WatchProvidersPanel from '../component/WatchProviders/WatchProvidersPanel';
+import CollectionBanner from '../component/Collection/CollectionBanner';
+import useTranslation from '../hooks/useTranslation';
+
 function MovieDetailPage() {
+    const { t, tError } = useTranslation();
+    const { id } = useParams();
+    const dispatch = useDispatch();
+    const { current: movie, loading, error } = useSelector((state) => state.movieDetails);
+    // 목록에서 이미 받은 요약 정보 (상세 정보를 불러오는 동안 먼저 표시)
+    const cachedMovie = useSelector((state) => selectMovieById(state, Number(id)));
+
+    const controllerRef = useRef(null);
+
+    const fetchDetails = useCallback(() => {
+        controllerRef.current?.abort();
+        controllerRef.current = new AbortController();
+        dispatch(fetchMovieFullDetails(id, { signal: controllerRef.current.signal }));
+    }, [dispatch, id]);
+
+    useEffect(() => {
+        fetchDetails();
+
+        // 다른 영화로 이동하거나 페이지를 떠날 때 진행 중인 요청을 취소하고 이전 영화 정보 제거
+        return () => {
+            controllerRef.current?.abort();
+            dispatch(clearCurrentMovie());
+        };
+    }, [dispatch, fetchDetails]);
+
+    // 개인화 추천에 사용할 최근 살펴본 영화로 기록
+    const loadedMovie = movie && String(movie.id) === id ? movie : null;
+    useEffect(() => {
+        if (loadedMovie) dispatch(movieViewed(loadedMovie));
+    }, [dispatch, loadedMovie]);
+
+    const handleRetry = useCallback(() => {
+        fetchDetails();
+    }, [fetchDetails]);
+
+    if (error) {
+        return (
+            <section
+                className="flex items-center justify-center h-[500px] bg-gradient-to-br from-red-50 to-red-100"
+                role="alert"
+                aria-labelledby="movie-error-title"
+            >
+                <div className="text-center px-6">
+                    <h1 id="movie-error-title" className="text-red-600 text-lg font-semibold mb-4">
+                        {t('movieDetail.error', { error: tError(error) })}
+                    </h1>
+                    <button
+                        onClick={handleRetry}
+                        className="bg-red-600 text-white px-6 py-2 rounded-lg hover:bg-red-700 transition-colors duration-200 font-medium"
+                        type="button"
+                    >
+                        {t('common.retry')}
+                    </button>
+                </div>
+            </section>
+        );
+    }
+
+    // 로딩 중이거나 아직 요청한 영화의 정보가 도착하지 않은 경우
+    if (loading || !movie || String(movie.id) !== id) {
+        if (cachedMovie) {
+            return (
+                <article aria-busy="true">
+                    <MovieHero movie={cachedMovie} />
+                    <p className="m-8 text-gray-500" aria-live="polite">
+                        {t('movieDetail.loading')}
+                    </p>
+                </article>
+            );
+        }
+
+        return (
+            <section
+                className="flex items-center justify-center h-[500px] bg-gradient-to-br from-gray-800 to-gray-900"
+                aria-live="polite"
+                aria-label={t('movieDetail.loading')}
+            >
+                <p className="text-white/70">{t('movieDetail.loading')}</p>
+            </section>
+        );
+    }
+
     return (
-        <>
-            <h1>MovieDetailPage</h1>
-        </>
+        <article>
+            <MovieHero movie={movie}>
+                <div className="flex flex-wrap items-center gap-3">
+                    <TrailerButton
+                        mediaType="movie"
+                        id={movie.id}
+                        title={movie.title}
+                        originalLanguage={movie.original_language}
+                        className="px-4 h-10 rounded-full text-sm font-semibold bg-white text-gray-900 hover:bg-white/90 transition-colors"
+                    />
+                    <MovieToggles movieId={movie.id} variant="hero" />
+                    <AddToListMenu movie={movie} />
+                </div>
+                <RatingWidget movieId={movie.id} />
+            </MovieHero>
+            <WatchProvidersPanel mediaType="movie" id={movie.id} />
+            {movie.belongs_to_collection && (
+                <CollectionBanner collection={movie.belongs_to_collection} movieId={movie.id} />
+            )}
+            <CastList cast={movie.credits?.cast} />
+            <CrewList crew={movie.credits?.crew} />
+            <TrailerList videos={movie.videos?.results} />
+            <MediaGallery mediaType="movie" id={movie.id} title={movie.title} />
+            <ProductionCompanyList companies={movie.production_companies} />
+            <KeywordList keywords={movie.keywords?.keywords} />
+            <ReviewList movieId={movie.id} />
+        </article>
     );
 }
+
 export default MovieDetailPage;
@@ -0,0 +1,177 @@
+import { useEffect } from 'react';
+import { useLocation } from 'react-router-dom';
+import { useDispatch, useSelector } from 'react-redux';
+import { fetchAccountMovies, fetchLists } from '../store/actions/accountActions';
+import { syncLibrary } from '../store/actions/libraryActions';
+import { startLogin } from '../store/actions/sessionActions';
+import { selectAccountMovieList } from '../store/reducers/accountReducer';
+import { selectLibraryEntries, selectLibraryStatus } from '../store/reducers/libraryReducer';
+import { selectMovieEntities } from '../store/reducers/movieCacheReducer';
+import { selectSession, selectSessionType } from '../store/reducers/sessionReducer';
+import { toMovieCard } from '../component/MovieCard/movieCardModel';
+import MovieCard from '../component/MovieCard/MovieCard';
+import ListManager from '../component/Account/ListManager';
+import useTranslation from '../hooks/useTranslation';
+import { LOCALES } from '../i18n/locales';
+
+// 내 서재(로그인하지 않아도 사용하는 목록) 섹션
+const LIBRARY_SECTIONS = [
+    { flag: 'watchlist', titleKey: 'me.watchlist', emptyKey: 'me.watchlistEmpty' },
+    { flag: 'seen', titleKey: 'me.seen', emptyKey: 'me.seenEmpty' },
+];
+
+function MovieGrid({ movies }) {
+    return (
+        <ul className="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-4 lg:grid-cols-5 xl:grid-cols-6 gap-4">
+            {movies.map((movie) => (
+                <li key={movie.id}>
+                    <MovieCard movie={toMovieCard(movie)} />
+                </li>
+            ))}
+        </ul>
+    );
+}
+
+function LibrarySection({ flag, titleKey, emptyKey }) {
+    const { t } = useTranslation();
+    const entries = useSelector((state) => selectLibraryEntries(state, flag));
+    const movieEntities = useSelector(selectMovieEntities);
+    // 캐시에 최신 정보가 있으면 사용하고, 없으면 서재에 저장한 요약 정보로 표시
+    const movies = entries.map((entry) => movieEntities[entry.id] || entry.movie);
+
+    return (
+        <section className="space-y-4" aria-labelledby={`${flag}-title`}>
+            <h2 id={`${flag}-title`} className="text-2xl font-bold">
+                {t(titleKey)}
+                <span className="ml-2 text-base font-normal text-gray-500">
+                    {t('me.count', { count: entries.length })}
+                </span>
+            </h2>
+            {movies.length === 0 ? (
+                <p className="text-gray-500 text-sm">{t(emptyKey)}</p>
+            ) : (
+                <MovieGrid movies={movies} />
+            )}
+        </section>
+    );
+}
+
+function FavoritesSection() {
+    const { t, tError } = useTranslation();
+    const { ids, loaded, loading, error } = useSelector((state) => selectAccountMovieList(state, 'favorites'));
+    const movieEntities = useSelector(selectMovieEntities);
+    const movies = ids.map((id) => movieEntities[id]).filter(Boolean);
+
+    return (
+        <section className="space-y-4" aria-labelledby="favorites-title">
+            <h2 id="favorites-title" className="text-2xl font-bold">
+                {t('me.favorites')}
+                {loaded && (
+                    <span className="ml-2 text-base font-normal text-gray-500">
+                        {t('me.count', { count: ids.length })}
+                    </span>
+                )}
+            </h2>
+            {error && (
+                <p className="text-red-600 text-sm" role="alert">
+                    {t('me.favoritesError', { error: tError(error) })}
+                </p>
+            )}
+            {loading && movies.length === 0 && <p className="text-gray-500 text-sm">{t('me.favoritesLoading')}</p>}
+            {loaded && movies.length === 0 && <p className="text-gray-500 text-sm">{t('me.favoritesEmpty')}</p>}
+            {movies.length > 0 && <MovieGrid movies={movies} />}
+        </section>
+    );
+}
+
+function SyncStatus() {
+    const { t, tError, locale } = useTranslation();
+    const dispatch = useDispatch();
+    const { syncing, lastSyncedAt, syncError } = useSelector(selectLibraryStatus);
+
+    if (syncError) {
+        return (
+            <p className="text-sm text-red-600" role="alert">
+                {t('me.syncError', { error: tError(syncError) })}
+                <button type="button" onClick={() => dispatch(syncLibrary())} className="ml-2 underline">
+                    {t('common.retry')}
+                </button>
+            </p>
+        );
+    }
+
+    return (
+        <p className="text-sm text-gray-500" aria-live="polite">
+            {syncing && t('me.syncing')}
+            {!syncing &&
+                lastSyncedAt &&
+                t('me.synced', { time: new Date(lastSyncedAt).toLocaleTimeString(LOCALES[locale].language) })}
+        </p>
+    );
+}
+
+function MyPage() {
+    const { t } = useTranslation();
+    const dispatch = useDispatch();
+    const location = useLocation();
+    const sessionType = useSelector(selectSessionType);
+    const { account, loading } = useSelector(selectSession);
+    const { loaded: libraryLoaded } = useSelector(selectLibraryStatus);
+
+    // 다른 기기에서 바꾼 내용도 보이도록 들어올 때마다 새로 불러옴
+    useEffect(() => {
+        if (sessionType !== 'user') return;
+        dispatch(fetchAccountMovies({ listType: 'favorites', force: true }));
+        dispatch(fetchLists());
+    }, [dispatch, sessionType]);
+
+    useEffect(() => {
+        if (sessionType === 'user' && libraryLoaded) dispatch(syncLibrary());
+    }, [dispatch, sessionType, libraryLoaded]);
+
+    const isUser = sessionType === 'user';
+
+    return (
+        <article className="m-8 space-y-12" aria-labelledby="me-title">
+            <header className="space-y-2">
+                <h1 id="me-title" className="text-3xl font-bold">
+                    {isUser ? t('me.userTitle', { name: account?.name || account?.username }) : t('me.title')}
+                </h1>
+                {isUser ? <SyncStatus /> : <p className="text-sm text-gray-500">{t('me.localNote')}</p>}
+            </header>
+
+            {LIBRARY_SECTIONS.map((section) => (
+                <LibrarySection key={section.flag} {...section} />
+            ))}
+
+            {isUser ? (
+                <>
+                    <FavoritesSection />
+                    <section className="space-y-4" aria-labelledby="lists-title">
+                        <h2 id="lists-title" className="text-2xl font-bold">
+                            {t('me.lists')}
+                        </h2>
+                        <ListManager />
+                    </section>
+                </>
+            ) : (
+                <section className="p-8 bg-gray-50 rounded-lg text-center space-y-4" aria-label={t('me.loginPrompt')}>
+                    <p className="text-gray-600">
+                        {t('me.loginBenefits')}
+                        {sessionType === 'guest' && t('me.guestNote')}
+                    </p>
+                    <button
+                        type="button"
+                        onClick={() => dispatch(startLogin(`${location.pathname}${location.search}`))}
+                        disabled={loading}
+                        className="bg-blue-600 text-white px-6 py-2 rounded-lg hover:bg-blue-700 transition-colors font-medium disabled:opacity-50"
+                    >
+                        {t('account.login')}
+                    </button>
+                </section>
+            )}
+        </article>
+    );
+}
+
+export default MyPage;
@@ -0,0 +1,76 @@
+import { useEffect, useCallback, useMemo } from 'react';
+import { useParams } from 'react-router-dom';
+import { useSelector } from 'react-redux';
+import { fetchPerson } from '../store/actions/peopleActions';
+import { selectPerson } from '../store/reducers/peopleReducer';
+import { getKnownFor } from '../component/Person/personCredits';
+import PersonProfile from '../component/Person/PersonProfile';
+import KnownFor from '../component/Person/KnownFor';
+import Filmography from '../component/Person/Filmography';
+import PersonPhotos from '../component/Person/PersonPhotos';
+import useCancellableDispatch from '../hooks/useCancellableDispatch';
+import useTranslation from '../hooks/useTranslation';
+
+function PersonPage() {
+    const { t, tError } = useTranslation();
+    const { id } = useParams();
+    // 다른 인물로 이동하거나 페이지를 떠나면 진행 중인 요청 취소
+    const dispatch = useCancellableDispatch(id);
+    const { data, loading, error } = useSelector((state) => selectPerson(state, id));
+
+    const fetchDetails = useCallback(() => {
+        dispatch(fetchPerson(id));
+    }, [dispatch, id]);
+
+    useEffect(() => {
+        fetchDetails();
+    }, [fetchDetails]);
+
+    const knownFor = useMemo(() => (data ? getKnownFor(data.credits, data.details.known_for_department) : []), [data]);
+
+    if (error) {
+        return (
+            <section
+                className="flex items-center justify-center h-[500px] bg-gradient-to-br from-red-50 to-red-100"
+                role="alert"
+                aria-labelledby="person-error-title"
+            >
+                <div className="text-center px-6">
+                    <h1 id="person-error-title" className="text-red-600 text-lg font-semibold mb-4">
+                        {t('person.error', { error: tError(error) })}
+                    </h1>
+                    <button
+                        onClick={fetchDetails}
+                        className="bg-red-600 text-white px-6 py-2 rounded-lg hover:bg-red-700 transition-colors duration-200 font-medium"
+                        type="button"
+                    >
+                        {t('common.retry')}
+                    </button>
+                </div>
+            </section>
+        );
+    }
+
+    if (loading || !data) {
+        return (
+            <section
+                className="flex items-center justify-center h-[500px] bg-gray-100"
+                aria-live="polite"
+                aria-label={t('person.loading')}
+            >
+                <p className="text-gray-500">{t('person.loading')}</p>
+            </section>
+        );
+    }
+
+    return (
+        <article key={id}>
+            <PersonProfile person={data.details} />
+            <KnownFor credits={knownFor} />
+            <Filmography credits={data.credits} />
+            <PersonPhotos profiles={data.images.profiles} name={data.details.name} />
+        </article>
+    );
+}
+
+export default PersonPage;
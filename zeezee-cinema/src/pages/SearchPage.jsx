@@ -0,0 +1,206 @@
+import { useEffect, useCallback, useMemo } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { useSelector } from 'react-redux';
+import { searchByType, getSearchKey, SEARCH_TYPES } from '../store/actions/searchActions';
+import { selectSearchTab } from '../store/reducers/searchReducer';
+import { selectPagination, getSearchPaginationKey } from '../store/reducers/paginationReducer';
+import SearchResults from '../component/Search/SearchResults';
+import useInfiniteScroll from '../hooks/useInfiniteScroll';
+import useCancellableDispatch from '../hooks/useCancellableDispatch';
+import useTranslation from '../hooks/useTranslation';
+import { getRegionName } from '../i18n/locales';
+
+// 지역 필터 (영화 검색 전용)
+const REGIONS = ['KR', 'US', 'JP'];
+
+// 연도 필터 선택지 (올해부터 1950년까지)
+const YEARS = Array.from({ length: new Date().getFullYear() - 1949 }, (_, index) => new Date().getFullYear() - index);
+
+function SearchPage() {
+    const { t, tError, locale } = useTranslation();
+    const [searchParams, setSearchParams] = useSearchParams();
+
+    // URL을 검색 상태의 기준으로 사용 (공유/새로고침 시 같은 결과)
+    const query = (searchParams.get('q') || '').trim();
+    const type = SEARCH_TYPES.includes(searchParams.get('type')) ? searchParams.get('type') : 'movie';
+    const year = ['movie', 'tv'].includes(type) ? Number(searchParams.get('year')) || null : null;
+    const region = type === 'movie' ? searchParams.get('region') || null : null;
+    const targetPage = Math.max(1, Number(searchParams.get('page')) || 1);
+
+    const args = useMemo(() => ({ type, query, year, region }), [type, query, year, region]);
+    // 검색 조건이 바뀌거나 페이지를 떠나면 진행 중인 요청 취소
+    const dispatch = useCancellableDispatch(`${type}/${getSearchKey(args)}`);
+    const tab = useSelector((state) => selectSearchTab(state, type));
+    const { page, totalPages, totalResults } = useSelector((state) =>
+        selectPagination(state, getSearchPaginationKey(args))
+    );
+
+    const isCurrent = tab.key === getSearchKey(args);
+    const loadedPage = isCurrent ? page : 0;
+    const hasMore = loadedPage < totalPages;
+
+    // URL의 page까지 순서대로 불러오기
+    useEffect(() => {
+        if (!query || tab.loading || (isCurrent && tab.error)) return;
+        if (loadedPage === 0 || (loadedPage < targetPage && hasMore)) {
+            dispatch(searchByType({ ...args, page: loadedPage + 1 }));
+        }
+    }, [dispatch, args, query, tab.loading, tab.error, isCurrent, loadedPage, targetPage, hasMore]);
+
+    /**
+     * URL 파라미터 갱신 (검색 조건이 바뀌면 page는 처음부터)
+     * @param {Object} updates - 변경할 파라미터 (null이면 제거)
+     * @param {Object} options - setSearchParams 옵션
+     */
+    const updateParams = useCallback(
+        (updates, options) => {
+            setSearchParams((prev) => {
+                const next = new URLSearchParams(prev);
+                Object.entries(updates).forEach(([key, value]) => {
+                    if (value === null || value === '') next.delete(key);
+                    else next.set(key, value);
+                });
+                if (!('page' in updates)) next.delete('page');
+                return next;
+            }, options);
+        },
+        [setSearchParams]
+    );
+
+    const handleLoadMore = useCallback(() => {
+        updateParams({ page: loadedPage + 1 }, { replace: true });
+    }, [updateParams, loadedPage]);
+
+    const handleRetry = useCallback(() => {
+        dispatch(searchByType({ ...args, page: loadedPage + 1 }));
+    }, [dispatch, args, loadedPage]);
+
+    const sentinelRef = useInfiniteScroll(
+        handleLoadMore,
+        isCurrent && !tab.loading && !tab.error && hasMore && loadedPage >= targetPage
+    );
+
+    if (!query) {
+        return (
+            <section className="m-8" aria-labelledby="search-title">
+                <h1 id="search-title" className="text-2xl font-bold mb-4">
+                    {t('search.title')}
+                </h1>
+                <p className="text-gray-500">{t('search.prompt')}</p>
+            </section>
+        );
+    }
+
+    return (
+        <section className="m-8" aria-labelledby="search-title">
+            <header className="mb-6">
+                <h1 id="search-title" className="text-2xl font-bold mb-4">
+                    {t('search.results', { query })}
+                    {isCurrent && totalResults > 0 && (
+                        <span className="ml-2 text-base font-normal text-gray-500">
+                            {t('search.count', { count: totalResults.toLocaleString() })}
+                        </span>
+                    )}
+                </h1>
+
+                <nav
+                    className="flex flex-wrap gap-2 border-b border-gray-200"
+                    role="tablist"
+                    aria-label={t('search.types')}
+                >
+                    {SEARCH_TYPES.map((searchType) => (
+                        <button
+                            key={searchType}
+                            onClick={() => updateParams({ type: searchType })}
+                            className={`px-4 py-2 -mb-px border-b-2 font-medium text-sm transition-colors ${
+                                searchType === type
+                                    ? 'border-blue-600 text-blue-600'
+                                    : 'border-transparent text-gray-500 hover:text-gray-800'
+                            }`}
+                            role="tab"
+                            aria-selected={searchType === type}
+                            type="button"
+                        >
+                            {t(`search.tabs.${searchType}`)}
+                        </button>
+                    ))}
+                </nav>
+
+                {['movie', 'tv'].includes(type) && (
+                    <div className="flex flex-wrap gap-4 mt-4 text-sm">
+                        <label className="flex items-center gap-2">
+                            <span>{t(type === 'movie' ? 'search.releaseYear' : 'search.firstAirYear')}</span>
+                            <select
+                                value={year || ''}
+                                onChange={(e) => updateParams({ year: e.target.value })}
+                                className="border border-gray-300 rounded-md px-2 py-1"
+                            >
+                                <option value="">{t('search.anyYear')}</option>
+                                {YEARS.map((option) => (
+                                    <option key={option} value={option}>
+                                        {option}
+                                    </option>
+                                ))}
+                            </select>
+                        </label>
+                        {type === 'movie' && (
+                            <label className="flex items-center gap-2">
+                                <span>{t('search.region')}</span>
+                                <select
+                                    value={region || ''}
+                                    onChange={(e) => updateParams({ region: e.target.value })}
+                                    className="border border-gray-300 rounded-md px-2 py-1"
+                                >
+                                    <option value="">{t('search.allRegions')}</option>
+                                    {REGIONS.map((code) => (
+                                        <option key={code} value={code}>
+                                            {getRegionName(code, locale)}
+                                        </option>
+                                    ))}
+                                </select>
+                            </label>
+                        )}
+                    </div>
+                )}
+            </header>
+
+            <div role="tabpanel" aria-busy={tab.loading}>
+                {isCurrent && tab.items.length > 0 && <SearchResults type={type} items={tab.items} />}
+
+                {isCurrent && !tab.loading && !tab.error && loadedPage > 0 && tab.items.length === 0 && (
+                    <p className="text-gray-500">{t('search.empty')}</p>
+                )}
+
+                {tab.loading && (
+                    <div className="flex justify-center py-6" aria-live="polite" aria-label={t('search.loading')}>
+                        <div
+                            className="w-8 h-8 border-4 border-gray-300 border-t-blue-600 rounded-full animate-spin"
+                            aria-hidden="true"
+                        ></div>
+                    </div>
+                )}
+
+                {isCurrent && tab.error && (
+                    <div
+                        className="flex items-center justify-between mt-4 p-4 bg-red-50 rounded-lg"
+                        role="alert"
+                        aria-live="polite"
+                    >
+                        <p className="text-red-600 text-sm">{t('search.error', { error: tError(tab.error) })}</p>
+                        <button
+                            onClick={handleRetry}
+                            className="bg-red-600 text-white px-4 py-2 rounded-md hover:bg-red-700 transition-colors text-sm"
+                            type="button"
+                        >
+                            {t('common.retry')}
+                        </button>
+                    </div>
+                )}
+
+                <div ref={sentinelRef} aria-hidden="true"></div>
+            </div>
+        </section>
+    );
+}
+
+export default SearchPage;
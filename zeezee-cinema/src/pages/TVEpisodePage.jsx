@@ -0,0 +1,141 @@
+import { useEffect, useCallback } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { useSelector } from 'react-redux';
+import { fetchTVShow, fetchTVSeason, fetchTVEpisode } from '../store/actions/tvActions';
+import { selectTVShow, selectTVSeason, selectTVEpisode } from '../store/reducers/tvReducer';
+import { createUtils } from '../services/movieService';
+import { formatDate, formatRuntime } from '../utils/format';
+import CastList from '../component/MovieDetail/CastList';
+import CrewList from '../component/MovieDetail/CrewList';
+import useCancellableDispatch from '../hooks/useCancellableDispatch';
+import useTranslation from '../hooks/useTranslation';
+
+const utils = createUtils();
+
+function TVEpisodePage() {
+    const { t, tError } = useTranslation();
+    const { id, seasonNumber, episodeNumber } = useParams();
+    // 다른 에피소드로 이동하거나 페이지를 떠나면 진행 중인 요청 취소
+    const dispatch = useCancellableDispatch(`${id}/${seasonNumber}/${episodeNumber}`);
+    const { data: show } = useSelector((state) => selectTVShow(state, id));
+    const { data: season } = useSelector((state) => selectTVSeason(state, id, seasonNumber));
+    const {
+        data: episode,
+        loading,
+        error,
+    } = useSelector((state) => selectTVEpisode(state, id, seasonNumber, episodeNumber));
+
+    const fetchEpisode = useCallback(() => {
+        dispatch(fetchTVEpisode({ tvId: id, seasonNumber, episodeNumber }));
+    }, [dispatch, id, seasonNumber, episodeNumber]);
+
+    // 제목 표시와 이전/다음 에피소드 이동에 필요한 프로그램, 시즌 정보
+    useEffect(() => {
+        dispatch(fetchTVShow(id));
+        dispatch(fetchTVSeason({ tvId: id, seasonNumber }));
+    }, [dispatch, id, seasonNumber]);
+
+    useEffect(() => {
+        fetchEpisode();
+    }, [fetchEpisode]);
+
+    const episodes = season?.episodes || [];
+    const index = episodes.findIndex((item) => String(item.episode_number) === episodeNumber);
+    const previous = index > 0 ? episodes[index - 1] : null;
+    const next = index >= 0 ? episodes[index + 1] : null;
+    const seasonPath = `/tv/${id}/season/${seasonNumber}`;
+
+    if (error) {
+        return (
+            <section className="m-8 p-4 bg-red-50 rounded-lg flex items-center justify-between" role="alert">
+                <p className="text-red-600 text-sm">{t('tv.episodeError', { error: tError(error) })}</p>
+                <button
+                    onClick={fetchEpisode}
+                    className="bg-red-600 text-white px-4 py-2 rounded-md hover:bg-red-700 transition-colors text-sm"
+                    type="button"
+                >
+                    {t('common.retry')}
+                </button>
+            </section>
+        );
+    }
+
+    if (loading || !episode) {
+        return (
+            <div className="flex justify-center py-24" aria-live="polite" aria-label={t('tv.loadingEpisode')}>
+                <div
+                    className="w-8 h-8 border-4 border-gray-300 border-t-blue-600 rounded-full animate-spin"
+                    aria-hidden="true"
+                ></div>
+            </div>
+        );
+    }
+
+    const stillUrl = utils.getStillUrl(episode.still_path, 'original');
+
+    return (
+        <article key={`${id}/${seasonNumber}/${episodeNumber}`}>
+            <section className="m-8 flex flex-col lg:flex-row gap-8" aria-labelledby="episode-title">
+                {stillUrl && (
+                    <img
+                        src={stillUrl}
+                        alt={t('tv.still', { name: episode.name })}
+                        className="w-full lg:w-1/2 aspect-video object-cover rounded-lg shadow self-start"
+                    />
+                )}
+
+                <div className="flex-1 space-y-3">
+                    <nav className="text-sm text-blue-600" aria-label={t('tv.breadcrumb')}>
+                        <Link to={`/tv/${id}`} className="hover:underline">
+                            {show?.name || t('tv.show')}
+                        </Link>
+                        <span className="text-gray-400 mx-2" aria-hidden="true">
+                            ›
+                        </span>
+                        <Link to={seasonPath} className="hover:underline">
+                            {season?.name || t('tv.season', { number: seasonNumber })}
+                        </Link>
+                    </nav>
+                    <header>
+                        <p className="text-sm font-semibold text-gray-500">
+                            {t('tv.seasonEpisode', { season: episode.season_number, episode: episode.episode_number })}
+                        </p>
+                        <h1 id="episode-title" className="text-2xl md:text-3xl font-bold">
+                            {episode.name}
+                        </h1>
+                    </header>
+                    <p className="flex flex-wrap gap-x-3 text-sm text-gray-500">
+                        {episode.air_date && <time dateTime={episode.air_date}>{formatDate(episode.air_date)}</time>}
+                        {episode.runtime > 0 && <span>{formatRuntime(episode.runtime)}</span>}
+                        {episode.vote_average > 0 && <span>★ {episode.vote_average.toFixed(1)}</span>}
+                    </p>
+                    <p className="text-gray-700 leading-relaxed">{episode.overview || t('common.noOverview')}</p>
+
+                    <nav className="flex gap-4 pt-2 text-sm font-medium" aria-label={t('tv.episodeNavigation')}>
+                        {previous && (
+                            <Link
+                                to={`${seasonPath}/episode/${previous.episode_number}`}
+                                className="text-gray-600 hover:text-blue-600"
+                            >
+                                ← {t('tv.episode', { number: previous.episode_number })}
+                            </Link>
+                        )}
+                        {next && (
+                            <Link
+                                to={`${seasonPath}/episode/${next.episode_number}`}
+                                className="text-gray-600 hover:text-blue-600"
+                            >
+                                {t('tv.episode', { number: next.episode_number })} →
+                            </Link>
+                        )}
+                    </nav>
+                </div>
+            </section>
+
+            <CastList cast={episode.guest_stars} title={t('tv.guestStars')} />
+            <CrewList crew={episode.crew} />
+        </article>
+    );
+}
+
+export default TVEpisodePage;
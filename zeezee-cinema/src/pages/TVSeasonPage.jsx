@@ -0,0 +1,106 @@
+import { useEffect, useCallback } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { useSelector } from 'react-redux';
+import { fetchTVShow, fetchTVSeason } from '../store/actions/tvActions';
+import { selectTVShow, selectTVSeason } from '../store/reducers/tvReducer';
+import { createUtils } from '../services/movieService';
+import { formatDate } from '../utils/format';
+import SeasonSelector from '../component/TV/SeasonSelector';
+import EpisodeList from '../component/TV/EpisodeList';
+import useCancellableDispatch from '../hooks/useCancellableDispatch';
+import useTranslation from '../hooks/useTranslation';
+
+const utils = createUtils();
+
+function TVSeasonPage() {
+    const { t, tError } = useTranslation();
+    const { id, seasonNumber } = useParams();
+    // 다른 시즌으로 이동하거나 페이지를 떠나면 진행 중인 요청 취소
+    const dispatch = useCancellableDispatch(`${id}/${seasonNumber}`);
+    const { data: show } = useSelector((state) => selectTVShow(state, id));
+    const { data: season, loading, error } = useSelector((state) => selectTVSeason(state, id, seasonNumber));
+
+    const fetchSeason = useCallback(() => {
+        dispatch(fetchTVSeason({ tvId: id, seasonNumber }));
+    }, [dispatch, id, seasonNumber]);
+
+    // 시즌 선택지와 제목 표시에 필요한 프로그램 정보
+    useEffect(() => {
+        dispatch(fetchTVShow(id));
+    }, [dispatch, id]);
+
+    useEffect(() => {
+        fetchSeason();
+    }, [fetchSeason]);
+
+    const posterUrl = utils.getPosterUrl(season?.poster_path || show?.poster_path, 'w185');
+
+    return (
+        <article className="m-8" aria-labelledby="season-title" aria-busy={loading}>
+            <header className="flex gap-6 mb-8">
+                {posterUrl && (
+                    <img
+                        src={posterUrl}
+                        alt=""
+                        className="w-28 md:w-36 aspect-[2/3] object-cover rounded-lg shadow self-start"
+                    />
+                )}
+                <div className="space-y-2">
+                    {show && (
+                        <Link to={`/tv/${id}`} className="text-sm text-blue-600 hover:underline">
+                            {show.name}
+                        </Link>
+                    )}
+                    <h1 id="season-title" className="text-2xl md:text-3xl font-bold">
+                        {season?.name || t('tv.season', { number: seasonNumber })}
+                    </h1>
+                    {season && (
+                        <p className="text-sm text-gray-500">
+                            {season.air_date && `${formatDate(season.air_date)} · `}
+                            {t('tv.episodeCount', { count: season.episodes?.length || 0 })}
+                        </p>
+                    )}
+                    {season?.overview && <p className="text-gray-700 leading-relaxed max-w-3xl">{season.overview}</p>}
+                    <SeasonSelector tvId={id} seasons={show?.seasons} current={seasonNumber} />
+                </div>
+            </header>
+
+            {loading && (
+                <div className="flex justify-center py-6" aria-live="polite" aria-label={t('tv.loadingEpisodes')}>
+                    <div
+                        className="w-8 h-8 border-4 border-gray-300 border-t-blue-600 rounded-full animate-spin"
+                        aria-hidden="true"
+                    ></div>
+                </div>
+            )}
+
+            {error && (
+                <div
+                    className="flex items-center justify-between p-4 bg-red-50 rounded-lg"
+                    role="alert"
+                    aria-live="polite"
+                >
+                    <p className="text-red-600 text-sm">{t('tv.seasonError', { error: tError(error) })}</p>
+                    <button
+                        onClick={fetchSeason}
+                        className="bg-red-600 text-white px-4 py-2 rounded-md hover:bg-red-700 transition-colors text-sm"
+                        type="button"
+                    >
+                        {t('common.retry')}
+                    </button>
+                </div>
+            )}
+
+            {season && (
+                <section aria-labelledby="episodes-title">
+                    <h2 id="episodes-title" className="text-2xl font-bold mb-4">
+                        {t('tv.episodes')}
+                    </h2>
+                    <EpisodeList tvId={id} episodes={season.episodes} />
+                </section>
+            )}
+        </article>
+    );
+}
+
+export default TVSeasonPage;
@@ -0,0 +1,99 @@
+import { useEffect, useCallback } from 'react';
+import { useParams } from 'react-router-dom';
+import { useSelector } from 'react-redux';
+import { fetchTVShow } from '../store/actions/tvActions';
+import { selectTVShow, selectTVSummaryById } from '../store/reducers/tvReducer';
+import TVHero from '../component/TV/TVHero';
+import SeasonList from '../component/TV/SeasonList';
+import CastList from '../component/MovieDetail/CastList';
+import TrailerList from '../component/MovieDetail/TrailerList';
+import TrailerButton from '../component/Trailer/TrailerButton';
+import MediaGallery from '../component/Gallery/MediaGallery';
+import WatchProvidersPanel from '../component/WatchProviders/WatchProvidersPanel';
+import useCancellableDispatch from '../hooks/useCancellableDispatch';
+import useTranslation from '../hooks/useTranslation';
+
+function TVShowPage() {
+    const { t, tError } = useTranslation();
+    const { id } = useParams();
+    // 다른 프로그램으로 이동하거나 페이지를 떠나면 진행 중인 요청 취소
+    const dispatch = useCancellableDispatch(id);
+    const { data: show, loading, error } = useSelector((state) => selectTVShow(state, id));
+    // 목록에서 이미 받은 요약 정보 (상세 정보를 불러오는 동안 먼저 표시)
+    const cachedShow = useSelector((state) => selectTVSummaryById(state, Number(id)));
+
+    const fetchDetails = useCallback(() => {
+        dispatch(fetchTVShow(id));
+    }, [dispatch, id]);
+
+    useEffect(() => {
+        fetchDetails();
+    }, [fetchDetails]);
+
+    if (error) {
+        return (
+            <section
+                className="flex items-center justify-center h-[500px] bg-gradient-to-br from-red-50 to-red-100"
+                role="alert"
+                aria-labelledby="tv-error-title"
+            >
+                <div className="text-center px-6">
+                    <h1 id="tv-error-title" className="text-red-600 text-lg font-semibold mb-4">
+                        {t('tv.error', { error: tError(error) })}
+                    </h1>
+                    <button
+                        onClick={fetchDetails}
+                        className="bg-red-600 text-white px-6 py-2 rounded-lg hover:bg-red-700 transition-colors duration-200 font-medium"
+                        type="button"
+                    >
+                        {t('common.retry')}
+                    </button>
+                </div>
+            </section>
+        );
+    }
+
+    if (loading || !show) {
+        if (cachedShow) {
+            return (
+                <article aria-busy="true">
+                    <TVHero show={cachedShow} />
+                    <p className="m-8 text-gray-500" aria-live="polite">
+                        {t('tv.loading')}
+                    </p>
+                </article>
+            );
+        }
+
+        return (
+            <section
+                className="flex items-center justify-center h-[500px] bg-gradient-to-br from-gray-800 to-gray-900"
+                aria-live="polite"
+                aria-label={t('tv.loading')}
+            >
+                <p className="text-white/70">{t('tv.loading')}</p>
+            </section>
+        );
+    }
+
+    return (
+        <article key={id}>
+            <TVHero show={show}>
+                <TrailerButton
+                    mediaType="tv"
+                    id={show.id}
+                    title={show.name}
+                    originalLanguage={show.original_language}
+                    className="px-4 h-10 rounded-full text-sm font-semibold bg-white text-gray-900 hover:bg-white/90 transition-colors"
+                />
+            </TVHero>
+            <WatchProvidersPanel mediaType="tv" id={show.id} />
+            <SeasonList tvId={show.id} seasons={show.seasons} />
+            <CastList cast={show.credits?.cast} />
+            <TrailerList videos={show.videos?.results} />
+            <MediaGallery mediaType="tv" id={show.id} title={show.name} />
+        </article>
+    );
+}
+
+export default TVShowPage;
@@ -0,0 +1,121 @@
+import { useEffect, useCallback } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { useSelector } from 'react-redux';
+import { fetchTrending } from '../store/actions/trendingActions';
+import { selectTrending } from '../store/reducers/trendingReducer';
+import { getTrendingKey } from '../utils/trendingSnapshots';
+import { formatDate } from '../utils/format';
+import useCancellableDispatch from '../hooks/useCancellableDispatch';
+import TrendingList from '../component/Trending/TrendingList';
+import useTranslation from '../hooks/useTranslation';
+
+// 미디어 유형 탭 (URL의 type 값)
+const MEDIA_TABS = [{ value: 'all' }, { value: 'movie' }, { value: 'tv' }, { value: 'person' }];
+
+// 기간 (URL의 window 값)
+const TIME_WINDOWS = [{ value: 'day' }, { value: 'week' }];
+
+/**
+ * URL 값이 선택지에 있으면 그대로, 없으면 첫 번째 값을 사용합니다.
+ * @param {string|null} value - URL 쿼리 값
+ * @param {Array<{value: string}>} options - 선택지
+ * @returns {string}
+ */
+const pickOption = (value, options) => (options.some((option) => option.value === value) ? value : options[0].value);
+
+function TrendingPage() {
+    const { t, tError } = useTranslation();
+    const [searchParams, setSearchParams] = useSearchParams();
+    // URL을 기준으로 사용 (북마크/공유 시 같은 목록)
+    const mediaType = pickOption(searchParams.get('type'), MEDIA_TABS);
+    const timeWindow = pickOption(searchParams.get('window'), TIME_WINDOWS);
+    // 탭이나 기간이 바뀌거나 페이지를 떠나면 진행 중인 요청 취소
+    const dispatchRequest = useCancellableDispatch(getTrendingKey(mediaType, timeWindow));
+    const { data, loading, error } = useSelector((state) => selectTrending(state, mediaType, timeWindow));
+
+    const fetchList = useCallback(() => {
+        dispatchRequest(fetchTrending({ mediaType, timeWindow }));
+    }, [dispatchRequest, mediaType, timeWindow]);
+
+    useEffect(() => {
+        fetchList();
+    }, [fetchList]);
+
+    const handleChange = (updates) => {
+        setSearchParams({ type: mediaType, window: timeWindow, ...updates }, { replace: true });
+    };
+
+    return (
+        <section className="m-8" aria-labelledby="trending-title">
+            <header className="mb-6 space-y-4">
+                <h1 id="trending-title" className="text-2xl font-bold">
+                    {t('trending.title')}
+                </h1>
+                <div className="flex flex-wrap items-center justify-between gap-4">
+                    <div role="tablist" aria-label={t('trending.mediaType')} className="flex gap-2">
+                        {MEDIA_TABS.map((tab) => (
+                            <button
+                                key={tab.value}
+                                type="button"
+                                role="tab"
+                                aria-selected={tab.value === mediaType}
+                                aria-controls="trending-panel"
+                                onClick={() => handleChange({ type: tab.value })}
+                                className={`px-4 py-2 rounded-full text-sm font-medium transition-colors ${
+                                    tab.value === mediaType
+                                        ? 'bg-gray-900 text-white'
+                                        : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                                }`}
+                            >
+                                {t(`trending.tabs.${tab.value}`)}
+                            </button>
+                        ))}
+                    </div>
+                    <div role="group" aria-label={t('trending.timeWindow')} className="flex rounded-lg bg-gray-100 p-1">
+                        {TIME_WINDOWS.map((option) => (
+                            <button
+                                key={option.value}
+                                type="button"
+                                aria-pressed={option.value === timeWindow}
+                                onClick={() => handleChange({ window: option.value })}
+                                className={`px-3 py-1 rounded-md text-sm transition-colors ${
+                                    option.value === timeWindow ? 'bg-white shadow font-semibold' : 'text-gray-600'
+                                }`}
+                            >
+                                {t(`trending.windows.${option.value}`)}
+                            </button>
+                        ))}
+                    </div>
+                </div>
+                {data?.previousDate && (
+                    <p className="text-xs text-gray-500">
+                        {t('trending.comparedTo', { date: formatDate(data.previousDate) })}
+                    </p>
+                )}
+            </header>
+
+            <div id="trending-panel" role="tabpanel" aria-busy={loading}>
+                {error && (
+                    <div className="p-6 bg-red-50 rounded-lg text-center" role="alert">
+                        <p className="text-red-600 mb-2">{t('trending.error', { error: tError(error) })}</p>
+                        <button
+                            type="button"
+                            onClick={fetchList}
+                            className="bg-red-600 text-white px-4 py-2 rounded-md hover:bg-red-700 transition-colors text-sm"
+                        >
+                            {t('common.retry')}
+                        </button>
+                    </div>
+                )}
+                {!error && data && <TrendingList items={data.results} previousIds={data.previousIds} />}
+                {!error && !data && (
+                    <p className="text-gray-500" aria-live="polite">
+                        {t('trending.loading')}
+                    </p>
+                )}
+            </div>
+        </section>
+    );
+}
+
+export default TrendingPage;
@@ -0,0 +1,224 @@
+/**
+ * TMDB API 요청 에러 클래스
+ *
+ * 사용법:
+ * import { NotFoundError, RateLimitError, isAbortError } from './apiErrors.js';
+ *
+ * try {
+ *     await tmdb.getMovieDetails(id, 'ko-KR', null, null, { signal });
+ * } catch (error) {
+ *     if (isAbortError(error)) return; // 취소된 요청은 무시
+ *     if (error instanceof NotFoundError) showNotFound();
+ * }
+ */
+
+/**
+ * 모든 TMDB API 에러의 기본 클래스
+ */
+export class TMDBApiError extends Error {
+    /**
+     * @param {string} message - 에러 메시지
+     * @param {Object} options - 추가 정보
+     * @param {number|null} options.status - HTTP 상태 코드
+     * @param {number|null} options.statusCode - TMDB 응답의 status_code
+     * @param {string|null} options.endpoint - 요청한 엔드포인트
+     * @param {Error} options.cause - 원인 에러
+     * @param {string|null} options.code - 화면에 표시할 문구의 메시지 키 (i18n 카탈로그의 errors.<code>)
+     */
+    constructor(message, { status = null, statusCode = null, endpoint = null, cause, code = null } = {}) {
+        super(message, { cause });
+        this.name = 'TMDBApiError';
+        this.code = code;
+        this.status = status;
+        this.statusCode = statusCode;
+        this.endpoint = endpoint;
+    }
+
+    /**
+     * 다시 시도하면 성공할 수 있는 에러인지 여부 (서버 오류)
+     * @returns {boolean}
+     */
+    get retryable() {
+        return this.status >= 500;
+    }
+}
+
+/**
+ * 네트워크 연결 실패 (응답을 받지 못함)
+ */
+export class NetworkError extends TMDBApiError {
+    constructor(message = '네트워크에 연결할 수 없습니다.', options) {
+        super(message, { code: 'network', ...options });
+        this.name = 'NetworkError';
+    }
+
+    get retryable() {
+        return true;
+    }
+}
+
+/**
+ * 요청 제한 시간 초과
+ */
+export class TimeoutError extends TMDBApiError {
+    /**
+     * @param {number} timeout - 제한 시간 (ms)
+     * @param {Object} options - TMDBApiError 옵션
+     */
+    constructor(timeout, options) {
+        super(`응답 시간이 초과되었습니다 (${timeout / 1000}초).`, { code: 'timeout', ...options });
+        this.name = 'TimeoutError';
+        this.timeout = timeout;
+    }
+
+    get retryable() {
+        return true;
+    }
+}
+
+/**
+ * 인증 실패 (401: 잘못된 API 키 또는 만료된 세션)
+ */
+export class AuthError extends TMDBApiError {
+    constructor(message = '인증에 실패했습니다. API 키 또는 로그인 상태를 확인해 주세요.', options) {
+        super(message, { code: 'auth', ...options });
+        this.name = 'AuthError';
+    }
+}
+
+/**
+ * 인증 설정 오류 (인증 정보가 없거나 v3 API 키/v4 읽기 토큰을 바꿔 설정한 경우)
+ * 요청을 보내기 전에 발생합니다.
+ */
+export class AuthConfigError extends TMDBApiError {
+    constructor(message, options) {
+        super(message, options);
+        this.name = 'AuthConfigError';
+    }
+}
+
+/**
+ * 잘못된 요청 인자 (지원하지 않는 목록 유형 등)
+ * 요청을 보내기 전에 발생합니다.
+ */
+export class InvalidRequestError extends TMDBApiError {
+    constructor(message, options) {
+        super(message, { code: 'invalidRequest', ...options });
+        this.name = 'InvalidRequestError';
+    }
+}
+
+/**
+ * 요청한 리소스가 없음 (404)
+ */
+export class NotFoundError extends TMDBApiError {
+    constructor(message = '요청한 정보를 찾을 수 없습니다.', options) {
+        super(message, { code: 'notFound', ...options });
+        this.name = 'NotFoundError';
+    }
+}
+
+/**
+ * 요청 횟수 제한 초과 (429)
+ */
+export class RateLimitError extends TMDBApiError {
+    /**
+     * @param {number|null} retryAfter - 다시 시도할 수 있을 때까지 기다릴 시간 (ms, Retry-After 헤더)
+     * @param {Object} options - TMDBApiError 옵션
+     */
+    constructor(retryAfter = null, options) {
+        super('요청이 너무 많습니다. 잠시 후 다시 시도해 주세요.', { code: 'rateLimit', ...options });
+        this.name = 'RateLimitError';
+        this.retryAfter = retryAfter;
+    }
+
+    get retryable() {
+        return true;
+    }
+}
+
+/**
+ * Retry-After 헤더 값을 ms로 변환 (초 단위 숫자 또는 HTTP 날짜)
+ * @param {string|null} value - Retry-After 헤더 값
+ * @returns {number|null} 기다릴 시간 (ms) 또는 null
+ */
+export const parseRetryAfter = (value) => {
+    if (!value) return null;
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+// TMDB status_code: 잘못된 API 키 또는 읽기 토큰
+const INVALID_CREDENTIALS_CODE = 7;
+
+// 인증 방식별 잘못된 인증 정보 안내
+const INVALID_CREDENTIALS_MESSAGES = {
+    apiKey: 'v3 API 키가 올바르지 않습니다. v4 읽기 토큰이라면 VITE_TMDB_ACCESS_TOKEN으로 설정해 주세요.',
+    accessToken: 'v4 읽기 토큰이 올바르지 않습니다. v3 API 키라면 VITE_TMDB_API_KEY로 설정해 주세요.',
+};
+
+// 인증 방식별 잘못된 인증 정보 안내의 메시지 키
+const INVALID_CREDENTIALS_CODES = {
+    apiKey: 'invalidApiKey',
+    accessToken: 'invalidAccessToken',
+};
+
+/**
+ * 실패한 HTTP 응답을 알맞은 에러로 변환합니다.
+ * @param {Response} response - fetch 응답
+ * @param {string} endpoint - 요청한 엔드포인트
+ * @param {string|null} authType - 요청에 사용한 인증 방식 ('apiKey' | 'accessToken')
+ * @returns {Promise<TMDBApiError>} 변환된 에러
+ */
+export const createResponseError = async (response, endpoint, authType = null) => {
+    // TMDB 에러 응답 본문: { success: false, status_code, status_message }
+    const data = await response.json().catch(() => null);
+    const options = { status: response.status, statusCode: data?.status_code ?? null, endpoint };
+
+    switch (response.status) {
+        case 401:
+            if (options.statusCode === INVALID_CREDENTIALS_CODE && INVALID_CREDENTIALS_CODES[authType]) {
+                return new AuthError(INVALID_CREDENTIALS_MESSAGES[authType], {
+                    ...options,
+                    code: INVALID_CREDENTIALS_CODES[authType],
+                });
+            }
+            return new AuthError(undefined, options);
+        case 404:
+            return new NotFoundError(undefined, options);
+        case 429:
+            return new RateLimitError(parseRetryAfter(response.headers.get('Retry-After')), options);
+        default:
+            return new TMDBApiError(data?.status_message || `요청에 실패했습니다 (HTTP ${response.status}).`, {
+                ...options,
+                code: 'request',
+            });
+    }
+};
+
+/**
+ * 에러를 상태에 저장할 수 있는 형태로 바꿉니다. (createAsyncThunk가 직렬화한 action.error도 사용 가능)
+ * 화면에서는 i18n의 translateError로 code에 맞는 문구를 표시합니다.
+ * @param {{code?: string, message?: string}} error - 에러
+ * @returns {{code: string|null, message: string}}
+ */
+export const toErrorState = (error) => ({ code: error?.code || null, message: error?.message || '' });
+
+/**
+ * 요청 취소(AbortController.abort)로 발생한 에러인지 여부
+ * @param {unknown} error - 확인할 에러
+ * @returns {boolean}
+ */
+export const isAbortError = (error) => error?.name === 'AbortError';
+
+// TMDB status_code: 세션 권한 없음(3), 세션 거부(17)
+const SESSION_ERROR_CODES = [3, 17];
+
+/**
+ * 로그인 세션이 만료되었거나 유효하지 않아 발생한 에러인지 여부
+ * @param {unknown} error - 확인할 에러
+ * @returns {boolean}
+ */
+export const isSessionError = (error) => error instanceof AuthError && SESSION_ERROR_CODES.includes(error.statusCode);
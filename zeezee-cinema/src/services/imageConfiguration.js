@@ -0,0 +1,63 @@
+/**
+ * TMDB 이미지 설정 불러오기
+ *
+ * /configuration의 이미지 기본 URL과 크기 목록을 localStorage에 보관하고, 앱을 시작할 때 바로 적용합니다.
+ * 보관한 설정이 없거나 오래되었으면 다시 받아 적용합니다. (이미 그린 이미지는 다음에 그릴 때부터 반영)
+ *
+ * 사용법:
+ * import { loadImageConfiguration } from './imageConfiguration.js';
+ * loadImageConfiguration(); // main.jsx에서 한 번
+ */
+
+import { createConfiguration, setImageConfiguration } from './movieService.js';
+import { TMDB_CREDENTIALS } from './tmdbAuth.js';
+
+// 설정을 보관할 localStorage 키
+const CONFIGURATION_STORAGE_KEY = 'zeezee-cinema:tmdb-configuration';
+
+// 보관한 설정을 다시 받기까지의 시간 (TMDB 권장: 며칠에 한 번, 3일)
+const CONFIGURATION_TTL = 3 * 24 * 60 * 60 * 1000;
+
+/**
+ * 보관한 이미지 설정 (저장소를 사용할 수 없거나 값이 손상되었으면 null)
+ * @returns {{images: Object, savedAt: number}|null}
+ */
+const loadSavedConfiguration = () => {
+    try {
+        const saved = JSON.parse(localStorage.getItem(CONFIGURATION_STORAGE_KEY));
+        return saved?.images && typeof saved.savedAt === 'number' ? saved : null;
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * 이미지 설정을 보관합니다.
+ * @param {Object} images - /configuration 응답의 images
+ */
+const saveConfiguration = (images) => {
+    try {
+        localStorage.setItem(CONFIGURATION_STORAGE_KEY, JSON.stringify({ images, savedAt: Date.now() }));
+    } catch {
+        // 저장소를 사용할 수 없으면 다음 시작 때 다시 받음
+    }
+};
+
+/**
+ * 보관한 이미지 설정을 적용하고, 필요하면 새 설정을 받아 적용합니다.
+ * 받지 못해도 보관한 설정이나 기본값으로 계속 동작합니다.
+ * @returns {Promise<void>}
+ */
+export const loadImageConfiguration = async () => {
+    const saved = loadSavedConfiguration();
+    if (saved) setImageConfiguration(saved.images);
+    if (saved && Date.now() - saved.savedAt < CONFIGURATION_TTL) return;
+
+    try {
+        const { images } = await createConfiguration(TMDB_CREDENTIALS).getConfiguration();
+        setImageConfiguration(images);
+        saveConfiguration(images);
+    } catch (error) {
+        console.error('TMDB 이미지 설정 불러오기 실패:', error);
+    }
+};
@@ -0,0 +1,83 @@
+/**
+ * 내 서재(로컬 워치리스트, 본 영화) IndexedDB 저장소
+ *
+ * 로그인하지 않아도 사용할 수 있도록 브라우저에 저장하며,
+ * 영화 id를 키로 한 항목(LibraryEntry) 하나에 워치리스트와 본 영화 여부를 함께 보관합니다.
+ *
+ * 사용법:
+ * import { getAllLibraryEntries, putLibraryEntries } from './libraryDB.js';
+ * const entries = await getAllLibraryEntries();
+ * await putLibraryEntries([{ ...entry, seen: true }]);
+ */
+
+// 데이터베이스 이름과 버전 (스키마를 바꾸면 버전을 올리고 onupgradeneeded에서 변환)
+const DB_NAME = 'zeezee-cinema';
+const DB_VERSION = 1;
+
+// 서재 항목 저장소 이름
+const LIBRARY_STORE = 'library';
+
+let databasePromise = null;
+
+/**
+ * 데이터베이스 연결 (한 번 연결하면 재사용)
+ * @returns {Promise<IDBDatabase>}
+ * @throws {Error} IndexedDB를 사용할 수 없는 환경인 경우
+ */
+const openDatabase = () => {
+    if (!databasePromise) {
+        databasePromise = new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('이 브라우저에서는 IndexedDB를 사용할 수 없습니다.'));
+                return;
+            }
+
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(LIBRARY_STORE, { keyPath: 'id' });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('다른 탭에서 이전 버전의 저장소를 사용 중입니다.'));
+        });
+        // 연결에 실패하면 다음 호출에서 다시 시도
+        databasePromise.catch(() => {
+            databasePromise = null;
+        });
+    }
+    return databasePromise;
+};
+
+/**
+ * 서재 저장소에서 트랜잭션을 실행합니다.
+ * @param {IDBTransactionMode} mode - 'readonly' | 'readwrite'
+ * @param {(store: IDBObjectStore) => IDBRequest|void} operation - 저장소 작업
+ * @returns {Promise<*>} 작업 요청의 결과 (트랜잭션이 완료된 뒤)
+ */
+const runTransaction = async (mode, operation) => {
+    const database = await openDatabase();
+
+    return await new Promise((resolve, reject) => {
+        const transaction = database.transaction(LIBRARY_STORE, mode);
+        const request = operation(transaction.objectStore(LIBRARY_STORE));
+        transaction.oncomplete = () => resolve(request?.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+};
+
+/**
+ * 저장된 모든 서재 항목
+ * @returns {Promise<Array<Object>>}
+ */
+export const getAllLibraryEntries = () => runTransaction('readonly', (store) => store.getAll());
+
+/**
+ * 서재 항목을 저장합니다. (같은 id가 있으면 덮어씀)
+ * @param {Array<Object>} entries - 저장할 항목
+ * @returns {Promise<void>}
+ */
+export const putLibraryEntries = (entries) =>
+    runTransaction('readwrite', (store) => {
+        entries.forEach((entry) => store.put(entry));
+    });
@@ -0,0 +1,47 @@
+import { getDefaultLocale } from './movieService.js';
+
+// 번역이 비어 있을 때 대신 사용할 언어
+export const FALLBACK_LANGUAGE = 'en-US';
+
+// 제목 필드별 원제 필드 (번역된 제목이 없으면 TMDB는 원제를 내려줌)
+const ORIGINAL_TITLE_FIELDS = { title: 'original_title', name: 'original_name' };
+
+/**
+ * 현재 언어로 번역된 값이 없는 필드인지 여부
+ * 제목은 비어 있지 않아도, 원어가 현재 언어나 영어가 아닌데 원제와 같으면 번역이 없는 것으로 봅니다.
+ * @param {Object} item - TMDB 상세 응답
+ * @param {string} field - 필드 이름 (예: 'overview', 'title')
+ * @param {string} languageCode - 현재 언어의 ISO 639-1 코드 (예: 'ko')
+ * @returns {boolean}
+ */
+const isUntranslated = (item, field, languageCode) => {
+    if (!item[field]) return true;
+    const originalField = ORIGINAL_TITLE_FIELDS[field];
+    return (
+        Boolean(originalField) &&
+        item[field] === item[originalField] &&
+        ![languageCode, FALLBACK_LANGUAGE.split('-')[0]].includes(item.original_language)
+    );
+};
+
+/**
+ * 현재 언어로 번역되지 않은 필드를 영어 응답의 값으로 채웁니다.
+ * 현재 언어가 영어이거나 모든 필드가 번역되어 있으면 추가로 요청하지 않습니다.
+ * @param {Object} item - 현재 언어로 받은 TMDB 상세 응답
+ * @param {string[]} fields - 확인할 필드 (예: ['title', 'overview'])
+ * @param {(language: string) => Promise<Object>} fetchFallback - 같은 항목을 다른 언어로 조회하는 함수
+ * @returns {Promise<Object>} 빈 필드를 채운 응답 (원본은 바꾸지 않음)
+ */
+export const fillFromFallbackLanguage = async (item, fields, fetchFallback) => {
+    const { language } = getDefaultLocale();
+    if (language === FALLBACK_LANGUAGE) return item;
+
+    const missing = fields.filter((field) => isUntranslated(item, field, language.split('-')[0]));
+    if (missing.length === 0) return item;
+
+    const fallback = await fetchFallback(FALLBACK_LANGUAGE);
+    return {
+        ...item,
+        ...Object.fromEntries(missing.map((field) => [field, fallback[field] || item[field]])),
+    };
+};
@@ -0,0 +1,209 @@
+/**
+ * TMDB 응답 캐시
+ *
+ * - 요청 시그니처(엔드포인트 + 파라미터) 기준으로 응답을 TTL 동안 보관합니다.
+ * - 같은 요청이 진행 중이면 새 요청을 보내지 않고 진행 중인 Promise를 공유합니다.
+ * - 영화 응답은 영화 id 기준으로도 정규화하여 보관하며, 목록에서 받은 요약 정보는
+ *   getMovieDetails 응답을 받으면 상세 정보로 갱신됩니다.
+ *
+ * 사용법:
+ * import { movieCache } from './movieCache.js';
+ * movieCache.getStats(); // { hits, misses, deduped, ... }
+ */
+
+// 기본 캐시 유지 시간 (5분)
+const DEFAULT_TTL = 5 * 60 * 1000;
+
+// 보관할 최대 요청 수 (초과 시 가장 오래 사용하지 않은 항목부터 제거)
+const DEFAULT_MAX_ENTRIES = 200;
+
+// 영화 목록 응답을 반환하는 엔드포인트
+const MOVIE_LIST_ENDPOINT =
+    /^\/(movie\/(now_playing|upcoming|popular|top_rated|\d+\/(similar|recommendations))|discover\/movie|search\/movie|trending\/movie\/\w+)$/;
+
+// 영화 상세 정보 엔드포인트
+const MOVIE_DETAILS_ENDPOINT = /^\/movie\/\d+$/;
+
+export class MovieCache {
+    /**
+     * MovieCache 생성자
+     * @param {Object} options - 캐시 설정
+     * @param {number} options.ttl - 응답 유지 시간 (ms, 기본값: 5분)
+     * @param {number} options.maxEntries - 보관할 최대 요청 수 (기본값: 200)
+     */
+    constructor({ ttl = DEFAULT_TTL, maxEntries = DEFAULT_MAX_ENTRIES } = {}) {
+        this.ttl = ttl;
+        this.maxEntries = maxEntries;
+        this.requests = new Map();
+        this.movies = new Map();
+        this.stats = { hits: 0, misses: 0, deduped: 0, upgrades: 0 };
+    }
+
+    /**
+     * 요청 시그니처 생성 (파라미터 순서와 무관하게 같은 요청은 같은 시그니처)
+     * @param {string} endpoint - API 엔드포인트
+     * @param {Object} params - 쿼리 매개변수 객체
+     * @returns {string} 요청 시그니처
+     */
+    getSignature(endpoint, params = {}) {
+        const query = Object.keys(params)
+            .filter((key) => params[key] !== undefined && params[key] !== null)
+            .sort()
+            .map((key) => `${key}=${params[key]}`)
+            .join('&');
+        return query ? `${endpoint}?${query}` : endpoint;
+    }
+
+    /**
+     * 캐시된 응답을 반환하거나, 없으면 fetcher를 실행하여 응답을 캐시합니다.
+     * @param {string} endpoint - API 엔드포인트
+     * @param {Object} params - 쿼리 매개변수 객체
+     * @param {Function} fetcher - 실제 요청을 수행하는 함수
+     * @returns {Promise<Object>} API 응답 데이터
+     */
+    async fetch(endpoint, params, fetcher) {
+        const signature = this.getSignature(endpoint, params);
+        const entry = this.requests.get(signature);
+
+        if (entry?.promise) {
+            this.stats.deduped++;
+            return entry.promise;
+        }
+
+        if (entry && entry.expiresAt > Date.now()) {
+            this.stats.hits++;
+            // 최근 사용 항목으로 갱신
+            this.requests.delete(signature);
+            this.requests.set(signature, entry);
+            return entry.data;
+        }
+
+        this.stats.misses++;
+        const promise = fetcher()
+            .then((data) => {
+                this.requests.set(signature, { data, expiresAt: Date.now() + this.ttl });
+                this.indexMovies(endpoint, data);
+                this.evict();
+                return data;
+            })
+            .catch((error) => {
+                // 실패한 요청은 캐시하지 않음
+                this.requests.delete(signature);
+                throw error;
+            });
+
+        this.requests.set(signature, { promise });
+        return promise;
+    }
+
+    /**
+     * 응답에 포함된 영화를 id 기준으로 보관합니다.
+     * @param {string} endpoint - API 엔드포인트
+     * @param {Object} data - API 응답 데이터
+     */
+    indexMovies(endpoint, data) {
+        if (MOVIE_DETAILS_ENDPOINT.test(endpoint)) {
+            this.upsertMovie(data, true);
+        } else if (MOVIE_LIST_ENDPOINT.test(endpoint)) {
+            (data.results || []).forEach((movie) => this.upsertMovie(movie, false));
+        } else if (Array.isArray(data.results)) {
+            // 다중 검색/트렌딩 응답은 영화만 보관
+            data.results
+                .filter((item) => item.media_type === 'movie')
+                .forEach((movie) => this.upsertMovie(movie, false));
+        }
+    }
+
+    /**
+     * 영화 엔티티 저장 (상세 정보는 요약 정보로 덮어쓰지 않음)
+     * @param {Object} movie - 영화 데이터
+     * @param {boolean} detailed - 상세 정보 여부
+     */
+    upsertMovie(movie, detailed) {
+        if (!movie?.id) return;
+        const existing = this.movies.get(movie.id);
+
+        if (detailed && existing && !existing.detailed) {
+            this.stats.upgrades++;
+        }
+
+        this.movies.set(movie.id, {
+            data: existing?.detailed && !detailed ? { ...movie, ...existing.data } : { ...existing?.data, ...movie },
+            detailed: detailed || Boolean(existing?.detailed),
+            updatedAt: Date.now(),
+        });
+    }
+
+    /**
+     * id로 캐시된 영화 조회
+     * @param {number} movieId - 영화 ID
+     * @returns {{data: Object, detailed: boolean, updatedAt: number}|null} 캐시된 영화 또는 null
+     */
+    getMovie(movieId) {
+        return this.movies.get(Number(movieId)) || null;
+    }
+
+    /**
+     * 최대 개수를 넘는 오래된 응답과 만료된 응답을 제거합니다.
+     */
+    evict() {
+        const now = Date.now();
+        for (const [signature, entry] of this.requests) {
+            if (!entry.promise && entry.expiresAt <= now) this.requests.delete(signature);
+        }
+        for (const signature of this.requests.keys()) {
+            if (this.requests.size <= this.maxEntries) break;
+            if (!this.requests.get(signature).promise) this.requests.delete(signature);
+        }
+    }
+
+    /**
+     * 시그니처가 prefix로 시작하는 캐시 항목을 무효화합니다.
+     * @param {string} prefix - 엔드포인트 prefix (예: '/movie/550')
+     */
+    invalidate(prefix = '') {
+        for (const [signature, entry] of this.requests) {
+            if (!entry.promise && signature.startsWith(prefix)) this.requests.delete(signature);
+        }
+    }
+
+    /**
+     * 캐시 전체 초기화 (통계 포함)
+     */
+    clear() {
+        this.requests.clear();
+        this.movies.clear();
+        this.stats = { hits: 0, misses: 0, deduped: 0, upgrades: 0 };
+    }
+
+    /**
+     * 디버깅용 캐시 통계
+     * @returns {Object} 적중/실패 횟수, 적중률, 보관 중인 항목 수
+     */
+    getStats() {
+        const { hits, misses, deduped, upgrades } = this.stats;
+        const total = hits + misses + deduped;
+        return {
+            hits,
+            misses,
+            deduped,
+            upgrades,
+            hitRate: total > 0 ? (hits + deduped) / total : 0,
+            requests: this.requests.size,
+            movies: this.movies.size,
+            detailedMovies: [...this.movies.values()].filter((movie) => movie.detailed).length,
+        };
+    }
+}
+
+/**
+ * 모든 API 모듈이 공유하는 기본 캐시 인스턴스
+ */
+export const movieCache = new MovieCache();
+
+// 개발 환경에서는 브라우저 콘솔에서 window.__TMDB_CACHE__.getStats()로 확인 가능
+if (import.meta.env.DEV && typeof window !== 'undefined') {
+    window.__TMDB_CACHE__ = movieCache;
+}
+
+export default movieCache;
@@ -3,16 +3,145 @@
  *
  * 사용법:
  * import TMDBApi, { createMovies } from './movieService.js';
+ * import { TMDB_CREDENTIALS } from './tmdbAuth.js';
  *
- * // 전체 API 사용
- * const tmdb = new TMDBApi(import.meta.env.VITE_TMDB_API_KEY);
+ * // 전체 API 사용 (인증 정보는 { apiKey } 또는 { accessToken }, tmdbAuth.js 참고)
+ * const tmdb = new TMDBApi(TMDB_CREDENTIALS);
  * const movies = await tmdb.getPopularMovies();
  *
  * // 특정 모듈만 사용
- * const moviesApi = createMovies(import.meta.env.VITE_TMDB_API_KEY);
+ * const moviesApi = createMovies(TMDB_CREDENTIALS);
  * const popularMovies = await moviesApi.getPopularMovies();
  */
 
+import { movieCache } from './movieCache.js';
+import { resolveAuth, applyAuth } from './tmdbAuth.js';
+import {
+    TMDBApiError,
+    NetworkError,
+    TimeoutError,
+    RateLimitError,
+    createResponseError,
+    isAbortError,
+} from './apiErrors.js';
+
+// 기본 요청 제한 시간 (시도별, 10초)
+const DEFAULT_TIMEOUT = 10 * 1000;
+
+// 기본 재시도 횟수 (첫 시도 제외)
+const DEFAULT_RETRIES = 2;
+
+// 재시도 대기 시간의 기준값과 최댓값 (ms)
+const RETRY_BASE_DELAY = 500;
+const RETRY_MAX_DELAY = 8 * 1000;
+
+/**
+ * 서비스 기본 언어와 지역 (앱의 언어 설정을 setDefaultLocale로 반영)
+ * language 인자를 생략하거나 null로 넘긴 요청은 기본 언어를 사용하고,
+ * 지역별로 달라지는 목록(현재 상영작, 개봉 예정작)은 region을 넘기지 않으면 기본 지역을 사용합니다.
+ */
+const defaultLocale = { language: 'ko-KR', region: 'KR' };
+
+/**
+ * 서비스 기본 언어와 지역을 바꿉니다.
+ * @param {{language?: string, region?: string}} locale - 언어 코드 (예: 'en-US'), 지역 코드 (예: 'US')
+ */
+export const setDefaultLocale = ({ language, region }) => {
+    if (language) defaultLocale.language = language;
+    if (region) defaultLocale.region = region;
+};
+
+/**
+ * 현재 서비스 기본 언어와 지역
+ * @returns {{language: string, region: string}}
+ */
+export const getDefaultLocale = () => ({ ...defaultLocale });
+
+/**
+ * TMDB 이미지 설정 (/configuration 응답의 images를 setImageConfiguration으로 반영)
+ * 설정을 받기 전에는 TMDB 문서의 기본값을 사용합니다. (services/imageConfiguration.js 참고)
+ */
+const imageConfiguration = {
+    baseUrl: 'https://image.tmdb.org/t/p',
+    sizes: {
+        backdrop: ['w300', 'w780', 'w1280', 'original'],
+        logo: ['w45', 'w92', 'w154', 'w185', 'w300', 'w500', 'original'],
+        poster: ['w92', 'w154', 'w185', 'w342', 'w500', 'w780', 'original'],
+        profile: ['w45', 'w185', 'h632', 'original'],
+        still: ['w92', 'w185', 'w300', 'original'],
+    },
+};
+
+/**
+ * TMDB 이미지 설정을 바꿉니다. 값이 없는 항목은 기존 값을 유지합니다.
+ * @param {Object} images - /configuration 응답의 images (secure_base_url, backdrop_sizes 등)
+ */
+export const setImageConfiguration = (images) => {
+    if (images?.secure_base_url) imageConfiguration.baseUrl = images.secure_base_url.replace(/\/$/, '');
+    Object.keys(imageConfiguration.sizes).forEach((type) => {
+        const sizes = images?.[`${type}_sizes`];
+        if (Array.isArray(sizes) && sizes.length > 0) imageConfiguration.sizes[type] = sizes;
+    });
+};
+
+/**
+ * 현재 TMDB 이미지 설정
+ * @returns {{baseUrl: string, sizes: Object<string, string[]>}} 기본 URL과 이미지 종류별 크기 목록
+ */
+export const getImageConfiguration = () => ({
+    baseUrl: imageConfiguration.baseUrl,
+    sizes: { ...imageConfiguration.sizes },
+});
+
+/**
+ * 모든 모듈 메서드의 마지막 인자로 받는 요청 옵션
+ * @typedef {Object} RequestOptions
+ * @property {AbortSignal} [signal] - 요청 취소 신호 (컴포넌트 언마운트, thunk 취소 등)
+ * @property {number} [timeout] - 시도별 제한 시간 (ms, 기본값: 10초)
+ * @property {number} [retries] - 재시도 횟수 (기본값: 2, GET 외 요청은 429 응답일 때만 재시도)
+ */
+
+// 요청 취소 에러 (fetch가 취소될 때와 같은 형태)
+const createAbortError = () => new DOMException('요청이 취소되었습니다.', 'AbortError');
+
+/**
+ * signal이 취소되면 즉시 거부되는 Promise로 감쌉니다.
+ * @param {Promise} promise - 원래 Promise
+ * @param {AbortSignal|undefined} signal - 취소 신호
+ * @returns {Promise} 취소 가능한 Promise
+ */
+const abortable = (promise, signal) => {
+    if (!signal) return promise;
+    if (signal.aborted) return Promise.reject(createAbortError());
+
+    let onAbort;
+    const aborted = new Promise((_, reject) => {
+        onAbort = () => reject(createAbortError());
+        signal.addEventListener('abort', onAbort, { once: true });
+    });
+    return Promise.race([promise, aborted]).finally(() => signal.removeEventListener('abort', onAbort));
+};
+
+/**
+ * 취소 가능한 대기
+ * @param {number} ms - 대기 시간
+ * @param {AbortSignal|undefined} signal - 취소 신호
+ */
+const wait = (ms, signal) => abortable(new Promise((resolve) => setTimeout(resolve, ms)), signal);
+
+/**
+ * 재시도 전 대기 시간 (지수 백오프 + full jitter, 429는 Retry-After 우선)
+ * @param {number} attempt - 실패한 시도 순번 (0부터)
+ * @param {TMDBApiError} error - 실패 원인
+ * @returns {number|null} 대기 시간 (ms), 최대 대기 시간보다 오래 기다려야 하면 null
+ */
+const getRetryDelay = (attempt, error) => {
+    if (error instanceof RateLimitError && error.retryAfter !== null) {
+        return error.retryAfter <= RETRY_MAX_DELAY ? error.retryAfter : null;
+    }
+    return Math.random() * Math.min(RETRY_MAX_DELAY, RETRY_BASE_DELAY * 2 ** attempt);
+};
+
 // ==================== BASE API CLASS ====================
 /**
  * TMDB API의 기본 클래스
@@ -21,67 +150,169 @@
 class TMDBApiBase {
     /**
      * TMDBApiBase 생성자
-     * @param {string} apiKey - TMDB API 키 또는 Bearer 토큰
+     * @param {string|TMDBCredentials} credentials - TMDB 인증 정보 (v3 API 키 또는 v4 읽기 토큰)
+     * @param {Object} options - 추가 설정
+     * @param {MovieCache|null} options.cache - GET 응답 캐시 (기본값: 공유 캐시, null이면 캐시 사용 안 함)
      */
-    constructor(apiKey) {
-        this.apiKey = apiKey;
+    constructor(credentials, { cache = movieCache } = {}) {
+        this.credentials = credentials;
+        this.auth = null;
         this.baseUrl = 'https://api.themoviedb.org/3';
-        this.imageBaseUrl = 'https://image.tmdb.org/t/p';
+        this.cache = cache;
+    }
+
+    /**
+     * 이미지 기본 URL (TMDB 설정을 받으면 그 값을 사용)
+     * @returns {string}
+     */
+    get imageBaseUrl() {
+        return imageConfiguration.baseUrl;
+    }
+
+    /**
+     * 인증 방식 (처음 요청할 때 한 번 검증)
+     * 이미지 URL만 사용하는 createUtils()처럼 인증 정보 없이 만든 인스턴스도 있으므로 생성자에서 검증하지 않습니다.
+     * @returns {TMDBAuth} 인증 방식과 값
+     * @throws {AuthConfigError} 인증 정보가 없거나 종류가 잘못된 경우
+     */
+    getAuth() {
+        if (!this.auth) {
+            this.auth = resolveAuth(this.credentials);
+        }
+        return this.auth;
     }
 
     /**
      * API 요청을 수행하는 공통 메서드
+     * GET 요청은 캐시를 거치며, 같은 요청이 진행 중이면 그 결과를 공유합니다.
      * @param {string} endpoint - API 엔드포인트 (예: '/movie/popular')
      * @param {Object} params - 쿼리 매개변수 객체
-     * @param {string} method - HTTP 메서드 (GET, POST, PUT, DELETE)
-     * @param {Object|null} body - 요청 본문 (POST/PUT 요청 시 사용)
+     * @param {RequestOptions & {method?: string, body?: Object|null}} requestOptions - 요청 옵션
+     *        (method: HTTP 메서드, 기본값 GET / body: POST/PUT 요청 본문)
      * @returns {Promise<Object>} API 응답 데이터
-     * @throws {Error} HTTP 에러 또는 네트워크 에러 시 예외 발생
+     * @throws {TMDBApiError} HTTP 에러, 네트워크 에러, 시간 초과 시 예외 발생 (취소 시 AbortError)
      */
-    async makeRequest(endpoint, params = {}, method = 'GET', body = null) {
-        try {
-            // URL 객체 생성으로 안전한 URL 구성
-            const url = new URL(`${this.baseUrl}${endpoint}`);
-
-            // GET 요청의 경우 쿼리 매개변수로 API 키와 파라미터 추가
-            if (method === 'GET') {
-                url.searchParams.append('api_key', this.apiKey);
-                Object.keys(params).forEach((key) => {
-                    // undefined나 null 값은 제외하고 매개변수 추가
-                    if (params[key] !== undefined && params[key] !== null) {
-                        url.searchParams.append(key, params[key]);
-                    }
-                });
+    async makeRequest(endpoint, params = {}, requestOptions = {}) {
+        const { method = 'GET', signal, ...options } = requestOptions;
+
+        // 언어를 넘기지 않은 요청은 서비스 기본 언어 사용 (캐시 시그니처에도 실제 언어가 들어가도록 먼저 채움)
+        if ('language' in params && !params.language) {
+            params = { ...params, language: defaultLocale.language };
+        }
+
+        if (method === 'GET' && this.cache) {
+            // 진행 중인 요청은 여러 호출이 공유하므로 한 호출이 취소되어도 요청 자체는 끝까지 진행하고
+            // (응답은 캐시에 남음) 취소한 호출만 기다리기를 멈춥니다.
+            return await abortable(
+                this.cache.fetch(endpoint, params, () => this.sendRequest(endpoint, params, options)),
+                signal
+            );
+        }
+        return await this.sendRequest(endpoint, params, { ...options, method, signal });
+    }
+
+    /**
+     * 캐시를 거치지 않고 실제 HTTP 요청을 수행합니다.
+     * 재시도할 수 있는 실패(네트워크 오류, 시간 초과, 429, 5xx)는 지수 백오프로 다시 시도합니다.
+     * @param {string} endpoint - API 엔드포인트
+     * @param {Object} params - 쿼리 매개변수 객체
+     * @param {RequestOptions & {method?: string, body?: Object|null}} requestOptions - 요청 옵션
+     * @returns {Promise<Object>} API 응답 데이터
+     * @throws {TMDBApiError} HTTP 에러, 네트워크 에러, 시간 초과 시 예외 발생 (취소 시 AbortError)
+     */
+    async sendRequest(endpoint, params = {}, requestOptions = {}) {
+        const { method = 'GET', retries = DEFAULT_RETRIES, signal } = requestOptions;
+
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await this.sendOnce(endpoint, params, requestOptions);
+            } catch (error) {
+                // GET 외 요청은 서버가 처리하지 않은 것이 확실한 429만 재시도
+                const canRetry =
+                    attempt < retries &&
+                    error instanceof TMDBApiError &&
+                    error.retryable &&
+                    (method === 'GET' || error instanceof RateLimitError);
+                const delay = canRetry ? getRetryDelay(attempt, error) : null;
+
+                if (delay === null) {
+                    if (!isAbortError(error)) console.error('API 요청 실패:', error);
+                    throw error;
+                }
+                await wait(delay, signal);
             }
+        }
+    }
 
-            // fetch 옵션 설정
-            const options = {
-                method: method,
-                headers: {
-                    'Content-Type': 'application/json',
-                    // Bearer 토큰 방식도 지원 (API 키와 동일하게 사용)
-                    Authorization: `Bearer ${this.apiKey}`,
-                },
-            };
+    /**
+     * HTTP 요청을 한 번 수행합니다.
+     * @param {string} endpoint - API 엔드포인트
+     * @param {Object} params - 쿼리 매개변수 객체
+     * @param {RequestOptions & {method?: string, body?: Object|null}} requestOptions - 요청 옵션
+     * @returns {Promise<Object>} API 응답 데이터
+     */
+    async sendOnce(endpoint, params, { method = 'GET', body = null, signal, timeout = DEFAULT_TIMEOUT }) {
+        if (signal?.aborted) throw createAbortError();
 
-            // POST/PUT 요청의 경우 본문 데이터 추가
-            if (body) {
-                options.body = JSON.stringify(body);
+        const auth = this.getAuth();
+
+        // URL 객체 생성으로 안전한 URL 구성
+        const url = new URL(`${this.baseUrl}${endpoint}`);
+
+        // 쿼리 매개변수 추가 (POST/DELETE 요청의 session_id 등도 쿼리로 전달)
+        Object.keys(params).forEach((key) => {
+            // undefined나 null 값은 제외하고 매개변수 추가
+            if (params[key] !== undefined && params[key] !== null) {
+                url.searchParams.append(key, params[key]);
             }
+        });
 
+        // 인증 방식에 따라 api_key 쿼리 또는 Authorization 헤더 중 하나만 추가
+        const headers = { Accept: 'application/json' };
+        applyAuth(auth, url, headers);
+
+        // 호출한 쪽의 취소와 제한 시간 초과를 하나의 신호로 묶음
+        const controller = new AbortController();
+        const onAbort = () => controller.abort();
+        signal?.addEventListener('abort', onAbort, { once: true });
+        let timedOut = false;
+        const timer = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, timeout);
+
+        // fetch 옵션 설정
+        const options = {
+            method: method,
+            headers,
+            signal: controller.signal,
+        };
+
+        // POST/PUT 요청의 경우 본문 데이터 추가
+        if (body) {
+            headers['Content-Type'] = 'application/json';
+            options.body = JSON.stringify(body);
+        }
+
+        try {
             // API 요청 실행
             const response = await fetch(url, options);
 
             // HTTP 에러 체크
             if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
+                throw await createResponseError(response, endpoint, auth.type);
             }
 
             // JSON 응답 파싱하여 반환
             return await response.json();
         } catch (error) {
-            console.error('API 요청 실패:', error);
-            throw error;
+            if (error instanceof TMDBApiError) throw error;
+            if (timedOut) throw new TimeoutError(timeout, { endpoint, cause: error });
+            if (signal?.aborted) throw createAbortError();
+            throw new NetworkError(undefined, { endpoint, cause: error });
+        } finally {
+            clearTimeout(timer);
+            signal?.removeEventListener('abort', onAbort);
         }
     }
 }
@@ -89,32 +320,36 @@ class TMDBApiBase {
 // ==================== MOVIES MODULE ====================
 /**
  * 영화 관련 API 기능을 제공하는 모듈
- * @param {string} apiKey - TMDB API 키
+ * @param {string|TMDBCredentials} credentials - TMDB 인증 정보 (v3 API 키 또는 v4 읽기 토큰)
  * @returns {Object} 영화 관련 메서드들을 포함한 객체
  */
-export const createMovies = (apiKey) => {
-    const apiBase = new TMDBApiBase(apiKey);
+export const createMovies = (credentials) => {
+    const apiBase = new TMDBApiBase(credentials);
+    // 세션별로 달라지는 계정 상태는 공유 캐시에 저장하지 않음
+    const sessionApiBase = new TMDBApiBase(credentials, { cache: null });
 
     return {
         /**
          * 영화 검색
          * @param {string} query - 검색할 영화 제목
          * @param {number} page - 페이지 번호 (기본값: 1)
-         * @param {string} language - 언어 코드 (기본값: 'ko-KR')
+         * @param {string} language - 언어 코드 (기본값: 서비스 기본 언어)
          * @param {string|null} region - 지역 코드 (예: 'KR', 'US')
          * @param {number|null} year - 개봉 연도
          * @param {number|null} primaryReleaseYear - 주요 개봉 연도
          * @param {boolean} includeAdult - 성인 콘텐츠 포함 여부 (기본값: false)
+         * @param {RequestOptions} requestOptions - 요청 옵션 (signal, timeout, retries)
          * @returns {Promise<Object>} 검색 결과
          */
         async searchMovies(
             query,
             page = 1,
-            language = 'ko-KR',
+            language = null,
             region = null,
             year = null,
             primaryReleaseYear = null,
-            includeAdult = false
+            includeAdult = false,
+            requestOptions = {}
         ) {
             const params = {
                 query: query,
@@ -127,33 +362,43 @@ export const createMovies = (apiKey) => {
             if (year) params.year = year;
             if (primaryReleaseYear) params.primary_release_year = primaryReleaseYear;
 
-            return await apiBase.makeRequest('/search/movie', params);
+            return await apiBase.makeRequest('/search/movie', params, requestOptions);
         },
 
         /**
          * 특정 영화의 상세 정보 조회
          * @param {number} movieId - 영화 ID
-         * @param {string} language - 언어 코드 (기본값: 'ko-KR')
+         * @param {string} language - 언어 코드 (기본값: 서비스 기본 언어)
          * @param {string|null} appendToResponse - 추가로 가져올 데이터 (예: 'credits,videos')
+         * @param {string|null} includeImageLanguage - images를 추가로 가져올 때 포함할 이미지 언어 (예: 'ko,null')
+         * @param {RequestOptions} requestOptions - 요청 옵션 (signal, timeout, retries)
          * @returns {Promise<Object>} 영화 상세 정보
          */
-        async getMovieDetails(movieId, language = 'ko-KR', appendToResponse = null) {
+        async getMovieDetails(
+            movieId,
+            language = null,
+            appendToResponse = null,
+            includeImageLanguage = null,
+            requestOptions = {}
+        ) {
             const params = { language };
             if (appendToResponse) params.append_to_response = appendToResponse;
-            return await apiBase.makeRequest(`/movie/${movieId}`, params);
+            if (includeImageLanguage) params.include_image_language = includeImageLanguage;
+            return await apiBase.makeRequest(`/movie/${movieId}`, params, requestOptions);
         },
 
         /**
          * 인기 영화 목록 조회
          * @param {number} page - 페이지 번호 (기본값: 1)
-         * @param {string} language - 언어 코드 (기본값: 'ko-KR')
+         * @param {string} language - 언어 코드 (기본값: 서비스 기본 언어)
          * @param {string|null} region - 지역 코드
+         * @param {RequestOptions} requestOptions - 요청 옵션 (signal, timeout, retries)
          * @returns {Promise<Object>} 인기 영화 목록
          */
-        async getPopularMovies(page = 1, language = 'ko-KR', region = null) {
+        async getPopularMovies(page = 1, language = null, region = null, requestOptions = {}) {
             const params = { page, language };
             if (region) params.region = region;
-            return await apiBase.makeRequest('/movie/popular', params);
+            return await apiBase.makeRequest('/movie/popular', params, requestOptions);
         },
 
         /**
@@ -161,48 +406,50 @@ export const createMovies = (apiKey) => {
          * @param {number} page - 페이지 번호
          * @param {string} language - 언어 코드
          * @param {string|null} region - 지역 코드
+         * @param {RequestOptions} requestOptions - 요청 옵션 (signal, timeout, retries)
          * @returns {Promise<Object>} 최고 평점 영화 목록
          */
-        async getTopRatedMovies(page = 1, language = 'ko-KR', region = null) {
+        async getTopRatedMovies(page = 1, language = null, region = null, requestOptions = {}) {
             const params = { page, language };
             if (region) params.region = region;
-            return await apiBase.makeRequest('/movie/top_rated', params);
+            return await apiBase.makeRequest('/movie/top_rated', params, requestOptions);
         },
 
         /**
          * 현재 상영중인 영화 목록 조회
          * @param {number} page - 페이지 번호
          * @param {string} language - 언어 코드
-         * @param {string|null} region - 지역 코드
+         * @param {string|null} region - 지역 코드 (기본값: 서비스 기본 지역)
+         * @param {RequestOptions} requestOptions - 요청 옵션 (signal, timeout, retries)
          * @returns {Promise<Object>} 현재 상영중인 영화 목록
          */
-        async getNowPlayingMovies(page = 1, language = 'ko-KR', region = null) {
-            const params = { page, language };
-            if (region) params.region = region;
-            return await apiBase.makeRequest('/movie/now_playing', params);
+        async getNowPlayingMovies(page = 1, language = null, region = null, requestOptions = {}) {
+            const params = { page, language, region: region || defaultLocale.region };
+            return await apiBase.makeRequest('/movie/now_playing', params, requestOptions);
         },
 
         /**
          * 개봉 예정 영화 목록 조회
          * @param {number} page - 페이지 번호
          * @param {string} language - 언어 코드
-         * @param {string|null} region - 지역 코드
+         * @param {string|null} region - 지역 코드 (기본값: 서비스 기본 지역)
+         * @param {RequestOptions} requestOptions - 요청 옵션 (signal, timeout, retries)
          * @returns {Promise<Object>} 개봉 예정 영화 목록
          */
-        async getUpcomingMovies(page = 1, language = 'ko-KR', region = null) {
-            const params = { page, language };
-            if (region) params.region = region;
-            return await apiBase.makeRequest('/movie/upcoming', params);
+        async getUpcomingMovies(page = 1, language = null, region = null, requestOptions = {}) {
+            const params = { page, language, region: region || defaultLocale.region };
+            return await apiBase.makeRequest('/movie/upcoming', params, requestOptions);
         },
 
         /**
          * 영화의 출연진 및 제작진 정보 조회
          * @param {number} movieId - 영화 ID
          * @param {string} language - 언어 코드
+         * @param {RequestOptions} requestOptions - 요청 옵션 (signal, timeout, retries)
          * @returns {Promise<Object>} 크레딧 정보 (출연진, 제작진)
          */
-        async getMovieCredits(movieId, language = 'ko-KR') {
-            return await apiBase.makeRequest(`/movie/${movieId}/credits`, { language });
+        async getMovieCredits(movieId, language = null, requestOptions = {}) {
+            return await apiBase.makeRequest(`/movie/${movieId}/credits`, { language }, requestOptions);
         },
 
         /**
@@ -210,22 +457,59 @@ export const createMovies = (apiKey) => {
          * @param {number} movieId - 영화 ID
          * @param {string} language - 언어 코드
          * @param {string|null} includeImageLanguage - 포함할 이미지 언어
+         * @param {RequestOptions} requestOptions - 요청 옵션 (signal, timeout, retries)
          * @returns {Promise<Object>} 영화 이미지 목록
          */
-        async getMovieImages(movieId, language = 'ko-KR', includeImageLanguage = null) {
+        async getMovieImages(movieId, language = null, includeImageLanguage = null, requestOptions = {}) {
             const params = { language };
             if (includeImageLanguage) params.include_image_language = includeImageLanguage;
-            return await apiBase.makeRequest(`/movie/${movieId}/images`, params);
+            return await apiBase.makeRequest(`/movie/${movieId}/images`, params, requestOptions);
         },
 
         /**
          * 영화의 동영상 조회 (예고편, 티저 등)
          * @param {number} movieId - 영화 ID
          * @param {string} language - 언어 코드
+         * @param {string|null} includeVideoLanguage - 함께 포함할 동영상 언어 (예: 'ko,en,null')
+         * @param {RequestOptions} requestOptions - 요청 옵션 (signal, timeout, retries)
          * @returns {Promise<Object>} 영화 동영상 목록
          */
-        async getMovieVideos(movieId, language = 'ko-KR') {
-            return await apiBase.makeRequest(`/movie/${movieId}/videos`, { language });
+        async getMovieVideos(movieId, language = null, includeVideoLanguage = null, requestOptions = {}) {
+            const params = { language };
+            if (includeVideoLanguage) params.include_video_language = includeVideoLanguage;
+            return await apiBase.makeRequest(`/movie/${movieId}/videos`, params, requestOptions);
+        },
+
+        /**
+         * 영화의 지역별 개봉일과 관람 등급 조회
+         * @param {number} movieId - 영화 ID
+         * @param {RequestOptions} requestOptions - 요청 옵션 (signal, timeout, retries)
+         * @returns {Promise<Object>} 지역별 개봉 정보 (results[].release_dates)
+         */
+        async getMovieReleaseDates(movieId, requestOptions = {}) {
+            return await apiBase.makeRequest(`/movie/${movieId}/release_dates`, {}, requestOptions);
+        },
+
+        /**
+         * 영화를 볼 수 있는 서비스 조회 (지역별 스트리밍/대여/구매, JustWatch 제공)
+         * @param {number} movieId - 영화 ID
+         * @param {RequestOptions} requestOptions - 요청 옵션 (signal, timeout, retries)
+         * @returns {Promise<Object>} 지역 코드별 서비스 목록 (results.KR.flatrate 등)
+         */
+        async getMovieWatchProviders(movieId, requestOptions = {}) {
+            return await apiBase.makeRequest(`/movie/${movieId}/watch/providers`, {}, requestOptions);
+        },
+
+        /**
+         * 지역에서 영화를 제공하는 서비스 목록 조회 (탐색 필터 선택지)
+         * @param {string|null} region - 지역 코드 (기본값: 서비스 기본 지역)
+         * @param {string} language - 언어 코드
+         * @param {RequestOptions} requestOptions - 요청 옵션 (signal, timeout, retries)
+         * @returns {Promise<Object>} 서비스 목록 (results[].provider_id, provider_name, logo_path)
+         */
+        async getMovieWatchProviderList(region = null, language = null, requestOptions = {}) {
+            const params = { watch_region: region || defaultLocale.region, language };
+            return await apiBase.makeRequest('/watch/providers/movie', params, requestOptions);
         },
 
         /**
@@ -233,13 +517,18 @@ export const createMovies = (apiKey) => {
          * @param {number} movieId - 영화 ID
          * @param {number} page - 페이지 번호
          * @param {string} language - 언어 코드 (리뷰는 주로 영어)
+         * @param {RequestOptions} requestOptions - 요청 옵션 (signal, timeout, retries)
          * @returns {Promise<Object>} 영화 리뷰 목록
          */
-        async getMovieReviews(movieId, page = 1, language = 'en-US') {
-            return await apiBase.makeRequest(`/movie/${movieId}/reviews`, {
-                page: page,
-                language: language,
-            });
+        async getMovieReviews(movieId, page = 1, language = null, requestOptions = {}) {
+            return await apiBase.makeRequest(
+                `/movie/${movieId}/reviews`,
+                {
+                    page: page,
+                    language: language,
+                },
+                requestOptions
+            );
         },
 
         /**
@@ -247,13 +536,18 @@ export const createMovies = (apiKey) => {
          * @param {number} movieId - 영화 ID
          * @param {number} page - 페이지 번호
          * @param {string} language - 언어 코드
+         * @param {RequestOptions} requestOptions - 요청 옵션 (signal, timeout, retries)
          * @returns {Promise<Object>} 유사한 영화 목록
          */
-        async getSimilarMovies(movieId, page = 1, language = 'ko-KR') {
-            return await apiBase.makeRequest(`/movie/${movieId}/similar`, {
-                page: page,
-                language: language,
-            });
+        async getSimilarMovies(movieId, page = 1, language = null, requestOptions = {}) {
+            return await apiBase.makeRequest(
+                `/movie/${movieId}/similar`,
+                {
+                    page: page,
+                    language: language,
+                },
+                requestOptions
+            );
         },
 
         /**
@@ -261,13 +555,18 @@ export const createMovies = (apiKey) => {
          * @param {number} movieId - 영화 ID
          * @param {number} page - 페이지 번호
          * @param {string} language - 언어 코드
+         * @param {RequestOptions} requestOptions - 요청 옵션 (signal, timeout, retries)
          * @returns {Promise<Object>} 추천 영화 목록
          */
-        async getMovieRecommendations(movieId, page = 1, language = 'ko-KR') {
-            return await apiBase.makeRequest(`/movie/${movieId}/recommendations`, {
-                page: page,
-                language: language,
-            });
+        async getMovieRecommendations(movieId, page = 1, language = null, requestOptions = {}) {
+            return await apiBase.makeRequest(
+                `/movie/${movieId}/recommendations`,
+                {
+                    page: page,
+                    language: language,
+                },
+                requestOptions
+            );
         },
 
         /**
@@ -276,28 +575,67 @@ export const createMovies = (apiKey) => {
          * @param {number} rating - 평점 (0.5 ~ 10.0)
          * @param {string|null} sessionId - 세션 ID
          * @param {string|null} guestSessionId - 게스트 세션 ID
+         * @param {RequestOptions} requestOptions - 요청 옵션 (signal, timeout, retries)
          * @returns {Promise<Object>} 평점 등록 결과
          */
-        async rateMovie(movieId, rating, sessionId = null, guestSessionId = null) {
+        async rateMovie(movieId, rating, sessionId = null, guestSessionId = null, requestOptions = {}) {
+            const params = {};
+            if (sessionId) params.session_id = sessionId;
+            if (guestSessionId) params.guest_session_id = guestSessionId;
+
+            return await apiBase.makeRequest(`/movie/${movieId}/rating`, params, {
+                ...requestOptions,
+                method: 'POST',
+                body: { value: rating },
+            });
+        },
+
+        /**
+         * 영화 평점 삭제 (로그인 필요)
+         * @param {number} movieId - 영화 ID
+         * @param {string|null} sessionId - 세션 ID
+         * @param {string|null} guestSessionId - 게스트 세션 ID
+         * @param {RequestOptions} requestOptions - 요청 옵션 (signal, timeout, retries)
+         * @returns {Promise<Object>} 평점 삭제 결과
+         */
+        async deleteMovieRating(movieId, sessionId = null, guestSessionId = null, requestOptions = {}) {
             const params = {};
             if (sessionId) params.session_id = sessionId;
             if (guestSessionId) params.guest_session_id = guestSessionId;
 
-            return await apiBase.makeRequest(`/movie/${movieId}/rating`, params, 'POST', {
-                value: rating,
+            return await apiBase.makeRequest(`/movie/${movieId}/rating`, params, {
+                ...requestOptions,
+                method: 'DELETE',
             });
         },
+
+        /**
+         * 영화에 대한 사용자 계정 상태 조회 (로그인 필요)
+         * 평점(rated: {value} 또는 false), 즐겨찾기, 워치리스트 여부를 반환합니다.
+         * @param {number} movieId - 영화 ID
+         * @param {string|null} sessionId - 세션 ID
+         * @param {string|null} guestSessionId - 게스트 세션 ID
+         * @param {RequestOptions} requestOptions - 요청 옵션 (signal, timeout, retries)
+         * @returns {Promise<Object>} 계정 상태
+         */
+        async getMovieAccountStates(movieId, sessionId = null, guestSessionId = null, requestOptions = {}) {
+            const params = {};
+            if (sessionId) params.session_id = sessionId;
+            if (guestSessionId) params.guest_session_id = guestSessionId;
+
+            return await sessionApiBase.makeRequest(`/movie/${movieId}/account_states`, params, requestOptions);
+        },
     };
 };
 
 // ==================== TV SHOWS MODULE ====================
 /**
  * TV 프로그램 관련 API 기능을 제공하는 모듈
- * @param {string} apiKey - TMDB API 키
+ * @param {string|TMDBCredentials} credentials - TMDB 인증 정보 (v3 API 키 또는 v4 읽기 토큰)
  * @returns {Object} TV 프로그램 관련 메서드들을 포함한 객체
  */
-export const createTV = (apiKey) => {
-    const apiBase = new TMDBApiBase(apiKey);
+export const createTV = (credentials) => {
+    const apiBase = new TMDBApiBase(credentials);
 
     return {
         /**
@@ -307,9 +645,17 @@ export const createTV = (apiKey) => {
          * @param {string} language - 언어 코드
          * @param {number|null} firstAirDateYear - 첫 방영 연도
          * @param {boolean} includeAdult - 성인 콘텐츠 포함 여부
+         * @param {RequestOptions} requestOptions - 요청 옵션 (signal, timeout, retries)
          * @returns {Promise<Object>} TV 프로그램 검색 결과
          */
-        async searchTVShows(query, page = 1, language = 'ko-KR', firstAirDateYear = null, includeAdult = false) {
+        async searchTVShows(
+            query,
+            page = 1,
+            language = null,
+            firstAirDateYear = null,
+            includeAdult = false,
+            requestOptions = {}
+        ) {
             const params = {
                 query: query,
                 page: page,
@@ -318,7 +664,7 @@ export const createTV = (apiKey) => {
             };
             if (firstAirDateYear) params.first_air_date_year = firstAirDateYear;
 
-            return await apiBase.makeRequest('/search/tv', params);
+            return await apiBase.makeRequest('/search/tv', params, requestOptions);
         },
 
         /**
@@ -326,84 +672,146 @@ export const createTV = (apiKey) => {
          * @param {number} tvId - TV 프로그램 ID
          * @param {string} language - 언어 코드
          * @param {string|null} appendToResponse - 추가 데이터
+         * @param {RequestOptions} requestOptions - 요청 옵션 (signal, timeout, retries)
          * @returns {Promise<Object>} TV 프로그램 상세 정보
          */
-        async getTVShowDetails(tvId, language = 'ko-KR', appendToResponse = null) {
+        async getTVShowDetails(tvId, language = null, appendToResponse = null, requestOptions = {}) {
             const params = { language };
             if (appendToResponse) params.append_to_response = appendToResponse;
-            return await apiBase.makeRequest(`/tv/${tvId}`, params);
+            return await apiBase.makeRequest(`/tv/${tvId}`, params, requestOptions);
         },
 
         /**
          * 인기 TV 프로그램 목록 조회
          * @param {number} page - 페이지 번호
          * @param {string} language - 언어 코드
+         * @param {RequestOptions} requestOptions - 요청 옵션 (signal, timeout, retries)
          * @returns {Promise<Object>} 인기 TV 프로그램 목록
          */
-        async getPopularTVShows(page = 1, language = 'ko-KR') {
-            return await apiBase.makeRequest('/tv/popular', {
-                page: page,
-                language: language,
-            });
+        async getPopularTVShows(page = 1, language = null, requestOptions = {}) {
+            return await apiBase.makeRequest(
+                '/tv/popular',
+                {
+                    page: page,
+                    language: language,
+                },
+                requestOptions
+            );
         },
 
         /**
          * 최고 평점 TV 프로그램 목록 조회
          * @param {number} page - 페이지 번호
          * @param {string} language - 언어 코드
+         * @param {RequestOptions} requestOptions - 요청 옵션 (signal, timeout, retries)
          * @returns {Promise<Object>} 최고 평점 TV 프로그램 목록
          */
-        async getTopRatedTVShows(page = 1, language = 'ko-KR') {
-            return await apiBase.makeRequest('/tv/top_rated', {
-                page: page,
-                language: language,
-            });
+        async getTopRatedTVShows(page = 1, language = null, requestOptions = {}) {
+            return await apiBase.makeRequest(
+                '/tv/top_rated',
+                {
+                    page: page,
+                    language: language,
+                },
+                requestOptions
+            );
         },
 
         /**
          * 현재 방영중인 TV 프로그램 목록 조회
          * @param {number} page - 페이지 번호
          * @param {string} language - 언어 코드
+         * @param {RequestOptions} requestOptions - 요청 옵션 (signal, timeout, retries)
          * @returns {Promise<Object>} 현재 방영중인 TV 프로그램 목록
          */
-        async getOnTheAirTVShows(page = 1, language = 'ko-KR') {
-            return await apiBase.makeRequest('/tv/on_the_air', {
-                page: page,
-                language: language,
-            });
+        async getOnTheAirTVShows(page = 1, language = null, requestOptions = {}) {
+            return await apiBase.makeRequest(
+                '/tv/on_the_air',
+                {
+                    page: page,
+                    language: language,
+                },
+                requestOptions
+            );
         },
 
         /**
          * 오늘 방영되는 TV 프로그램 목록 조회
          * @param {number} page - 페이지 번호
          * @param {string} language - 언어 코드
+         * @param {RequestOptions} requestOptions - 요청 옵션 (signal, timeout, retries)
          * @returns {Promise<Object>} 오늘 방영되는 TV 프로그램 목록
          */
-        async getAiringTodayTVShows(page = 1, language = 'ko-KR') {
-            return await apiBase.makeRequest('/tv/airing_today', {
-                page: page,
-                language: language,
-            });
+        async getAiringTodayTVShows(page = 1, language = null, requestOptions = {}) {
+            return await apiBase.makeRequest(
+                '/tv/airing_today',
+                {
+                    page: page,
+                    language: language,
+                },
+                requestOptions
+            );
         },
 
         /**
          * TV 프로그램의 출연진 및 제작진 정보 조회
          * @param {number} tvId - TV 프로그램 ID
          * @param {string} language - 언어 코드
+         * @param {RequestOptions} requestOptions - 요청 옵션 (signal, timeout, retries)
          * @returns {Promise<Object>} 크레딧 정보
          */
-        async getTVShowCredits(tvId, language = 'ko-KR') {
-            return await apiBase.makeRequest(`/tv/${tvId}/credits`, { language });
+        async getTVShowCredits(tvId, language = null, requestOptions = {}) {
+            return await apiBase.makeRequest(`/tv/${tvId}/credits`, { language }, requestOptions);
+        },
+
+        /**
+         * TV 프로그램의 이미지 조회 (포스터, 배경 이미지, 로고)
+         * @param {number} tvId - TV 프로그램 ID
+         * @param {string} language - 언어 코드
+         * @param {string|null} includeImageLanguage - 포함할 이미지 언어
+         * @param {RequestOptions} requestOptions - 요청 옵션 (signal, timeout, retries)
+         * @returns {Promise<Object>} TV 프로그램 이미지 목록
+         */
+        async getTVShowImages(tvId, language = null, includeImageLanguage = null, requestOptions = {}) {
+            const params = { language };
+            if (includeImageLanguage) params.include_image_language = includeImageLanguage;
+            return await apiBase.makeRequest(`/tv/${tvId}/images`, params, requestOptions);
         },
 
         /**
          * TV 프로그램의 동영상 조회
          * @param {number} tvId - TV 프로그램 ID
          * @param {string} language - 언어 코드
+         * @param {string|null} includeVideoLanguage - 함께 포함할 동영상 언어 (예: 'ko,en,null')
+         * @param {RequestOptions} requestOptions - 요청 옵션 (signal, timeout, retries)
          * @returns {Promise<Object>} TV 프로그램 동영상 목록
          */
-        async getTVShowVideos(tvId, language = 'ko-KR') {
-            return await apiBase.makeRequest(`/tv/${tvId}/videos`, { language });
+        async getTVShowVideos(tvId, language = null, includeVideoLanguage = null, requestOptions = {}) {
+            const params = { language };
+            if (includeVideoLanguage) params.include_video_language = includeVideoLanguage;
+            return await apiBase.makeRequest(`/tv/${tvId}/videos`, params, requestOptions);
+        },
+
+        /**
+         * TV 프로그램을 볼 수 있는 서비스 조회 (지역별 스트리밍/대여/구매, JustWatch 제공)
+         * @param {number} tvId - TV 프로그램 ID
+         * @param {RequestOptions} requestOptions - 요청 옵션 (signal, timeout, retries)
+         * @returns {Promise<Object>} 지역 코드별 서비스 목록 (results.KR.flatrate 등)
+         */
+        async getTVWatchProviders(tvId, requestOptions = {}) {
+            return await apiBase.makeRequest(`/tv/${tvId}/watch/providers`, {}, requestOptions);
+        },
+
+        /**
+         * 지역에서 TV 프로그램을 제공하는 서비스 목록 조회 (탐색 필터 선택지)
+         * @param {string|null} region - 지역 코드 (기본값: 서비스 기본 지역)
+         * @param {string} language - 언어 코드
+         * @param {RequestOptions} requestOptions - 요청 옵션 (signal, timeout, retries)
+         * @returns {Promise<Object>} 서비스 목록 (results[].provider_id, provider_name, logo_path)
+         */
+        async getTVWatchProviderList(region = null, language = null, requestOptions = {}) {
+            const params = { watch_region: region || defaultLocale.region, language };
+            return await apiBase.makeRequest('/watch/providers/tv', params, requestOptions);
         },
 
         /**
@@ -411,10 +819,11 @@ export const createTV = (apiKey) => {
          * @param {number} tvId - TV 프로그램 ID
          * @param {number} seasonNumber - 시즌 번호
          * @param {string} language - 언어 코드
+         * @param {RequestOptions} requestOptions - 요청 옵션 (signal, timeout, retries)
          * @returns {Promise<Object>} 시즌 상세 정보
          */
-        async getTVSeasonDetails(tvId, seasonNumber, language = 'ko-KR') {
-            return await apiBase.makeRequest(`/tv/${tvId}/season/${seasonNumber}`, { language });
+        async getTVSeasonDetails(tvId, seasonNumber, language = null, requestOptions = {}) {
+            return await apiBase.makeRequest(`/tv/${tvId}/season/${seasonNumber}`, { language }, requestOptions);
         },
 
         /**
@@ -423,12 +832,17 @@ export const createTV = (apiKey) => {
          * @param {number} seasonNumber - 시즌 번호
          * @param {number} episodeNumber - 에피소드 번호
          * @param {string} language - 언어 코드
+         * @param {RequestOptions} requestOptions - 요청 옵션 (signal, timeout, retries)
          * @returns {Promise<Object>} 에피소드 상세 정보
          */
-        async getTVEpisodeDetails(tvId, seasonNumber, episodeNumber, language = 'ko-KR') {
-            return await apiBase.makeRequest(`/tv/${tvId}/season/${seasonNumber}/episode/${episodeNumber}`, {
-                language,
-            });
+        async getTVEpisodeDetails(tvId, seasonNumber, episodeNumber, language = null, requestOptions = {}) {
+            return await apiBase.makeRequest(
+                `/tv/${tvId}/season/${seasonNumber}/episode/${episodeNumber}`,
+                {
+                    language,
+                },
+                requestOptions
+            );
         },
     };
 };
@@ -436,11 +850,11 @@ export const createTV = (apiKey) => {
 // ==================== PEOPLE MODULE ====================
 /**
  * 인물(배우, 감독 등) 관련 API 기능을 제공하는 모듈
- * @param {string} apiKey - TMDB API 키
+ * @param {string|TMDBCredentials} credentials - TMDB 인증 정보 (v3 API 키 또는 v4 읽기 토큰)
  * @returns {Object} 인물 관련 메서드들을 포함한 객체
  */
-export const createPeople = (apiKey) => {
-    const apiBase = new TMDBApiBase(apiKey);
+export const createPeople = (credentials) => {
+    const apiBase = new TMDBApiBase(credentials);
 
     return {
         /**
@@ -450,9 +864,10 @@ export const createPeople = (apiKey) => {
          * @param {string} language - 언어 코드
          * @param {string|null} region - 지역 코드
          * @param {boolean} includeAdult - 성인 콘텐츠 포함 여부
+         * @param {RequestOptions} requestOptions - 요청 옵션 (signal, timeout, retries)
          * @returns {Promise<Object>} 인물 검색 결과
          */
-        async searchPeople(query, page = 1, language = 'ko-KR', region = null, includeAdult = false) {
+        async searchPeople(query, page = 1, language = null, region = null, includeAdult = false, requestOptions = {}) {
             const params = {
                 query: query,
                 page: page,
@@ -461,7 +876,7 @@ export const createPeople = (apiKey) => {
             };
             if (region) params.region = region;
 
-            return await apiBase.makeRequest('/search/person', params);
+            return await apiBase.makeRequest('/search/person', params, requestOptions);
         },
 
         /**
@@ -469,64 +884,74 @@ export const createPeople = (apiKey) => {
          * @param {number} personId - 인물 ID
          * @param {string} language - 언어 코드
          * @param {string|null} appendToResponse - 추가 데이터
+         * @param {RequestOptions} requestOptions - 요청 옵션 (signal, timeout, retries)
          * @returns {Promise<Object>} 인물 상세 정보
          */
-        async getPersonDetails(personId, language = 'ko-KR', appendToResponse = null) {
+        async getPersonDetails(personId, language = null, appendToResponse = null, requestOptions = {}) {
             const params = { language };
             if (appendToResponse) params.append_to_response = appendToResponse;
-            return await apiBase.makeRequest(`/person/${personId}`, params);
+            return await apiBase.makeRequest(`/person/${personId}`, params, requestOptions);
         },
 
         /**
          * 인기 인물 목록 조회
          * @param {number} page - 페이지 번호
          * @param {string} language - 언어 코드
+         * @param {RequestOptions} requestOptions - 요청 옵션 (signal, timeout, retries)
          * @returns {Promise<Object>} 인기 인물 목록
          */
-        async getPopularPeople(page = 1, language = 'ko-KR') {
-            return await apiBase.makeRequest('/person/popular', {
-                page: page,
-                language: language,
-            });
+        async getPopularPeople(page = 1, language = null, requestOptions = {}) {
+            return await apiBase.makeRequest(
+                '/person/popular',
+                {
+                    page: page,
+                    language: language,
+                },
+                requestOptions
+            );
         },
 
         /**
          * 특정 인물의 영화 출연 이력 조회
          * @param {number} personId - 인물 ID
          * @param {string} language - 언어 코드
+         * @param {RequestOptions} requestOptions - 요청 옵션 (signal, timeout, retries)
          * @returns {Promise<Object>} 영화 출연 이력
          */
-        async getPersonMovieCredits(personId, language = 'ko-KR') {
-            return await apiBase.makeRequest(`/person/${personId}/movie_credits`, { language });
+        async getPersonMovieCredits(personId, language = null, requestOptions = {}) {
+            return await apiBase.makeRequest(`/person/${personId}/movie_credits`, { language }, requestOptions);
         },
 
         /**
          * 특정 인물의 TV 프로그램 출연 이력 조회
          * @param {number} personId - 인물 ID
          * @param {string} language - 언어 코드
+         * @param {RequestOptions} requestOptions - 요청 옵션 (signal, timeout, retries)
          * @returns {Promise<Object>} TV 프로그램 출연 이력
          */
-        async getPersonTVCredits(personId, language = 'ko-KR') {
-            return await apiBase.makeRequest(`/person/${personId}/tv_credits`, { language });
+        async getPersonTVCredits(personId, language = null, requestOptions = {}) {
+            return await apiBase.makeRequest(`/person/${personId}/tv_credits`, { language }, requestOptions);
         },
 
         /**
          * 특정 인물의 전체 출연 이력 조회 (영화 + TV)
          * @param {number} personId - 인물 ID
          * @param {string} language - 언어 코드
+         * @param {RequestOptions} requestOptions - 요청 옵션 (signal, timeout, retries)
          * @returns {Promise<Object>} 전체 출연 이력
          */
-        async getPersonCombinedCredits(personId, language = 'ko-KR') {
-            return await apiBase.makeRequest(`/person/${personId}/combined_credits`, { language });
+        async getPersonCombinedCredits(personId, language = null, requestOptions = {}) {
+            return await apiBase.makeRequest(`/person/${personId}/combined_credits`, { language }, requestOptions);
         },
 
         /**
          * 특정 인물의 이미지 조회
          * @param {number} personId - 인물 ID
+         * @param {RequestOptions} requestOptions - 요청 옵션 (signal, timeout, retries)
          * @returns {Promise<Object>} 인물 이미지 목록
          */
-        async getPersonImages(personId) {
-            return await apiBase.makeRequest(`/person/${personId}/images`);
+        async getPersonImages(personId, requestOptions = {}) {
+            return await apiBase.makeRequest(`/person/${personId}/images`, {}, requestOptions);
         },
     };
 };
@@ -534,11 +959,11 @@ export const createPeople = (apiKey) => {
 // ==================== DISCOVER MODULE ====================
 /**
  * 발견/탐색 기능을 제공하는 모듈 (필터링된 검색)
- * @param {string} apiKey - TMDB API 키
+ * @param {string|TMDBCredentials} credentials - TMDB 인증 정보 (v3 API 키 또는 v4 읽기 토큰)
  * @returns {Object} 발견 관련 메서드들을 포함한 객체
  */
-export const createDiscover = (apiKey) => {
-    const apiBase = new TMDBApiBase(apiKey);
+export const createDiscover = (credentials) => {
+    const apiBase = new TMDBApiBase(credentials);
 
     return {
         /**
@@ -547,29 +972,31 @@ export const createDiscover = (apiKey) => {
          * @param {string} params.with_genres - 장르 ID (예: '28,12' - 액션, 모험)
          * @param {number} params.primary_release_year - 개봉 연도
          * @param {string} params.sort_by - 정렬 기준 (예: 'popularity.desc')
+         * @param {RequestOptions} requestOptions - 요청 옵션 (signal, timeout, retries)
          * @returns {Promise<Object>} 조건에 맞는 영화 목록
          */
-        async discoverMovies(params = {}) {
+        async discoverMovies(params = {}, requestOptions = {}) {
             const defaultParams = {
-                language: 'ko-KR',
+                language: null,
                 sort_by: 'popularity.desc', // 인기순 내림차순
                 page: 1,
             };
-            return await apiBase.makeRequest('/discover/movie', { ...defaultParams, ...params });
+            return await apiBase.makeRequest('/discover/movie', { ...defaultParams, ...params }, requestOptions);
         },
 
         /**
          * 조건에 맞는 TV 프로그램 발견
          * @param {Object} params - 필터 조건들
+         * @param {RequestOptions} requestOptions - 요청 옵션 (signal, timeout, retries)
          * @returns {Promise<Object>} 조건에 맞는 TV 프로그램 목록
          */
-        async discoverTVShows(params = {}) {
+        async discoverTVShows(params = {}, requestOptions = {}) {
             const defaultParams = {
-                language: 'ko-KR',
+                language: null,
                 sort_by: 'popularity.desc',
                 page: 1,
             };
-            return await apiBase.makeRequest('/discover/tv', { ...defaultParams, ...params });
+            return await apiBase.makeRequest('/discover/tv', { ...defaultParams, ...params }, requestOptions);
         },
     };
 };
@@ -577,51 +1004,402 @@ export const createDiscover = (apiKey) => {
 // ==================== TRENDING MODULE ====================
 /**
  * 트렌딩 콘텐츠 조회 모듈
- * @param {string} apiKey - TMDB API 키
+ * @param {string|TMDBCredentials} credentials - TMDB 인증 정보 (v3 API 키 또는 v4 읽기 토큰)
  * @returns {Object} 트렌딩 관련 메서드들을 포함한 객체
  */
-export const createTrending = (apiKey) => {
-    const apiBase = new TMDBApiBase(apiKey);
+export const createTrending = (credentials) => {
+    const apiBase = new TMDBApiBase(credentials);
 
     return {
         /**
          * 전체 트렌딩 콘텐츠 조회 (영화 + TV + 인물)
          * @param {string} timeWindow - 시간 범위 ('day' 또는 'week')
          * @param {string} language - 언어 코드
+         * @param {RequestOptions} requestOptions - 요청 옵션 (signal, timeout, retries)
          * @returns {Promise<Object>} 트렌딩 콘텐츠 목록
          */
-        async getTrendingAll(timeWindow = 'day', language = 'ko-KR') {
-            return await apiBase.makeRequest(`/trending/all/${timeWindow}`, { language });
+        async getTrendingAll(timeWindow = 'day', language = null, requestOptions = {}) {
+            return await apiBase.makeRequest(`/trending/all/${timeWindow}`, { language }, requestOptions);
         },
 
         /**
          * 트렌딩 영화 목록 조회
          * @param {string} timeWindow - 시간 범위 ('day' 또는 'week')
          * @param {string} language - 언어 코드
+         * @param {RequestOptions} requestOptions - 요청 옵션 (signal, timeout, retries)
          * @returns {Promise<Object>} 트렌딩 영화 목록
          */
-        async getTrendingMovies(timeWindow = 'day', language = 'ko-KR') {
-            return await apiBase.makeRequest(`/trending/movie/${timeWindow}`, { language });
+        async getTrendingMovies(timeWindow = 'day', language = null, requestOptions = {}) {
+            return await apiBase.makeRequest(`/trending/movie/${timeWindow}`, { language }, requestOptions);
         },
 
         /**
          * 트렌딩 인물 목록 조회
          * @param {string} timeWindow - 시간 범위 ('day' 또는 'week')
          * @param {string} language - 언어 코드
+         * @param {RequestOptions} requestOptions - 요청 옵션 (signal, timeout, retries)
          * @returns {Promise<Object>} 트렌딩 인물 목록
          */
-        async getTrendingPeople(timeWindow = 'day', language = 'ko-KR') {
-            return await apiBase.makeRequest(`/trending/person/${timeWindow}`, { language });
+        async getTrendingPeople(timeWindow = 'day', language = null, requestOptions = {}) {
+            return await apiBase.makeRequest(`/trending/person/${timeWindow}`, { language }, requestOptions);
         },
 
         /**
          * 트렌딩 TV 프로그램 목록 조회
          * @param {string} timeWindow - 시간 범위 ('day' 또는 'week')
          * @param {string} language - 언어 코드
+         * @param {RequestOptions} requestOptions - 요청 옵션 (signal, timeout, retries)
          * @returns {Promise<Object>} 트렌딩 TV 프로그램 목록
          */
-        async getTrendingTVShows(timeWindow = 'day', language = 'ko-KR') {
-            return await apiBase.makeRequest(`/trending/tv/${timeWindow}`, { language });
+        async getTrendingTVShows(timeWindow = 'day', language = null, requestOptions = {}) {
+            return await apiBase.makeRequest(`/trending/tv/${timeWindow}`, { language }, requestOptions);
+        },
+    };
+};
+
+// ==================== AUTHENTICATION MODULE ====================
+/**
+ * TMDB 사용자 인증(세션 발급) 기능을 제공하는 모듈
+ *
+ * 로그인 흐름:
+ * 1. createRequestToken()으로 요청 토큰 발급
+ * 2. getApprovalUrl()로 TMDB 승인 페이지로 이동 (승인 후 redirectTo로 돌아옴)
+ * 3. createSession()으로 승인된 토큰을 세션 ID로 교환
+ *
+ * @param {string|TMDBCredentials} credentials - TMDB 인증 정보 (v3 API 키 또는 v4 읽기 토큰)
+ * @returns {Object} 인증 관련 메서드들을 포함한 객체
+ */
+export const createAuthentication = (credentials) => {
+    // 토큰과 세션은 매번 새로 발급받아야 하므로 캐시를 사용하지 않음
+    const apiBase = new TMDBApiBase(credentials, { cache: null });
+
+    return {
+        /**
+         * 요청 토큰 발급 (60분간 유효)
+         * @param {RequestOptions} requestOptions - 요청 옵션 (signal, timeout, retries)
+         * @returns {Promise<Object>} 요청 토큰 ({ request_token, expires_at })
+         */
+        async createRequestToken(requestOptions = {}) {
+            return await apiBase.makeRequest('/authentication/token/new', {}, requestOptions);
+        },
+
+        /**
+         * 사용자가 요청 토큰을 승인할 TMDB 페이지 URL 생성
+         * @param {string} requestToken - 요청 토큰
+         * @param {string|null} redirectTo - 승인 후 돌아올 URL
+         * @returns {string} 승인 페이지 URL
+         */
+        getApprovalUrl(requestToken, redirectTo = null) {
+            const url = new URL(`https://www.themoviedb.org/authenticate/${requestToken}`);
+            if (redirectTo) url.searchParams.set('redirect_to', redirectTo);
+            return url.toString();
+        },
+
+        /**
+         * 승인된 요청 토큰으로 세션 생성
+         * @param {string} requestToken - 사용자가 승인한 요청 토큰
+         * @param {RequestOptions} requestOptions - 요청 옵션 (signal, timeout, retries)
+         * @returns {Promise<Object>} 세션 정보 ({ session_id })
+         */
+        async createSession(requestToken, requestOptions = {}) {
+            return await apiBase.makeRequest(
+                '/authentication/session/new',
+                {},
+                { ...requestOptions, method: 'POST', body: { request_token: requestToken } }
+            );
+        },
+
+        /**
+         * 게스트 세션 생성 (로그인 없이 평점 등록 가능, expires_at 이후 만료)
+         * @param {RequestOptions} requestOptions - 요청 옵션 (signal, timeout, retries)
+         * @returns {Promise<Object>} 게스트 세션 정보 ({ guest_session_id, expires_at })
+         */
+        async createGuestSession(requestOptions = {}) {
+            return await apiBase.makeRequest('/authentication/guest_session/new', {}, requestOptions);
+        },
+
+        /**
+         * 세션 삭제 (로그아웃)
+         * @param {string} sessionId - 세션 ID
+         * @param {RequestOptions} requestOptions - 요청 옵션 (signal, timeout, retries)
+         * @returns {Promise<Object>} 삭제 결과
+         */
+        async deleteSession(sessionId, requestOptions = {}) {
+            return await apiBase.makeRequest(
+                '/authentication/session',
+                {},
+                { ...requestOptions, method: 'DELETE', body: { session_id: sessionId } }
+            );
+        },
+
+        /**
+         * 세션 사용자의 계정 정보 조회
+         * @param {string} sessionId - 세션 ID
+         * @param {RequestOptions} requestOptions - 요청 옵션 (signal, timeout, retries)
+         * @returns {Promise<Object>} 계정 정보 (id, username, name, avatar 등)
+         */
+        async getAccountDetails(sessionId, requestOptions = {}) {
+            return await apiBase.makeRequest('/account', { session_id: sessionId }, requestOptions);
+        },
+    };
+};
+
+// ==================== ACCOUNT MODULE ====================
+/**
+ * 로그인한 사용자의 워치리스트, 즐겨찾기, 리스트 목록을 다루는 모듈 (게스트 세션은 사용할 수 없음)
+ * @param {string|TMDBCredentials} credentials - TMDB 인증 정보 (v3 API 키 또는 v4 읽기 토큰)
+ * @returns {Object} 계정 관련 메서드들을 포함한 객체
+ */
+export const createAccount = (credentials) => {
+    // 사용자가 직접 바꾸는 데이터이므로 캐시를 사용하지 않음
+    const apiBase = new TMDBApiBase(credentials, { cache: null });
+
+    return {
+        /**
+         * 워치리스트에 담은 영화 목록 조회
+         * @param {number} accountId - 계정 ID
+         * @param {string} sessionId - 세션 ID
+         * @param {number} page - 페이지 번호
+         * @param {string} language - 언어 코드
+         * @param {string} sortBy - 정렬 기준 ('created_at.asc' | 'created_at.desc')
+         * @param {RequestOptions} requestOptions - 요청 옵션 (signal, timeout, retries)
+         * @returns {Promise<Object>} 워치리스트 영화 목록
+         */
+        async getWatchlistMovies(
+            accountId,
+            sessionId,
+            page = 1,
+            language = null,
+            sortBy = 'created_at.desc',
+            requestOptions = {}
+        ) {
+            return await apiBase.makeRequest(
+                `/account/${accountId}/watchlist/movies`,
+                { session_id: sessionId, page, language, sort_by: sortBy },
+                requestOptions
+            );
+        },
+
+        /**
+         * 즐겨찾기한 영화 목록 조회
+         * @param {number} accountId - 계정 ID
+         * @param {string} sessionId - 세션 ID
+         * @param {number} page - 페이지 번호
+         * @param {string} language - 언어 코드
+         * @param {string} sortBy - 정렬 기준 ('created_at.asc' | 'created_at.desc')
+         * @param {RequestOptions} requestOptions - 요청 옵션 (signal, timeout, retries)
+         * @returns {Promise<Object>} 즐겨찾기 영화 목록
+         */
+        async getFavoriteMovies(
+            accountId,
+            sessionId,
+            page = 1,
+            language = null,
+            sortBy = 'created_at.desc',
+            requestOptions = {}
+        ) {
+            return await apiBase.makeRequest(
+                `/account/${accountId}/favorite/movies`,
+                { session_id: sessionId, page, language, sort_by: sortBy },
+                requestOptions
+            );
+        },
+
+        /**
+         * 평점을 남긴 영화 목록 조회 (각 항목의 rating에 내 평점 포함)
+         * @param {number} accountId - 계정 ID
+         * @param {string} sessionId - 세션 ID
+         * @param {number} page - 페이지 번호
+         * @param {string} language - 언어 코드
+         * @param {string} sortBy - 정렬 기준 ('created_at.asc' | 'created_at.desc')
+         * @param {RequestOptions} requestOptions - 요청 옵션 (signal, timeout, retries)
+         * @returns {Promise<Object>} 평점을 남긴 영화 목록
+         */
+        async getRatedMovies(
+            accountId,
+            sessionId,
+            page = 1,
+            language = null,
+            sortBy = 'created_at.desc',
+            requestOptions = {}
+        ) {
+            return await apiBase.makeRequest(
+                `/account/${accountId}/rated/movies`,
+                { session_id: sessionId, page, language, sort_by: sortBy },
+                requestOptions
+            );
+        },
+
+        /**
+         * 워치리스트에 추가하거나 제거
+         * @param {number} accountId - 계정 ID
+         * @param {string} sessionId - 세션 ID
+         * @param {string} mediaType - 'movie' | 'tv'
+         * @param {number} mediaId - 영화 또는 TV 프로그램 ID
+         * @param {boolean} watchlist - true면 추가, false면 제거
+         * @param {RequestOptions} requestOptions - 요청 옵션 (signal, timeout, retries)
+         * @returns {Promise<Object>} 처리 결과
+         */
+        async addToWatchlist(accountId, sessionId, mediaType, mediaId, watchlist = true, requestOptions = {}) {
+            return await apiBase.makeRequest(
+                `/account/${accountId}/watchlist`,
+                { session_id: sessionId },
+                { ...requestOptions, method: 'POST', body: { media_type: mediaType, media_id: mediaId, watchlist } }
+            );
+        },
+
+        /**
+         * 즐겨찾기에 추가하거나 제거
+         * @param {number} accountId - 계정 ID
+         * @param {string} sessionId - 세션 ID
+         * @param {string} mediaType - 'movie' | 'tv'
+         * @param {number} mediaId - 영화 또는 TV 프로그램 ID
+         * @param {boolean} favorite - true면 추가, false면 제거
+         * @param {RequestOptions} requestOptions - 요청 옵션 (signal, timeout, retries)
+         * @returns {Promise<Object>} 처리 결과
+         */
+        async markAsFavorite(accountId, sessionId, mediaType, mediaId, favorite = true, requestOptions = {}) {
+            return await apiBase.makeRequest(
+                `/account/${accountId}/favorite`,
+                { session_id: sessionId },
+                { ...requestOptions, method: 'POST', body: { media_type: mediaType, media_id: mediaId, favorite } }
+            );
+        },
+
+        /**
+         * 사용자가 만든 리스트 목록 조회
+         * @param {number} accountId - 계정 ID
+         * @param {string} sessionId - 세션 ID
+         * @param {number} page - 페이지 번호
+         * @param {RequestOptions} requestOptions - 요청 옵션 (signal, timeout, retries)
+         * @returns {Promise<Object>} 리스트 목록
+         */
+        async getCreatedLists(accountId, sessionId, page = 1, requestOptions = {}) {
+            return await apiBase.makeRequest(
+                `/account/${accountId}/lists`,
+                { session_id: sessionId, page },
+                requestOptions
+            );
+        },
+    };
+};
+
+// ==================== LISTS MODULE ====================
+/**
+ * 사용자 리스트(직접 만든 영화 모음) 관련 API 기능을 제공하는 모듈
+ *
+ * v3 API는 리스트의 이름과 설명을 바꾸는 기능을 제공하지 않으므로,
+ * 리스트 편집은 항목 추가/제거와 비우기로 이루어집니다.
+ *
+ * @param {string|TMDBCredentials} credentials - TMDB 인증 정보 (v3 API 키 또는 v4 읽기 토큰)
+ * @returns {Object} 리스트 관련 메서드들을 포함한 객체
+ */
+export const createLists = (credentials) => {
+    // 사용자가 직접 바꾸는 데이터이므로 캐시를 사용하지 않음
+    const apiBase = new TMDBApiBase(credentials, { cache: null });
+
+    return {
+        /**
+         * 리스트 상세 정보와 항목 조회
+         * @param {number} listId - 리스트 ID
+         * @param {number} page - 페이지 번호
+         * @param {string} language - 언어 코드
+         * @param {RequestOptions} requestOptions - 요청 옵션 (signal, timeout, retries)
+         * @returns {Promise<Object>} 리스트 정보 (items에 항목 목록)
+         */
+        async getListDetails(listId, page = 1, language = null, requestOptions = {}) {
+            return await apiBase.makeRequest(`/list/${listId}`, { page, language }, requestOptions);
+        },
+
+        /**
+         * 리스트에 영화가 들어 있는지 확인
+         * @param {number} listId - 리스트 ID
+         * @param {number} movieId - 영화 ID
+         * @param {RequestOptions} requestOptions - 요청 옵션 (signal, timeout, retries)
+         * @returns {Promise<Object>} 포함 여부 ({ item_present })
+         */
+        async getListItemStatus(listId, movieId, requestOptions = {}) {
+            return await apiBase.makeRequest(`/list/${listId}/item_status`, { movie_id: movieId }, requestOptions);
+        },
+
+        /**
+         * 새 리스트 만들기
+         * @param {string} sessionId - 세션 ID
+         * @param {string} name - 리스트 이름
+         * @param {string} description - 리스트 설명
+         * @param {string|null} language - 리스트 언어 (ISO 639-1, 기본값: 서비스 기본 언어)
+         * @param {RequestOptions} requestOptions - 요청 옵션 (signal, timeout, retries)
+         * @returns {Promise<Object>} 생성 결과 ({ list_id })
+         */
+        async createList(sessionId, name, description = '', language = null, requestOptions = {}) {
+            const listLanguage = language || defaultLocale.language.split('-')[0];
+            return await apiBase.makeRequest(
+                '/list',
+                { session_id: sessionId },
+                { ...requestOptions, method: 'POST', body: { name, description, language: listLanguage } }
+            );
+        },
+
+        /**
+         * 리스트에 영화 추가
+         * @param {number} listId - 리스트 ID
+         * @param {string} sessionId - 세션 ID
+         * @param {number} movieId - 영화 ID
+         * @param {RequestOptions} requestOptions - 요청 옵션 (signal, timeout, retries)
+         * @returns {Promise<Object>} 처리 결과
+         */
+        async addListItem(listId, sessionId, movieId, requestOptions = {}) {
+            return await apiBase.makeRequest(
+                `/list/${listId}/add_item`,
+                { session_id: sessionId },
+                { ...requestOptions, method: 'POST', body: { media_id: movieId } }
+            );
+        },
+
+        /**
+         * 리스트에서 영화 제거
+         * @param {number} listId - 리스트 ID
+         * @param {string} sessionId - 세션 ID
+         * @param {number} movieId - 영화 ID
+         * @param {RequestOptions} requestOptions - 요청 옵션 (signal, timeout, retries)
+         * @returns {Promise<Object>} 처리 결과
+         */
+        async removeListItem(listId, sessionId, movieId, requestOptions = {}) {
+            return await apiBase.makeRequest(
+                `/list/${listId}/remove_item`,
+                { session_id: sessionId },
+                { ...requestOptions, method: 'POST', body: { media_id: movieId } }
+            );
+        },
+
+        /**
+         * 리스트의 모든 항목 제거
+         * @param {number} listId - 리스트 ID
+         * @param {string} sessionId - 세션 ID
+         * @param {RequestOptions} requestOptions - 요청 옵션 (signal, timeout, retries)
+         * @returns {Promise<Object>} 처리 결과
+         */
+        async clearList(listId, sessionId, requestOptions = {}) {
+            return await apiBase.makeRequest(
+                `/list/${listId}/clear`,
+                { session_id: sessionId, confirm: true },
+                { ...requestOptions, method: 'POST' }
+            );
+        },
+
+        /**
+         * 리스트 삭제
+         * @param {number} listId - 리스트 ID
+         * @param {string} sessionId - 세션 ID
+         * @param {RequestOptions} requestOptions - 요청 옵션 (signal, timeout, retries)
+         * @returns {Promise<Object>} 처리 결과
+         */
+        async deleteList(listId, sessionId, requestOptions = {}) {
+            return await apiBase.makeRequest(
+                `/list/${listId}`,
+                { session_id: sessionId },
+                { ...requestOptions, method: 'DELETE' }
+            );
         },
     };
 };
@@ -629,29 +1407,98 @@ export const createTrending = (apiKey) => {
 // ==================== GENRES MODULE ====================
 /**
  * 장르 정보 조회 모듈
- * @param {string} apiKey - TMDB API 키
+ * @param {string|TMDBCredentials} credentials - TMDB 인증 정보 (v3 API 키 또는 v4 읽기 토큰)
  * @returns {Object} 장르 관련 메서드들을 포함한 객체
  */
-export const createGenres = (apiKey) => {
-    const apiBase = new TMDBApiBase(apiKey);
+export const createGenres = (credentials) => {
+    const apiBase = new TMDBApiBase(credentials);
 
     return {
         /**
          * 영화 장르 목록 조회
          * @param {string} language - 언어 코드
+         * @param {RequestOptions} requestOptions - 요청 옵션 (signal, timeout, retries)
          * @returns {Promise<Object>} 영화 장르 목록 (ID와 이름)
          */
-        async getMovieGenres(language = 'ko-KR') {
-            return await apiBase.makeRequest('/genre/movie/list', { language });
+        async getMovieGenres(language = null, requestOptions = {}) {
+            return await apiBase.makeRequest('/genre/movie/list', { language }, requestOptions);
         },
 
         /**
          * TV 프로그램 장르 목록 조회
          * @param {string} language - 언어 코드
+         * @param {RequestOptions} requestOptions - 요청 옵션 (signal, timeout, retries)
          * @returns {Promise<Object>} TV 프로그램 장르 목록 (ID와 이름)
          */
-        async getTVGenres(language = 'ko-KR') {
-            return await apiBase.makeRequest('/genre/tv/list', { language });
+        async getTVGenres(language = null, requestOptions = {}) {
+            return await apiBase.makeRequest('/genre/tv/list', { language }, requestOptions);
+        },
+    };
+};
+
+// ==================== COLLECTIONS MODULE ====================
+/**
+ * 컬렉션(영화 시리즈) 관련 기능을 제공하는 모듈
+ * @param {string|TMDBCredentials} credentials - TMDB 인증 정보 (v3 API 키 또는 v4 읽기 토큰)
+ * @returns {Object} 컬렉션 관련 메서드들을 포함한 객체
+ */
+export const createCollections = (credentials) => {
+    const apiBase = new TMDBApiBase(credentials);
+
+    return {
+        /**
+         * 컬렉션 상세 정보 조회 (컬렉션에 속한 영화 목록 포함)
+         * @param {number} collectionId - 컬렉션 ID
+         * @param {string} language - 언어 코드
+         * @param {RequestOptions} requestOptions - 요청 옵션 (signal, timeout, retries)
+         * @returns {Promise<Object>} 컬렉션 상세 정보 (parts: 컬렉션에 속한 영화)
+         */
+        async getCollectionDetails(collectionId, language = null, requestOptions = {}) {
+            return await apiBase.makeRequest(`/collection/${collectionId}`, { language }, requestOptions);
+        },
+    };
+};
+
+// ==================== COMPANIES MODULE ====================
+/**
+ * 제작사 관련 기능을 제공하는 모듈
+ * @param {string|TMDBCredentials} credentials - TMDB 인증 정보 (v3 API 키 또는 v4 읽기 토큰)
+ * @returns {Object} 제작사 관련 메서드들을 포함한 객체
+ */
+export const createCompanies = (credentials) => {
+    const apiBase = new TMDBApiBase(credentials);
+
+    return {
+        /**
+         * 제작사 상세 정보 조회
+         * @param {number} companyId - 제작사 ID
+         * @param {RequestOptions} requestOptions - 요청 옵션 (signal, timeout, retries)
+         * @returns {Promise<Object>} 제작사 상세 정보 (name, logo_path, headquarters, origin_country 등)
+         */
+        async getCompanyDetails(companyId, requestOptions = {}) {
+            return await apiBase.makeRequest(`/company/${companyId}`, {}, requestOptions);
+        },
+    };
+};
+
+// ==================== KEYWORDS MODULE ====================
+/**
+ * 키워드 관련 기능을 제공하는 모듈
+ * @param {string|TMDBCredentials} credentials - TMDB 인증 정보 (v3 API 키 또는 v4 읽기 토큰)
+ * @returns {Object} 키워드 관련 메서드들을 포함한 객체
+ */
+export const createKeywords = (credentials) => {
+    const apiBase = new TMDBApiBase(credentials);
+
+    return {
+        /**
+         * 키워드 상세 정보 조회
+         * @param {number} keywordId - 키워드 ID
+         * @param {RequestOptions} requestOptions - 요청 옵션 (signal, timeout, retries)
+         * @returns {Promise<Object>} 키워드 상세 정보 (id, name)
+         */
+        async getKeywordDetails(keywordId, requestOptions = {}) {
+            return await apiBase.makeRequest(`/keyword/${keywordId}`, {}, requestOptions);
         },
     };
 };
@@ -659,11 +1506,11 @@ export const createGenres = (apiKey) => {
 // ==================== SEARCH MODULE ====================
 /**
  * 통합 검색 기능을 제공하는 모듈
- * @param {string} apiKey - TMDB API 키
+ * @param {string|TMDBCredentials} credentials - TMDB 인증 정보 (v3 API 키 또는 v4 읽기 토큰)
  * @returns {Object} 검색 관련 메서드들을 포함한 객체
  */
-export const createSearch = (apiKey) => {
-    const apiBase = new TMDBApiBase(apiKey);
+export const createSearch = (credentials) => {
+    const apiBase = new TMDBApiBase(credentials);
 
     return {
         /**
@@ -673,9 +1520,10 @@ export const createSearch = (apiKey) => {
          * @param {string} language - 언어 코드
          * @param {string|null} region - 지역 코드
          * @param {boolean} includeAdult - 성인 콘텐츠 포함 여부
+         * @param {RequestOptions} requestOptions - 요청 옵션 (signal, timeout, retries)
          * @returns {Promise<Object>} 통합 검색 결과
          */
-        async searchMulti(query, page = 1, language = 'ko-KR', region = null, includeAdult = false) {
+        async searchMulti(query, page = 1, language = null, region = null, includeAdult = false, requestOptions = {}) {
             const params = {
                 query: query,
                 page: page,
@@ -684,20 +1532,25 @@ export const createSearch = (apiKey) => {
             };
             if (region) params.region = region;
 
-            return await apiBase.makeRequest('/search/multi', params);
+            return await apiBase.makeRequest('/search/multi', params, requestOptions);
         },
 
         /**
          * 제작사 검색
          * @param {string} query - 검색할 제작사 이름
          * @param {number} page - 페이지 번호
+         * @param {RequestOptions} requestOptions - 요청 옵션 (signal, timeout, retries)
          * @returns {Promise<Object>} 제작사 검색 결과
          */
-        async searchCompanies(query, page = 1) {
-            return await apiBase.makeRequest('/search/company', {
-                query: query,
-                page: page,
-            });
+        async searchCompanies(query, page = 1, requestOptions = {}) {
+            return await apiBase.makeRequest(
+                '/search/company',
+                {
+                    query: query,
+                    page: page,
+                },
+                requestOptions
+            );
         },
 
         /**
@@ -705,27 +1558,58 @@ export const createSearch = (apiKey) => {
          * @param {string} query - 검색할 컬렉션 이름
          * @param {number} page - 페이지 번호
          * @param {string} language - 언어 코드
+         * @param {RequestOptions} requestOptions - 요청 옵션 (signal, timeout, retries)
          * @returns {Promise<Object>} 컬렉션 검색 결과
          */
-        async searchCollections(query, page = 1, language = 'ko-KR') {
-            return await apiBase.makeRequest('/search/collection', {
-                query: query,
-                page: page,
-                language: language,
-            });
+        async searchCollections(query, page = 1, language = null, requestOptions = {}) {
+            return await apiBase.makeRequest(
+                '/search/collection',
+                {
+                    query: query,
+                    page: page,
+                    language: language,
+                },
+                requestOptions
+            );
         },
 
         /**
          * 키워드 검색
          * @param {string} query - 검색할 키워드
          * @param {number} page - 페이지 번호
+         * @param {RequestOptions} requestOptions - 요청 옵션 (signal, timeout, retries)
          * @returns {Promise<Object>} 키워드 검색 결과
          */
-        async searchKeywords(query, page = 1) {
-            return await apiBase.makeRequest('/search/keyword', {
-                query: query,
-                page: page,
-            });
+        async searchKeywords(query, page = 1, requestOptions = {}) {
+            return await apiBase.makeRequest(
+                '/search/keyword',
+                {
+                    query: query,
+                    page: page,
+                },
+                requestOptions
+            );
+        },
+    };
+};
+
+// ==================== CONFIGURATION MODULE ====================
+/**
+ * API 설정 조회 모듈 (이미지 기본 URL과 크기 목록)
+ * @param {string|TMDBCredentials} credentials - TMDB 인증 정보 (v3 API 키 또는 v4 읽기 토큰)
+ * @returns {Object} 설정 관련 메서드들을 포함한 객체
+ */
+export const createConfiguration = (credentials) => {
+    const apiBase = new TMDBApiBase(credentials);
+
+    return {
+        /**
+         * API 설정 조회 (이미지 기본 URL, 이미지 종류별 크기 목록 등)
+         * @param {RequestOptions} requestOptions - 요청 옵션 (signal, timeout, retries)
+         * @returns {Promise<Object>} API 설정 (images.secure_base_url, images.poster_sizes 등)
+         */
+        async getConfiguration(requestOptions = {}) {
+            return await apiBase.makeRequest('/configuration', {}, requestOptions);
         },
     };
 };
@@ -733,11 +1617,11 @@ export const createSearch = (apiKey) => {
 // ==================== UTILS MODULE ====================
 /**
  * 유틸리티 기능을 제공하는 모듈 (이미지 URL 생성, 날짜 포맷 등)
- * @param {string} apiKey - TMDB API 키
+ * @param {string|TMDBCredentials} credentials - TMDB 인증 정보 (v3 API 키 또는 v4 읽기 토큰)
  * @returns {Object} 유틸리티 메서드들을 포함한 객체
  */
-export const createUtils = (apiKey) => {
-    const apiBase = new TMDBApiBase(apiKey);
+export const createUtils = (credentials) => {
+    const apiBase = new TMDBApiBase(credentials);
 
     return {
         /**
@@ -814,16 +1698,17 @@ export const createUtils = (apiKey) => {
         },
 
         /**
-         * 사용 가능한 이미지 크기 목록 반환
+         * 사용 가능한 이미지 크기 목록 반환 (TMDB 설정을 받기 전에는 기본값)
          * @returns {Object} 각 이미지 타입별 사용 가능한 크기 목록
          */
         getImageSizes() {
+            const { sizes } = imageConfiguration;
             return {
-                backdrop_sizes: ['w300', 'w780', 'w1280', 'original'],
-                logo_sizes: ['w45', 'w92', 'w154', 'w185', 'w300', 'w500', 'original'],
-                poster_sizes: ['w92', 'w154', 'w185', 'w342', 'w500', 'w780', 'original'],
-                profile_sizes: ['w45', 'w185', 'h632', 'original'],
-                still_sizes: ['w92', 'w185', 'w300', 'original'],
+                backdrop_sizes: sizes.backdrop,
+                logo_sizes: sizes.logo,
+                poster_sizes: sizes.poster,
+                profile_sizes: sizes.profile,
+                still_sizes: sizes.still,
             };
         },
     };
@@ -835,7 +1720,7 @@ export const createUtils = (apiKey) => {
  *
  * 사용 예시:
  * ```javascript
- * const tmdb = new TMDBApi(import.meta.env.VITE_TMDB_API_KEY);
+ * const tmdb = new TMDBApi(TMDB_CREDENTIALS);
  *
  * // 인기 영화 조회
  * const popularMovies = await tmdb.getPopularMovies();
@@ -850,21 +1735,28 @@ export const createUtils = (apiKey) => {
 export class TMDBApi extends TMDBApiBase {
     /**
      * TMDBApi 생성자
-     * @param {string} apiKey - TMDB API 키 또는 Bearer 토큰
+     * @param {string|TMDBCredentials} credentials - TMDB 인증 정보 (v3 API 키 또는 v4 읽기 토큰)
      */
-    constructor(apiKey) {
-        super(apiKey);
+    constructor(credentials) {
+        super(credentials);
 
         // 모든 모듈을 인스턴스에 추가하여 하나의 객체로 통합
         const modules = [
-            createMovies(apiKey), // 영화 관련 메서드들
-            createTV(apiKey), // TV 프로그램 관련 메서드들
-            createPeople(apiKey), // 인물 관련 메서드들
-            createDiscover(apiKey), // 발견/탐색 관련 메서드들
-            createTrending(apiKey), // 트렌딩 관련 메서드들
-            createGenres(apiKey), // 장르 관련 메서드들
-            createSearch(apiKey), // 검색 관련 메서드들
-            createUtils(apiKey), // 유틸리티 메서드들
+            createMovies(credentials), // 영화 관련 메서드들
+            createTV(credentials), // TV 프로그램 관련 메서드들
+            createPeople(credentials), // 인물 관련 메서드들
+            createDiscover(credentials), // 발견/탐색 관련 메서드들
+            createTrending(credentials), // 트렌딩 관련 메서드들
+            createGenres(credentials), // 장르 관련 메서드들
+            createCollections(credentials), // 컬렉션 관련 메서드들
+            createCompanies(credentials), // 제작사 관련 메서드들
+            createKeywords(credentials), // 키워드 관련 메서드들
+            createAuthentication(credentials), // 사용자 인증 관련 메서드들
+            createAccount(credentials), // 계정(워치리스트, 즐겨찾기) 관련 메서드들
+            createLists(credentials), // 사용자 리스트 관련 메서드들
+            createSearch(credentials), // 검색 관련 메서드들
+            createConfiguration(credentials), // API 설정 관련 메서드들
+            createUtils(credentials), // 유틸리티 메서드들
         ];
 
         // 모든 모듈의 메서드들을 현재 인스턴스에 병합
@@ -890,20 +1782,20 @@ export default TMDBApi;
  *
  * // 1. 전체 API 사용
  * import TMDBApi from './movieService.js';
- * const tmdb = new TMDBApi(process.env.TMDB_API_KEY);
+ * const tmdb = new TMDBApi({ apiKey: process.env.TMDB_API_KEY });
  * const movies = await tmdb.getPopularMovies();
  *
  * // 2. 특정 모듈만 사용
  * import { createMovies, createUtils } from './movieService.js';
- * const moviesApi = createMovies(process.env.TMDB_API_KEY);
- * const utilsApi = createUtils(process.env.TMDB_API_KEY);
+ * const moviesApi = createMovies({ accessToken: process.env.TMDB_ACCESS_TOKEN });
+ * const utilsApi = createUtils();
  *
  * // 3. 이미지 URL 생성
  * const utils = createUtils();
  * const imageUrl = utils.getPosterUrl('/path/to/poster.jpg', 'w500');
  *
  * // 4. 조건부 영화 검색
- * const discover = createDiscover(apiKey);
+ * const discover = createDiscover(credentials);
  * const actionMovies = await discover.discoverMovies({
  *     with_genres: '28', // 액션 장르
  *     primary_release_year: 2023,
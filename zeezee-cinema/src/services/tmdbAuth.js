@@ -0,0 +1,104 @@
+/**
+ * TMDB 인증 설정
+ *
+ * TMDB는 두 가지 인증 방식을 지원하며, 요청마다 둘 중 하나만 사용합니다.
+ * - v3 API 키: 32자리 16진수 문자열, `api_key` 쿼리 매개변수로 전달
+ * - v4 읽기 토큰(API Read Access Token): JWT 형식 문자열, `Authorization: Bearer` 헤더로 전달
+ *
+ * 사용법:
+ * import { TMDB_CREDENTIALS } from './tmdbAuth.js';
+ * const moviesApi = createMovies(TMDB_CREDENTIALS);
+ *
+ * // 직접 지정
+ * createMovies({ apiKey: '...' });
+ * createMovies({ accessToken: 'eyJ...' });
+ */
+
+import { AuthConfigError } from './apiErrors.js';
+
+// v3 API 키 형식 (32자리 16진수)
+const API_KEY_PATTERN = /^[0-9a-f]{32}$/i;
+
+// v4 읽기 토큰 형식 (JWT: header.payload.signature)
+const ACCESS_TOKEN_PATTERN = /^eyJ[\w-]*\.[\w-]+\.[\w-]+$/;
+
+/**
+ * @typedef {Object} TMDBCredentials
+ * @property {string} [apiKey] - v3 API 키
+ * @property {string} [accessToken] - v4 읽기 토큰
+ */
+
+/**
+ * @typedef {{type: 'apiKey', apiKey: string} | {type: 'accessToken', accessToken: string}} TMDBAuth
+ */
+
+/**
+ * 환경 변수의 인증 정보 (읽기 토큰이 설정되어 있으면 우선 사용)
+ * @type {TMDBCredentials}
+ */
+export const TMDB_CREDENTIALS = import.meta.env.VITE_TMDB_ACCESS_TOKEN
+    ? { accessToken: import.meta.env.VITE_TMDB_ACCESS_TOKEN }
+    : { apiKey: import.meta.env.VITE_TMDB_API_KEY };
+
+/**
+ * 인증 설정을 검증하고 사용할 인증 방식을 결정합니다.
+ * 문자열 하나만 전달하면(이전 방식) 형식을 보고 종류를 판별합니다.
+ * @param {string|TMDBCredentials} credentials - 인증 정보
+ * @returns {TMDBAuth} 인증 방식과 값
+ * @throws {AuthConfigError} 인증 정보가 없거나 종류가 잘못된 경우
+ */
+export const resolveAuth = (credentials) => {
+    if (typeof credentials === 'string') {
+        if (ACCESS_TOKEN_PATTERN.test(credentials)) return { type: 'accessToken', accessToken: credentials };
+        if (API_KEY_PATTERN.test(credentials)) return { type: 'apiKey', apiKey: credentials };
+        throw new AuthConfigError(
+            'TMDB 인증 정보의 형식을 알 수 없습니다. v3 API 키는 { apiKey }, v4 읽기 토큰은 { accessToken }으로 전달해 주세요.',
+            { code: 'authConfig.unknownFormat' }
+        );
+    }
+
+    const { apiKey, accessToken } = credentials || {};
+
+    if (apiKey && accessToken) {
+        throw new AuthConfigError('TMDB 인증 정보는 apiKey와 accessToken 중 하나만 설정해 주세요.', {
+            code: 'authConfig.both',
+        });
+    }
+    if (accessToken) {
+        if (API_KEY_PATTERN.test(accessToken)) {
+            throw new AuthConfigError(
+                'v3 API 키가 accessToken으로 설정되었습니다. apiKey(VITE_TMDB_API_KEY)로 설정해 주세요.',
+                { code: 'authConfig.apiKeyAsToken' }
+            );
+        }
+        return { type: 'accessToken', accessToken };
+    }
+    if (apiKey) {
+        if (ACCESS_TOKEN_PATTERN.test(apiKey)) {
+            throw new AuthConfigError(
+                'v4 읽기 토큰이 apiKey로 설정되었습니다. accessToken(VITE_TMDB_ACCESS_TOKEN)으로 설정해 주세요.',
+                { code: 'authConfig.tokenAsApiKey' }
+            );
+        }
+        return { type: 'apiKey', apiKey };
+    }
+
+    throw new AuthConfigError(
+        'TMDB 인증 정보가 없습니다. VITE_TMDB_API_KEY 또는 VITE_TMDB_ACCESS_TOKEN 환경 변수를 설정해 주세요.',
+        { code: 'authConfig.missing' }
+    );
+};
+
+/**
+ * 요청 URL과 헤더에 인증 정보를 추가합니다.
+ * @param {TMDBAuth} auth - resolveAuth 결과
+ * @param {URL} url - 요청 URL
+ * @param {Object} headers - 요청 헤더
+ */
+export const applyAuth = (auth, url, headers) => {
+    if (auth.type === 'apiKey') {
+        url.searchParams.set('api_key', auth.apiKey);
+    } else {
+        headers.Authorization = `Bearer ${auth.accessToken}`;
+    }
+};
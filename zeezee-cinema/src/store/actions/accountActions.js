@@ -0,0 +1,284 @@
+import { createAsyncThunk } from '@reduxjs/toolkit';
+import { createMovies, createAccount, createLists } from '../../services/movieService';
+import { TMDB_CREDENTIALS } from '../../services/tmdbAuth';
+import { isSessionError, TMDBApiError } from '../../services/apiErrors';
+import { getSessionIds, getSessionType } from '../../utils/persistedSession';
+import { sessionExpired } from './sessionActions';
+import { showNotification } from '../reducers/uiReducer';
+import { t, tError } from '../../i18n';
+
+const moviesApi = createMovies(TMDB_CREDENTIALS);
+const accountApi = createAccount(TMDB_CREDENTIALS);
+const listsApi = createLists(TMDB_CREDENTIALS);
+
+// 워치리스트, 즐겨찾기, 리스트 목록을 불러올 최대 페이지 수 (페이지당 20개)
+const MAX_ACCOUNT_PAGES = 5;
+
+// TMDB status_code: 리스트 삭제가 성공해도 500 응답과 함께 내려오는 코드
+const DELETED_LIST_ERROR_CODE = 11;
+
+/**
+ * 계정 영화 목록 종류별 설정
+ * field: account_states 응답에서 해당 목록 포함 여부를 나타내는 필드
+ */
+export const ACCOUNT_MOVIE_LISTS = {
+    watchlist: {
+        field: 'watchlist',
+        fetch: (accountId, sessionId, page, options) =>
+            accountApi.getWatchlistMovies(accountId, sessionId, page, null, 'created_at.desc', options),
+        update: (accountId, sessionId, movieId, value) =>
+            accountApi.addToWatchlist(accountId, sessionId, 'movie', movieId, value),
+    },
+    favorites: {
+        field: 'favorite',
+        fetch: (accountId, sessionId, page, options) =>
+            accountApi.getFavoriteMovies(accountId, sessionId, page, null, 'created_at.desc', options),
+        update: (accountId, sessionId, movieId, value) =>
+            accountApi.markAsFavorite(accountId, sessionId, 'movie', movieId, value),
+    },
+};
+
+/**
+ * 세션이 필요한 요청을 보냅니다. 서버가 세션을 거부하면 저장된 세션을 지웁니다.
+ * @param {{getState: Function, dispatch: Function}} thunkAPI - thunk API
+ * @param {Function} request - ({ sessionId, guestSessionId }) => Promise
+ * @returns {Promise<*>} 요청 결과
+ */
+const requestWithSession = async ({ getState, dispatch }, request) => {
+    try {
+        return await request(getSessionIds(getState().session));
+    } catch (error) {
+        if (isSessionError(error)) dispatch(sessionExpired());
+        throw error;
+    }
+};
+
+/**
+ * 로그인 세션이 필요한 계정 요청을 보냅니다. (게스트 세션은 계정 기능을 사용할 수 없음)
+ * @param {Object} thunkAPI - thunk API
+ * @param {Function} request - (accountId, sessionId) => Promise
+ * @returns {Promise<*>} 요청 결과
+ */
+export const requestWithAccount = (thunkAPI, request) =>
+    requestWithSession(thunkAPI, () => {
+        const { account, sessionId } = thunkAPI.getState().session;
+        return request(account.id, sessionId);
+    });
+
+/**
+ * 여러 페이지로 나뉜 목록을 최대 페이지 수까지 모두 불러옵니다.
+ * @param {Function} fetchPage - (page) => Promise<{results, total_pages}>
+ * @param {number} maxPages - 불러올 최대 페이지 수
+ * @returns {Promise<{results: Array, complete: boolean}>} 모든 페이지의 항목과 끝까지 불러왔는지 여부
+ */
+export const fetchAllPages = async (fetchPage, maxPages = MAX_ACCOUNT_PAGES) => {
+    const first = await fetchPage(1);
+    const totalPages = Math.min(first.total_pages || 1, maxPages);
+    const rest = await Promise.all(Array.from({ length: totalPages - 1 }, (_, index) => fetchPage(index + 2)));
+    return {
+        results: [first, ...rest].flatMap((page) => page.results || []),
+        complete: totalPages >= (first.total_pages || 1),
+    };
+};
+
+// 로그인 또는 게스트 세션이 있을 때만 요청
+const hasSession = (_, { getState }) => getSessionType(getState().session) !== null;
+
+// 로그인 세션이 있을 때만 요청
+export const hasUserSession = (_, { getState }) => getSessionType(getState().session) === 'user';
+
+/**
+ * 영화에 대한 내 평점, 즐겨찾기, 워치리스트 상태를 조회합니다.
+ */
+export const fetchAccountStates = createAsyncThunk(
+    'account/fetchStates',
+    async (movieId, thunkAPI) =>
+        await requestWithSession(thunkAPI, ({ sessionId, guestSessionId }) =>
+            moviesApi.getMovieAccountStates(movieId, sessionId, guestSessionId, { signal: thunkAPI.signal })
+        ),
+    { condition: hasSession }
+);
+
+/**
+ * 영화에 평점을 남깁니다. (0.5 ~ 10.0, 0.5 단위)
+ */
+export const rateMovie = createAsyncThunk(
+    'account/rate',
+    async ({ movieId, value }, thunkAPI) => {
+        await requestWithSession(thunkAPI, ({ sessionId, guestSessionId }) =>
+            moviesApi.rateMovie(movieId, value, sessionId, guestSessionId)
+        );
+        return value;
+    },
+    { condition: hasSession }
+);
+
+/**
+ * 영화에 남긴 평점을 삭제합니다.
+ */
+export const deleteRating = createAsyncThunk(
+    'account/deleteRating',
+    async (movieId, thunkAPI) => {
+        await requestWithSession(thunkAPI, ({ sessionId, guestSessionId }) =>
+            moviesApi.deleteMovieRating(movieId, sessionId, guestSessionId)
+        );
+    },
+    { condition: hasSession }
+);
+
+/**
+ * 워치리스트 또는 즐겨찾기에 담은 영화를 불러옵니다.
+ * force가 없으면 이미 불러온 목록은 다시 요청하지 않습니다.
+ * @param {{listType: 'watchlist'|'favorites', force?: boolean}} args
+ */
+export const fetchAccountMovies = createAsyncThunk(
+    'account/fetchMovies',
+    async ({ listType }, thunkAPI) =>
+        (
+            await requestWithAccount(thunkAPI, (accountId, sessionId) =>
+                fetchAllPages((page) => ACCOUNT_MOVIE_LISTS[listType].fetch(accountId, sessionId, page))
+            )
+        ).results,
+    {
+        condition: ({ listType, force = false }, thunkAPI) => {
+            const entry = thunkAPI.getState().account[listType];
+            return hasUserSession(null, thunkAPI) && !entry.loading && (force || !entry.loaded);
+        },
+    }
+);
+
+/**
+ * 워치리스트 또는 즐겨찾기에 영화를 추가하거나 제거합니다.
+ * 화면은 요청을 보내기 전에 바로 바뀌고(pending), 실패하면 원래대로 돌아갑니다(rejected).
+ * @param {{listType: 'watchlist'|'favorites', movieId: number, value: boolean}} args
+ */
+export const toggleAccountMovie = createAsyncThunk(
+    'account/toggleMovie',
+    async ({ listType, movieId, value }, thunkAPI) => {
+        try {
+            await requestWithAccount(thunkAPI, (accountId, sessionId) =>
+                ACCOUNT_MOVIE_LISTS[listType].update(accountId, sessionId, movieId, value)
+            );
+        } catch (error) {
+            // 화면이 원래대로 돌아간 이유를 알림
+            thunkAPI.dispatch(
+                showNotification({
+                    message: t(`me.updateFailed.${listType}`, { error: tError(error) }),
+                    type: 'error',
+                })
+            );
+            throw error;
+        }
+    },
+    {
+        // 같은 영화에 대한 요청이 진행 중이면 응답 순서가 꼬이지 않도록 무시
+        condition: ({ listType, movieId }, thunkAPI) =>
+            hasUserSession(null, thunkAPI) && !thunkAPI.getState().account.pendingToggles[`${listType}/${movieId}`],
+    }
+);
+
+/**
+ * 사용자가 만든 리스트 목록을 불러옵니다.
+ */
+export const fetchLists = createAsyncThunk(
+    'account/fetchLists',
+    async (_, thunkAPI) =>
+        (
+            await requestWithAccount(thunkAPI, (accountId, sessionId) =>
+                fetchAllPages((page) => accountApi.getCreatedLists(accountId, sessionId, page))
+            )
+        ).results,
+    { condition: hasUserSession }
+);
+
+/**
+ * 리스트 정보와 항목을 불러옵니다.
+ */
+export const fetchListDetails = createAsyncThunk(
+    'account/fetchListDetails',
+    async (listId, { signal }) => await listsApi.getListDetails(listId, 1, null, { signal })
+);
+
+/**
+ * 사용자의 리스트마다 영화가 들어 있는지 확인합니다.
+ * @returns {Promise<Object<number, boolean>>} 리스트 id별 포함 여부
+ */
+export const fetchListMembership = createAsyncThunk(
+    'account/fetchListMembership',
+    async (movieId, { getState, signal }) => {
+        const { items } = getState().account.lists;
+        const statuses = await Promise.all(
+            items.map((list) => listsApi.getListItemStatus(list.id, movieId, { signal }))
+        );
+        return Object.fromEntries(items.map((list, index) => [list.id, statuses[index].item_present]));
+    },
+    { condition: hasUserSession }
+);
+
+/**
+ * 새 리스트를 만듭니다.
+ * @param {{name: string, description?: string}} args
+ */
+export const createList = createAsyncThunk(
+    'account/createList',
+    async ({ name, description = '' }, thunkAPI) => {
+        const { list_id: id } = await requestWithAccount(thunkAPI, (_, sessionId) =>
+            listsApi.createList(sessionId, name, description)
+        );
+        return { id, name, description, item_count: 0 };
+    },
+    { condition: hasUserSession }
+);
+
+/**
+ * 리스트를 삭제합니다.
+ */
+export const deleteList = createAsyncThunk(
+    'account/deleteList',
+    async (listId, thunkAPI) => {
+        try {
+            await requestWithAccount(thunkAPI, (_, sessionId) => listsApi.deleteList(listId, sessionId));
+        } catch (error) {
+            // TMDB는 리스트를 삭제한 뒤에도 500 에러(status_code 11)로 응답하므로 성공으로 처리
+            const deleted =
+                error instanceof TMDBApiError && error.status === 500 && error.statusCode === DELETED_LIST_ERROR_CODE;
+            if (!deleted) throw error;
+        }
+    },
+    { condition: hasUserSession }
+);
+
+/**
+ * 리스트에 영화를 추가합니다.
+ * @param {{listId: number, movie: Object}} args - movie: 추가할 TMDB 영화 (목록 표시에 사용)
+ */
+export const addToList = createAsyncThunk(
+    'account/addToList',
+    async ({ listId, movie }, thunkAPI) => {
+        await requestWithAccount(thunkAPI, (_, sessionId) => listsApi.addListItem(listId, sessionId, movie.id));
+    },
+    { condition: hasUserSession }
+);
+
+/**
+ * 리스트에서 영화를 제거합니다.
+ * @param {{listId: number, movieId: number}} args
+ */
+export const removeFromList = createAsyncThunk(
+    'account/removeFromList',
+    async ({ listId, movieId }, thunkAPI) => {
+        await requestWithAccount(thunkAPI, (_, sessionId) => listsApi.removeListItem(listId, sessionId, movieId));
+    },
+    { condition: hasUserSession }
+);
+
+/**
+ * 리스트의 모든 항목을 제거합니다.
+ */
+export const clearList = createAsyncThunk(
+    'account/clearList',
+    async (listId, thunkAPI) => {
+        await requestWithAccount(thunkAPI, (_, sessionId) => listsApi.clearList(listId, sessionId));
+    },
+    { condition: hasUserSession }
+);
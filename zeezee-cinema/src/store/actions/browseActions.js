@@ -0,0 +1,59 @@
+import { createAsyncThunk } from '@reduxjs/toolkit';
+import { createCompanies, createDiscover, createKeywords } from '../../services/movieService';
+import { TMDB_CREDENTIALS } from '../../services/tmdbAuth';
+import { toPagePayload } from './categoriesActions';
+
+const companiesApi = createCompanies(TMDB_CREDENTIALS);
+const keywordsApi = createKeywords(TMDB_CREDENTIALS);
+const discoverApi = createDiscover(TMDB_CREDENTIALS);
+
+/**
+ * 둘러보기 대상 종류별 상세 정보 조회 함수와 discover 파라미터 이름
+ * @type {Object<'company'|'keyword', {fetchDetails: Function, param: string}>}
+ */
+const BROWSE_KINDS = {
+    company: {
+        fetchDetails: (id, options) => companiesApi.getCompanyDetails(id, options),
+        param: 'with_companies',
+    },
+    keyword: {
+        fetchDetails: (id, options) => keywordsApi.getKeywordDetails(id, options),
+        param: 'with_keywords',
+    },
+};
+
+/**
+ * 둘러보기 대상을 구분하는 키
+ * @param {{kind: 'company'|'keyword', id: number|string}} args
+ * @returns {string} 대상 키 (예: 'company/420')
+ */
+export const getBrowseSubjectKey = ({ kind, id }) => `${kind}/${id}`;
+
+/**
+ * 둘러보기 목록을 구분하는 키 (같은 대상이라도 정렬 기준별로 따로 보관)
+ * @param {{kind: 'company'|'keyword', id: number|string, sortBy: string}} args
+ * @returns {string} 목록 키 (예: 'company/420?popularity.desc')
+ */
+export const getBrowseKey = (args) => `${getBrowseSubjectKey(args)}?${args.sortBy}`;
+
+/**
+ * 제작사/키워드 상세 정보 조회 (이미 불러온 대상과 요청 중인 대상은 다시 요청하지 않음)
+ */
+export const fetchBrowseSubject = createAsyncThunk(
+    'browse/subject',
+    async ({ kind, id }, { signal }) => await BROWSE_KINDS[kind].fetchDetails(id, { signal }),
+    {
+        condition: (args, { getState }) => {
+            const entry = getState().browse.subjects[getBrowseSubjectKey(args)];
+            return !entry?.data && !entry?.loading;
+        },
+    }
+);
+
+/**
+ * 제작사가 만들었거나 키워드가 달린 영화 목록 조회
+ */
+export const browseTitles = createAsyncThunk('browse/titles', async ({ kind, id, sortBy, page = 1 }, { signal }) => {
+    const params = { [BROWSE_KINDS[kind].param]: id, sort_by: sortBy, page };
+    return toPagePayload(await discoverApi.discoverMovies(params, { signal }));
+});
@@ -0,0 +1,41 @@
+import { createAsyncThunk } from '@reduxjs/toolkit';
+import { getHomeRow } from '../../config/homeRows';
+import { InvalidRequestError } from '../../services/apiErrors';
+
+/**
+ * 카테고리의 작품 유형
+ * @param {string} category - 카테고리 이름 (홈 화면 행 id)
+ * @returns {'movie'|'tv'} 작품 유형
+ */
+export const getCategoryMediaType = (category) => getHomeRow(category)?.mediaType || 'movie';
+
+/**
+ * TMDB 목록 응답을 스토어에서 사용하는 형태로 변환합니다.
+ * @param {Object} response - TMDB 페이지 응답
+ * @returns {{results: Array, page: number, totalPages: number, totalResults: number}}
+ */
+export const toPagePayload = (response) => ({
+    results: response.results || [],
+    page: response.page,
+    totalPages: response.total_pages,
+    totalResults: response.total_results,
+});
+
+/**
+ * 카테고리(현재 상영작, 개봉 예정작, 오늘 방영 등)의 작품 목록을 조회합니다.
+ * 카테고리는 홈 화면 행(config/homeRows.js)이며, 행에 정의된 조회 함수를 사용합니다.
+ * 같은 카테고리를 이미 불러오는 중이면 요청을 건너뜁니다.
+ */
+export const fetchCategory = createAsyncThunk(
+    'categories/fetch',
+    async ({ category, page = 1 }, { signal }) => {
+        const row = getHomeRow(category);
+        if (!row) {
+            throw new InvalidRequestError(`알 수 없는 카테고리입니다: ${category}`);
+        }
+        return toPagePayload(await row.fetch(page, { signal }));
+    },
+    {
+        condition: ({ category }, { getState }) => !getState().categories[category]?.loading,
+    }
+);
@@ -0,0 +1,27 @@
+import { createAsyncThunk } from '@reduxjs/toolkit';
+import { createCollections } from '../../services/movieService';
+import { TMDB_CREDENTIALS } from '../../services/tmdbAuth';
+import { fillFromFallbackLanguage } from '../../services/localeFallback';
+
+const collectionsApi = createCollections(TMDB_CREDENTIALS);
+
+/**
+ * 컬렉션 상세 정보와 컬렉션에 속한 영화를 조회합니다.
+ * 현재 언어로 된 소개가 없으면 영어 소개를 사용합니다.
+ * 이미 불러온 컬렉션은 다시 요청하지 않습니다.
+ */
+export const fetchCollection = createAsyncThunk(
+    'collections/fetch',
+    async (collectionId, { signal }) => {
+        const localizedDetails = await collectionsApi.getCollectionDetails(collectionId, null, { signal });
+        return await fillFromFallbackLanguage(localizedDetails, ['overview'], (language) =>
+            collectionsApi.getCollectionDetails(collectionId, language, { signal })
+        );
+    },
+    {
+        condition: (collectionId, { getState }) => {
+            const entry = getState().collections[collectionId];
+            return !entry?.data && !entry?.loading;
+        },
+    }
+);
@@ -0,0 +1,41 @@
+import { createAsyncThunk } from '@reduxjs/toolkit';
+import { createDiscover, createGenres } from '../../services/movieService';
+import { TMDB_CREDENTIALS } from '../../services/tmdbAuth';
+import { toDiscoverParams } from '../../utils/discoverFilters';
+import { toPagePayload } from './categoriesActions';
+
+const discoverApi = createDiscover(TMDB_CREDENTIALS);
+const genresApi = createGenres(TMDB_CREDENTIALS);
+
+/**
+ * 필터 조건에 맞는 영화/TV 프로그램 탐색
+ */
+export const discoverTitles = createAsyncThunk('filters/discover', async ({ filters, page = 1 }, { signal }) => {
+    const params = { ...toDiscoverParams(filters), page };
+    const response =
+        filters.mediaType === 'tv'
+            ? await discoverApi.discoverTVShows(params, { signal })
+            : await discoverApi.discoverMovies(params, { signal });
+    return toPagePayload(response);
+});
+
+/**
+ * 영화/TV 장르 목록 조회 (한 번 불러온 목록과 요청 중인 목록은 다시 요청하지 않음)
+ * 탐색 필터의 장르 선택지와 카드의 장르 이름에 함께 사용합니다.
+ */
+export const fetchGenres = createAsyncThunk(
+    'filters/genres',
+    async (mediaType, { signal }) => {
+        const response =
+            mediaType === 'tv'
+                ? await genresApi.getTVGenres(null, { signal })
+                : await genresApi.getMovieGenres(null, { signal });
+        return response.genres || [];
+    },
+    {
+        condition: (mediaType, { getState }) => {
+            const { genreLists, genresLoading } = getState().filters;
+            return genreLists[mediaType].length === 0 && !genresLoading[mediaType];
+        },
+    }
+);
@@ -0,0 +1,40 @@
+import { createAsyncThunk } from '@reduxjs/toolkit';
+import { createMovies, createTV } from '../../services/movieService';
+import { TMDB_CREDENTIALS } from '../../services/tmdbAuth';
+
+const moviesApi = createMovies(TMDB_CREDENTIALS);
+const tvApi = createTV(TMDB_CREDENTIALS);
+
+/**
+ * 이미지 상태 키 (영화와 TV 프로그램 id가 겹칠 수 있어 유형을, 언어 필터마다 결과가 달라 필터를 붙임)
+ * @param {'movie'|'tv'} mediaType - 작품 유형
+ * @param {number} id - 작품 ID
+ * @param {string} includeImageLanguage - 이미지 언어 필터
+ * @returns {string} 예: 'movie:550:ko,en,null'
+ */
+export const getImagesKey = (mediaType, id, includeImageLanguage) => `${mediaType}:${id}:${includeImageLanguage}`;
+
+/**
+ * 작품의 이미지(배경 이미지, 포스터, 로고)를 언어 필터로 조회합니다. (이미 불러온 필터는 다시 요청하지 않음)
+ * @param {{mediaType: 'movie'|'tv', id: number, includeImageLanguage: string}} args
+ */
+export const fetchImages = createAsyncThunk(
+    'images/fetch',
+    async ({ mediaType, id, includeImageLanguage }, { signal }) => {
+        const response =
+            mediaType === 'tv'
+                ? await tvApi.getTVShowImages(id, null, includeImageLanguage, { signal })
+                : await moviesApi.getMovieImages(id, null, includeImageLanguage, { signal });
+        return {
+            backdrops: response.backdrops || [],
+            posters: response.posters || [],
+            logos: response.logos || [],
+        };
+    },
+    {
+        condition: ({ mediaType, id, includeImageLanguage }, { getState }) => {
+            const entry = getState().images.titles[getImagesKey(mediaType, id, includeImageLanguage)];
+            return !entry?.data && !entry?.loading;
+        },
+    }
+);
@@ -0,0 +1,149 @@
+import { createAction, createAsyncThunk } from '@reduxjs/toolkit';
+import { getAllLibraryEntries, putLibraryEntries } from '../../services/libraryDB';
+import { createLibraryEntry, hasUnsyncedWatchlist, mergeWatchlist, toLibraryMovie } from '../../utils/libraryMerge';
+import { ACCOUNT_MOVIE_LISTS, fetchAllPages, hasUserSession, requestWithAccount } from './accountActions';
+import { showNotification } from '../reducers/uiReducer';
+import { t, tError } from '../../i18n';
+
+// TMDB 워치리스트와 동기화할 때 불러올 최대 페이지 수 (페이지당 20편)
+const MAX_SYNC_PAGES = 50;
+
+/**
+ * 서재 항목이 바뀌었음을 알립니다. (IndexedDB 저장과 별개로 화면에 바로 반영)
+ * @type {import('@reduxjs/toolkit').ActionCreatorWithPayload<Array<Object>>}
+ */
+export const libraryEntriesSaved = createAction('library/entriesSaved');
+
+/**
+ * 서재 항목을 상태와 IndexedDB에 저장합니다.
+ * IndexedDB를 사용할 수 없어도 현재 탭에서는 계속 사용할 수 있도록 상태는 먼저 바꿉니다.
+ * @param {Function} dispatch - dispatch
+ * @param {Array<Object>} entries - 저장할 항목
+ */
+const saveEntries = async (dispatch, entries) => {
+    if (entries.length === 0) return;
+    dispatch(libraryEntriesSaved(entries));
+    try {
+        await putLibraryEntries(entries);
+    } catch (error) {
+        console.error('서재 저장 실패:', error);
+    }
+};
+
+/**
+ * IndexedDB에 저장된 서재를 불러옵니다. (앱 시작 시 한 번)
+ */
+export const loadLibrary = createAsyncThunk('library/load', async () => {
+    try {
+        return await getAllLibraryEntries();
+    } catch (error) {
+        // 저장소를 열 수 없어도 빈 서재로 시작
+        console.error('서재 불러오기 실패:', error);
+        return [];
+    }
+});
+
+/**
+ * 로그인한 사용자의 TMDB 워치리스트에 로컬 변경을 반영합니다.
+ * 요청하는 동안 다시 바뀌면 마지막 상태가 반영될 때까지 이어서 보냅니다.
+ * @param {number} movieId - 영화 ID
+ */
+export const pushWatchlistEntry = createAsyncThunk(
+    'library/pushWatchlist',
+    async (movieId, thunkAPI) => {
+        const { getState, dispatch } = thunkAPI;
+        const accountId = getState().session.account.id;
+        let entry = getState().library.entries[movieId];
+
+        // 실패하면 로컬 변경은 그대로 두고 다음 동기화 때 다시 보냄
+        while (entry && hasUnsyncedWatchlist(entry, accountId)) {
+            const pushed = entry;
+            await requestWithAccount(thunkAPI, (id, sessionId) =>
+                ACCOUNT_MOVIE_LISTS.watchlist.update(id, sessionId, movieId, pushed.watchlist)
+            );
+
+            entry = getState().library.entries[movieId];
+            await saveEntries(dispatch, [
+                { ...entry, syncedAt: pushed.watchlistUpdatedAt, syncedAccountId: accountId },
+            ]);
+            entry = getState().library.entries[movieId];
+        }
+        return entry;
+    },
+    {
+        condition: (movieId, thunkAPI) =>
+            hasUserSession(null, thunkAPI) && !thunkAPI.getState().library.pushing[movieId],
+    }
+);
+
+/**
+ * 워치리스트 또는 본 영화 표시를 바꿉니다. 로그인하지 않아도 동작합니다.
+ * 로그인한 상태에서 워치리스트를 바꾸면 TMDB 워치리스트에도 반영합니다.
+ * @param {{movieId: number, flag: 'watchlist'|'seen', value: boolean}} args
+ */
+export const setLibraryFlag = createAsyncThunk('library/setFlag', async ({ movieId, flag, value }, thunkAPI) => {
+    const { getState, dispatch } = thunkAPI;
+    const { library, movieCache, movieDetails } = getState();
+    // 서재 목록에 표시할 영화 정보 (목록 캐시 또는 상세 페이지에서)
+    const movie = movieCache.entities[movieId] || (movieDetails.current?.id === movieId ? movieDetails.current : null);
+    const entry = library.entries[movieId] || createLibraryEntry(movie || { id: movieId });
+    const now = Date.now();
+
+    await saveEntries(dispatch, [
+        {
+            ...entry,
+            movie: movie ? toLibraryMovie(movie) : entry.movie,
+            [flag]: value,
+            ...(flag === 'watchlist' ? { watchlistUpdatedAt: now } : { seenAt: value ? now : null }),
+        },
+    ]);
+
+    if (flag === 'watchlist' && hasUserSession(null, thunkAPI)) {
+        const result = await dispatch(pushWatchlistEntry(movieId));
+        if (pushWatchlistEntry.rejected.match(result) && !result.meta.condition) {
+            dispatch(
+                showNotification({
+                    message: t('me.pushFailed', { error: tError(result.error) }),
+                    type: 'error',
+                })
+            );
+        }
+    }
+});
+
+/**
+ * 로컬 서재와 TMDB 워치리스트를 양방향으로 병합합니다. (로그인한 경우)
+ * 충돌하면 마지막으로 수정한 쪽을 따릅니다. 자세한 규칙은 mergeWatchlist 참고.
+ * @returns {Promise<{watchlistIds: number[], movies: Array}>} 동기화 후 워치리스트 영화 id와 TMDB에서 받은 영화
+ */
+export const syncLibrary = createAsyncThunk(
+    'library/sync',
+    async (_, thunkAPI) => {
+        const { getState, dispatch } = thunkAPI;
+        const accountId = getState().session.account.id;
+
+        const { results, complete } = await requestWithAccount(thunkAPI, (id, sessionId) =>
+            fetchAllPages((page) => ACCOUNT_MOVIE_LISTS.watchlist.fetch(id, sessionId, page), MAX_SYNC_PAGES)
+        );
+        const { entries, push } = mergeWatchlist(getState().library.entries, results, {
+            accountId,
+            now: Date.now(),
+            complete,
+        });
+
+        await saveEntries(dispatch, entries);
+        // 하나가 실패해도 나머지는 반영 (실패한 항목은 다음 동기화 때 다시 시도)
+        await Promise.allSettled(push.map((movieId) => dispatch(pushWatchlistEntry(movieId))));
+
+        const watchlistIds = Object.values(getState().library.entries)
+            .filter((entry) => entry.watchlist)
+            .map((entry) => entry.id);
+        return { watchlistIds, movies: results };
+    },
+    {
+        condition: (_, thunkAPI) => {
+            const { loaded, syncing } = thunkAPI.getState().library;
+            return hasUserSession(null, thunkAPI) && loaded && !syncing;
+        },
+    }
+);
@@ -0,0 +1,27 @@
+import { createAction } from '@reduxjs/toolkit';
+import { loadLocale, loadRegion } from '../../utils/persistedLocale';
+
+/**
+ * 화면과 API 요청에 사용할 언어를 바꿉니다.
+ * 언어별로 내용이 다른 목록(검색, 탐색, 인물, TV)은 새 언어로 다시 불러오도록 비웁니다.
+ * @type {import('@reduxjs/toolkit').ActionCreatorWithPayload<string>}
+ */
+export const localeChanged = createAction('locale/changed');
+
+/**
+ * 현재 상영작, 개봉일, 관람 등급의 기준 지역을 바꿉니다. (null이면 언어의 기본 지역)
+ * @type {import('@reduxjs/toolkit').ActionCreatorWithPayload<string|null>}
+ */
+export const regionChanged = createAction('locale/regionChanged');
+
+/**
+ * 현재 계정(로그인하지 않았으면 게스트)에 저장된 언어, 지역 설정을 적용합니다.
+ * 저장된 설정이 없으면 지금 설정을 유지합니다.
+ */
+export const restoreLocale = () => (dispatch, getState) => {
+    const { session, locale } = getState();
+    const savedLocale = loadLocale(session.account?.id);
+    const savedRegion = loadRegion(session.account?.id);
+    if (savedLocale && savedLocale !== locale.current) dispatch(localeChanged(savedLocale));
+    if (savedRegion && savedRegion !== locale.region) dispatch(regionChanged(savedRegion));
+};
@@ -1,24 +1,65 @@
-import TMDBapi from '../../pages/MovieDetailPage';
+import TMDBApi, { getDefaultLocale } from '../../services/movieService';
+import { TMDB_CREDENTIALS } from '../../services/tmdbAuth';
+import { isAbortError, toErrorState } from '../../services/apiErrors';
+import { FALLBACK_LANGUAGE, fillFromFallbackLanguage } from '../../services/localeFallback';
 import * as types from '../types/actionTypes';
 
-const tmdb = new TMDBapi(import.meta.env.VITE_TMDB_API_KEY);
+const tmdb = new TMDBApi(TMDB_CREDENTIALS);
+
+/**
+ * 리뷰 언어 우선순위 (현재 언어로 된 리뷰가 없으면 영어 리뷰 사용)
+ * @returns {string[]} 언어 코드
+ */
+const getReviewLanguages = () => [...new Set([getDefaultLocale().language, FALLBACK_LANGUAGE])];
+
+/**
+ * 리뷰 언어 우선순위에 따라 첫 페이지 리뷰를 조회합니다.
+ * @param {number} movieId - 영화 ID
+ * @param {AbortSignal} [signal] - 요청 취소 신호
+ * @returns {Promise<{response: Object, language: string}>} 리뷰 응답과 실제 사용된 언어
+ */
+const fetchFirstReviews = async (movieId, signal) => {
+    const languages = getReviewLanguages();
+    let response = null;
+    for (const language of languages) {
+        response = await tmdb.getMovieReviews(movieId, 1, language, { signal });
+        if (response.results?.length > 0) {
+            return { response, language };
+        }
+    }
+    return { response, language: languages[languages.length - 1] };
+};
 
 export const clearCurrentMovie = () => ({
     type: types.CLEAR_CURRENT_MOVIE,
 });
 
-export const fetchMovieFullDetails = (movieId) => {
+/**
+ * 영화 상세 정보와 첫 페이지 리뷰를 함께 조회합니다.
+ * signal로 요청을 취소하면 아무 액션도 보내지 않습니다. (페이지를 떠날 때 clearCurrentMovie로 상태 정리)
+ * @param {number} movieId - 영화 ID
+ * @param {Object} options - 요청 옵션
+ * @param {AbortSignal} [options.signal] - 요청 취소 신호
+ */
+export const fetchMovieFullDetails = (movieId, { signal } = {}) => {
     return async (dispatch) => {
         dispatch({ type: types.FETCH_MOVIE_FULL_DETAILS_REQUEST });
 
         try {
-            const movieDetails = await tmdb.getMovieDetails(
+            const localizedDetails = await tmdb.getMovieDetails(
                 movieId,
-                'ko-KR',
-                'credits,videos,images,keywords,release_dates'
+                null,
+                // 이미지는 갤러리에서 언어 필터별로 따로 요청
+                'credits,videos,keywords,release_dates',
+                null,
+                { signal }
+            );
+            // 현재 언어로 번역된 제목이나 줄거리가 없으면 영어 제목, 줄거리 사용
+            const movieDetails = await fillFromFallbackLanguage(localizedDetails, ['title', 'overview'], (language) =>
+                tmdb.getMovieDetails(movieId, language, null, null, { signal })
             );
 
-            const reviews = await tmdb.getMovieReviews(movieId, 1);
+            const { response: reviews, language: reviewsLanguage } = await fetchFirstReviews(movieId, signal);
 
             dispatch({
                 type: types.FETCH_MOVIE_FULL_DETAILS_SUCCESS,
@@ -26,23 +67,33 @@ export const fetchMovieFullDetails = (movieId) => {
                     ...movieDetails,
                     reviews: reviews.results,
                     reviewsTotalPages: reviews.total_pages,
+                    reviewsLanguage,
                 },
             });
         } catch (error) {
+            if (isAbortError(error)) return;
             dispatch({
                 type: types.FETCH_MOVIE_FULL_DETAILS_FAILURE,
-                payload: { error: error.message },
+                payload: { error: toErrorState(error) },
             });
         }
     };
 };
 
-export const fetchMoreReviews = ({ movieId, page }) => {
-    return async (dispatch) => {
+/**
+ * 다음 페이지 리뷰를 조회합니다.
+ * @param {Object} args - 영화 ID와 페이지 번호
+ * @param {Object} options - 요청 옵션
+ * @param {AbortSignal} [options.signal] - 요청 취소 신호
+ */
+export const fetchMoreReviews = ({ movieId, page }, { signal } = {}) => {
+    return async (dispatch, getState) => {
         dispatch({ type: types.FETCH_MORE_REVIEWS_REQUEST });
 
         try {
-            const response = await tmdb.getMovieReviews(movieId, page);
+            // 첫 페이지에서 결정된 언어로 이어서 조회
+            const language = getState().movieDetails.reviews[movieId]?.language;
+            const response = await tmdb.getMovieReviews(movieId, page, language, { signal });
             dispatch({
                 type: types.FETCH_MORE_REVIEWS_SUCCESS,
                 payload: {
@@ -53,9 +104,10 @@ export const fetchMoreReviews = ({ movieId, page }) => {
                 },
             });
         } catch (error) {
+            if (isAbortError(error)) return;
             dispatch({
                 type: types.FETCH_MORE_REVIEWS_FAILURE,
-                payload: { error: error.message },
+                payload: { error: toErrorState(error) },
             });
         }
     };
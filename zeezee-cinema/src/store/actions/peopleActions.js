@@ -0,0 +1,30 @@
+import { createAsyncThunk } from '@reduxjs/toolkit';
+import { createPeople } from '../../services/movieService';
+import { TMDB_CREDENTIALS } from '../../services/tmdbAuth';
+import { fillFromFallbackLanguage } from '../../services/localeFallback';
+
+const peopleApi = createPeople(TMDB_CREDENTIALS);
+
+/**
+ * 인물 상세 정보, 전체 출연 이력, 이미지를 함께 조회합니다.
+ * 현재 언어로 된 소개가 없으면 영어 소개를 사용합니다.
+ * 이미 불러온 인물은 다시 요청하지 않습니다.
+ */
+export const fetchPerson = createAsyncThunk(
+    'people/fetch',
+    async (personId, { signal }) => {
+        const [localizedDetails, credits, images] = await Promise.all([
+            peopleApi.getPersonDetails(personId, null, null, { signal }),
+            peopleApi.getPersonCombinedCredits(personId, null, { signal }),
+            peopleApi.getPersonImages(personId, { signal }),
+        ]);
+        const details = await fillFromFallbackLanguage(localizedDetails, ['biography'], (language) =>
+            peopleApi.getPersonDetails(personId, language, null, { signal })
+        );
+
+        return { details, credits, images };
+    },
+    {
+        condition: (personId, { getState }) => !getState().people[personId]?.data,
+    }
+);
@@ -0,0 +1,127 @@
+import { createAction, createAsyncThunk } from '@reduxjs/toolkit';
+import { createAccount, createMovies } from '../../services/movieService';
+import { TMDB_CREDENTIALS } from '../../services/tmdbAuth';
+import { isAbortError } from '../../services/apiErrors';
+import { buildRecommendationRows, getGenreIds, pickSeeds } from '../../utils/recommendationEngine';
+import { toPagePayload } from './categoriesActions';
+import { hasUserSession, requestWithAccount } from './accountActions';
+
+const moviesApi = createMovies(TMDB_CREDENTIALS);
+const accountApi = createAccount(TMDB_CREDENTIALS);
+
+// 개인화 추천의 기준으로 사용할 영화 최대 개수 (기준 영화마다 요청 2개)
+const MAX_SEEDS = 5;
+
+// 추천 행별 최대 영화 수와 행을 표시할 최소 영화 수
+const ROW_SIZE = 20;
+const MIN_ROW_SIZE = 4;
+
+/**
+ * 특정 영화의 추천 영화 목록 조회
+ */
+export const fetchRecommendations = createAsyncThunk(
+    'recommendations/fetch',
+    async ({ movieId, page = 1 }, { signal }) => {
+        return toPagePayload(await moviesApi.getMovieRecommendations(movieId, page, null, { signal }));
+    }
+);
+
+/**
+ * 영화 상세 페이지를 봤음을 기록합니다. (개인화 추천의 '최근 살펴본 영화')
+ * @type {import('@reduxjs/toolkit').ActionCreatorWithPreparedPayload<[Object], Object>}
+ */
+export const movieViewed = createAction('recommendations/movieViewed', (movie) => ({
+    payload: { id: movie.id, title: movie.title, genre_ids: getGenreIds(movie), viewedAt: Date.now() },
+}));
+
+/**
+ * 로그인한 사용자가 평점을 남긴 영화 (첫 페이지, 최근 순)
+ * 평점 목록을 불러오지 못해도 나머지 신호로 추천할 수 있도록 실패하면 빈 목록을 반환합니다.
+ * @param {Object} thunkAPI - createAsyncThunk의 thunkAPI
+ * @returns {Promise<Array>} 평점을 남긴 영화 (rating에 내 평점)
+ */
+const fetchRatedMovies = async (thunkAPI) => {
+    if (!hasUserSession(null, thunkAPI)) return [];
+    try {
+        const response = await requestWithAccount(thunkAPI, (accountId, sessionId) =>
+            accountApi.getRatedMovies(accountId, sessionId, 1, null, 'created_at.desc', {
+                signal: thunkAPI.signal,
+            })
+        );
+        return response.results || [];
+    } catch (error) {
+        if (isAbortError(error)) throw error;
+        console.error('평점 목록 조회 실패:', error);
+        return [];
+    }
+};
+
+/**
+ * 기준 영화의 TMDB 추천 영화와 비슷한 영화를 함께 조회합니다.
+ * 둘 중 하나만 실패하면 받은 쪽만 사용합니다.
+ * @param {import('../../utils/recommendationEngine').RecommendationSeed} seed - 기준 영화
+ * @param {AbortSignal} signal - 요청 취소 신호
+ * @returns {Promise<{seed: Object, recommendations: Array, similar: Array, errors: Array}>}
+ */
+const fetchSeedCandidates = async (seed, signal) => {
+    const [recommendations, similar] = await Promise.allSettled([
+        moviesApi.getMovieRecommendations(seed.id, 1, null, { signal }),
+        moviesApi.getSimilarMovies(seed.id, 1, null, { signal }),
+    ]);
+    return {
+        seed,
+        recommendations: recommendations.value?.results || [],
+        similar: similar.value?.results || [],
+        errors: [recommendations, similar].filter((result) => result.status === 'rejected').map((r) => r.reason),
+    };
+};
+
+/**
+ * 평점, 본 영화, 워치리스트, 최근 살펴본 영화를 바탕으로 "'X'을(를) 본 분께 추천" 행을 만듭니다.
+ * 계산 방법은 utils/recommendationEngine.js 참고.
+ * 이미 본 영화가 추천되지 않도록 서재를 불러온 뒤에만 요청합니다.
+ * @returns {Promise<{rows: Array<{seed: Object, ids: number[]}>, movies: Array}>} 추천 행과 행에 들어간 영화
+ */
+export const fetchPersonalizedRecommendations = createAsyncThunk(
+    'recommendations/fetchPersonalized',
+    async (_, thunkAPI) => {
+        const { getState, signal } = thunkAPI;
+        const ratedMovies = await fetchRatedMovies(thunkAPI);
+        const { library, recommendations } = getState();
+        const entries = Object.values(library.entries);
+
+        const seeds = pickSeeds(
+            {
+                rated: ratedMovies.map((movie) => ({ movie, rating: movie.rating })),
+                seen: entries
+                    .filter((entry) => entry.seen)
+                    .map((entry) => ({ movie: entry.movie, time: entry.seenAt })),
+                watchlist: entries
+                    .filter((entry) => entry.watchlist)
+                    .map((entry) => ({ movie: entry.movie, time: entry.watchlistUpdatedAt })),
+                viewed: recommendations.recentlyViewed.map((movie) => ({ movie, time: movie.viewedAt })),
+            },
+            MAX_SEEDS
+        );
+        if (seeds.length === 0) return { rows: [], movies: [] };
+
+        const fanOut = await Promise.all(seeds.map((seed) => fetchSeedCandidates(seed, signal)));
+        const errors = fanOut.flatMap((result) => result.errors);
+        // 모든 요청이 실패했으면 (취소 포함) 첫 번째 에러로 실패 처리
+        if (errors.length === fanOut.length * 2) throw errors[0];
+
+        const excludeIds = new Set([
+            ...entries.filter((entry) => entry.seen).map((entry) => entry.id),
+            ...ratedMovies.map((movie) => movie.id),
+        ]);
+        const rows = buildRecommendationRows(fanOut, { excludeIds, rowSize: ROW_SIZE, minRowSize: MIN_ROW_SIZE });
+
+        return {
+            rows: rows.map(({ seed, ids }) => ({ seed: { id: seed.id, title: seed.title, reason: seed.reason }, ids })),
+            movies: rows.flatMap((row) => row.movies),
+        };
+    },
+    {
+        condition: (_, { getState }) => getState().library.loaded,
+    }
+);
@@ -0,0 +1,76 @@
+import { createAsyncThunk } from '@reduxjs/toolkit';
+import { createMovies } from '../../services/movieService';
+import { TMDB_CREDENTIALS } from '../../services/tmdbAuth';
+import { toErrorState } from '../../services/apiErrors';
+
+const moviesApi = createMovies(TMDB_CREDENTIALS);
+
+// 화면에 나타난 카드의 요청을 모아 보내기까지 기다리는 시간 (ms)
+const BATCH_DELAY = 100;
+
+// 모은 요청 중 동시에 보낼 최대 요청 수
+const MAX_CONCURRENT_REQUESTS = 4;
+
+// 다음 묶음으로 보낼 영화 ID
+let queuedIds = new Set();
+let flushTimer = null;
+
+/**
+ * 개봉 정보를 요청해야 하는 영화인지 여부
+ * 이미 불러왔거나 불러오는 중이거나 실패한 영화는 다시 요청하지 않습니다.
+ * 상세 정보를 받은 영화는 release_dates가 함께 저장되므로 요청하지 않습니다.
+ * @param {Object} state - 스토어 상태
+ * @param {number} movieId - 영화 ID
+ * @returns {boolean}
+ */
+const needsReleaseDates = (state, movieId) => {
+    const entry = state.releases[movieId];
+    return !entry || (!entry.data && !entry.loading && !entry.error);
+};
+
+/**
+ * 여러 영화의 지역별 개봉일과 관람 등급을 조회합니다. (영화 카드의 관람 등급 배지에 사용)
+ * TMDB에는 여러 영화를 한 번에 조회하는 API가 없으므로 동시에 보내는 요청 수를 제한해 차례로 조회하며,
+ * 한 영화가 실패해도 나머지 결과는 저장합니다.
+ * @param {number[]} movieIds - 영화 ID
+ * @returns {Promise<Object<number, {data: Array|null, error: Object|null}>>} 영화 ID별 release_dates 응답의 results
+ */
+export const fetchReleaseDatesBatch = createAsyncThunk('releases/fetchBatch', async (movieIds, { signal }) => {
+    const queue = [...movieIds];
+    const releases = {};
+
+    const worker = async () => {
+        while (queue.length > 0) {
+            const movieId = queue.shift();
+            try {
+                const { results } = await moviesApi.getMovieReleaseDates(movieId, { signal });
+                releases[movieId] = { data: results, error: null };
+            } catch (error) {
+                if (signal.aborted) throw error;
+                releases[movieId] = { data: null, error: toErrorState(error) };
+            }
+        }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(MAX_CONCURRENT_REQUESTS, queue.length) }, worker));
+    return releases;
+});
+
+/**
+ * 영화의 개봉 정보를 요청합니다.
+ * 짧은 시간 동안 들어온 요청을 모아 fetchReleaseDatesBatch 한 번으로 보내므로,
+ * 목록이 화면에 나타날 때 카드마다 따로 요청하지 않습니다.
+ * @param {number} movieId - 영화 ID
+ */
+export const requestReleaseDates = (movieId) => (dispatch, getState) => {
+    if (!needsReleaseDates(getState(), movieId)) return;
+    queuedIds.add(movieId);
+    if (flushTimer) return;
+
+    flushTimer = setTimeout(() => {
+        const movieIds = [...queuedIds].filter((id) => needsReleaseDates(getState(), id));
+        queuedIds = new Set();
+        flushTimer = null;
+        if (movieIds.length > 0) dispatch(fetchReleaseDatesBatch(movieIds));
+    }, BATCH_DELAY);
+};
@@ -0,0 +1,55 @@
+import { createAsyncThunk } from '@reduxjs/toolkit';
+import { createMovies, createTV, createPeople, createSearch } from '../../services/movieService';
+import { TMDB_CREDENTIALS } from '../../services/tmdbAuth';
+import { InvalidRequestError } from '../../services/apiErrors';
+import { toPagePayload } from './categoriesActions';
+
+const moviesApi = createMovies(TMDB_CREDENTIALS);
+const tvApi = createTV(TMDB_CREDENTIALS);
+const peopleApi = createPeople(TMDB_CREDENTIALS);
+const searchApi = createSearch(TMDB_CREDENTIALS);
+
+// 자동완성으로 보여줄 최대 항목 수
+const MAX_SUGGESTIONS = 8;
+
+// 검색 결과 탭별 조회 함수
+const SEARCH_FETCHERS = {
+    movie: ({ query, page, year, region }, options) =>
+        moviesApi.searchMovies(query, page, null, region, year, null, false, options),
+    tv: ({ query, page, year }, options) => tvApi.searchTVShows(query, page, null, year, false, options),
+    person: ({ query, page }, options) => peopleApi.searchPeople(query, page, null, null, false, options),
+    collection: ({ query, page }, options) => searchApi.searchCollections(query, page, null, options),
+    company: ({ query, page }, options) => searchApi.searchCompanies(query, page, options),
+    keyword: ({ query, page }, options) => searchApi.searchKeywords(query, page, options),
+};
+
+export const SEARCH_TYPES = Object.keys(SEARCH_FETCHERS);
+
+/**
+ * 검색 조건을 구분하는 키 (검색어와 필터가 같으면 같은 키)
+ * @param {Object} args - 검색 조건
+ * @returns {string} 검색 조건 키
+ */
+export const getSearchKey = ({ query, year = null, region = null }) => [query, year, region].join('|');
+
+/**
+ * 탭(영화, TV, 인물, 컬렉션, 제작사, 키워드)별 검색
+ */
+export const searchByType = createAsyncThunk(
+    'search/byType',
+    async ({ type, query, page = 1, year = null, region = null }, { signal }) => {
+        const fetcher = SEARCH_FETCHERS[type];
+        if (!fetcher) {
+            throw new InvalidRequestError(`알 수 없는 검색 유형입니다: ${type}`);
+        }
+        return toPagePayload(await fetcher({ query, page, year, region }, { signal }));
+    }
+);
+
+/**
+ * 헤더 검색창 자동완성 (영화, TV, 인물 통합 검색)
+ */
+export const fetchSuggestions = createAsyncThunk('search/suggestions', async (query, { signal }) => {
+    const response = await searchApi.searchMulti(query, 1, null, null, false, { signal });
+    return (response.results || []).slice(0, MAX_SUGGESTIONS);
+});
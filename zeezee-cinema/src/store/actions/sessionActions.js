@@ -0,0 +1,66 @@
+import { createAction, createAsyncThunk } from '@reduxjs/toolkit';
+import { createAuthentication } from '../../services/movieService';
+import { TMDB_CREDENTIALS } from '../../services/tmdbAuth';
+import { parseExpiresAt, saveReturnPath } from '../../utils/persistedSession';
+
+const authApi = createAuthentication(TMDB_CREDENTIALS);
+
+// TMDB 승인 후 돌아올 앱 경로
+export const AUTH_CALLBACK_PATH = '/auth/callback';
+
+// 서버가 세션을 거부한 경우 (만료, 다른 기기에서 로그아웃 등)
+export const sessionExpired = createAction('session/expired');
+
+/**
+ * 요청 토큰을 발급받고 TMDB 승인 페이지로 이동합니다.
+ * 승인이 끝나면 TMDB가 AUTH_CALLBACK_PATH로 request_token과 함께 돌려보냅니다.
+ * @param {string} returnPath - 로그인 후 돌아갈 앱 경로
+ */
+export const startLogin = createAsyncThunk('session/startLogin', async (returnPath = '/') => {
+    const { request_token: requestToken } = await authApi.createRequestToken();
+
+    saveReturnPath(returnPath);
+    window.location.assign(authApi.getApprovalUrl(requestToken, `${window.location.origin}${AUTH_CALLBACK_PATH}`));
+});
+
+/**
+ * 승인된 요청 토큰으로 세션을 만들고 계정 정보를 불러옵니다.
+ * 세션이 만들어진 뒤 취소되면 세션을 잃으므로 취소 신호를 전달하지 않습니다.
+ * @param {string} requestToken - 사용자가 승인한 요청 토큰
+ */
+export const completeLogin = createAsyncThunk(
+    'session/completeLogin',
+    async (requestToken) => {
+        const { session_id: sessionId } = await authApi.createSession(requestToken);
+        const { id, username, name } = await authApi.getAccountDetails(sessionId);
+
+        return { sessionId, account: { id, username, name } };
+    },
+    {
+        // 요청 토큰은 한 번만 세션으로 바꿀 수 있으므로 진행 중이면 다시 보내지 않음
+        condition: (_, { getState }) => !getState().session.loading,
+    }
+);
+
+/**
+ * 로그인 없이 평점을 남길 수 있는 게스트 세션을 만듭니다.
+ */
+export const startGuestSession = createAsyncThunk('session/startGuest', async () => {
+    const { guest_session_id: guestSessionId, expires_at: expiresAt } = await authApi.createGuestSession();
+
+    return { guestSessionId, guestExpiresAt: parseExpiresAt(expiresAt) };
+});
+
+/**
+ * 로그아웃합니다. 서버의 세션 삭제가 실패해도 이 기기의 세션은 지웁니다.
+ */
+export const logout = createAsyncThunk('session/logout', async (_, { getState }) => {
+    const { sessionId } = getState().session;
+    if (!sessionId) return;
+
+    try {
+        await authApi.deleteSession(sessionId);
+    } catch (error) {
+        console.error('세션 삭제 실패:', error);
+    }
+});
@@ -0,0 +1,39 @@
+import { createAsyncThunk } from '@reduxjs/toolkit';
+import { createTrending } from '../../services/movieService';
+import { TMDB_CREDENTIALS } from '../../services/tmdbAuth';
+import { InvalidRequestError } from '../../services/apiErrors';
+import { getSnapshotId, getTrendingKey, recordTrendingSnapshot } from '../../utils/trendingSnapshots';
+
+const trendingApi = createTrending(TMDB_CREDENTIALS);
+
+// 미디어 유형별 트렌딩 조회 함수
+const TRENDING_FETCHERS = {
+    all: (timeWindow, options) => trendingApi.getTrendingAll(timeWindow, null, options),
+    movie: (timeWindow, options) => trendingApi.getTrendingMovies(timeWindow, null, options),
+    tv: (timeWindow, options) => trendingApi.getTrendingTVShows(timeWindow, null, options),
+    person: (timeWindow, options) => trendingApi.getTrendingPeople(timeWindow, null, options),
+};
+
+/**
+ * 트렌딩 목록을 조회하고 순위 스냅샷을 저장합니다.
+ * @param {{mediaType: 'all'|'movie'|'tv'|'person', timeWindow: 'day'|'week'}} args
+ * @returns {Promise<{results: Array, previousIds: string[]|null, previousDate: string|null}>}
+ *          순위 순서의 항목과 순위 변동 비교에 사용할 이전 스냅샷
+ */
+export const fetchTrending = createAsyncThunk('trending/fetch', async ({ mediaType, timeWindow }, { signal }) => {
+    const fetchList = TRENDING_FETCHERS[mediaType];
+    if (!fetchList) {
+        throw new InvalidRequestError(`알 수 없는 트렌딩 유형입니다: ${mediaType}`);
+    }
+
+    const response = await fetchList(timeWindow, { signal });
+    // 유형별 목록은 media_type이 없을 수 있으므로 채워 둠 (전체 목록과 같은 방식으로 링크, 스냅샷 id 생성)
+    const results = (response.results || []).map((item) => ({ ...item, media_type: item.media_type || mediaType }));
+    const previous = recordTrendingSnapshot(
+        getTrendingKey(mediaType, timeWindow),
+        results.map(getSnapshotId),
+        new Date()
+    );
+
+    return { results, previousIds: previous?.ids || null, previousDate: previous?.date || null };
+});
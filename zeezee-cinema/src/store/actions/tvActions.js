@@ -0,0 +1,56 @@
+import { createAsyncThunk } from '@reduxjs/toolkit';
+import { createTV } from '../../services/movieService';
+import { TMDB_CREDENTIALS } from '../../services/tmdbAuth';
+import { fillFromFallbackLanguage } from '../../services/localeFallback';
+
+const tvApi = createTV(TMDB_CREDENTIALS);
+
+/**
+ * 시즌/에피소드 상태 키
+ * @param {number|string} tvId - TV 프로그램 ID
+ * @param {...(number|string)} numbers - 시즌 번호, 에피소드 번호
+ * @returns {string} 예: "1399/1/3"
+ */
+export const getTVKey = (tvId, ...numbers) => [tvId, ...numbers].join('/');
+
+/**
+ * TV 프로그램 상세 정보를 출연진, 동영상과 함께 조회합니다.
+ * 현재 언어로 번역된 제목이나 줄거리가 없으면 영어 제목, 줄거리를 사용합니다.
+ * 이미 불러온 프로그램은 다시 요청하지 않습니다.
+ */
+export const fetchTVShow = createAsyncThunk(
+    'tv/fetchShow',
+    async (tvId, { signal }) => {
+        const show = await tvApi.getTVShowDetails(tvId, null, 'credits,videos', { signal });
+        return await fillFromFallbackLanguage(show, ['name', 'overview'], (language) =>
+            tvApi.getTVShowDetails(tvId, language, null, { signal })
+        );
+    },
+    {
+        condition: (tvId, { getState }) => !getState().tv.shows[tvId]?.data,
+    }
+);
+
+/**
+ * 시즌 상세 정보(에피소드 목록, 에피소드별 게스트 출연진 포함)를 조회합니다.
+ */
+export const fetchTVSeason = createAsyncThunk(
+    'tv/fetchSeason',
+    async ({ tvId, seasonNumber }, { signal }) => await tvApi.getTVSeasonDetails(tvId, seasonNumber, null, { signal }),
+    {
+        condition: ({ tvId, seasonNumber }, { getState }) => !getState().tv.seasons[getTVKey(tvId, seasonNumber)]?.data,
+    }
+);
+
+/**
+ * 에피소드 상세 정보를 조회합니다.
+ */
+export const fetchTVEpisode = createAsyncThunk(
+    'tv/fetchEpisode',
+    async ({ tvId, seasonNumber, episodeNumber }, { signal }) =>
+        await tvApi.getTVEpisodeDetails(tvId, seasonNumber, episodeNumber, null, { signal }),
+    {
+        condition: ({ tvId, seasonNumber, episodeNumber }, { getState }) =>
+            !getState().tv.episodes[getTVKey(tvId, seasonNumber, episodeNumber)]?.data,
+    }
+);
@@ -0,0 +1,56 @@
+import { createAsyncThunk } from '@reduxjs/toolkit';
+import { createMovies, createTV, getDefaultLocale } from '../../services/movieService';
+import { TMDB_CREDENTIALS } from '../../services/tmdbAuth';
+import { pickBestTrailer } from '../../utils/trailers';
+
+const moviesApi = createMovies(TMDB_CREDENTIALS);
+const tvApi = createTV(TMDB_CREDENTIALS);
+
+/**
+ * 동영상 상태 키 (영화와 TV 프로그램 id가 겹칠 수 있어 유형을 붙임)
+ * @param {'movie'|'tv'} mediaType - 작품 유형
+ * @param {number} id - 작품 ID
+ * @returns {string} 예: 'movie:550'
+ */
+export const getVideosKey = (mediaType, id) => `${mediaType}:${id}`;
+
+/**
+ * 작품의 동영상 목록
+ * @param {'movie'|'tv'} mediaType - 작품 유형
+ * @param {number} id - 작품 ID
+ * @param {string} includeVideoLanguage - 동영상 언어 (예: 'ko,en,null')
+ * @param {AbortSignal} signal - 요청 취소 신호
+ * @returns {Promise<Array>} TMDB videos 응답의 results
+ */
+const getVideos = async (mediaType, id, includeVideoLanguage, signal) => {
+    const response =
+        mediaType === 'tv'
+            ? await tvApi.getTVShowVideos(id, null, includeVideoLanguage, { signal })
+            : await moviesApi.getMovieVideos(id, null, includeVideoLanguage, { signal });
+    return response.results || [];
+};
+
+/**
+ * 작품의 동영상(예고편, 티저, 클립 등)을 조회합니다. (이미 불러온 작품은 다시 요청하지 않음)
+ * 현재 언어 영상이 없을 때를 대비해 영어와 언어 정보가 없는 영상도 함께 받고,
+ * 그중에 재생할 예고편이 없으면 작품의 원어 영상을 한 번 더 받습니다. (다른 언어 영상은 목록에서 뒤로 정렬)
+ * @param {{mediaType: 'movie'|'tv', id: number, originalLanguage?: string|null}} args
+ */
+export const fetchVideos = createAsyncThunk(
+    'videos/fetch',
+    async ({ mediaType, id, originalLanguage = null }, { signal }) => {
+        const [language] = getDefaultLocale().language.split('-');
+        const languages = [language, 'en'];
+        const videos = await getVideos(mediaType, id, `${languages.join(',')},null`, signal);
+        if (!originalLanguage || languages.includes(originalLanguage) || pickBestTrailer(videos, language)) {
+            return videos;
+        }
+        return [...videos, ...(await getVideos(mediaType, id, originalLanguage, signal))];
+    },
+    {
+        condition: ({ mediaType, id }, { getState }) => {
+            const entry = getState().videos.titles[getVideosKey(mediaType, id)];
+            return !entry?.data && !entry?.loading;
+        },
+    }
+);
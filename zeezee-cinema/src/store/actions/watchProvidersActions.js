@@ -0,0 +1,60 @@
+import { createAction, createAsyncThunk } from '@reduxjs/toolkit';
+import { createMovies, createTV } from '../../services/movieService';
+import { TMDB_CREDENTIALS } from '../../services/tmdbAuth';
+
+const moviesApi = createMovies(TMDB_CREDENTIALS);
+const tvApi = createTV(TMDB_CREDENTIALS);
+
+/**
+ * 시청 가능 서비스 상태 키 (영화와 TV 프로그램 id가 겹칠 수 있어 유형을 붙임)
+ * @param {'movie'|'tv'} mediaType - 작품 유형
+ * @param {number|string} id - 작품 ID 또는 지역 코드
+ * @returns {string} 예: 'movie:550', 'tv:KR'
+ */
+export const getWatchProvidersKey = (mediaType, id) => `${mediaType}:${id}`;
+
+/**
+ * 작품을 볼 수 있는 서비스를 조회합니다. (모든 지역, 이미 불러온 작품은 다시 요청하지 않음)
+ * @param {{mediaType: 'movie'|'tv', id: number}} args
+ */
+export const fetchWatchProviders = createAsyncThunk(
+    'watchProviders/fetch',
+    async ({ mediaType, id }, { signal }) => {
+        const response =
+            mediaType === 'tv'
+                ? await tvApi.getTVWatchProviders(id, { signal })
+                : await moviesApi.getMovieWatchProviders(id, { signal });
+        return response.results || {};
+    },
+    {
+        condition: ({ mediaType, id }, { getState }) =>
+            !getState().watchProviders.titles[getWatchProvidersKey(mediaType, id)]?.data,
+    }
+);
+
+/**
+ * 지역에서 영화/TV 프로그램을 제공하는 서비스 목록을 조회합니다. (탐색 필터 선택지)
+ * @param {{mediaType: 'movie'|'tv', region: string}} args
+ */
+export const fetchWatchProviderList = createAsyncThunk(
+    'watchProviders/fetchList',
+    async ({ mediaType, region }, { signal }) => {
+        const response =
+            mediaType === 'tv'
+                ? await tvApi.getTVWatchProviderList(region, null, { signal })
+                : await moviesApi.getMovieWatchProviderList(region, null, { signal });
+        return (response.results || []).sort((a, b) => a.display_priority - b.display_priority);
+    },
+    {
+        condition: ({ mediaType, region }, { getState }) => {
+            const entry = getState().watchProviders.lists[getWatchProvidersKey(mediaType, region)];
+            return !entry?.data && !entry?.loading;
+        },
+    }
+);
+
+/**
+ * 지역의 내 구독 서비스를 저장합니다. ("내 서비스에서 볼 수 있는 작품" 탐색 필터에 사용)
+ * @type {import('@reduxjs/toolkit').ActionCreatorWithPayload<{region: string, providerIds: number[]}>}
+ */
+export const myServicesChanged = createAction('watchProviders/myServicesChanged');
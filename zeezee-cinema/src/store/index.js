@@ -1,30 +1,111 @@
-import { createStore, combineReducers, applyMiddleware, compose } from 'redux';
-import thunk from 'redux-thunk';
-import movieCacheReducer from './reducers/moivereducer';
+import { configureStore } from '@reduxjs/toolkit';
+import movieCacheReducer from './reducers/movieCacheReducer';
 import searchReducer from './reducers/searchReducer';
 import categoriesReducer from './reducers/categoriesReducer';
 import paginationReducer from './reducers/paginationReducer';
-import filtersReducer from './reducers/filterReducer';
+import filtersReducer from './reducers/filtersReducer';
 import recommendationsReducer from './reducers/recommendationsReducer';
 import movieDetailsReducer from './reducers/movieDetailsReducer';
 import uiReducer from './reducers/uiReducer';
+import peopleReducer from './reducers/peopleReducer';
+import tvReducer from './reducers/tvReducer';
+import sessionReducer from './reducers/sessionReducer';
+import accountReducer from './reducers/accountReducer';
+import libraryReducer from './reducers/libraryReducer';
+import trendingReducer from './reducers/trendingReducer';
+import releasesReducer from './reducers/releasesReducer';
+import watchProvidersReducer from './reducers/watchProvidersReducer';
+import videosReducer from './reducers/videosReducer';
+import imagesReducer from './reducers/imagesReducer';
+import collectionsReducer from './reducers/collectionsReducer';
+import browseReducer from './reducers/browseReducer';
+import localeReducer, { selectRegion } from './reducers/localeReducer';
+import { loadLibrary } from './actions/libraryActions';
+import { saveSession } from '../utils/persistedSession';
+import { saveRecentlyViewed } from '../utils/recentlyViewed';
+import { saveMyServices } from '../utils/watchProviders';
+import { saveLocale, saveRegion } from '../utils/persistedLocale';
+import { setDefaultLocale } from '../services/movieService';
+import { setCurrentLocale } from '../i18n';
+import { LOCALES } from '../i18n/locales';
 
-// Root Reducer 결합
-const rootReducer = combineReducers({
-    movieCache: movieCacheReducer,
-    search: searchReducer,
-    categories: categoriesReducer,
-    pagination: paginationReducer,
-    filters: filtersReducer,
-    recommendations: recommendationsReducer,
-    movieDetails: movieDetailsReducer,
-    ui: uiReducer,
+// Store 생성 (thunk 미들웨어와 Redux DevTools는 configureStore가 기본으로 설정)
+const store = configureStore({
+    reducer: {
+        movieCache: movieCacheReducer,
+        search: searchReducer,
+        categories: categoriesReducer,
+        pagination: paginationReducer,
+        filters: filtersReducer,
+        recommendations: recommendationsReducer,
+        movieDetails: movieDetailsReducer,
+        ui: uiReducer,
+        people: peopleReducer,
+        tv: tvReducer,
+        session: sessionReducer,
+        account: accountReducer,
+        library: libraryReducer,
+        trending: trendingReducer,
+        releases: releasesReducer,
+        watchProviders: watchProvidersReducer,
+        videos: videosReducer,
+        images: imagesReducer,
+        collections: collectionsReducer,
+        browse: browseReducer,
+        locale: localeReducer,
+    },
 });
 
-// Redux DevTools Extension 설정
-const composeEnhancers = window.__REDUX_DEVTOOLS_EXTENSION_COMPOSE__ || compose;
+// 로그인 세션은 새로고침 후에도 유지되도록 바뀔 때마다 localStorage에 저장
+let savedSession = store.getState().session;
+store.subscribe(() => {
+    const { session } = store.getState();
+    if (session === savedSession) return;
+    savedSession = session;
+    saveSession(session);
+});
+
+// 최근 살펴본 영화(개인화 추천에 사용)도 바뀔 때마다 저장
+let savedRecentlyViewed = store.getState().recommendations.recentlyViewed;
+store.subscribe(() => {
+    const { recentlyViewed } = store.getState().recommendations;
+    if (recentlyViewed === savedRecentlyViewed) return;
+    savedRecentlyViewed = recentlyViewed;
+    saveRecentlyViewed(recentlyViewed);
+});
+
+// 내 구독 서비스(탐색 필터)도 바뀔 때마다 저장
+let savedMyServices = store.getState().watchProviders.myServices;
+store.subscribe(() => {
+    const { myServices } = store.getState().watchProviders;
+    if (myServices === savedMyServices) return;
+    savedMyServices = myServices;
+    saveMyServices(myServices);
+});
+
+/**
+ * API 요청의 기본 언어/지역과 화면 메시지 언어를 맞춥니다.
+ * @param {Object} state - 스토어 상태
+ */
+const applyLocale = (state) => {
+    setDefaultLocale({ language: LOCALES[state.locale.current].language, region: selectRegion(state) });
+    setCurrentLocale(state.locale.current);
+};
+
+// 언어/지역 설정은 바뀔 때마다 적용하고 현재 계정의 설정으로 저장
+let appliedLocale = store.getState().locale;
+applyLocale(store.getState());
+store.subscribe(() => {
+    const state = store.getState();
+    const { locale, session } = state;
+    if (locale === appliedLocale) return;
+    if (locale.current !== appliedLocale.current) saveLocale(session.account?.id, locale.current);
+    if (locale.region !== appliedLocale.region) saveRegion(session.account?.id, locale.region);
+    appliedLocale = locale;
+    applyLocale(state);
+});
 
-// Store 생성
-const store = createStore(rootReducer, composeEnhancers(applyMiddleware(thunk)));
+// 로그인하지 않아도 사용하는 내 서재(워치리스트, 본 영화)를 IndexedDB에서 불러옴
+store.dispatch(loadLibrary());
 
 export default store;
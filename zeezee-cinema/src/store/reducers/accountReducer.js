@@ -0,0 +1,338 @@
+import { createSlice } from '@reduxjs/toolkit';
+import {
+    ACCOUNT_MOVIE_LISTS,
+    fetchAccountStates,
+    rateMovie,
+    deleteRating,
+    fetchAccountMovies,
+    toggleAccountMovie,
+    fetchLists,
+    fetchListDetails,
+    fetchListMembership,
+    createList,
+    deleteList,
+    addToList,
+    removeFromList,
+    clearList,
+} from '../actions/accountActions';
+import { pushWatchlistEntry, syncLibrary } from '../actions/libraryActions';
+import { completeLogin, startGuestSession, logout, sessionExpired } from '../actions/sessionActions';
+import { isLatestRequest, getRejectedError } from './helpers';
+import { toErrorState } from '../../services/apiErrors';
+
+const emptyStates = { data: null, loading: false, requestId: null, error: null, saving: false, saveError: null };
+
+const emptyMovieList = { ids: [], loaded: false, loading: false, requestId: null, error: null };
+
+const emptyListDetails = { data: null, loading: false, requestId: null, error: null };
+
+const initialState = {
+    // 영화 id별 계정 상태 (account_states 응답: rated, favorite, watchlist)
+    movies: {},
+    // 워치리스트, 즐겨찾기에 담은 영화 id (최근에 담은 순)
+    watchlist: emptyMovieList,
+    favorites: emptyMovieList,
+    // 진행 중인 워치리스트/즐겨찾기 변경 ('watchlist/123' 형식의 키 → { requestId, value, previous })
+    pendingToggles: {},
+    // 사용자가 만든 리스트 목록
+    lists: { items: [], loaded: false, loading: false, requestId: null, error: null, saving: false, saveError: null },
+    // 리스트 id별 상세 정보와 항목
+    listDetails: {},
+    // 영화 id별로 각 리스트에 들어 있는지 여부 ({ [movieId]: { [listId]: boolean } })
+    listMembership: {},
+};
+
+/**
+ * 워치리스트 또는 즐겨찾기의 영화 포함 여부를 바꿉니다.
+ * account_states를 이미 받은 영화는 그 값도 함께 맞춥니다.
+ * @param {Object} state - account 상태
+ * @param {'watchlist'|'favorites'} listType - 목록 종류
+ * @param {number} movieId - 영화 ID
+ * @param {boolean} value - 포함 여부
+ */
+const setMovieInList = (state, listType, movieId, value) => {
+    const list = state[listType];
+    const included = list.ids.includes(movieId);
+    if (value && !included) list.ids.unshift(movieId);
+    if (!value && included) list.ids = list.ids.filter((id) => id !== movieId);
+
+    const data = state.movies[movieId]?.data;
+    if (data) data[ACCOUNT_MOVIE_LISTS[listType].field] = value;
+};
+
+/**
+ * 리스트 목록의 항목 수를 바꿉니다.
+ * @param {Object} state - account 상태
+ * @param {number} listId - 리스트 ID
+ * @param {Function} update - (count) => 새 항목 수
+ */
+const updateItemCount = (state, listId, update) => {
+    const list = state.lists.items.find((item) => item.id === listId);
+    if (list) list.item_count = update(list.item_count || 0);
+};
+
+/**
+ * 리스트 변경 요청의 공통 진행 상태를 처리합니다.
+ * @param {Object} builder - extraReducers 빌더
+ * @param {Object} thunk - createAsyncThunk 액션
+ * @param {Function} onFulfilled - 성공 시 상태 변경
+ */
+const addListMutationCases = (builder, thunk, onFulfilled) => {
+    builder
+        .addCase(thunk.pending, (state) => {
+            state.lists.saving = true;
+            state.lists.saveError = null;
+        })
+        .addCase(thunk.fulfilled, (state, action) => {
+            state.lists.saving = false;
+            onFulfilled(state, action);
+        })
+        .addCase(thunk.rejected, (state, action) => {
+            state.lists.saving = false;
+            state.lists.saveError = toErrorState(action.error);
+        });
+};
+
+const accountSlice = createSlice({
+    name: 'account',
+    initialState,
+    reducers: {},
+    extraReducers: (builder) => {
+        builder
+            .addCase(fetchAccountStates.pending, (state, action) => {
+                state.movies[action.meta.arg] = {
+                    ...emptyStates,
+                    ...state.movies[action.meta.arg],
+                    loading: true,
+                    requestId: action.meta.requestId,
+                    error: null,
+                };
+            })
+            .addCase(fetchAccountStates.fulfilled, (state, action) => {
+                const entry = state.movies[action.meta.arg];
+                if (!isLatestRequest(entry, action)) return;
+                entry.data = action.payload;
+                entry.loading = false;
+
+                // 서버의 최신 상태로 워치리스트, 즐겨찾기 포함 여부를 맞춤 (변경 중인 목록은 제외)
+                Object.entries(ACCOUNT_MOVIE_LISTS).forEach(([listType, { field }]) => {
+                    if (state.pendingToggles[`${listType}/${action.meta.arg}`]) return;
+                    setMovieInList(state, listType, action.meta.arg, Boolean(action.payload[field]));
+                });
+            })
+            .addCase(fetchAccountStates.rejected, (state, action) => {
+                const entry = state.movies[action.meta.arg];
+                if (!isLatestRequest(entry, action)) return;
+                entry.loading = false;
+                entry.error = getRejectedError(action);
+            })
+            .addCase(rateMovie.pending, (state, action) => {
+                const { movieId } = action.meta.arg;
+                state.movies[movieId] = { ...emptyStates, ...state.movies[movieId], saving: true, saveError: null };
+            })
+            .addCase(rateMovie.fulfilled, (state, action) => {
+                const entry = state.movies[action.meta.arg.movieId];
+                if (!entry) return;
+                entry.saving = false;
+                entry.data = { ...entry.data, rated: { value: action.payload } };
+            })
+            .addCase(rateMovie.rejected, (state, action) => {
+                const entry = state.movies[action.meta.arg.movieId];
+                if (!entry) return;
+                entry.saving = false;
+                entry.saveError = toErrorState(action.error);
+            })
+            .addCase(deleteRating.pending, (state, action) => {
+                state.movies[action.meta.arg] = {
+                    ...emptyStates,
+                    ...state.movies[action.meta.arg],
+                    saving: true,
+                    saveError: null,
+                };
+            })
+            .addCase(deleteRating.fulfilled, (state, action) => {
+                const entry = state.movies[action.meta.arg];
+                if (!entry) return;
+                entry.saving = false;
+                entry.data = { ...entry.data, rated: false };
+            })
+            .addCase(deleteRating.rejected, (state, action) => {
+                const entry = state.movies[action.meta.arg];
+                if (!entry) return;
+                entry.saving = false;
+                entry.saveError = toErrorState(action.error);
+            })
+            .addCase(fetchAccountMovies.pending, (state, action) => {
+                const { listType } = action.meta.arg;
+                state[listType].loading = true;
+                state[listType].requestId = action.meta.requestId;
+                state[listType].error = null;
+            })
+            .addCase(fetchAccountMovies.fulfilled, (state, action) => {
+                const { listType } = action.meta.arg;
+                if (!isLatestRequest(state[listType], action)) return;
+                state[listType] = {
+                    ...emptyMovieList,
+                    ids: action.payload.map((movie) => movie.id),
+                    loaded: true,
+                };
+                // 응답을 받는 동안 바꾼 영화는 바꾼 값을 유지
+                Object.keys(state.pendingToggles).forEach((key) => {
+                    const [type, movieId] = key.split('/');
+                    if (type === listType)
+                        setMovieInList(state, listType, Number(movieId), state.pendingToggles[key].value);
+                });
+            })
+            .addCase(fetchAccountMovies.rejected, (state, action) => {
+                const { listType } = action.meta.arg;
+                if (!isLatestRequest(state[listType], action)) return;
+                state[listType].loading = false;
+                state[listType].error = getRejectedError(action);
+            })
+            // 낙관적 업데이트: 요청을 보내기 전에 바꾸고, 실패하면 되돌림
+            .addCase(toggleAccountMovie.pending, (state, action) => {
+                const { listType, movieId, value } = action.meta.arg;
+                // 실패하면 되돌릴 값 (바꾸기 전의 포함 여부)
+                state.pendingToggles[`${listType}/${movieId}`] = {
+                    requestId: action.meta.requestId,
+                    value,
+                    previous: state[listType].ids.includes(movieId),
+                };
+                setMovieInList(state, listType, movieId, value);
+            })
+            .addCase(toggleAccountMovie.fulfilled, (state, action) => {
+                const { listType, movieId } = action.meta.arg;
+                const key = `${listType}/${movieId}`;
+                // 나중에 보낸 변경이 진행 중이면 그 요청이 끝날 때 정리
+                if (!isLatestRequest(state.pendingToggles[key], action)) return;
+                delete state.pendingToggles[key];
+            })
+            .addCase(toggleAccountMovie.rejected, (state, action) => {
+                const { listType, movieId } = action.meta.arg;
+                const key = `${listType}/${movieId}`;
+                const pending = state.pendingToggles[key];
+                if (!isLatestRequest(pending, action)) return;
+                delete state.pendingToggles[key];
+                setMovieInList(state, listType, movieId, pending.previous);
+            })
+            .addCase(fetchLists.pending, (state, action) => {
+                state.lists.loading = true;
+                state.lists.requestId = action.meta.requestId;
+                state.lists.error = null;
+            })
+            .addCase(fetchLists.fulfilled, (state, action) => {
+                if (!isLatestRequest(state.lists, action)) return;
+                state.lists.items = action.payload;
+                state.lists.loaded = true;
+                state.lists.loading = false;
+            })
+            .addCase(fetchLists.rejected, (state, action) => {
+                if (!isLatestRequest(state.lists, action)) return;
+                state.lists.loading = false;
+                state.lists.error = getRejectedError(action);
+            })
+            .addCase(fetchListDetails.pending, (state, action) => {
+                state.listDetails[action.meta.arg] = {
+                    ...emptyListDetails,
+                    ...state.listDetails[action.meta.arg],
+                    loading: true,
+                    requestId: action.meta.requestId,
+                    error: null,
+                };
+            })
+            .addCase(fetchListDetails.fulfilled, (state, action) => {
+                if (!isLatestRequest(state.listDetails[action.meta.arg], action)) return;
+                state.listDetails[action.meta.arg] = { ...emptyListDetails, data: action.payload };
+            })
+            .addCase(fetchListDetails.rejected, (state, action) => {
+                if (!isLatestRequest(state.listDetails[action.meta.arg], action)) return;
+                state.listDetails[action.meta.arg].loading = false;
+                state.listDetails[action.meta.arg].error = getRejectedError(action);
+            })
+            .addCase(fetchListMembership.fulfilled, (state, action) => {
+                state.listMembership[action.meta.arg] = action.payload;
+            });
+
+        addListMutationCases(builder, createList, (state, action) => {
+            state.lists.items.unshift(action.payload);
+        });
+        addListMutationCases(builder, deleteList, (state, action) => {
+            state.lists.items = state.lists.items.filter((list) => list.id !== action.meta.arg);
+            delete state.listDetails[action.meta.arg];
+        });
+        addListMutationCases(builder, addToList, (state, action) => {
+            const { listId, movie } = action.meta.arg;
+            updateItemCount(state, listId, (count) => count + 1);
+            state.listDetails[listId]?.data?.items.unshift(movie);
+            state.listMembership[movie.id] = { ...state.listMembership[movie.id], [listId]: true };
+        });
+        addListMutationCases(builder, removeFromList, (state, action) => {
+            const { listId, movieId } = action.meta.arg;
+            updateItemCount(state, listId, (count) => Math.max(count - 1, 0));
+            const details = state.listDetails[listId]?.data;
+            if (details) details.items = details.items.filter((item) => item.id !== movieId);
+            state.listMembership[movieId] = { ...state.listMembership[movieId], [listId]: false };
+        });
+        addListMutationCases(builder, clearList, (state, action) => {
+            updateItemCount(state, action.meta.arg, () => 0);
+            const details = state.listDetails[action.meta.arg]?.data;
+            if (details) details.items = [];
+            Object.values(state.listMembership).forEach((membership) => {
+                if (action.meta.arg in membership) membership[action.meta.arg] = false;
+            });
+        });
+
+        builder
+            // 서재 동기화 결과로 TMDB 워치리스트 포함 여부를 맞춤
+            .addCase(syncLibrary.fulfilled, (state, action) => {
+                state.watchlist = { ...emptyMovieList, ids: action.payload.watchlistIds, loaded: true };
+            })
+            .addCase(pushWatchlistEntry.fulfilled, (state, action) => {
+                if (action.payload) setMovieInList(state, 'watchlist', action.payload.id, action.payload.watchlist);
+            })
+            // 세션이 바뀌면 이전 사용자의 계정 상태 제거
+            .addCase(completeLogin.fulfilled, () => initialState)
+            .addCase(startGuestSession.fulfilled, () => initialState)
+            .addCase(logout.fulfilled, () => initialState)
+            .addCase(sessionExpired, () => initialState);
+    },
+});
+
+export const selectMovieAccountStates = (state, movieId) => state.account.movies[movieId] || emptyStates;
+
+/**
+ * 영화에 남긴 내 평점
+ * @returns {number|null} 평점 (남기지 않았으면 null)
+ */
+export const selectMovieRating = (state, movieId) => state.account.movies[movieId]?.data?.rated?.value ?? null;
+
+/**
+ * 워치리스트 또는 즐겨찾기 상태
+ * @param {'watchlist'|'favorites'} listType - 목록 종류
+ */
+export const selectAccountMovieList = (state, listType) => state.account[listType];
+
+/**
+ * 영화가 워치리스트 또는 즐겨찾기에 들어 있는지 여부
+ * @param {'watchlist'|'favorites'} listType - 목록 종류
+ */
+export const selectIsInAccountList = (state, listType, movieId) => state.account[listType].ids.includes(movieId);
+
+/**
+ * 워치리스트 또는 즐겨찾기 변경 요청이 진행 중인지 여부
+ * @param {'watchlist'|'favorites'} listType - 목록 종류
+ */
+export const selectIsTogglePending = (state, listType, movieId) =>
+    `${listType}/${movieId}` in state.account.pendingToggles;
+
+export const selectLists = (state) => state.account.lists;
+
+export const selectListDetails = (state, listId) => state.account.listDetails[listId] || emptyListDetails;
+
+/**
+ * 리스트 id별 영화 포함 여부 (확인 전이면 undefined)
+ * @returns {Object<number, boolean>|undefined}
+ */
+export const selectListMembership = (state, movieId) => state.account.listMembership[movieId];
+
+export default accountSlice.reducer;
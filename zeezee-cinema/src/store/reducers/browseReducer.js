@@ -0,0 +1,78 @@
+import { createSlice } from '@reduxjs/toolkit';
+import { fetchBrowseSubject, browseTitles, getBrowseKey, getBrowseSubjectKey } from '../actions/browseActions';
+import { localeChanged } from '../actions/localeActions';
+import { mergePageItems, isLatestRequest, getRejectedError } from './helpers';
+
+const emptySubject = { data: null, loading: false, requestId: null, error: null };
+
+const initialState = {
+    // 'company/<id>', 'keyword/<id>'별 { data, loading, error }
+    subjects: {},
+    results: { key: null, items: [], loading: false, loadingPage: null, requestId: null, error: null },
+};
+
+const browseSlice = createSlice({
+    name: 'browse',
+    initialState,
+    reducers: {},
+    extraReducers: (builder) => {
+        builder
+            // 언어가 바뀌면 작품 제목과 소개를 새 언어로 다시 불러오도록 비움 (제작사/키워드 이름은 언어와 무관)
+            .addCase(localeChanged, (state) => {
+                state.results = initialState.results;
+            })
+            .addCase(fetchBrowseSubject.pending, (state, action) => {
+                state.subjects[getBrowseSubjectKey(action.meta.arg)] = {
+                    ...emptySubject,
+                    loading: true,
+                    requestId: action.meta.requestId,
+                };
+            })
+            .addCase(fetchBrowseSubject.fulfilled, (state, action) => {
+                const key = getBrowseSubjectKey(action.meta.arg);
+                if (!isLatestRequest(state.subjects[key], action)) return;
+                state.subjects[key] = { ...emptySubject, data: action.payload };
+            })
+            .addCase(fetchBrowseSubject.rejected, (state, action) => {
+                const key = getBrowseSubjectKey(action.meta.arg);
+                if (!isLatestRequest(state.subjects[key], action)) return;
+                // 취소된 요청은 에러 없이 loading만 풀어 다시 요청할 수 있게 함
+                state.subjects[key] = { ...emptySubject, error: getRejectedError(action) };
+            })
+            .addCase(browseTitles.pending, (state, action) => {
+                const { page = 1 } = action.meta.arg;
+                const key = getBrowseKey(action.meta.arg);
+                // 대상이나 정렬 기준이 바뀌면 이전 결과를 비움
+                if (state.results.key !== key) {
+                    state.results = { ...initialState.results, key };
+                }
+                state.results.loading = true;
+                state.results.loadingPage = page;
+                state.results.requestId = action.meta.requestId;
+                state.results.error = null;
+            })
+            .addCase(browseTitles.fulfilled, (state, action) => {
+                // 취소되었거나 늦게 도착한 이전 요청의 결과는 무시
+                if (!isLatestRequest(state.results, action)) return;
+                state.results.items = mergePageItems(state.results.items, action.payload);
+                state.results.loading = false;
+                state.results.loadingPage = null;
+            })
+            .addCase(browseTitles.rejected, (state, action) => {
+                if (!isLatestRequest(state.results, action)) return;
+                const error = getRejectedError(action);
+                // 첫 페이지 요청이 취소되면 결과를 비워 다시 들어왔을 때 처음부터 요청
+                if (error === null && (action.meta.arg.page || 1) === 1) {
+                    state.results = initialState.results;
+                    return;
+                }
+                state.results.loading = false;
+                state.results.loadingPage = null;
+                state.results.error = error;
+            });
+    },
+});
+
+export const selectBrowseSubject = (state, args) => state.browse.subjects[getBrowseSubjectKey(args)] || emptySubject;
+
+export default browseSlice.reducer;
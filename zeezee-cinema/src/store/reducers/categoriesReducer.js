@@ -0,0 +1,51 @@
+import { createSlice, createSelector } from '@reduxjs/toolkit';
+import { fetchCategory, getCategoryMediaType } from '../actions/categoriesActions';
+import { selectMovieEntities } from './movieCacheReducer';
+import { selectTVEntities } from './tvReducer';
+import { mergePageIds } from './helpers';
+import { toErrorState } from '../../services/apiErrors';
+
+const emptyCategory = { ids: [], loading: false, error: null };
+
+const categoriesSlice = createSlice({
+    name: 'categories',
+    initialState: {},
+    reducers: {},
+    extraReducers: (builder) => {
+        builder
+            .addCase(fetchCategory.pending, (state, action) => {
+                const { category } = action.meta.arg;
+                state[category] = { ...emptyCategory, ...state[category], loading: true, error: null };
+            })
+            .addCase(fetchCategory.fulfilled, (state, action) => {
+                const category = state[action.meta.arg.category];
+                category.ids = mergePageIds(category.ids, action.payload);
+                category.loading = false;
+            })
+            .addCase(fetchCategory.rejected, (state, action) => {
+                const category = state[action.meta.arg.category];
+                category.loading = false;
+                category.error = toErrorState(action.error);
+            });
+    },
+});
+
+export const selectCategory = (state, category) => state.categories[category] || emptyCategory;
+
+/**
+ * 카테고리의 id 목록을 정규화된 작품 엔티티(영화 또는 TV 프로그램)로 변환합니다.
+ */
+export const selectCategoryItems = createSelector(
+    [
+        (state, category) => selectCategory(state, category).ids,
+        (state, category) => getCategoryMediaType(category),
+        selectMovieEntities,
+        selectTVEntities,
+    ],
+    (ids, mediaType, movieEntities, tvEntities) => {
+        const entities = mediaType === 'tv' ? tvEntities : movieEntities;
+        return ids.map((id) => entities[id]).filter(Boolean);
+    }
+);
+
+export default categoriesSlice.reducer;
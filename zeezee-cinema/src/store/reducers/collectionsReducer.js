@@ -0,0 +1,34 @@
+import { createSlice } from '@reduxjs/toolkit';
+import { fetchCollection } from '../actions/collectionsActions';
+import { localeChanged } from '../actions/localeActions';
+import { isLatestRequest, getRejectedError } from './helpers';
+
+const emptyCollection = { data: null, loading: false, requestId: null, error: null };
+
+const collectionsSlice = createSlice({
+    name: 'collections',
+    // 컬렉션 id별 { data, loading, error }
+    initialState: {},
+    reducers: {},
+    extraReducers: (builder) => {
+        builder
+            // 언어가 바뀌면 제목과 소개를 새 언어로 다시 불러오도록 비움
+            .addCase(localeChanged, () => ({}))
+            .addCase(fetchCollection.pending, (state, action) => {
+                state[action.meta.arg] = { ...emptyCollection, loading: true, requestId: action.meta.requestId };
+            })
+            .addCase(fetchCollection.fulfilled, (state, action) => {
+                if (!isLatestRequest(state[action.meta.arg], action)) return;
+                state[action.meta.arg] = { ...emptyCollection, data: action.payload };
+            })
+            .addCase(fetchCollection.rejected, (state, action) => {
+                if (!isLatestRequest(state[action.meta.arg], action)) return;
+                // 취소된 요청은 에러 없이 loading만 풀어 다시 요청할 수 있게 함
+                state[action.meta.arg] = { ...emptyCollection, error: getRejectedError(action) };
+            });
+    },
+});
+
+export const selectCollection = (state, collectionId) => state.collections[collectionId] || emptyCollection;
+
+export default collectionsSlice.reducer;
@@ -0,0 +1,89 @@
+import { createSlice, createSelector } from '@reduxjs/toolkit';
+import { discoverTitles, fetchGenres } from '../actions/filtersActions';
+import { DEFAULT_FILTERS, getDiscoverKey } from '../../utils/discoverFilters';
+import { localeChanged } from '../actions/localeActions';
+import { mergePageItems, isLatestRequest, getRejectedError } from './helpers';
+
+const initialState = {
+    values: DEFAULT_FILTERS,
+    genreLists: { movie: [], tv: [] },
+    // 장르 목록을 요청 중인지 여부 (카드마다 요청해도 한 번만 보내도록)
+    genresLoading: { movie: false, tv: false },
+    results: { key: null, items: [], loading: false, loadingPage: null, requestId: null, error: null },
+};
+
+const filtersSlice = createSlice({
+    name: 'filters',
+    initialState,
+    reducers: {
+        setFilters: (state, action) => {
+            state.values = { ...state.values, ...action.payload };
+        },
+        resetFilters: (state) => {
+            state.values = DEFAULT_FILTERS;
+        },
+    },
+    extraReducers: (builder) => {
+        builder
+            // 언어가 바뀌면 장르 이름과 결과를 새 언어로 다시 불러오도록 비움 (선택한 필터는 유지)
+            .addCase(localeChanged, (state) => {
+                state.genreLists = initialState.genreLists;
+                state.genresLoading = initialState.genresLoading;
+                state.results = initialState.results;
+            })
+            .addCase(discoverTitles.pending, (state, action) => {
+                const { filters, page = 1 } = action.meta.arg;
+                const key = getDiscoverKey(filters);
+                // 필터가 바뀌면 이전 결과를 비움
+                if (state.results.key !== key) {
+                    state.results = { ...initialState.results, key };
+                }
+                state.results.loading = true;
+                state.results.loadingPage = page;
+                state.results.requestId = action.meta.requestId;
+                state.results.error = null;
+            })
+            .addCase(discoverTitles.fulfilled, (state, action) => {
+                // 취소되었거나 늦게 도착한 이전 요청의 결과는 무시
+                if (!isLatestRequest(state.results, action)) return;
+                state.results.items = mergePageItems(state.results.items, action.payload);
+                state.results.loading = false;
+                state.results.loadingPage = null;
+            })
+            .addCase(discoverTitles.rejected, (state, action) => {
+                if (!isLatestRequest(state.results, action)) return;
+                const error = getRejectedError(action);
+                // 첫 페이지 요청이 취소되면 결과를 비워 다시 들어왔을 때 처음부터 요청
+                if (error === null && (action.meta.arg.page || 1) === 1) {
+                    state.results = initialState.results;
+                    return;
+                }
+                state.results.loading = false;
+                state.results.loadingPage = null;
+                state.results.error = error;
+            })
+            .addCase(fetchGenres.pending, (state, action) => {
+                state.genresLoading[action.meta.arg] = true;
+            })
+            .addCase(fetchGenres.fulfilled, (state, action) => {
+                state.genreLists[action.meta.arg] = action.payload;
+                state.genresLoading[action.meta.arg] = false;
+            })
+            .addCase(fetchGenres.rejected, (state, action) => {
+                state.genresLoading[action.meta.arg] = false;
+            });
+    },
+});
+
+export const { setFilters, resetFilters } = filtersSlice.actions;
+
+export const selectGenreList = (state, mediaType) => state.filters.genreLists[mediaType];
+
+/**
+ * 장르 id -> 이름 맵
+ */
+export const selectGenreMap = createSelector([selectGenreList], (genres) =>
+    Object.fromEntries(genres.map((genre) => [genre.id, genre.name]))
+);
+
+export default filtersSlice.reducer;
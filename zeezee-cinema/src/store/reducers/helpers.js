@@ -0,0 +1,48 @@
+import { toErrorState } from '../../services/apiErrors';
+
+/**
+ * 페이지 응답의 영화 id를 기존 목록에 이어 붙입니다.
+ * 첫 페이지이면 목록을 새로 만들고, 이후 페이지는 중복 id를 제외하고 추가합니다.
+ * @param {number[]} existing - 기존 id 목록
+ * @param {{results: Array, page: number}} payload - 페이지 응답
+ * @returns {number[]} 갱신된 id 목록
+ */
+export const mergePageIds = (existing, { results, page }) => {
+    const incoming = results.map((item) => item.id);
+    if (page === 1) return [...new Set(incoming)];
+    return [...new Set([...existing, ...incoming])];
+};
+
+/**
+ * 페이지 응답의 항목을 기존 목록에 이어 붙입니다. (id 기준 중복 제거)
+ * @param {Array} existing - 기존 항목 목록
+ * @param {{results: Array, page: number}} payload - 페이지 응답
+ * @returns {Array} 갱신된 항목 목록
+ */
+export const mergePageItems = (existing, { results, page }) => {
+    const items = page === 1 ? [] : [...existing];
+    const seen = new Set(items.map((item) => item.id));
+    results.forEach((item) => {
+        if (seen.has(item.id)) return;
+        seen.add(item.id);
+        items.push(item);
+    });
+    return items;
+};
+
+/**
+ * 가장 최근에 보낸 요청의 응답인지 확인합니다.
+ * 취소되었거나 늦게 도착한 이전 요청의 응답이 최신 상태를 덮어쓰지 않도록 사용합니다.
+ * @param {Object|undefined} entry - pending에서 requestId를 기록한 상태
+ * @param {Object} action - fulfilled/rejected 액션
+ * @returns {boolean}
+ */
+export const isLatestRequest = (entry, action) => entry?.requestId === action.meta.requestId;
+
+/**
+ * 실패 액션의 에러 정보 (요청을 취소한 경우는 에러로 보지 않음)
+ * 화면에서는 useTranslation의 tError로 표시할 문구를 만듭니다.
+ * @param {Object} action - rejected 액션
+ * @returns {{code: string|null, message: string}|null}
+ */
+export const getRejectedError = (action) => (action.meta.aborted ? null : toErrorState(action.error));
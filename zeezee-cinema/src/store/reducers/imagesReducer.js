@@ -0,0 +1,46 @@
+import { createSlice } from '@reduxjs/toolkit';
+import { fetchImages, getImagesKey } from '../actions/imagesActions';
+import { isLatestRequest, getRejectedError } from './helpers';
+
+const emptyEntry = { data: null, loading: false, requestId: null, error: null };
+
+/**
+ * thunk 인자의 상태 키
+ * @param {{mediaType: string, id: number, includeImageLanguage: string}} arg
+ * @returns {string}
+ */
+const getArgKey = ({ mediaType, id, includeImageLanguage }) => getImagesKey(mediaType, id, includeImageLanguage);
+
+const imagesSlice = createSlice({
+    name: 'images',
+    initialState: {
+        // 작품, 언어 필터별 이미지 ('movie:550:ko,en,null' → { backdrops, posters, logos })
+        titles: {},
+    },
+    reducers: {},
+    extraReducers: (builder) => {
+        builder
+            .addCase(fetchImages.pending, (state, action) => {
+                state.titles[getArgKey(action.meta.arg)] = {
+                    ...emptyEntry,
+                    loading: true,
+                    requestId: action.meta.requestId,
+                };
+            })
+            .addCase(fetchImages.fulfilled, (state, action) => {
+                const key = getArgKey(action.meta.arg);
+                if (!isLatestRequest(state.titles[key], action)) return;
+                state.titles[key] = { ...emptyEntry, data: action.payload };
+            })
+            .addCase(fetchImages.rejected, (state, action) => {
+                const key = getArgKey(action.meta.arg);
+                if (!isLatestRequest(state.titles[key], action)) return;
+                state.titles[key] = { ...emptyEntry, error: getRejectedError(action) };
+            });
+    },
+});
+
+export const selectImages = (state, mediaType, id, includeImageLanguage) =>
+    state.images.titles[getImagesKey(mediaType, id, includeImageLanguage)] || emptyEntry;
+
+export default imagesSlice.reducer;
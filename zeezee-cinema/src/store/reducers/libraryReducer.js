@@ -0,0 +1,82 @@
+import { createSelector, createSlice } from '@reduxjs/toolkit';
+import { libraryEntriesSaved, loadLibrary, pushWatchlistEntry, syncLibrary } from '../actions/libraryActions';
+import { toErrorState } from '../../services/apiErrors';
+
+const initialState = {
+    // 영화 id별 서재 항목 (utils/libraryMerge.js의 LibraryEntry)
+    entries: {},
+    loaded: false,
+    // TMDB 워치리스트와 동기화 중인지 여부, 마지막 동기화 시각
+    syncing: false,
+    lastSyncedAt: null,
+    syncError: null,
+    // TMDB에 반영 중인 영화 id
+    pushing: {},
+};
+
+const librarySlice = createSlice({
+    name: 'library',
+    initialState,
+    reducers: {},
+    extraReducers: (builder) => {
+        builder
+            .addCase(loadLibrary.fulfilled, (state, action) => {
+                // 불러오는 동안 바뀐 항목은 유지
+                action.payload.forEach((entry) => {
+                    if (!state.entries[entry.id]) state.entries[entry.id] = entry;
+                });
+                state.loaded = true;
+            })
+            .addCase(libraryEntriesSaved, (state, action) => {
+                action.payload.forEach((entry) => {
+                    state.entries[entry.id] = entry;
+                });
+            })
+            .addCase(pushWatchlistEntry.pending, (state, action) => {
+                state.pushing[action.meta.arg] = true;
+            })
+            .addCase(pushWatchlistEntry.fulfilled, (state, action) => {
+                delete state.pushing[action.meta.arg];
+            })
+            .addCase(pushWatchlistEntry.rejected, (state, action) => {
+                delete state.pushing[action.meta.arg];
+            })
+            .addCase(syncLibrary.pending, (state) => {
+                state.syncing = true;
+                state.syncError = null;
+            })
+            .addCase(syncLibrary.fulfilled, (state) => {
+                state.syncing = false;
+                state.lastSyncedAt = Date.now();
+            })
+            .addCase(syncLibrary.rejected, (state, action) => {
+                state.syncing = false;
+                state.syncError = toErrorState(action.error);
+            });
+    },
+});
+
+/**
+ * 영화가 워치리스트 또는 본 영화에 들어 있는지 여부
+ * @param {'watchlist'|'seen'} flag - 표시 종류
+ */
+export const selectIsInLibrary = (state, flag, movieId) => Boolean(state.library.entries[movieId]?.[flag]);
+
+export const selectLibraryStatus = (state) => state.library;
+
+/**
+ * 워치리스트 또는 본 영화 목록 (최근에 표시한 순)
+ * @param {'watchlist'|'seen'} flag - 표시 종류
+ * @returns {Array<Object>} 서재 항목
+ */
+export const selectLibraryEntries = createSelector(
+    [(state) => state.library.entries, (state, flag) => flag],
+    (entries, flag) => {
+        const timeField = flag === 'watchlist' ? 'watchlistUpdatedAt' : 'seenAt';
+        return Object.values(entries)
+            .filter((entry) => entry[flag])
+            .sort((a, b) => (b[timeField] || 0) - (a[timeField] || 0));
+    }
+);
+
+export default librarySlice.reducer;
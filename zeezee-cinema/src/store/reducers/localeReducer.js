@@ -0,0 +1,38 @@
+import { createSlice } from '@reduxjs/toolkit';
+import { localeChanged, regionChanged } from '../actions/localeActions';
+import { loadSession } from '../../utils/persistedSession';
+import { loadLocale, loadRegion } from '../../utils/persistedLocale';
+import { LOCALES, detectBrowserLocale, isSupportedLocale, isSupportedRegion } from '../../i18n/locales';
+
+// 저장된 설정이 있으면 그 언어로, 없으면 브라우저 언어로 시작 (store/index.js에서 변경될 때마다 저장)
+const initialAccountId = loadSession().account?.id;
+const initialState = {
+    current: loadLocale(initialAccountId) || detectBrowserLocale(),
+    // 직접 고른 지역 (null이면 언어의 기본 지역)
+    region: loadRegion(initialAccountId),
+};
+
+const localeSlice = createSlice({
+    name: 'locale',
+    initialState,
+    reducers: {},
+    extraReducers: (builder) => {
+        builder
+            .addCase(localeChanged, (state, action) => {
+                if (isSupportedLocale(action.payload)) state.current = action.payload;
+            })
+            .addCase(regionChanged, (state, action) => {
+                state.region = isSupportedRegion(action.payload) ? action.payload : null;
+            });
+    },
+});
+
+export const selectLocale = (state) => state.locale.current;
+
+/**
+ * 현재 상영작, 개봉일, 관람 등급의 기준 지역 (직접 고르지 않았으면 언어의 기본 지역)
+ * @returns {string} 지역 코드 (예: 'KR')
+ */
+export const selectRegion = (state) => state.locale.region || LOCALES[state.locale.current].region;
+
+export default localeSlice.reducer;
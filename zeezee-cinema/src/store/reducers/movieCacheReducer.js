@@ -0,0 +1,80 @@
+import { createSlice, createEntityAdapter } from '@reduxjs/toolkit';
+import { FETCH_MOVIE_FULL_DETAILS_SUCCESS } from '../types/actionTypes';
+import { fetchCategory, getCategoryMediaType } from '../actions/categoriesActions';
+import { searchByType } from '../actions/searchActions';
+import { fetchPersonalizedRecommendations, fetchRecommendations } from '../actions/recommendationsActions';
+import { discoverTitles } from '../actions/filtersActions';
+import { fetchAccountMovies, fetchListDetails } from '../actions/accountActions';
+import { syncLibrary } from '../actions/libraryActions';
+import { fetchTrending } from '../actions/trendingActions';
+
+// 영화 id 기준으로 정규화된 영화 엔티티 저장소
+const moviesAdapter = createEntityAdapter();
+
+// 상세 정보 응답에 함께 담겨 오는 리뷰 필드 (리뷰는 movieDetails에서 관리)
+const REVIEW_FIELDS = ['reviews', 'reviewsTotalPages', 'reviewsLanguage'];
+
+const movieCacheSlice = createSlice({
+    name: 'movieCache',
+    initialState: moviesAdapter.getInitialState(),
+    reducers: {
+        moviesUpserted: moviesAdapter.upsertMany,
+    },
+    extraReducers: (builder) => {
+        builder
+            // 상세 정보를 받으면 목록에서 받은 요약 정보를 덮어씀
+            .addCase(FETCH_MOVIE_FULL_DETAILS_SUCCESS, (state, action) => {
+                const movie = Object.fromEntries(
+                    Object.entries(action.payload).filter(([key]) => !REVIEW_FIELDS.includes(key))
+                );
+                moviesAdapter.upsertOne(state, movie);
+            })
+            // 영화 검색 결과도 같은 엔티티 저장소에 보관
+            .addCase(searchByType.fulfilled, (state, action) => {
+                if (action.meta.arg.type === 'movie') {
+                    moviesAdapter.upsertMany(state, action.payload.results);
+                }
+            })
+            .addCase(discoverTitles.fulfilled, (state, action) => {
+                if (action.meta.arg.filters.mediaType === 'movie') {
+                    moviesAdapter.upsertMany(state, action.payload.results);
+                }
+            })
+            // TV 카테고리는 tv 슬라이스에서 보관
+            .addCase(fetchCategory.fulfilled, (state, action) => {
+                if (getCategoryMediaType(action.meta.arg.category) === 'movie') {
+                    moviesAdapter.upsertMany(state, action.payload.results);
+                }
+            })
+            .addCase(fetchRecommendations.fulfilled, (state, action) => {
+                moviesAdapter.upsertMany(state, action.payload.results);
+            })
+            .addCase(fetchPersonalizedRecommendations.fulfilled, (state, action) => {
+                moviesAdapter.upsertMany(state, action.payload.movies);
+            })
+            // 전체 트렌딩 목록에는 TV 프로그램과 인물도 섞여 있음
+            .addCase(fetchTrending.fulfilled, (state, action) => {
+                const movies = action.payload.results.filter((item) => item.media_type === 'movie');
+                moviesAdapter.upsertMany(state, movies);
+            })
+            // 워치리스트, 즐겨찾기, 사용자 리스트의 영화
+            .addCase(fetchAccountMovies.fulfilled, (state, action) => {
+                moviesAdapter.upsertMany(state, action.payload);
+            })
+            .addCase(syncLibrary.fulfilled, (state, action) => {
+                moviesAdapter.upsertMany(state, action.payload.movies);
+            })
+            .addCase(fetchListDetails.fulfilled, (state, action) => {
+                const movies = action.payload.items.filter((item) => item.media_type !== 'tv');
+                moviesAdapter.upsertMany(state, movies);
+            });
+    },
+});
+
+export const { moviesUpserted } = movieCacheSlice.actions;
+
+export const { selectById: selectMovieById, selectEntities: selectMovieEntities } = moviesAdapter.getSelectors(
+    (state) => state.movieCache
+);
+
+export default movieCacheSlice.reducer;
@@ -13,9 +13,27 @@ const initialState = {
     reviews: {},
     loading: false,
     reviewsLoading: false,
+    reviewsError: null,
     error: null,
 };
 
+/**
+ * 기존 리뷰 목록에 새 페이지의 리뷰를 이어 붙입니다.
+ * 페이지 사이에 리뷰가 추가/삭제되면 같은 리뷰가 다시 내려올 수 있으므로 id 기준으로 중복을 제거합니다.
+ * @param {Array} existing - 이미 불러온 리뷰 목록
+ * @param {Array} incoming - 새로 불러온 리뷰 목록
+ * @returns {Array} 중복이 제거된 리뷰 목록
+ */
+const mergeReviews = (existing, incoming) => {
+    const seen = new Set(existing.map((review) => review.id));
+    const fresh = incoming.filter((review) => {
+        if (seen.has(review.id)) return false;
+        seen.add(review.id);
+        return true;
+    });
+    return [...existing, ...fresh];
+};
+
 const movieDetailsReducer = (state = initialState, action) => {
     switch (action.type) {
         case FETCH_MOVIE_FULL_DETAILS_REQUEST:
@@ -32,11 +50,13 @@ const movieDetailsReducer = (state = initialState, action) => {
                 reviews: {
                     ...state.reviews,
                     [action.payload.id]: {
-                        items: action.payload.reviews,
+                        items: mergeReviews([], action.payload.reviews),
                         page: 1,
                         totalPages: action.payload.reviewsTotalPages,
+                        language: action.payload.reviewsLanguage,
                     },
                 },
+                reviewsError: null,
                 loading: false,
             };
 
@@ -50,36 +70,45 @@ const movieDetailsReducer = (state = initialState, action) => {
         case FETCH_MORE_REVIEWS_REQUEST:
             return {
                 ...state,
-                reviesLoading: true,
+                reviewsLoading: true,
+                reviewsError: null,
             };
 
-        case FETCH_MORE_REVIEWS_SUCCESS:
+        case FETCH_MORE_REVIEWS_SUCCESS: {
             const { movieId, reviews, page, totalPages } = action.payload;
-            const existingReviews = state.reviews[movieId]?.items || [];
+            const existing = state.reviews[movieId];
 
             return {
                 ...state,
                 reviews: {
                     ...state.reviews,
                     [movieId]: {
-                        items: [...existingReviews, ...reviews],
+                        ...existing,
+                        items: mergeReviews(existing?.items || [], reviews),
                         page,
                         totalPages,
                     },
                 },
                 reviewsLoading: false,
             };
+        }
 
         case FETCH_MORE_REVIEWS_FAILURE:
             return {
                 ...state,
                 reviewsLoading: false,
+                reviewsError: action.payload.error,
             };
 
+        // 진행 중이던 요청은 취소되므로 로딩 상태도 함께 정리
         case CLEAR_CURRENT_MOVIE:
             return {
                 ...state,
                 current: null,
+                loading: false,
+                error: null,
+                reviewsLoading: false,
+                reviewsError: null,
             };
         default:
             return state;
@@ -0,0 +1,59 @@
+import { createSlice, isAnyOf } from '@reduxjs/toolkit';
+import { fetchCategory } from '../actions/categoriesActions';
+import { searchByType, getSearchKey } from '../actions/searchActions';
+import { fetchRecommendations } from '../actions/recommendationsActions';
+import { discoverTitles } from '../actions/filtersActions';
+import { browseTitles, getBrowseKey } from '../actions/browseActions';
+import { getDiscoverKey } from '../../utils/discoverFilters';
+
+const emptyPagination = { page: 0, totalPages: 0, totalResults: 0 };
+
+/**
+ * 검색 결과의 페이지 정보 키 (검색 조건별로 따로 보관)
+ * @param {Object} args - searchByType 인자
+ * @returns {string} 페이지 정보 키
+ */
+export const getSearchPaginationKey = (args) => `search/${args.type}/${getSearchKey(args)}`;
+
+/**
+ * 목록 응답 액션으로부터 페이지 정보를 저장할 키를 만듭니다.
+ * @param {Object} action - fulfilled 액션
+ * @returns {string} 페이지 정보 키 (예: 'categories/popular', 'search/movie/<검색 조건 키>', 'browse/company/420?popularity.desc')
+ */
+const getPaginationKey = (action) => {
+    if (fetchCategory.fulfilled.match(action)) return `categories/${action.meta.arg.category}`;
+    if (searchByType.fulfilled.match(action)) return getSearchPaginationKey(action.meta.arg);
+    if (discoverTitles.fulfilled.match(action)) return `discover/${getDiscoverKey(action.meta.arg.filters)}`;
+    if (browseTitles.fulfilled.match(action)) return `browse/${getBrowseKey(action.meta.arg)}`;
+    return `recommendations/${action.meta.arg.movieId}`;
+};
+
+const paginationSlice = createSlice({
+    name: 'pagination',
+    initialState: {},
+    reducers: {},
+    extraReducers: (builder) => {
+        builder.addMatcher(
+            isAnyOf(
+                fetchCategory.fulfilled,
+                searchByType.fulfilled,
+                discoverTitles.fulfilled,
+                browseTitles.fulfilled,
+                fetchRecommendations.fulfilled
+            ),
+            (state, action) => {
+                const { page, totalPages, totalResults } = action.payload;
+                state[getPaginationKey(action)] = { page, totalPages, totalResults };
+            }
+        );
+    },
+});
+
+export const selectPagination = (state, key) => state.pagination[key] || emptyPagination;
+
+export const selectHasMorePages = (state, key) => {
+    const { page, totalPages } = selectPagination(state, key);
+    return page < totalPages;
+};
+
+export default paginationSlice.reducer;
@@ -0,0 +1,32 @@
+import { createSlice } from '@reduxjs/toolkit';
+import { fetchPerson } from '../actions/peopleActions';
+import { localeChanged } from '../actions/localeActions';
+import { isLatestRequest, getRejectedError } from './helpers';
+
+const emptyPerson = { data: null, loading: false, requestId: null, error: null };
+
+const peopleSlice = createSlice({
+    name: 'people',
+    initialState: {},
+    reducers: {},
+    extraReducers: (builder) => {
+        builder
+            // 언어가 바뀌면 약력을 새 언어로 다시 불러오도록 비움
+            .addCase(localeChanged, () => ({}))
+            .addCase(fetchPerson.pending, (state, action) => {
+                state[action.meta.arg] = { ...emptyPerson, loading: true, requestId: action.meta.requestId };
+            })
+            .addCase(fetchPerson.fulfilled, (state, action) => {
+                if (!isLatestRequest(state[action.meta.arg], action)) return;
+                state[action.meta.arg] = { ...emptyPerson, data: action.payload };
+            })
+            .addCase(fetchPerson.rejected, (state, action) => {
+                if (!isLatestRequest(state[action.meta.arg], action)) return;
+                state[action.meta.arg] = { ...emptyPerson, error: getRejectedError(action) };
+            });
+    },
+});
+
+export const selectPerson = (state, personId) => state.people[personId] || emptyPerson;
+
+export default peopleSlice.reducer;
@@ -0,0 +1,94 @@
+import { createSelector, createSlice } from '@reduxjs/toolkit';
+import { fetchPersonalizedRecommendations, fetchRecommendations, movieViewed } from '../actions/recommendationsActions';
+import { loadRecentlyViewed, MAX_RECENTLY_VIEWED } from '../../utils/recentlyViewed';
+import { selectMovieEntities } from './movieCacheReducer';
+import { getRejectedError, isLatestRequest, mergePageIds } from './helpers';
+import { toErrorState } from '../../services/apiErrors';
+
+const emptyRecommendations = { ids: [], loading: false, error: null };
+
+const initialState = {
+    // 영화 id별 TMDB 추천 영화
+    byMovie: {},
+    // 개인화 추천 행 ("'X'을(를) 본 분께 추천")
+    personalized: { rows: [], loaded: false, loading: false, requestId: null, error: null },
+    // 최근 살펴본 영화 (utils/recentlyViewed.js의 RecentlyViewedMovie, 최근 순)
+    recentlyViewed: loadRecentlyViewed(),
+};
+
+const recommendationsSlice = createSlice({
+    name: 'recommendations',
+    initialState,
+    reducers: {},
+    extraReducers: (builder) => {
+        builder
+            .addCase(fetchRecommendations.pending, (state, action) => {
+                const { movieId } = action.meta.arg;
+                state.byMovie[movieId] = {
+                    ...emptyRecommendations,
+                    ...state.byMovie[movieId],
+                    loading: true,
+                    error: null,
+                };
+            })
+            .addCase(fetchRecommendations.fulfilled, (state, action) => {
+                const entry = state.byMovie[action.meta.arg.movieId];
+                entry.ids = mergePageIds(entry.ids, action.payload);
+                entry.loading = false;
+            })
+            .addCase(fetchRecommendations.rejected, (state, action) => {
+                const entry = state.byMovie[action.meta.arg.movieId];
+                entry.loading = false;
+                entry.error = toErrorState(action.error);
+            })
+            .addCase(fetchPersonalizedRecommendations.pending, (state, action) => {
+                state.personalized.loading = true;
+                state.personalized.requestId = action.meta.requestId;
+                state.personalized.error = null;
+            })
+            .addCase(fetchPersonalizedRecommendations.fulfilled, (state, action) => {
+                if (!isLatestRequest(state.personalized, action)) return;
+                state.personalized = {
+                    rows: action.payload.rows,
+                    loaded: true,
+                    loading: false,
+                    requestId: null,
+                    error: null,
+                };
+            })
+            .addCase(fetchPersonalizedRecommendations.rejected, (state, action) => {
+                if (!isLatestRequest(state.personalized, action)) return;
+                state.personalized.loading = false;
+                state.personalized.requestId = null;
+                state.personalized.error = getRejectedError(action);
+            })
+            .addCase(movieViewed, (state, action) => {
+                const others = state.recentlyViewed.filter((movie) => movie.id !== action.payload.id);
+                state.recentlyViewed = [action.payload, ...others].slice(0, MAX_RECENTLY_VIEWED);
+            });
+    },
+});
+
+export const selectRecommendations = (state, movieId) => state.recommendations.byMovie[movieId] || emptyRecommendations;
+
+export const selectRecentlyViewed = (state) => state.recommendations.recentlyViewed;
+
+export const selectPersonalizedStatus = (state) => state.recommendations.personalized;
+
+/**
+ * 개인화 추천 행 (추천을 받은 뒤 본 영화로 표시한 영화는 바로 제외)
+ * @returns {Array<{seed: {id: number, title: string, reason: string}, movies: Array}>}
+ */
+export const selectPersonalizedRows = createSelector(
+    [(state) => state.recommendations.personalized.rows, selectMovieEntities, (state) => state.library.entries],
+    (rows, movieEntities, libraryEntries) =>
+        rows.map(({ seed, ids }) => ({
+            seed,
+            movies: ids
+                .filter((id) => !libraryEntries[id]?.seen)
+                .map((id) => movieEntities[id])
+                .filter(Boolean),
+        }))
+);
+
+export default recommendationsSlice.reducer;
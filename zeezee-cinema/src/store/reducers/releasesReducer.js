@@ -0,0 +1,43 @@
+import { createSlice } from '@reduxjs/toolkit';
+import { FETCH_MOVIE_FULL_DETAILS_SUCCESS } from '../types/actionTypes';
+import { fetchReleaseDatesBatch } from '../actions/releasesActions';
+import { isLatestRequest, getRejectedError } from './helpers';
+
+// 영화 id별 지역별 개봉 정보 (data: release_dates 응답의 results)
+const emptyRelease = { data: null, loading: false, requestId: null, error: null };
+
+const releasesSlice = createSlice({
+    name: 'releases',
+    initialState: {},
+    reducers: {},
+    extraReducers: (builder) => {
+        builder
+            // 상세 정보에 함께 받은 개봉 정보도 저장 (카드에서 다시 요청하지 않도록)
+            .addCase(FETCH_MOVIE_FULL_DETAILS_SUCCESS, (state, action) => {
+                const { id, release_dates: releaseDates } = action.payload;
+                if (releaseDates) state[id] = { ...emptyRelease, data: releaseDates.results };
+            })
+            .addCase(fetchReleaseDatesBatch.pending, (state, action) => {
+                action.meta.arg.forEach((movieId) => {
+                    state[movieId] = { ...emptyRelease, loading: true, requestId: action.meta.requestId };
+                });
+            })
+            .addCase(fetchReleaseDatesBatch.fulfilled, (state, action) => {
+                Object.entries(action.payload).forEach(([movieId, { data, error }]) => {
+                    if (!isLatestRequest(state[movieId], action)) return;
+                    state[movieId] = { ...emptyRelease, data, error };
+                });
+            })
+            .addCase(fetchReleaseDatesBatch.rejected, (state, action) => {
+                action.meta.arg.forEach((movieId) => {
+                    if (!isLatestRequest(state[movieId], action)) return;
+                    // 취소된 요청은 에러 없이 비워 두어 카드가 다시 보일 때 다시 요청
+                    state[movieId] = { ...emptyRelease, error: getRejectedError(action) };
+                });
+            });
+    },
+});
+
+export const selectReleases = (state, movieId) => state.releases[movieId] || emptyRelease;
+
+export default releasesSlice.reducer;
@@ -0,0 +1,80 @@
+import { createSlice } from '@reduxjs/toolkit';
+import { searchByType, fetchSuggestions, getSearchKey } from '../actions/searchActions';
+import { localeChanged } from '../actions/localeActions';
+import { mergePageItems, isLatestRequest, getRejectedError } from './helpers';
+
+const emptyTab = { key: null, items: [], loading: false, loadingPage: null, requestId: null, error: null };
+
+const initialState = {
+    query: '',
+    results: {},
+    suggestions: { query: '', items: [], loading: false },
+};
+
+const searchSlice = createSlice({
+    name: 'search',
+    initialState,
+    reducers: {
+        setQuery: (state, action) => {
+            state.query = action.payload;
+        },
+        clearSuggestions: (state) => {
+            state.suggestions = initialState.suggestions;
+        },
+        clearSearch: () => initialState,
+    },
+    extraReducers: (builder) => {
+        builder
+            // 결과 제목과 줄거리가 언어별로 다르므로 언어가 바뀌면 새로 검색
+            .addCase(localeChanged, () => initialState)
+            .addCase(searchByType.pending, (state, action) => {
+                const { type, query, page = 1 } = action.meta.arg;
+                const key = getSearchKey(action.meta.arg);
+                // 검색 조건이 바뀌면 이전 결과를 비움
+                if (state.results[type]?.key !== key) {
+                    state.results[type] = { ...emptyTab, key };
+                }
+                state.query = query;
+                state.results[type].loading = true;
+                state.results[type].loadingPage = page;
+                state.results[type].requestId = action.meta.requestId;
+                state.results[type].error = null;
+            })
+            .addCase(searchByType.fulfilled, (state, action) => {
+                const tab = state.results[action.meta.arg.type];
+                // 취소되었거나 늦게 도착한 이전 요청의 결과는 무시
+                if (!isLatestRequest(tab, action)) return;
+                tab.items = mergePageItems(tab.items, action.payload);
+                tab.loading = false;
+                tab.loadingPage = null;
+            })
+            .addCase(searchByType.rejected, (state, action) => {
+                const tab = state.results[action.meta.arg.type];
+                if (!isLatestRequest(tab, action)) return;
+                tab.loading = false;
+                tab.loadingPage = null;
+                tab.error = getRejectedError(action);
+            })
+            .addCase(fetchSuggestions.pending, (state, action) => {
+                state.suggestions.query = action.meta.arg;
+                state.suggestions.loading = true;
+            })
+            .addCase(fetchSuggestions.fulfilled, (state, action) => {
+                if (action.meta.arg !== state.suggestions.query) return;
+                state.suggestions.items = action.payload;
+                state.suggestions.loading = false;
+            })
+            .addCase(fetchSuggestions.rejected, (state, action) => {
+                // 입력이 바뀌어 취소된 요청은 새 요청의 상태를 건드리지 않음
+                if (action.meta.aborted || action.meta.arg !== state.suggestions.query) return;
+                state.suggestions.items = [];
+                state.suggestions.loading = false;
+            });
+    },
+});
+
+export const { setQuery, clearSuggestions, clearSearch } = searchSlice.actions;
+
+export const selectSearchTab = (state, type) => state.search.results[type] || emptyTab;
+
+export default searchSlice.reducer;
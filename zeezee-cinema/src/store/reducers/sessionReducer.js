@@ -0,0 +1,72 @@
+import { createSlice } from '@reduxjs/toolkit';
+import { startLogin, completeLogin, startGuestSession, logout, sessionExpired } from '../actions/sessionActions';
+import { EMPTY_SESSION, loadSession, getSessionType } from '../../utils/persistedSession';
+import { toErrorState } from '../../services/apiErrors';
+
+// 저장된 세션으로 시작 (store/index.js에서 변경될 때마다 다시 저장)
+const initialState = {
+    ...loadSession(),
+    loading: false,
+    error: null,
+};
+
+const sessionSlice = createSlice({
+    name: 'session',
+    initialState,
+    reducers: {},
+    extraReducers: (builder) => {
+        builder
+            .addCase(startLogin.pending, (state) => {
+                state.loading = true;
+                state.error = null;
+            })
+            // 성공하면 승인 페이지로 이동하므로 로딩 상태 유지
+            .addCase(startLogin.rejected, (state, action) => {
+                state.loading = false;
+                state.error = toErrorState(action.error);
+            })
+            .addCase(completeLogin.pending, (state) => {
+                state.loading = true;
+                state.error = null;
+            })
+            .addCase(completeLogin.fulfilled, (state, action) => ({
+                ...EMPTY_SESSION,
+                ...action.payload,
+                loading: false,
+                error: null,
+            }))
+            .addCase(completeLogin.rejected, (state, action) => {
+                state.loading = false;
+                state.error = toErrorState(action.error);
+            })
+            .addCase(startGuestSession.pending, (state) => {
+                state.loading = true;
+                state.error = null;
+            })
+            .addCase(startGuestSession.fulfilled, (state, action) => {
+                state.guestSessionId = action.payload.guestSessionId;
+                state.guestExpiresAt = action.payload.guestExpiresAt;
+                state.loading = false;
+            })
+            .addCase(startGuestSession.rejected, (state, action) => {
+                state.loading = false;
+                state.error = toErrorState(action.error);
+            })
+            .addCase(logout.fulfilled, () => ({ ...EMPTY_SESSION, loading: false, error: null }))
+            .addCase(sessionExpired, () => ({
+                ...EMPTY_SESSION,
+                loading: false,
+                error: { code: 'sessionExpired', message: '로그인이 만료되었습니다. 다시 로그인해 주세요.' },
+            }));
+    },
+});
+
+export const selectSession = (state) => state.session;
+
+/**
+ * 사용할 세션 종류 (로그인 세션 우선)
+ * @returns {'user'|'guest'|null}
+ */
+export const selectSessionType = (state) => getSessionType(state.session);
+
+export default sessionSlice.reducer;
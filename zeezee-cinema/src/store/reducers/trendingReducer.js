@@ -0,0 +1,45 @@
+import { createSlice } from '@reduxjs/toolkit';
+import { fetchTrending } from '../actions/trendingActions';
+import { getTrendingKey } from '../../utils/trendingSnapshots';
+import { getRejectedError, isLatestRequest } from './helpers';
+
+const emptyEntry = { data: null, loading: false, requestId: null, error: null };
+
+const trendingSlice = createSlice({
+    name: 'trending',
+    // 트렌딩 목록 키('movie/week' 등)별 { data: {results, previousIds, previousDate}, loading, requestId, error }
+    initialState: {},
+    reducers: {},
+    extraReducers: (builder) => {
+        builder
+            .addCase(fetchTrending.pending, (state, action) => {
+                const key = getTrendingKey(action.meta.arg.mediaType, action.meta.arg.timeWindow);
+                state[key] = {
+                    ...emptyEntry,
+                    ...state[key],
+                    loading: true,
+                    requestId: action.meta.requestId,
+                    error: null,
+                };
+            })
+            .addCase(fetchTrending.fulfilled, (state, action) => {
+                const entry = state[getTrendingKey(action.meta.arg.mediaType, action.meta.arg.timeWindow)];
+                if (!isLatestRequest(entry, action)) return;
+                entry.data = action.payload;
+                entry.loading = false;
+                entry.requestId = null;
+            })
+            .addCase(fetchTrending.rejected, (state, action) => {
+                const entry = state[getTrendingKey(action.meta.arg.mediaType, action.meta.arg.timeWindow)];
+                if (!isLatestRequest(entry, action)) return;
+                entry.loading = false;
+                entry.requestId = null;
+                entry.error = getRejectedError(action);
+            });
+    },
+});
+
+export const selectTrending = (state, mediaType, timeWindow) =>
+    state.trending[getTrendingKey(mediaType, timeWindow)] || emptyEntry;
+
+export default trendingSlice.reducer;
@@ -0,0 +1,96 @@
+import { createSlice, createEntityAdapter } from '@reduxjs/toolkit';
+import { fetchTVShow, fetchTVSeason, fetchTVEpisode, getTVKey } from '../actions/tvActions';
+import { fetchCategory, getCategoryMediaType } from '../actions/categoriesActions';
+import { searchByType } from '../actions/searchActions';
+import { discoverTitles } from '../actions/filtersActions';
+import { fetchTrending } from '../actions/trendingActions';
+import { localeChanged } from '../actions/localeActions';
+import { isLatestRequest, getRejectedError } from './helpers';
+
+// TV 프로그램 id 기준으로 정규화된 목록 항목 (영화 id와 겹칠 수 있어 movieCache와 분리)
+const showsAdapter = createEntityAdapter();
+
+const emptyEntry = { data: null, loading: false, requestId: null, error: null };
+
+/**
+ * 키별 { data, loading, error } 상태를 다루는 pending/fulfilled/rejected 리듀서를 등록합니다.
+ * @param {Object} builder - extraReducers builder
+ * @param {Object} thunk - createAsyncThunk 액션
+ * @param {string} field - 상태 필드 이름
+ * @param {Function} getKey - thunk 인자에서 키를 만드는 함수
+ */
+const addEntryCases = (builder, thunk, field, getKey) => {
+    builder
+        .addCase(thunk.pending, (state, action) => {
+            state[field][getKey(action.meta.arg)] = { ...emptyEntry, loading: true, requestId: action.meta.requestId };
+        })
+        .addCase(thunk.fulfilled, (state, action) => {
+            const key = getKey(action.meta.arg);
+            if (!isLatestRequest(state[field][key], action)) return;
+            state[field][key] = { ...emptyEntry, data: action.payload };
+        })
+        .addCase(thunk.rejected, (state, action) => {
+            const key = getKey(action.meta.arg);
+            if (!isLatestRequest(state[field][key], action)) return;
+            state[field][key] = { ...emptyEntry, error: getRejectedError(action) };
+        });
+};
+
+const tvSlice = createSlice({
+    name: 'tv',
+    initialState: {
+        summaries: showsAdapter.getInitialState(),
+        shows: {},
+        seasons: {},
+        episodes: {},
+    },
+    reducers: {},
+    extraReducers: (builder) => {
+        addEntryCases(builder, fetchTVShow, 'shows', (tvId) => tvId);
+        addEntryCases(builder, fetchTVSeason, 'seasons', ({ tvId, seasonNumber }) => getTVKey(tvId, seasonNumber));
+        addEntryCases(builder, fetchTVEpisode, 'episodes', ({ tvId, seasonNumber, episodeNumber }) =>
+            getTVKey(tvId, seasonNumber, episodeNumber)
+        );
+
+        builder
+            // 언어가 바뀌면 상세 정보를 새 언어로 다시 불러오도록 비움 (목록 요약은 목록을 다시 불러올 때 갱신)
+            .addCase(localeChanged, (state) => {
+                state.shows = {};
+                state.seasons = {};
+                state.episodes = {};
+            })
+            .addCase(fetchCategory.fulfilled, (state, action) => {
+                if (getCategoryMediaType(action.meta.arg.category) === 'tv') {
+                    showsAdapter.upsertMany(state.summaries, action.payload.results);
+                }
+            })
+            .addCase(searchByType.fulfilled, (state, action) => {
+                if (action.meta.arg.type === 'tv') {
+                    showsAdapter.upsertMany(state.summaries, action.payload.results);
+                }
+            })
+            .addCase(discoverTitles.fulfilled, (state, action) => {
+                if (action.meta.arg.filters.mediaType === 'tv') {
+                    showsAdapter.upsertMany(state.summaries, action.payload.results);
+                }
+            })
+            .addCase(fetchTrending.fulfilled, (state, action) => {
+                const shows = action.payload.results.filter((item) => item.media_type === 'tv');
+                showsAdapter.upsertMany(state.summaries, shows);
+            });
+    },
+});
+
+export const { selectById: selectTVSummaryById, selectEntities: selectTVEntities } = showsAdapter.getSelectors(
+    (state) => state.tv.summaries
+);
+
+export const selectTVShow = (state, tvId) => state.tv.shows[tvId] || emptyEntry;
+
+export const selectTVSeason = (state, tvId, seasonNumber) =>
+    state.tv.seasons[getTVKey(tvId, seasonNumber)] || emptyEntry;
+
+export const selectTVEpisode = (state, tvId, seasonNumber, episodeNumber) =>
+    state.tv.episodes[getTVKey(tvId, seasonNumber, episodeNumber)] || emptyEntry;
+
+export default tvSlice.reducer;
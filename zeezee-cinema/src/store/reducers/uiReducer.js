@@ -0,0 +1,32 @@
+import { createSlice, nanoid } from '@reduxjs/toolkit';
+
+const initialState = {
+    activeModal: null,
+    notifications: [],
+};
+
+const uiSlice = createSlice({
+    name: 'ui',
+    initialState,
+    reducers: {
+        openModal: (state, action) => {
+            state.activeModal = action.payload;
+        },
+        closeModal: (state) => {
+            state.activeModal = null;
+        },
+        showNotification: {
+            reducer: (state, action) => {
+                state.notifications.push(action.payload);
+            },
+            prepare: ({ message, type = 'info' }) => ({ payload: { id: nanoid(), message, type } }),
+        },
+        dismissNotification: (state, action) => {
+            state.notifications = state.notifications.filter((notification) => notification.id !== action.payload);
+        },
+    },
+});
+
+export const { openModal, closeModal, showNotification, dismissNotification } = uiSlice.actions;
+
+export default uiSlice.reducer;
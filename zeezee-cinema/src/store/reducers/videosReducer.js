@@ -0,0 +1,44 @@
+import { createSlice } from '@reduxjs/toolkit';
+import { fetchVideos, getVideosKey } from '../actions/videosActions';
+import { localeChanged } from '../actions/localeActions';
+import { isLatestRequest, getRejectedError } from './helpers';
+
+const emptyEntry = { data: null, loading: false, requestId: null, error: null };
+
+const videosSlice = createSlice({
+    name: 'videos',
+    initialState: {
+        // 작품별 동영상 ('movie:550' → 동영상 목록)
+        titles: {},
+    },
+    reducers: {},
+    extraReducers: (builder) => {
+        builder
+            .addCase(fetchVideos.pending, (state, action) => {
+                const { mediaType, id } = action.meta.arg;
+                state.titles[getVideosKey(mediaType, id)] = {
+                    ...emptyEntry,
+                    loading: true,
+                    requestId: action.meta.requestId,
+                };
+            })
+            .addCase(fetchVideos.fulfilled, (state, action) => {
+                const key = getVideosKey(action.meta.arg.mediaType, action.meta.arg.id);
+                if (!isLatestRequest(state.titles[key], action)) return;
+                state.titles[key] = { ...emptyEntry, data: action.payload };
+            })
+            .addCase(fetchVideos.rejected, (state, action) => {
+                const key = getVideosKey(action.meta.arg.mediaType, action.meta.arg.id);
+                if (!isLatestRequest(state.titles[key], action)) return;
+                state.titles[key] = { ...emptyEntry, error: getRejectedError(action) };
+            })
+            // 언어에 따라 고르는 영상이 달라지므로 다시 받음
+            .addCase(localeChanged, (state) => {
+                state.titles = {};
+            });
+    },
+});
+
+export const selectVideos = (state, mediaType, id) => state.videos.titles[getVideosKey(mediaType, id)] || emptyEntry;
+
+export default videosSlice.reducer;
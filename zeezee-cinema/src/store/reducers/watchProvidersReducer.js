@@ -0,0 +1,73 @@
+import { createSlice } from '@reduxjs/toolkit';
+import {
+    fetchWatchProviders,
+    fetchWatchProviderList,
+    getWatchProvidersKey,
+    myServicesChanged,
+} from '../actions/watchProvidersActions';
+import { loadMyServices } from '../../utils/watchProviders';
+import { isLatestRequest, getRejectedError } from './helpers';
+
+const emptyEntry = { data: null, loading: false, requestId: null, error: null };
+
+// 내 구독 서비스가 없을 때 반환할 값 (선택자가 매번 새 배열을 만들지 않도록)
+const NO_SERVICES = [];
+
+/**
+ * 키별 { data, loading, error } 상태를 다루는 pending/fulfilled/rejected 리듀서를 등록합니다.
+ * @param {Object} builder - extraReducers builder
+ * @param {Object} thunk - createAsyncThunk 액션
+ * @param {string} field - 상태 필드 이름
+ * @param {Function} getKey - thunk 인자에서 키를 만드는 함수
+ */
+const addEntryCases = (builder, thunk, field, getKey) => {
+    builder
+        .addCase(thunk.pending, (state, action) => {
+            state[field][getKey(action.meta.arg)] = { ...emptyEntry, loading: true, requestId: action.meta.requestId };
+        })
+        .addCase(thunk.fulfilled, (state, action) => {
+            const key = getKey(action.meta.arg);
+            if (!isLatestRequest(state[field][key], action)) return;
+            state[field][key] = { ...emptyEntry, data: action.payload };
+        })
+        .addCase(thunk.rejected, (state, action) => {
+            const key = getKey(action.meta.arg);
+            if (!isLatestRequest(state[field][key], action)) return;
+            state[field][key] = { ...emptyEntry, error: getRejectedError(action) };
+        });
+};
+
+const watchProvidersSlice = createSlice({
+    name: 'watchProviders',
+    initialState: {
+        // 작품별 서비스 ('movie:550' → 지역 코드별 서비스)
+        titles: {},
+        // 지역별 서비스 목록 ('movie:KR' → 서비스 목록)
+        lists: {},
+        // 저장된 내 구독 서비스로 시작 (store/index.js에서 변경될 때마다 저장)
+        myServices: loadMyServices(),
+    },
+    reducers: {},
+    extraReducers: (builder) => {
+        addEntryCases(builder, fetchWatchProviders, 'titles', ({ mediaType, id }) =>
+            getWatchProvidersKey(mediaType, id)
+        );
+        addEntryCases(builder, fetchWatchProviderList, 'lists', ({ mediaType, region }) =>
+            getWatchProvidersKey(mediaType, region)
+        );
+
+        builder.addCase(myServicesChanged, (state, action) => {
+            state.myServices[action.payload.region] = action.payload.providerIds;
+        });
+    },
+});
+
+export const selectWatchProviders = (state, mediaType, id) =>
+    state.watchProviders.titles[getWatchProvidersKey(mediaType, id)] || emptyEntry;
+
+export const selectWatchProviderList = (state, mediaType, region) =>
+    state.watchProviders.lists[getWatchProvidersKey(mediaType, region)] || emptyEntry;
+
+export const selectMyServices = (state, region) => state.watchProviders.myServices[region] || NO_SERVICES;
+
+export default watchProvidersSlice.reducer;
@@ -0,0 +1,22 @@
+/**
+ * 컬렉션(영화 시리즈) 유틸
+ */
+
+/**
+ * 컬렉션에 속한 영화를 개봉 순으로 정렬합니다. 개봉일이 없는 영화(미정)는 맨 뒤에 둡니다.
+ * @param {Array<Object>} parts - 컬렉션 응답의 parts
+ * @returns {Array<Object>} 개봉 순 영화
+ */
+export const sortCollectionParts = (parts = []) =>
+    [...parts].sort((a, b) => {
+        if (!a.release_date || !b.release_date) return (a.release_date ? 0 : 1) - (b.release_date ? 0 : 1);
+        return a.release_date.localeCompare(b.release_date);
+    });
+
+/**
+ * 컬렉션 영화 중 본 영화 수
+ * @param {Array<Object>} parts - 컬렉션에 속한 영화
+ * @param {Object<number, Object>} libraryEntries - 서재 항목 (영화 id별)
+ * @returns {number}
+ */
+export const countSeenParts = (parts, libraryEntries) => parts.filter((part) => libraryEntries[part.id]?.seen).length;
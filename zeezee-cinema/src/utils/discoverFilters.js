@@ -0,0 +1,140 @@
+/**
+ * 탐색(discover) 필터 <-> URL 쿼리스트링 <-> TMDB 파라미터 변환 유틸
+ *
+ * URL이 필터의 기준이므로 필터링된 화면을 북마크하거나 공유할 수 있습니다.
+ * 예: /discover?type=movie&genres=28,12&year_from=2010&vote_min=7&sort=vote_average.desc
+ */
+import { WATCH_GROUPS } from './watchProviders';
+
+// 기본 필터 (URL에 없는 값은 이 값을 사용)
+export const DEFAULT_FILTERS = {
+    mediaType: 'movie',
+    genres: [],
+    yearFrom: null,
+    yearTo: null,
+    runtimeMin: null,
+    runtimeMax: null,
+    minVoteAverage: null,
+    minVoteCount: null,
+    originalLanguage: null,
+    watchRegion: null,
+    // 시청 지역에서 이 서비스 중 하나로 스트리밍할 수 있는 작품만 (watchRegion이 있어야 적용)
+    watchProviders: [],
+    sortBy: 'popularity.desc',
+};
+
+// 미디어 유형별 정렬 기준과 메시지 키
+export const SORT_OPTIONS = {
+    movie: [
+        { value: 'popularity.desc', labelKey: 'discover.sortOptions.popularity' },
+        { value: 'vote_average.desc', labelKey: 'discover.sortOptions.voteAverage' },
+        { value: 'vote_count.desc', labelKey: 'discover.sortOptions.voteCount' },
+        { value: 'primary_release_date.desc', labelKey: 'discover.sortOptions.releaseNewest' },
+        { value: 'primary_release_date.asc', labelKey: 'discover.sortOptions.releaseOldest' },
+        { value: 'revenue.desc', labelKey: 'discover.sortOptions.revenue' },
+    ],
+    tv: [
+        { value: 'popularity.desc', labelKey: 'discover.sortOptions.popularity' },
+        { value: 'vote_average.desc', labelKey: 'discover.sortOptions.voteAverage' },
+        { value: 'vote_count.desc', labelKey: 'discover.sortOptions.voteCount' },
+        { value: 'first_air_date.desc', labelKey: 'discover.sortOptions.airNewest' },
+        { value: 'first_air_date.asc', labelKey: 'discover.sortOptions.airOldest' },
+    ],
+};
+
+// 필터 키와 URL 파라미터 이름 (숫자 값)
+const NUMBER_PARAMS = {
+    yearFrom: 'year_from',
+    yearTo: 'year_to',
+    runtimeMin: 'runtime_min',
+    runtimeMax: 'runtime_max',
+    minVoteAverage: 'vote_min',
+    minVoteCount: 'votes_min',
+};
+
+// 필터 키와 URL 파라미터 이름 (문자열 값)
+const STRING_PARAMS = {
+    originalLanguage: 'lang',
+    watchRegion: 'region',
+};
+
+/**
+ * URL 쿼리스트링을 필터 객체로 변환합니다.
+ * @param {URLSearchParams} searchParams - URL 쿼리스트링
+ * @returns {Object} 필터 객체
+ */
+export const parseFilters = (searchParams) => {
+    const mediaType = searchParams.get('type') === 'tv' ? 'tv' : 'movie';
+    const sort = searchParams.get('sort');
+    const filters = {
+        ...DEFAULT_FILTERS,
+        mediaType,
+        genres: (searchParams.get('genres') || '').split(',').map(Number).filter(Boolean),
+        watchProviders: (searchParams.get('providers') || '').split(',').map(Number).filter(Boolean),
+        sortBy: SORT_OPTIONS[mediaType].some((option) => option.value === sort) ? sort : DEFAULT_FILTERS.sortBy,
+    };
+
+    Object.entries(NUMBER_PARAMS).forEach(([key, param]) => {
+        const value = Number(searchParams.get(param));
+        if (searchParams.get(param) !== null && Number.isFinite(value)) filters[key] = value;
+    });
+    Object.entries(STRING_PARAMS).forEach(([key, param]) => {
+        if (searchParams.get(param)) filters[key] = searchParams.get(param);
+    });
+
+    return filters;
+};
+
+/**
+ * 필터 객체를 URL 쿼리스트링으로 변환합니다. (기본값은 생략)
+ * @param {Object} filters - 필터 객체
+ * @returns {URLSearchParams} URL 쿼리스트링
+ */
+export const serializeFilters = (filters) => {
+    const params = new URLSearchParams();
+    if (filters.mediaType !== DEFAULT_FILTERS.mediaType) params.set('type', filters.mediaType);
+    if (filters.genres.length > 0) params.set('genres', filters.genres.join(','));
+    if (filters.watchProviders.length > 0) params.set('providers', filters.watchProviders.join(','));
+
+    Object.entries({ ...NUMBER_PARAMS, ...STRING_PARAMS }).forEach(([key, param]) => {
+        if (filters[key] !== null && filters[key] !== '') params.set(param, filters[key]);
+    });
+
+    if (filters.sortBy !== DEFAULT_FILTERS.sortBy) params.set('sort', filters.sortBy);
+    return params;
+};
+
+/**
+ * 필터 객체를 discoverMovies/discoverTVShows 파라미터로 변환합니다.
+ * @param {Object} filters - 필터 객체
+ * @returns {Object} TMDB discover 파라미터
+ */
+export const toDiscoverParams = (filters) => {
+    // 영화는 개봉일, TV는 첫 방영일 기준으로 연도 필터 적용
+    const dateField = filters.mediaType === 'tv' ? 'first_air_date' : 'primary_release_date';
+    const params = { sort_by: filters.sortBy };
+
+    if (filters.genres.length > 0) params.with_genres = filters.genres.join(',');
+    if (filters.yearFrom) params[`${dateField}.gte`] = `${filters.yearFrom}-01-01`;
+    if (filters.yearTo) params[`${dateField}.lte`] = `${filters.yearTo}-12-31`;
+    if (filters.runtimeMin) params['with_runtime.gte'] = filters.runtimeMin;
+    if (filters.runtimeMax) params['with_runtime.lte'] = filters.runtimeMax;
+    if (filters.minVoteAverage) params['vote_average.gte'] = filters.minVoteAverage;
+    if (filters.minVoteCount) params['vote_count.gte'] = filters.minVoteCount;
+    if (filters.originalLanguage) params.with_original_language = filters.originalLanguage;
+    if (filters.watchRegion) params.watch_region = filters.watchRegion;
+    // 서비스 필터는 시청 지역이 있어야 하며, 대여/구매가 아닌 스트리밍으로 볼 수 있는 작품만 (서비스는 OR 조건)
+    if (filters.watchRegion && filters.watchProviders.length > 0) {
+        params.with_watch_providers = filters.watchProviders.join('|');
+        params.with_watch_monetization_types = WATCH_GROUPS.stream.join('|');
+    }
+
+    return params;
+};
+
+/**
+ * 필터 조합을 구분하는 키 (같은 조건이면 같은 키)
+ * @param {Object} filters - 필터 객체
+ * @returns {string} 필터 키
+ */
+export const getDiscoverKey = (filters) => `${filters.mediaType}?${serializeFilters(filters)}`;
@@ -0,0 +1,27 @@
+import { t, getCurrentLanguage } from '../i18n';
+
+/**
+ * 상영 시간 포맷 (예: 2시간 15분)
+ * @param {number} minutes - 분 단위 시간
+ * @returns {string} 포맷된 문자열 (값이 없으면 '')
+ */
+export const formatRuntime = (minutes) => {
+    if (!minutes) return '';
+    const hours = Math.floor(minutes / 60);
+    const rest = minutes % 60;
+    return hours > 0 ? t('format.hoursMinutes', { hours, minutes: rest }) : t('format.minutes', { minutes: rest });
+};
+
+/**
+ * 현재 언어의 날짜 포맷 (예: 2024년 3월 5일, March 5, 2024)
+ * @param {string} dateString - YYYY-MM-DD 형식 날짜
+ * @returns {string} 포맷된 문자열 (값이 없으면 '')
+ */
+export const formatDate = (dateString) => {
+    if (!dateString) return '';
+    return new Date(dateString).toLocaleDateString(getCurrentLanguage(), {
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric',
+    });
+};
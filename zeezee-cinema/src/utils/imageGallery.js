@@ -0,0 +1,76 @@
+/**
+ * 이미지 갤러리 설정과 유틸
+ */
+
+/**
+ * 갤러리 탭별 이미지 크기 (목록 썸네일, 크게 보기)
+ * 내려받기는 탭과 상관없이 원본('original') 크기를 사용합니다.
+ */
+export const GALLERY_TABS = {
+    backdrops: { thumbSize: 'w300', fullSize: 'w1280', aspect: 'aspect-video' },
+    posters: { thumbSize: 'w185', fullSize: 'w780', aspect: 'aspect-[2/3]' },
+    logos: { thumbSize: 'w185', fullSize: 'w500', aspect: 'aspect-video' },
+};
+
+// 인물 사진 크기 (인물 페이지 사진 목록)
+export const PROFILE_IMAGE_SIZES = { thumbSize: 'w185', fullSize: 'h632', aspect: 'aspect-[2/3]' };
+
+// 내려받을 이미지 크기
+export const DOWNLOAD_IMAGE_SIZE = 'original';
+
+/**
+ * 이미지 언어 필터 (include_image_language 값)
+ * 'null'은 글자가 없는 이미지입니다. 현재 언어가 영어면 현재 언어 필터는 영어 필터와 같으므로 뺍니다.
+ * @param {string} language - 현재 언어 (ISO 639-1, 예: 'ko')
+ * @returns {Array<{id: 'preferred'|'current'|'en'|'none', includeImageLanguage: string}>}
+ */
+export const getImageLanguageFilters = (language) =>
+    [
+        { id: 'preferred', includeImageLanguage: [...new Set([language, 'en'])].join(',') + ',null' },
+        { id: 'current', includeImageLanguage: language },
+        { id: 'en', includeImageLanguage: 'en' },
+        { id: 'none', includeImageLanguage: 'null' },
+    ].filter((filter) => !(filter.id === 'current' && language === 'en'));
+
+/**
+ * 내려받을 파일 이름 (예: '기생충-abc123.jpg')
+ * @param {string} title - 작품 제목 또는 인물 이름
+ * @param {string} filePath - TMDB 이미지 경로 (예: '/abc123.jpg')
+ * @returns {string}
+ */
+export const getImageFileName = (title, filePath) => {
+    const name = (title || 'image').replace(/[\\/:*?"<>|]/g, '').trim() || 'image';
+    return `${name}-${filePath.replace(/^\//, '')}`;
+};
+
+/**
+ * 이미지를 파일로 내려받습니다.
+ * 다른 도메인 이미지는 a[download]만으로는 내려받지 않으므로 받아서 Blob URL로 저장합니다.
+ * 받을 수 없으면 새 탭에서 원본 이미지를 엽니다.
+ * 요청이 끝난 뒤에 연 창은 팝업 차단에 막히므로, 클릭 처리 중에 호출해 빈 창을 먼저 열어 두고
+ * 내려받으면 닫고 실패하면 그 창에서 이미지를 엽니다.
+ * @param {string} url - 이미지 URL
+ * @param {string} fileName - 저장할 파일 이름
+ */
+export const downloadImage = async (url, fileName) => {
+    const fallbackWindow = window.open('', '_blank');
+    // 새 창에서 이 페이지에 접근하지 못하도록 (noopener를 쓰면 창을 받을 수 없어 직접 끊음)
+    if (fallbackWindow) fallbackWindow.opener = null;
+
+    try {
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const objectUrl = URL.createObjectURL(await response.blob());
+        const link = document.createElement('a');
+        link.href = objectUrl;
+        link.download = fileName;
+        link.click();
+        // 내려받기가 시작된 뒤에 해제
+        setTimeout(() => URL.revokeObjectURL(objectUrl), 0);
+        fallbackWindow?.close();
+    } catch (error) {
+        console.error('이미지 내려받기 실패:', error);
+        if (fallbackWindow) fallbackWindow.location.href = url;
+        else window.open(url, '_blank', 'noopener,noreferrer');
+    }
+};
@@ -0,0 +1,116 @@
+import { getGenreIds } from './recommendationEngine';
+
+/**
+ * @typedef {Object} LibraryEntry
+ * @property {number} id - 영화 ID
+ * @property {Object} movie - 목록 표시에 사용할 영화 요약 정보
+ * @property {boolean} watchlist - 워치리스트 포함 여부
+ * @property {number|null} watchlistUpdatedAt - 워치리스트 포함 여부를 마지막으로 바꾼 시각 (ms)
+ * @property {boolean} seen - 본 영화 여부
+ * @property {number|null} seenAt - 본 영화로 표시한 시각 (ms)
+ * @property {number|null} syncedAt - TMDB 워치리스트에 반영된 watchlistUpdatedAt 값
+ * @property {number|null} syncedAccountId - 마지막으로 동기화한 TMDB 계정 ID
+ */
+
+// 서재 항목에 보관할 영화 필드 (MovieCard 표시에 필요한 값만)
+const MOVIE_SUMMARY_FIELDS = ['id', 'title', 'poster_path', 'backdrop_path', 'release_date', 'vote_average'];
+
+/**
+ * TMDB 영화에서 서재에 보관할 요약 정보만 남깁니다.
+ * 장르는 개인화 추천의 장르 선호도 계산에 사용합니다.
+ * @param {Object} movie - TMDB 영화 (목록 항목 또는 상세 정보)
+ * @returns {Object} 영화 요약 정보
+ */
+export const toLibraryMovie = (movie) => ({
+    ...Object.fromEntries(MOVIE_SUMMARY_FIELDS.filter((field) => field in movie).map((field) => [field, movie[field]])),
+    genre_ids: getGenreIds(movie),
+});
+
+/**
+ * 빈 서재 항목을 만듭니다.
+ * @param {Object} movie - TMDB 영화 (최소한 id 포함)
+ * @returns {LibraryEntry}
+ */
+export const createLibraryEntry = (movie) => ({
+    id: movie.id,
+    movie: toLibraryMovie(movie),
+    watchlist: false,
+    watchlistUpdatedAt: null,
+    seen: false,
+    seenAt: null,
+    syncedAt: null,
+    syncedAccountId: null,
+});
+
+/**
+ * 워치리스트 변경이 아직 이 계정의 TMDB 워치리스트에 반영되지 않았는지 여부
+ * @param {LibraryEntry} entry - 서재 항목
+ * @param {number} accountId - TMDB 계정 ID
+ * @returns {boolean}
+ */
+export const hasUnsyncedWatchlist = (entry, accountId) =>
+    entry.watchlistUpdatedAt !== null &&
+    (entry.syncedAccountId !== accountId || entry.syncedAt === null || entry.watchlistUpdatedAt > entry.syncedAt);
+
+/**
+ * 로컬 서재와 TMDB 워치리스트를 양방향으로 병합합니다.
+ *
+ * TMDB는 항목을 추가하거나 제거한 시각을 알려주지 않으므로, 서버 쪽의 마지막 수정 시각은
+ * 마지막으로 동기화한 시각(syncedAt)으로 봅니다. 두 쪽의 포함 여부가 다르면
+ * - 로컬에서 그 이후에 바꾼 항목은 로컬 값이 이기고 TMDB에 반영할 목록(push)에 넣습니다.
+ * - 그렇지 않은 항목은 TMDB에서 바뀐 것이므로 TMDB 값으로 로컬을 고칩니다.
+ * 처음 동기화하는 계정이면 양쪽의 워치리스트를 합칩니다.
+ *
+ * @param {Object<number, LibraryEntry>} localEntries - 영화 id별 로컬 서재 항목
+ * @param {Array<Object>} remoteMovies - TMDB 워치리스트 영화
+ * @param {Object} options
+ * @param {number} options.accountId - TMDB 계정 ID
+ * @param {number} options.now - 동기화 시각 (ms)
+ * @param {boolean} options.complete - TMDB 워치리스트를 끝까지 불러왔는지 여부
+ *        (일부만 불러왔으면 목록에 없는 영화를 TMDB에서 제거된 것으로 보지 않음)
+ * @returns {{entries: LibraryEntry[], push: number[]}} 로컬에 저장할 항목과 TMDB에 반영할 영화 id
+ */
+export const mergeWatchlist = (localEntries, remoteMovies, { accountId, now, complete }) => {
+    const remoteIds = new Set(remoteMovies.map((movie) => movie.id));
+    const entries = [];
+    const push = [];
+
+    // TMDB 값으로 로컬 항목을 맞추고 동기화된 것으로 기록
+    const acceptRemote = (entry, watchlist) => {
+        const changed = entry.watchlist !== watchlist;
+        entries.push({
+            ...entry,
+            watchlist,
+            watchlistUpdatedAt: changed || entry.watchlistUpdatedAt === null ? now : entry.watchlistUpdatedAt,
+            syncedAt: changed || entry.watchlistUpdatedAt === null ? now : entry.watchlistUpdatedAt,
+            syncedAccountId: accountId,
+        });
+    };
+
+    remoteMovies.forEach((movie) => {
+        const entry = localEntries[movie.id];
+        if (!entry) {
+            acceptRemote(createLibraryEntry(movie), true);
+            return;
+        }
+        if (!entry.watchlist && hasUnsyncedWatchlist(entry, accountId) && entry.syncedAccountId === accountId) {
+            // 마지막 동기화 이후 로컬에서 제거한 영화
+            push.push(entry.id);
+            return;
+        }
+        acceptRemote({ ...entry, movie: { ...entry.movie, ...toLibraryMovie(movie) } }, true);
+    });
+
+    Object.values(localEntries).forEach((entry) => {
+        if (remoteIds.has(entry.id) || !entry.watchlist) return;
+        if (hasUnsyncedWatchlist(entry, accountId)) {
+            // 로컬에서 추가한 뒤 아직 반영하지 않은 영화 (처음 동기화하는 계정이면 모두 해당)
+            push.push(entry.id);
+        } else if (complete) {
+            // 마지막 동기화 이후 TMDB에서 제거된 영화
+            acceptRemote(entry, false);
+        }
+    });
+
+    return { entries, push };
+};
@@ -0,0 +1,72 @@
+import { isSupportedLocale, isSupportedRegion } from '../i18n/locales';
+
+// 언어/지역 설정을 저장할 localStorage 키 (계정별로 따로 저장, 로그인하지 않으면 'guest')
+const LOCALE_STORAGE_KEY_PREFIX = 'zeezee-cinema:locale:';
+const REGION_STORAGE_KEY_PREFIX = 'zeezee-cinema:region:';
+
+/**
+ * 계정별 저장 키
+ * @param {string} prefix - 설정별 키 접두사
+ * @param {number|null|undefined} accountId - 로그인한 계정 ID
+ * @returns {string}
+ */
+const getStorageKey = (prefix, accountId) => `${prefix}${accountId ?? 'guest'}`;
+
+/**
+ * 저장된 값을 불러옵니다. 저장소를 사용할 수 없거나 지원하지 않는 값이면 null을 반환합니다.
+ * @param {string} key - 저장 키
+ * @param {(value: *) => boolean} isValid - 지원하는 값인지 확인하는 함수
+ * @returns {string|null}
+ */
+const loadValue = (key, isValid) => {
+    try {
+        const saved = localStorage.getItem(key);
+        return isValid(saved) ? saved : null;
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * 값을 저장합니다. 값이 없으면 저장된 값을 지웁니다.
+ * @param {string} key - 저장 키
+ * @param {string|null} value - 저장할 값
+ */
+const saveValue = (key, value) => {
+    try {
+        if (value) localStorage.setItem(key, value);
+        else localStorage.removeItem(key);
+    } catch {
+        // 저장소를 사용할 수 없으면 현재 탭에서만 유지
+    }
+};
+
+/**
+ * 저장된 언어 설정을 불러옵니다.
+ * @param {number|null|undefined} accountId - 로그인한 계정 ID
+ * @returns {string|null} 언어 (예: 'ko')
+ */
+export const loadLocale = (accountId) =>
+    loadValue(getStorageKey(LOCALE_STORAGE_KEY_PREFIX, accountId), isSupportedLocale);
+
+/**
+ * 언어 설정을 저장합니다.
+ * @param {number|null|undefined} accountId - 로그인한 계정 ID
+ * @param {string} locale - 언어
+ */
+export const saveLocale = (accountId, locale) => saveValue(getStorageKey(LOCALE_STORAGE_KEY_PREFIX, accountId), locale);
+
+/**
+ * 저장된 지역 설정을 불러옵니다.
+ * @param {number|null|undefined} accountId - 로그인한 계정 ID
+ * @returns {string|null} 지역 코드 (예: 'KR', 설정하지 않았으면 null)
+ */
+export const loadRegion = (accountId) =>
+    loadValue(getStorageKey(REGION_STORAGE_KEY_PREFIX, accountId), isSupportedRegion);
+
+/**
+ * 지역 설정을 저장합니다.
+ * @param {number|null|undefined} accountId - 로그인한 계정 ID
+ * @param {string|null} region - 지역 코드 (null이면 언어의 기본 지역을 따름)
+ */
+export const saveRegion = (accountId, region) => saveValue(getStorageKey(REGION_STORAGE_KEY_PREFIX, accountId), region);
@@ -0,0 +1,128 @@
+// 로그인 세션을 저장할 localStorage 키
+const SESSION_STORAGE_KEY = 'zeezee-cinema:session';
+
+// TMDB 승인 후 돌아갈 경로를 저장할 sessionStorage 키
+const RETURN_PATH_STORAGE_KEY = 'zeezee-cinema:login-return-path';
+
+/**
+ * @typedef {Object} PersistedSession
+ * @property {string|null} sessionId - 로그인 세션 ID
+ * @property {string|null} guestSessionId - 게스트 세션 ID
+ * @property {number|null} guestExpiresAt - 게스트 세션 만료 시각 (ms)
+ * @property {{id: number, username: string, name: string}|null} account - 로그인한 계정 정보
+ */
+
+/** @type {PersistedSession} */
+export const EMPTY_SESSION = { sessionId: null, guestSessionId: null, guestExpiresAt: null, account: null };
+
+/**
+ * TMDB의 만료 시각 문자열('2016-08-27 16:26:40 UTC')을 ms로 변환합니다.
+ * @param {string|null|undefined} value - expires_at 값
+ * @returns {number|null}
+ */
+export const parseExpiresAt = (value) => {
+    if (!value) return null;
+    const time = Date.parse(value.replace(' UTC', 'Z').replace(' ', 'T'));
+    return Number.isNaN(time) ? null : time;
+};
+
+/**
+ * 게스트 세션이 아직 유효한지 여부
+ * @param {Pick<PersistedSession, 'guestSessionId' | 'guestExpiresAt'>} session - 세션 상태
+ * @returns {boolean}
+ */
+export const isGuestSessionValid = ({ guestSessionId, guestExpiresAt }) =>
+    Boolean(guestSessionId) && (!guestExpiresAt || guestExpiresAt > Date.now());
+
+/**
+ * 사용할 세션 종류 (로그인 세션 우선)
+ * @param {PersistedSession} session - 세션 상태
+ * @returns {'user'|'guest'|null}
+ */
+export const getSessionType = (session) => {
+    if (session.sessionId) return 'user';
+    if (isGuestSessionValid(session)) return 'guest';
+    return null;
+};
+
+/**
+ * API 요청에 사용할 세션 ID (rateMovie 등의 sessionId, guestSessionId 인자)
+ * @param {PersistedSession} session - 세션 상태
+ * @returns {{sessionId: string|null, guestSessionId: string|null}}
+ */
+export const getSessionIds = (session) => {
+    const type = getSessionType(session);
+    return {
+        sessionId: type === 'user' ? session.sessionId : null,
+        guestSessionId: type === 'guest' ? session.guestSessionId : null,
+    };
+};
+
+/**
+ * 저장된 세션을 불러옵니다. 저장소를 사용할 수 없거나 값이 손상되었으면 빈 세션을 반환합니다.
+ * 만료된 게스트 세션은 제외합니다.
+ * @returns {PersistedSession}
+ */
+export const loadSession = () => {
+    try {
+        const saved = JSON.parse(localStorage.getItem(SESSION_STORAGE_KEY));
+        if (!saved) return EMPTY_SESSION;
+
+        const session = {
+            sessionId: saved.sessionId || null,
+            guestSessionId: saved.guestSessionId || null,
+            guestExpiresAt: saved.guestExpiresAt || null,
+            account: saved.account || null,
+        };
+        if (!isGuestSessionValid(session)) {
+            session.guestSessionId = null;
+            session.guestExpiresAt = null;
+        }
+        return session;
+    } catch {
+        return EMPTY_SESSION;
+    }
+};
+
+/**
+ * 세션을 저장합니다. 세션이 없으면 저장된 값을 지웁니다.
+ * @param {PersistedSession} session - 저장할 세션
+ */
+export const saveSession = ({ sessionId, guestSessionId, guestExpiresAt, account }) => {
+    try {
+        if (!sessionId && !guestSessionId) {
+            localStorage.removeItem(SESSION_STORAGE_KEY);
+            return;
+        }
+        localStorage.setItem(
+            SESSION_STORAGE_KEY,
+            JSON.stringify({ sessionId, guestSessionId, guestExpiresAt, account })
+        );
+    } catch {
+        // 저장소를 사용할 수 없는 환경(사생활 보호 모드 등)에서는 현재 탭에서만 세션 유지
+    }
+};
+
+/**
+ * TMDB 승인 페이지에서 돌아온 뒤 이동할 경로를 저장합니다.
+ * @param {string} path - 로그인을 시작한 페이지 경로
+ */
+export const saveReturnPath = (path) => {
+    try {
+        sessionStorage.setItem(RETURN_PATH_STORAGE_KEY, path);
+    } catch {
+        // 저장하지 못하면 로그인 후 홈으로 이동
+    }
+};
+
+/**
+ * 저장된 복귀 경로를 불러옵니다.
+ * @returns {string} 복귀 경로 (없으면 '/')
+ */
+export const loadReturnPath = () => {
+    try {
+        return sessionStorage.getItem(RETURN_PATH_STORAGE_KEY) || '/';
+    } catch {
+        return '/';
+    }
+};
@@ -0,0 +1,38 @@
+// 최근 살펴본 영화를 저장할 localStorage 키
+const RECENTLY_VIEWED_STORAGE_KEY = 'zeezee-cinema:recently-viewed';
+
+// 최근 살펴본 영화 최대 보관 수
+export const MAX_RECENTLY_VIEWED = 20;
+
+/**
+ * @typedef {Object} RecentlyViewedMovie
+ * @property {number} id - 영화 ID
+ * @property {string} title - 영화 제목
+ * @property {number[]} genre_ids - 장르 ID
+ * @property {number} viewedAt - 상세 페이지를 본 시각 (ms)
+ */
+
+/**
+ * 저장된 최근 살펴본 영화를 불러옵니다. 저장소를 사용할 수 없거나 값이 손상되었으면 빈 목록을 반환합니다.
+ * @returns {RecentlyViewedMovie[]} 최근 순
+ */
+export const loadRecentlyViewed = () => {
+    try {
+        const saved = JSON.parse(localStorage.getItem(RECENTLY_VIEWED_STORAGE_KEY));
+        return Array.isArray(saved) ? saved.filter((movie) => movie?.id).slice(0, MAX_RECENTLY_VIEWED) : [];
+    } catch {
+        return [];
+    }
+};
+
+/**
+ * 최근 살펴본 영화를 저장합니다.
+ * @param {RecentlyViewedMovie[]} movies - 저장할 목록
+ */
+export const saveRecentlyViewed = (movies) => {
+    try {
+        localStorage.setItem(RECENTLY_VIEWED_STORAGE_KEY, JSON.stringify(movies));
+    } catch {
+        // 저장소를 사용할 수 없으면 현재 탭에서만 유지
+    }
+};
@@ -0,0 +1,177 @@
+/**
+ * 개인화 추천 ("'X'을(를) 본 분께 추천") 계산 유틸
+ *
+ * 1. 사용자의 신호(평점, 본 영화, 워치리스트, 최근 살펴본 영화)에서 기준 영화(seed)를 고릅니다.
+ * 2. 기준 영화마다 TMDB 추천 영화와 비슷한 영화를 받아 후보로 모읍니다. (thunk에서 요청)
+ * 3. 후보를 등장 빈도, 장르 선호도, 평균 평점으로 점수를 매기고 이미 본 영화는 제외합니다.
+ * 4. 후보마다 가장 많이 기여한 기준 영화의 행에 넣어, 추천 이유를 설명하는 행으로 나눕니다.
+ */
+
+// 신호 종류별 기준 영화 가중치 (평점은 내 평점에 비례)
+const SIGNAL_WEIGHTS = {
+    seen: 2,
+    watchlist: 1.5,
+    viewed: 1,
+};
+
+// 기준 영화로 사용할 최소 평점 (이보다 낮게 평가한 영화와 비슷한 영화는 추천하지 않음)
+export const MIN_SEED_RATING = 7;
+
+// 후보 출처별 가중치 (TMDB 추천 영화가 비슷한 영화보다 취향을 더 잘 반영)
+const SOURCE_WEIGHTS = {
+    recommendations: 1,
+    similar: 0.6,
+};
+
+// 점수 항목별 가중치
+const SCORE_WEIGHTS = {
+    frequency: 1,
+    genre: 0.5,
+    vote: 0.3,
+};
+
+// 평균 평점을 그대로 믿을 수 있는 최소 평가 수 (이보다 적으면 평점 점수를 줄임)
+const TRUSTED_VOTE_COUNT = 100;
+
+/**
+ * @typedef {Object} RecommendationSeed
+ * @property {number} id - 기준 영화 ID
+ * @property {string} title - 기준 영화 제목 (없으면 '')
+ * @property {number[]} genreIds - 기준 영화 장르 ID
+ * @property {'rated'|'seen'|'watchlist'|'viewed'} reason - 기준 영화로 고른 이유
+ * @property {number} weight - 가중치
+ */
+
+/**
+ * 영화의 장르 ID (목록 응답은 genre_ids, 상세 정보는 genres)
+ * @param {Object} movie - TMDB 영화
+ * @returns {number[]}
+ */
+export const getGenreIds = (movie) => movie.genre_ids || movie.genres?.map((genre) => genre.id) || [];
+
+/**
+ * 사용자의 신호에서 추천의 기준이 될 영화를 고릅니다.
+ * 같은 영화에 신호가 여러 개면 가중치가 가장 큰 신호를 사용합니다.
+ * @param {Object} signals
+ * @param {Array<{movie: Object, rating: number}>} signals.rated - 평점을 남긴 영화 (최근 순)
+ * @param {Array<{movie: Object, time: number}>} signals.seen - 본 영화
+ * @param {Array<{movie: Object, time: number}>} signals.watchlist - 워치리스트 영화
+ * @param {Array<{movie: Object, time: number}>} signals.viewed - 최근 살펴본 영화
+ * @param {number} maxSeeds - 기준 영화 최대 개수
+ * @returns {RecommendationSeed[]} 가중치가 크고 최근인 순
+ */
+export const pickSeeds = ({ rated = [], seen = [], watchlist = [], viewed = [] }, maxSeeds) => {
+    const candidates = [
+        // 평점 목록에는 시각이 없으므로 최근 순서를 시각 대신 사용
+        ...rated
+            .filter(({ rating }) => rating >= MIN_SEED_RATING)
+            .map(({ movie, rating }, index) => ({ movie, reason: 'rated', weight: (rating / 10) * 3, time: -index })),
+        ...seen.map(({ movie, time }) => ({ movie, reason: 'seen', weight: SIGNAL_WEIGHTS.seen, time })),
+        ...watchlist.map(({ movie, time }) => ({ movie, reason: 'watchlist', weight: SIGNAL_WEIGHTS.watchlist, time })),
+        ...viewed.map(({ movie, time }) => ({ movie, reason: 'viewed', weight: SIGNAL_WEIGHTS.viewed, time })),
+    ];
+
+    const byMovie = new Map();
+    candidates.forEach((candidate) => {
+        const existing = byMovie.get(candidate.movie.id);
+        if (!existing || candidate.weight > existing.weight) byMovie.set(candidate.movie.id, candidate);
+    });
+
+    return [...byMovie.values()]
+        .sort((a, b) => b.weight - a.weight || (b.time || 0) - (a.time || 0))
+        .slice(0, maxSeeds)
+        .map(({ movie, reason, weight }) => ({
+            id: movie.id,
+            title: movie.title || '',
+            genreIds: getGenreIds(movie),
+            reason,
+            weight,
+        }));
+};
+
+/**
+ * 기준 영화들의 장르 선호도 (가중치 합을 가장 큰 값으로 나눈 0~1)
+ * @param {RecommendationSeed[]} seeds - 기준 영화
+ * @returns {Map<number, number>} 장르 ID별 선호도
+ */
+const getGenreAffinity = (seeds) => {
+    const totals = new Map();
+    seeds.forEach((seed) => {
+        seed.genreIds.forEach((genreId) => totals.set(genreId, (totals.get(genreId) || 0) + seed.weight));
+    });
+    const max = Math.max(0, ...totals.values());
+    return new Map([...totals].map(([genreId, total]) => [genreId, max > 0 ? total / max : 0]));
+};
+
+/**
+ * 평가 수가 적을수록 줄인 평균 평점 점수 (0~1)
+ * @param {Object} movie - TMDB 영화
+ * @returns {number}
+ */
+const getVoteScore = (movie) =>
+    ((movie.vote_average || 0) / 10) * Math.min(1, (movie.vote_count || 0) / TRUSTED_VOTE_COUNT);
+
+/**
+ * 기준 영화별 추천 후보에 점수를 매기고, 추천 이유(기준 영화)별 행으로 나눕니다.
+ *
+ * 점수 = 등장 빈도(기준 영화 가중치 x 출처 가중치의 합, 0~1로 정규화)
+ *      + 장르 선호도(후보 장르들의 평균 선호도) + 평균 평점
+ *
+ * @param {Array<{seed: RecommendationSeed, recommendations: Array, similar: Array}>} fanOut - 기준 영화별 후보
+ * @param {Object} options
+ * @param {Set<number>} options.excludeIds - 제외할 영화 ID (이미 본 영화, 평점을 남긴 영화)
+ * @param {number} options.rowSize - 행별 최대 영화 수
+ * @param {number} options.minRowSize - 행을 표시할 최소 영화 수
+ * @returns {Array<{seed: RecommendationSeed, ids: number[], movies: Array}>} 점수가 높은 행 순
+ */
+export const buildRecommendationRows = (fanOut, { excludeIds, rowSize, minRowSize }) => {
+    const seeds = fanOut.map(({ seed }) => seed);
+    const seedIds = new Set(seeds.map((seed) => seed.id));
+    const affinity = getGenreAffinity(seeds);
+    const candidates = new Map();
+
+    fanOut.forEach(({ seed, ...sources }) => {
+        Object.entries(SOURCE_WEIGHTS).forEach(([source, sourceWeight]) => {
+            (sources[source] || []).forEach((movie) => {
+                if (excludeIds.has(movie.id) || seedIds.has(movie.id)) return;
+                const candidate = candidates.get(movie.id) || { movie, frequency: 0, contributions: new Map() };
+                const contribution = seed.weight * sourceWeight;
+                candidate.frequency += contribution;
+                candidate.contributions.set(seed.id, (candidate.contributions.get(seed.id) || 0) + contribution);
+                candidates.set(movie.id, candidate);
+            });
+        });
+    });
+
+    const maxFrequency = Math.max(0, ...[...candidates.values()].map((candidate) => candidate.frequency));
+    const scored = [...candidates.values()]
+        .map(({ movie, frequency, contributions }) => {
+            const genreIds = getGenreIds(movie);
+            const genreScore =
+                genreIds.length > 0
+                    ? genreIds.reduce((sum, genreId) => sum + (affinity.get(genreId) || 0), 0) / genreIds.length
+                    : 0;
+            const score =
+                SCORE_WEIGHTS.frequency * (maxFrequency > 0 ? frequency / maxFrequency : 0) +
+                SCORE_WEIGHTS.genre * genreScore +
+                SCORE_WEIGHTS.vote * getVoteScore(movie);
+            // 가장 많이 기여한 기준 영화 (같으면 먼저 고른 기준 영화)
+            const [seedId] = [...contributions].reduce((best, entry) => (entry[1] > best[1] ? entry : best));
+            return { movie, score, seedId };
+        })
+        .sort((a, b) => b.score - a.score);
+
+    return seeds
+        .map((seed) => {
+            const items = scored.filter((item) => item.seedId === seed.id).slice(0, rowSize);
+            return {
+                seed,
+                ids: items.map((item) => item.movie.id),
+                movies: items.map((item) => item.movie),
+                score: items.reduce((sum, item) => sum + item.score, 0),
+            };
+        })
+        .filter((row) => row.ids.length >= minRowSize)
+        .sort((a, b) => b.score - a.score)
+        .map(({ seed, ids, movies }) => ({ seed, ids, movies }));
+};
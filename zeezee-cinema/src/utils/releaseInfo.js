@@ -0,0 +1,123 @@
+/**
+ * TMDB release_dates 응답 해석 유틸
+ *
+ * release_dates는 지역(iso_3166_1)별로 개봉 유형(type)마다 날짜와 관람 등급을 담고 있습니다.
+ * 사용자의 지역 기준으로 극장/디지털/패키지(블루레이, DVD) 개봉일과 관람 등급을 고릅니다.
+ */
+
+// TMDB 개봉 유형 (release_dates[].type)
+const RELEASE_TYPES = {
+    premiere: 1,
+    theatricalLimited: 2,
+    theatrical: 3,
+    digital: 4,
+    physical: 5,
+    tv: 6,
+};
+
+// 표시할 개봉일 종류별로 사용할 개봉 유형 (앞쪽 유형 우선)
+const RELEASE_KINDS = {
+    theatrical: [RELEASE_TYPES.theatrical, RELEASE_TYPES.theatricalLimited],
+    digital: [RELEASE_TYPES.digital],
+    physical: [RELEASE_TYPES.physical],
+};
+
+/**
+ * 지역별 관람 등급 표기 (등급 체계가 지역마다 달라 공식 명칭을 그대로 사용)
+ * label: 전체 명칭, short: 배지에 표시할 짧은 표기, className: 배지 색상
+ * 표에 없는 지역이나 등급은 TMDB의 등급 값을 그대로 표시합니다.
+ */
+const CERTIFICATION_LABELS = {
+    KR: {
+        All: { label: '전체관람가', short: 'ALL', className: 'bg-green-600' },
+        12: { label: '12세이상관람가', short: '12', className: 'bg-sky-600' },
+        15: { label: '15세이상관람가', short: '15', className: 'bg-amber-500' },
+        18: { label: '청소년관람불가', short: '19', className: 'bg-red-600' },
+        19: { label: '청소년관람불가', short: '19', className: 'bg-red-600' },
+        'Restricted Screening': { label: '제한상영가', short: '제한', className: 'bg-gray-900' },
+    },
+};
+
+// 표에 없는 등급의 배지 색상
+const DEFAULT_CERTIFICATION_CLASS_NAME = 'bg-gray-600';
+
+/**
+ * @typedef {Object} RegionRelease
+ * @property {string} date - 개봉일 (YYYY-MM-DD)
+ * @property {string} certification - 관람 등급 (없으면 '')
+ * @property {string} note - 비고 (영화제 이름 등)
+ */
+
+/**
+ * 지역의 개봉 정보 목록
+ * @param {Array|undefined} results - release_dates 응답의 results
+ * @param {string} region - 지역 코드 (예: 'KR')
+ * @returns {Array<Object>} 해당 지역의 release_dates (없으면 빈 배열)
+ */
+const getRegionEntries = (results, region) =>
+    results?.find((result) => result.iso_3166_1 === region)?.release_dates || [];
+
+/**
+ * 개봉 유형 목록 중 가장 먼저 찾은 유형의 가장 이른 개봉 정보
+ * @param {Array<Object>} entries - 지역의 release_dates
+ * @param {number[]} types - 개봉 유형 (앞쪽 유형 우선)
+ * @returns {RegionRelease|null}
+ */
+const findRelease = (entries, types) => {
+    for (const type of types) {
+        const [earliest] = entries
+            .filter((entry) => entry.type === type && entry.release_date)
+            .sort((a, b) => a.release_date.localeCompare(b.release_date));
+        if (earliest) {
+            return {
+                date: earliest.release_date.slice(0, 10),
+                certification: earliest.certification || '',
+                note: earliest.note || '',
+            };
+        }
+    }
+    return null;
+};
+
+/**
+ * 지역의 극장/디지털/패키지 개봉일
+ * @param {Array|undefined} results - release_dates 응답의 results
+ * @param {string} region - 지역 코드
+ * @returns {{theatrical: RegionRelease|null, digital: RegionRelease|null, physical: RegionRelease|null}}
+ */
+export const getRegionReleases = (results, region) => {
+    const entries = getRegionEntries(results, region);
+    return Object.fromEntries(
+        Object.entries(RELEASE_KINDS).map(([kind, types]) => [kind, findRelease(entries, types)])
+    );
+};
+
+/**
+ * 지역의 관람 등급 (극장 개봉 등급 우선, 없으면 다른 개봉 유형의 등급)
+ * 다른 지역의 등급은 기준이 달라 대신 사용하지 않습니다.
+ * @param {Array|undefined} results - release_dates 응답의 results
+ * @param {string} region - 지역 코드
+ * @returns {string|null} TMDB 관람 등급 값 (예: '15') 또는 null
+ */
+export const getCertification = (results, region) => {
+    const entries = getRegionEntries(results, region);
+    const theatrical = findRelease(entries, RELEASE_KINDS.theatrical);
+    return theatrical?.certification || entries.find((entry) => entry.certification)?.certification || null;
+};
+
+/**
+ * 관람 등급의 표시 정보
+ * @param {string|null} certification - TMDB 관람 등급 값
+ * @param {string} region - 지역 코드
+ * @returns {{label: string, short: string, className: string}|null} 등급이 없으면 null
+ */
+export const getCertificationInfo = (certification, region) => {
+    if (!certification) return null;
+    return (
+        CERTIFICATION_LABELS[region]?.[certification] || {
+            label: certification,
+            short: certification,
+            className: DEFAULT_CERTIFICATION_CLASS_NAME,
+        }
+    );
+};
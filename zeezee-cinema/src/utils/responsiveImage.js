@@ -0,0 +1,69 @@
+import { getImageConfiguration } from '../services/movieService';
+
+/**
+ * 반응형 이미지 유틸
+ *
+ * TMDB 설정의 이미지 크기 목록으로 srcSet을 만듭니다.
+ * 화면 폭과 기기 픽셀 비율(DPR)에 맞는 크기는 srcSet의 너비(w)와 sizes를 보고 브라우저가 고릅니다.
+ */
+
+// 세로 기준 크기(예: 'h632')를 너비로 바꿀 때 사용할 이미지 종류별 가로:세로 비율
+const ASPECT_RATIOS = {
+    poster: 2 / 3,
+    profile: 2 / 3,
+    backdrop: 16 / 9,
+    still: 16 / 9,
+};
+
+/**
+ * @typedef {'backdrop'|'poster'|'profile'|'logo'|'still'} ImageType
+ */
+
+/**
+ * 크기 이름의 너비 (원본이거나 너비를 알 수 없으면 null)
+ * @param {string} size - 크기 이름 (예: 'w342', 'h632', 'original')
+ * @param {ImageType} type - 이미지 종류
+ * @returns {number|null}
+ */
+const getSizeWidth = (size, type) => {
+    const match = /^([wh])(\d+)$/.exec(size);
+    if (!match) return null;
+    const value = Number(match[2]);
+    if (match[1] === 'w') return value;
+    return ASPECT_RATIOS[type] ? Math.round(value * ASPECT_RATIOS[type]) : null;
+};
+
+/**
+ * 이미지 종류의 크기 목록 (너비가 작은 순, 원본 제외)
+ * @param {ImageType} type - 이미지 종류
+ * @returns {Array<{size: string, width: number}>}
+ */
+const getWidthSizes = (type) =>
+    (getImageConfiguration().sizes[type] || [])
+        .map((size) => ({ size, width: getSizeWidth(size, type) }))
+        .filter((item) => item.width !== null)
+        .sort((a, b) => a.width - b.width);
+
+/**
+ * 반응형 이미지 속성을 만듭니다.
+ * @param {string|null} path - TMDB 이미지 경로
+ * @param {ImageType} type - 이미지 종류
+ * @param {number} fallbackWidth - srcSet을 지원하지 않는 브라우저에 보낼 이미지 너비 (이보다 크거나 같은 가장 작은 크기)
+ * @returns {{src: string, srcSet: string, placeholder: string}|null} 이미지 URL, srcSet, 흐린 미리보기 URL (경로가 없으면 null)
+ */
+export const getResponsiveImage = (path, type, fallbackWidth = 500) => {
+    if (!path) return null;
+
+    const { baseUrl } = getImageConfiguration();
+    const toUrl = (size) => `${baseUrl}/${size}${path}`;
+    const sizes = getWidthSizes(type);
+    if (sizes.length === 0) return { src: toUrl('original'), srcSet: '', placeholder: null };
+
+    const fallback = sizes.find((item) => item.width >= fallbackWidth) || sizes[sizes.length - 1];
+    return {
+        src: toUrl(fallback.size),
+        srcSet: sizes.map((item) => `${toUrl(item.size)} ${item.width}w`).join(', '),
+        // 가장 작은 크기를 흐리게 늘려 원래 이미지를 받는 동안 보여 줌
+        placeholder: toUrl(sizes[0].size),
+    };
+};
@@ -0,0 +1,79 @@
+/**
+ * 예고편 선택 유틸
+ *
+ * 가장 좋은 예고편은 아래 순서로 고릅니다.
+ * 1. 유형: 예고편(Trailer) → 티저(Teaser) (예고편이 없을 때만 티저)
+ * 2. 언어: 현재 언어 → 영어 → 그 밖의 언어
+ * 3. 공식 영상 → 화질이 높은 영상 → 최근 영상
+ */
+
+// 재생할 수 있는 동영상 사이트 (YouTube 임베드만 지원)
+const PLAYABLE_SITE = 'YouTube';
+
+// 대표 예고편으로 고를 수 있는 유형 (앞쪽 우선)
+const TRAILER_TYPES = ['Trailer', 'Teaser'];
+
+// 다른 영상 목록의 유형 순서 (표에 없는 유형은 맨 뒤)
+const VIDEO_TYPE_ORDER = ['Trailer', 'Teaser', 'Clip', 'Featurette', 'Behind the Scenes', 'Bloopers'];
+
+// 현재 언어 다음으로 사용할 언어 (ISO 639-1)
+const FALLBACK_VIDEO_LANGUAGE = 'en';
+
+/**
+ * 목록에서의 순서 (없으면 맨 뒤)
+ * @param {Array} list - 순서 목록
+ * @param {*} value - 찾을 값
+ * @returns {number}
+ */
+const rankOf = (list, value) => {
+    const index = list.indexOf(value);
+    return index === -1 ? list.length : index;
+};
+
+/**
+ * 두 동영상의 우선순위 비교 (유형 → 언어 → 공식 → 화질 → 최근)
+ * @param {string} language - 현재 언어 (ISO 639-1, 예: 'ko')
+ * @returns {(a: Object, b: Object) => number} sort 비교 함수
+ */
+const compareVideos = (language) => {
+    const languages = [language, FALLBACK_VIDEO_LANGUAGE];
+    return (a, b) =>
+        rankOf(VIDEO_TYPE_ORDER, a.type) - rankOf(VIDEO_TYPE_ORDER, b.type) ||
+        rankOf(languages, a.iso_639_1) - rankOf(languages, b.iso_639_1) ||
+        Number(Boolean(b.official)) - Number(Boolean(a.official)) ||
+        (b.size || 0) - (a.size || 0) ||
+        (b.published_at || '').localeCompare(a.published_at || '');
+};
+
+/**
+ * 재생할 수 있는 동영상을 우선순위대로 정렬합니다.
+ * @param {Array<Object>} videos - TMDB videos 응답의 results
+ * @param {string} language - 현재 언어 (ISO 639-1)
+ * @returns {Array<Object>} 정렬된 동영상
+ */
+export const sortVideos = (videos = [], language) =>
+    videos.filter((video) => video.site === PLAYABLE_SITE && video.key).sort(compareVideos(language));
+
+/**
+ * 가장 좋은 예고편을 고릅니다.
+ * @param {Array<Object>} videos - TMDB videos 응답의 results
+ * @param {string} language - 현재 언어 (ISO 639-1)
+ * @returns {Object|null} 예고편 또는 티저 (없으면 null)
+ */
+export const pickBestTrailer = (videos, language) =>
+    sortVideos(videos, language).find((video) => TRAILER_TYPES.includes(video.type)) || null;
+
+/**
+ * YouTube 썸네일 URL
+ * @param {string} key - YouTube 동영상 키
+ * @param {'mqdefault'|'hqdefault'} size - 썸네일 크기 (320x180, 480x360)
+ * @returns {string}
+ */
+export const getVideoThumbnailUrl = (key, size = 'hqdefault') => `https://i.ytimg.com/vi/${key}/${size}.jpg`;
+
+/**
+ * YouTube 임베드 URL (쿠키를 남기지 않는 도메인, 클릭한 뒤에만 불러오므로 자동 재생)
+ * @param {string} key - YouTube 동영상 키
+ * @returns {string}
+ */
+export const getVideoEmbedUrl = (key) => `https://www.youtube-nocookie.com/embed/${key}?autoplay=1&rel=0`;
@@ -0,0 +1,86 @@
+/**
+ * 트렌딩 순위 스냅샷 (순위 변동 표시용)
+ *
+ * 목록(미디어 유형 + 기간)별로 오늘 받은 순위와 그 전에 받은 순위를 localStorage에 보관합니다.
+ * 같은 날 다시 받으면 오늘 스냅샷만 새 순위로 바꾸고, 날이 바뀌면 오늘 스냅샷이 이전 스냅샷이 됩니다.
+ */
+
+// 트렌딩 스냅샷을 저장할 localStorage 키
+const SNAPSHOTS_STORAGE_KEY = 'zeezee-cinema:trending-snapshots';
+
+/**
+ * @typedef {Object} TrendingSnapshot
+ * @property {string} date - 순위를 받은 날짜 (YYYY-MM-DD, 현지 시간)
+ * @property {string[]} ids - 순위 순서의 항목 id (getSnapshotId)
+ */
+
+/**
+ * 트렌딩 목록 키 (예: 'movie/week')
+ * @param {'all'|'movie'|'tv'|'person'} mediaType - 미디어 유형
+ * @param {'day'|'week'} timeWindow - 기간
+ * @returns {string}
+ */
+export const getTrendingKey = (mediaType, timeWindow) => `${mediaType}/${timeWindow}`;
+
+/**
+ * 스냅샷에 저장할 항목 id (전체 목록에서는 영화와 TV의 id가 겹칠 수 있으므로 유형을 붙임)
+ * @param {Object} item - media_type이 있는 트렌딩 항목
+ * @returns {string} 예: 'movie:550'
+ */
+export const getSnapshotId = (item) => `${item.media_type}:${item.id}`;
+
+/**
+ * 현지 시간 기준 날짜 문자열
+ * @param {Date} date - 날짜
+ * @returns {string} YYYY-MM-DD
+ */
+const toDateString = (date) =>
+    [date.getFullYear(), date.getMonth() + 1, date.getDate()].map((part) => String(part).padStart(2, '0')).join('-');
+
+const loadSnapshots = () => {
+    try {
+        return JSON.parse(localStorage.getItem(SNAPSHOTS_STORAGE_KEY)) || {};
+    } catch {
+        return {};
+    }
+};
+
+/**
+ * 오늘 받은 순위를 저장하고, 비교할 이전 스냅샷을 반환합니다.
+ * @param {string} key - 트렌딩 목록 키 (getTrendingKey)
+ * @param {string[]} ids - 순위 순서의 항목 id
+ * @param {Date} now - 현재 시각
+ * @returns {TrendingSnapshot|null} 이전 스냅샷 (처음 받은 목록이면 null)
+ */
+export const recordTrendingSnapshot = (key, ids, now) => {
+    const snapshots = loadSnapshots();
+    const today = toDateString(now);
+    const saved = snapshots[key] || {};
+    const previous = saved.current && saved.current.date !== today ? saved.current : saved.previous || null;
+
+    snapshots[key] = { current: { date: today, ids }, previous };
+    try {
+        localStorage.setItem(SNAPSHOTS_STORAGE_KEY, JSON.stringify(snapshots));
+    } catch {
+        // 저장하지 못하면 다음 방문 때 순위 변동을 표시하지 않음
+    }
+    return previous;
+};
+
+/**
+ * 이전 스냅샷과 비교한 순위 변동
+ * @param {string} snapshotId - 항목 id (getSnapshotId)
+ * @param {number} rank - 현재 순위 (1부터)
+ * @param {string[]|null} previousIds - 이전 스냅샷의 항목 id
+ * @returns {{type: 'up'|'down'|'same'|'new', change: number}|null} 이전 스냅샷이 없으면 null
+ */
+export const getRankMovement = (snapshotId, rank, previousIds) => {
+    if (!previousIds) return null;
+    const previousIndex = previousIds.indexOf(snapshotId);
+    if (previousIndex === -1) return { type: 'new', change: 0 };
+
+    const change = previousIndex + 1 - rank;
+    if (change > 0) return { type: 'up', change };
+    if (change < 0) return { type: 'down', change: -change };
+    return { type: 'same', change: 0 };
+};
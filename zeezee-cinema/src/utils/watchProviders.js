@@ -0,0 +1,79 @@
+/**
+ * 시청 가능 서비스(watch providers) 유틸
+ *
+ * TMDB는 JustWatch 데이터로 지역별 서비스를 제공 방식(flatrate, free, ads, rent, buy)별로 나눠 줍니다.
+ * 화면에서는 스트리밍(정액제, 무료, 광고 포함)/대여/구매 세 묶음으로 표시합니다.
+ */
+
+// 화면의 묶음별 TMDB 제공 방식
+export const WATCH_GROUPS = {
+    stream: ['flatrate', 'free', 'ads'],
+    rent: ['rent'],
+    buy: ['buy'],
+};
+
+// 내 구독 서비스를 저장할 localStorage 키
+const MY_SERVICES_STORAGE_KEY = 'zeezee-cinema:my-services';
+
+/**
+ * @typedef {Object} WatchProvider
+ * @property {number} provider_id - 서비스 ID
+ * @property {string} provider_name - 서비스 이름
+ * @property {string} logo_path - 로고 이미지 경로
+ * @property {number} display_priority - 표시 순서 (작을수록 앞)
+ */
+
+/**
+ * 지역의 서비스를 묶음별로 나눕니다. (묶음 안에서 같은 서비스는 한 번만, 표시 순서대로)
+ * @param {Object|undefined} results - watch/providers 응답의 results (지역 코드별)
+ * @param {string} region - 지역 코드
+ * @returns {{link: string|null, groups: Object<string, WatchProvider[]>}|null} 지역 정보가 없으면 null
+ */
+export const groupWatchProviders = (results, region) => {
+    const regionProviders = results?.[region];
+    if (!regionProviders) return null;
+
+    const groups = Object.fromEntries(
+        Object.entries(WATCH_GROUPS).map(([group, types]) => {
+            const byId = new Map();
+            types.forEach((type) => {
+                (regionProviders[type] || []).forEach((provider) => {
+                    if (!byId.has(provider.provider_id)) byId.set(provider.provider_id, provider);
+                });
+            });
+            return [group, [...byId.values()].sort((a, b) => a.display_priority - b.display_priority)];
+        })
+    );
+    return { link: regionProviders.link || null, groups };
+};
+
+/**
+ * 저장된 내 구독 서비스를 불러옵니다. 저장소를 사용할 수 없거나 값이 손상되었으면 빈 값을 반환합니다.
+ * @returns {Object<string, number[]>} 지역 코드별 서비스 ID
+ */
+export const loadMyServices = () => {
+    try {
+        const saved = JSON.parse(localStorage.getItem(MY_SERVICES_STORAGE_KEY));
+        if (!saved || typeof saved !== 'object' || Array.isArray(saved)) return {};
+        return Object.fromEntries(
+            Object.entries(saved).map(([region, ids]) => [
+                region,
+                Array.isArray(ids) ? ids.filter(Number.isInteger) : [],
+            ])
+        );
+    } catch {
+        return {};
+    }
+};
+
+/**
+ * 내 구독 서비스를 저장합니다.
+ * @param {Object<string, number[]>} myServices - 지역 코드별 서비스 ID
+ */
+export const saveMyServices = (myServices) => {
+    try {
+        localStorage.setItem(MY_SERVICES_STORAGE_KEY, JSON.stringify(myServices));
+    } catch {
+        // 저장소를 사용할 수 없으면 현재 탭에서만 유지
+    }
+};